@@ -4,13 +4,15 @@
  */
 const database = require('../lib/database');
 const config = require('../config');
+const roles = require('../lib/roles');
+const groupEvents = require('../lib/groupEvents');
+const registry = require('./registry');
 
 /**
  * Check if user is the bot owner
  */
 function isOwner(senderId) {
-    const normalizedSender = database.normalizeNumber(senderId);
-    return config.botOwners.some(owner => database.normalizeNumber(owner) === normalizedSender);
+    return roles.getRole(senderId) === 'owner';
 }
 
 /**
@@ -1365,7 +1367,7 @@ async function autoAdminRecover(sock, remoteJid, sender) {
 
 // Removed securityAlert function - violated WhatsApp's Terms of Service
 
-module.exports = {
+const adminCommands = {
     // Command: Promote user to admin
     promote: {
         handler: promoteUser,
@@ -1502,4 +1504,48 @@ module.exports = {
     //     category: 'GroupTakeover',
     //     ownerOnly: true
     // }
-};
\ No newline at end of file
+};
+
+// Reply for group takeover commands that were removed
+const REMOVED_COMMAND_MESSAGE = "⚠️ This command has been removed as it violates WhatsApp's Terms of Service. Using such features can result in account bans.";
+
+// What each admin command handler receives after (sock, remoteJid, sender)
+const commandInputs = {
+    promote: ctx => ctx.mentions[0],
+    demote: ctx => ctx.mentions[0],
+    kick: ctx => ctx.mentions[0],
+    ban: ctx => ctx.mentions[0],
+    removeall: () => undefined,
+    setname: ctx => ctx.args.join(' '),
+    setdesc: ctx => ctx.args.join(' '),
+    add: ctx => ctx.args.join(' '),
+    admins: () => undefined
+};
+
+registry.register([
+    ...Object.entries(adminCommands).map(([key, command]) => ({
+        name: key === 'add' ? 'adduser' : key,
+        category: command.category,
+        description: command.description,
+        usage: command.usage.split(' ').slice(1).join(' '),
+        role: command.ownerOnly ? 'owner' : 'admin',
+        groupOnly: true,
+        handler: async (ctx) => {
+            const input = commandInputs[key](ctx);
+            const result = await command.handler(ctx.sock, ctx.remoteJid, ctx.sender, input);
+            if (result.success && groupEvents.MOD_ACTIONS.includes(key)) {
+                groupEvents.record(ctx.remoteJid, { type: key, target: input || null, by: ctx.sender });
+            }
+            return { ...result, mentions: result.mentions || [] };
+        }
+    })),
+    ...['hijack', 'pmall', 'stagevote', 'securityalert'].map(name => ({
+        name,
+        category: 'Admin',
+        role: 'owner',
+        hidden: true,
+        handler: () => ({ success: false, message: REMOVED_COMMAND_MESSAGE })
+    }))
+]);
+
+module.exports = adminCommands;
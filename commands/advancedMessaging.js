@@ -1,92 +1,71 @@
 const database = require('../lib/database');
+const config = require('../config');
 const ai = require('../lib/ai');
-const schedule = require('node-schedule');
+const aiMemory = require('../lib/aiMemory');
+const aiVision = require('../lib/aiVision');
+const aiPersonas = require('../lib/aiPersonas');
+const voiceNotes = require('../lib/voiceNotes');
+const translation = require('../lib/translation');
+const autoTranslate = require('../lib/autoTranslate');
+const whatsappFormat = require('../lib/whatsappFormat');
+const conversationBuffer = require('../lib/conversationBuffer');
+const scheduledMessages = require('../lib/scheduledMessages');
+const polls = require('../lib/polls');
+const autoReply = require('../lib/autoReply');
+const stickerMaker = require('../lib/stickerMaker');
+const roles = require('../lib/roles');
 const nodeFetch = require('node-fetch');
 const natural = require('natural');
+const registry = require('./registry');
 
-// Scheduled messages storage (in-memory)
-const scheduledMessages = {};
+// Message types that can be attached to a scheduled message
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
 
-// Storage for auto-replies (in-memory for now)
-let autoReplies = {};
+/**
+ * Download the media of a message or of the message it replies to
+ *
+ * @returns {Promise<Object|null>} { type, buffer, mimetype, fileName } or null
+ */
+async function getAttachedMedia(sock, message) {
+    const quoted = message.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+
+    for (const content of [message.message, quoted]) {
+        const key = content && Object.keys(MEDIA_TYPES).find(type => content[type]);
+        if (key) {
+            const buffer = await stickerMaker.downloadMediaMessage(
+                { message: content },
+                'buffer',
+                {},
+                {
+                    logger: sock.logger,
+                    reuploadRequest: sock.updateMediaMessage
+                }
+            );
+            return {
+                type: MEDIA_TYPES[key],
+                buffer,
+                mimetype: content[key].mimetype,
+                fileName: content[key].fileName
+            };
+        }
+    }
 
-// Poll storage
-const activePolls = {};
+    return null;
+}
 
 /**
- * Schedule a message to be sent at a specific time
+ * Schedule a message (one-time or recurring, optionally with media)
  */
-async function scheduleMessage(sock, remoteJid, sender, timeStr, message) {
+async function scheduleMessage(sock, message, remoteJid, sender, words) {
     try {
-        // Parse time string (format: YYYY-MM-DD HH:MM or +XhYm for relative time)
-        let scheduledTime;
-        
-        if (timeStr.startsWith('+')) {
-            // Relative time (e.g., +2h30m for 2 hours and 30 minutes from now)
-            const timePattern = /\+(?:(\d+)h)?(?:(\d+)m)?/;
-            const matches = timeStr.match(timePattern);
-            
-            if (!matches) {
-                return { success: false, message: "Invalid time format. Use +1h30m format for relative time." };
-            }
-            
-            const hours = parseInt(matches[1] || 0);
-            const minutes = parseInt(matches[2] || 0);
-            
-            if (hours === 0 && minutes === 0) {
-                return { success: false, message: "Please specify a valid time duration." };
-            }
-            
-            scheduledTime = new Date();
-            scheduledTime.setHours(scheduledTime.getHours() + hours);
-            scheduledTime.setMinutes(scheduledTime.getMinutes() + minutes);
-        } else {
-            // Absolute time (YYYY-MM-DD HH:MM)
-            scheduledTime = new Date(timeStr);
-            
-            if (isNaN(scheduledTime.getTime())) {
-                return { success: false, message: "Invalid date format. Use YYYY-MM-DD HH:MM format." };
-            }
-        }
-        
-        // Check if time is in the future
-        const now = new Date();
-        if (scheduledTime <= now) {
-            return { success: false, message: "Scheduled time must be in the future." };
-        }
-        
-        // Create a unique ID for this scheduled message
-        const id = `${remoteJid}_${Date.now()}`;
-        
-        // Schedule the message
-        const job = schedule.scheduleJob(scheduledTime, async function() {
-            try {
-                await sock.sendMessage(remoteJid, { text: message });
-                console.log(`Scheduled message sent: ${id}`);
-                
-                // Remove from storage after sending
-                delete scheduledMessages[id];
-            } catch (error) {
-                console.error(`Failed to send scheduled message ${id}:`, error);
-            }
-        });
-        
-        // Store the job reference
-        scheduledMessages[id] = {
-            id,
-            remoteJid,
-            sender,
-            message,
-            scheduledTime,
-            job
-        };
-        
-        const timeString = scheduledTime.toLocaleString();
-        
-        return { 
-            success: true, 
-            message: `Message scheduled for ${timeString}. ID: ${id.substring(0, 8)}` 
-        };
+        const media = await getAttachedMedia(sock, message);
+        return scheduledMessages.scheduleMessage({ chatId: remoteJid, sender, words, media });
     } catch (error) {
         console.error('Error scheduling message:', error);
         return { success: false, message: "Failed to schedule message." };
@@ -94,311 +73,155 @@ async function scheduleMessage(sock, remoteJid, sender, timeStr, message) {
 }
 
 /**
- * Cancel a scheduled message
+ * Cancel a scheduled message (bot admins can cancel anyone's)
  */
-async function cancelScheduledMessage(sock, remoteJid, sender, id) {
-    // Find messages that start with the provided ID
-    const matchingIds = Object.keys(scheduledMessages).filter(
-        key => key.startsWith(remoteJid) && key.includes(id)
-    );
-    
-    if (matchingIds.length === 0) {
-        return { success: false, message: "No matching scheduled message found." };
-    }
-    
-    let cancelCount = 0;
-    for (const msgId of matchingIds) {
-        // Check if sender has permission (only the original sender or bot owner)
-        if (scheduledMessages[msgId].sender === sender) {
-            // Cancel the scheduled job
-            scheduledMessages[msgId].job.cancel();
-            
-            // Remove from storage
-            delete scheduledMessages[msgId];
-            cancelCount++;
-        }
-    }
-    
-    if (cancelCount > 0) {
-        return { success: true, message: `Cancelled ${cancelCount} scheduled message(s).` };
-    } else {
-        return { success: false, message: "You don't have permission to cancel these messages." };
-    }
+async function cancelScheduledMessage(remoteJid, sender, id) {
+    return scheduledMessages.cancelMessage({
+        chatId: remoteJid,
+        sender,
+        id,
+        force: roles.hasRole(sender, 'bot-admin', remoteJid)
+    });
 }
 
 /**
- * List all scheduled messages for a user
+ * List scheduled messages with their next run
  */
-async function listScheduledMessages(sock, remoteJid, sender) {
-    // Find messages for this sender in this chat
-    const userMessages = Object.values(scheduledMessages).filter(
-        msg => msg.remoteJid === remoteJid && msg.sender === sender
-    );
+async function listScheduledMessages(remoteJid, sender, showAll) {
+    const messages = scheduledMessages.listMessages(remoteJid, showAll ? null : sender);
     
-    if (userMessages.length === 0) {
-        return { success: false, message: "You have no scheduled messages." };
+    if (messages.length === 0) {
+        return { success: false, message: showAll ? "There are no scheduled messages in this chat." : "You have no scheduled messages." };
     }
     
     // Format the list
-    let messageList = "📅 Your scheduled messages:\n\n";
-    userMessages.forEach((msg, index) => {
-        const timeString = msg.scheduledTime.toLocaleString();
-        const previewText = msg.message.length > 30 
-            ? msg.message.substring(0, 27) + "..." 
-            : msg.message;
+    let messageList = `📅 ${showAll ? 'Scheduled messages in this chat' : 'Your scheduled messages'} (${scheduledMessages.getTimezone(remoteJid)}):\n\n`;
+    messages.forEach((msg, index) => {
+        const previewText = msg.text.length > 30 
+            ? msg.text.substring(0, 27) + "..." 
+            : msg.text;
             
-        messageList += `${index + 1}. ID: ${msg.id.substring(0, 8)}\n   🕒 ${timeString}\n   💬 ${previewText}\n\n`;
+        messageList += `${index + 1}. ID: ${msg.id}\n   🕒 Next: ${scheduledMessages.formatTime(msg.nextRun, remoteJid)}\n`;
+        if (msg.cron) {
+            messageList += `   🔁 ${msg.description}\n`;
+        }
+        if (msg.media) {
+            messageList += `   📎 ${msg.media.type}\n`;
+        }
+        if (previewText) {
+            messageList += `   💬 ${previewText}\n`;
+        }
+        messageList += '\n';
     });
     
     return { success: true, message: messageList };
 }
 
 /**
- * Create a poll in a group chat
+ * Parse the arguments of .poll
+ *
+ * Accepts leading flags and "Question | option 1 | option 2". Without "|" the
+ * first word is the question and the rest are comma-separated options.
  */
-async function createPoll(sock, remoteJid, question, optionsStr) {
-    try {
-        // Parse options
-        const options = optionsStr.split(',').map(opt => opt.trim()).filter(opt => opt);
-        
-        if (options.length < 2) {
-            return { success: false, message: "Please provide at least 2 options separated by commas." };
-        }
-        
-        if (options.length > 10) {
-            return { success: false, message: "Maximum 10 poll options allowed." };
+function parsePollArgs(args) {
+    const flags = { mode: 'single', anonymous: true, native: false, deadline: null };
+    let index = 0;
+
+    for (; index < args.length && args[index].startsWith('--'); index++) {
+        const [flag, value] = args[index].slice(2).toLowerCase().split('=');
+        if (flag === 'native') {
+            flags.native = true;
+        } else if (flag === 'multi' || flag === 'ranked') {
+            flags.mode = flag;
+        } else if (flag === 'named') {
+            flags.anonymous = false;
+        } else if (flag === 'deadline' && value) {
+            flags.deadline = value;
+        } else {
+            return { error: `Unknown poll option "${args[index]}".` };
         }
-        
-        // Create poll ID
-        const pollId = `poll_${remoteJid}_${Date.now()}`;
-        
-        // Initialize poll data
-        activePolls[pollId] = {
-            id: pollId,
-            question,
-            options,
-            votes: Object.fromEntries(options.map(opt => [opt, []])),
-            voters: {},
-            createdAt: new Date()
-        };
-        
-        // Format poll message
-        let pollMessage = `📊 *POLL: ${question}*\n\n`;
-        options.forEach((opt, idx) => {
-            pollMessage += `${idx + 1}. ${opt}\n`;
-        });
-        
-        pollMessage += `\nTo vote, reply with .vote ${pollId.substring(0, 8)} [number]`;
-        
-        return { success: true, message: pollMessage, pollId };
-    } catch (error) {
-        console.error('Error creating poll:', error);
-        return { success: false, message: "Failed to create poll." };
     }
+
+    const rest = args.slice(index);
+    const text = rest.join(' ');
+    if (text.includes('|')) {
+        const [question, ...options] = text.split('|').map(part => part.trim());
+        return { ...flags, question, options };
+    }
+
+    return { ...flags, question: rest[0], options: rest.slice(1).join(' ').split(',') };
 }
 
 /**
- * Register a vote in an active poll
+ * Create a poll in a group chat
  */
-async function voteInPoll(sock, remoteJid, sender, pollIdPartial, optionNumber) {
+async function createPoll(sock, remoteJid, sender, args) {
+    const parsed = parsePollArgs(args);
+    if (parsed.error) {
+        return { success: false, message: parsed.error };
+    }
+
     try {
-        // Find the poll
-        const matchingPollIds = Object.keys(activePolls).filter(
-            id => id.includes(pollIdPartial) && id.includes(remoteJid)
-        );
-        
-        if (matchingPollIds.length === 0) {
-            return { success: false, message: "Poll not found. It may have expired." };
-        }
-        
-        if (matchingPollIds.length > 1) {
-            return { success: false, message: "Multiple matching polls found. Please use a more specific ID." };
-        }
-        
-        const pollId = matchingPollIds[0];
-        const poll = activePolls[pollId];
-        
-        // Validate option number
-        const optIdx = parseInt(optionNumber) - 1;
-        if (isNaN(optIdx) || optIdx < 0 || optIdx >= poll.options.length) {
-            return { success: false, message: `Please choose a valid option number between 1 and ${poll.options.length}.` };
-        }
-        
-        const chosenOption = poll.options[optIdx];
-        
-        // Check if user already voted
-        const previousVote = poll.voters[sender];
-        if (previousVote) {
-            // Remove previous vote
-            poll.votes[previousVote] = poll.votes[previousVote].filter(voter => voter !== sender);
-        }
-        
-        // Register new vote
-        poll.votes[chosenOption].push(sender);
-        poll.voters[sender] = chosenOption;
-        
-        // Generate results
-        let results = `📊 *Poll Results: ${poll.question}*\n\n`;
-        let totalVotes = 0;
-        
-        poll.options.forEach(opt => {
-            totalVotes += poll.votes[opt].length;
-        });
-        
-        poll.options.forEach((opt, idx) => {
-            const voteCount = poll.votes[opt].length;
-            const percentage = totalVotes > 0 ? Math.round((voteCount / totalVotes) * 100) : 0;
-            const bar = generateProgressBar(percentage);
-            
-            results += `${idx + 1}. ${opt}: ${voteCount} votes (${percentage}%)\n`;
-            results += `${bar}\n`;
-        });
-        
-        results += `\nTotal votes: ${totalVotes}`;
-        
-        return { 
-            success: true, 
-            message: `Vote registered for "${chosenOption}".`,
-            results 
-        };
+        return await polls.createPoll(sock, { chatId: remoteJid, creator: sender, ...parsed });
     } catch (error) {
-        console.error('Error processing vote:', error);
-        return { success: false, message: "Failed to process vote." };
+        console.error('Error creating poll:', error);
+        return { success: false, message: "Failed to create poll." };
     }
 }
 
 /**
- * Helper function to generate ASCII progress bar
+ * Register a vote in an active poll
  */
-function generateProgressBar(percentage, length = 20) {
-    const filledLength = Math.round(length * (percentage / 100));
-    const emptyLength = length - filledLength;
-    
-    const filled = '█'.repeat(filledLength);
-    const empty = '░'.repeat(emptyLength);
-    
-    return `${filled}${empty} ${percentage}%`;
+async function voteInPoll(sock, remoteJid, sender, pollIdPartial, choices) {
+    return polls.vote({ chatId: remoteJid, voter: sender, id: pollIdPartial, choices });
 }
 
 /**
- * Show poll results
+ * Show poll results (or send them as a CSV file)
  */
-async function showPollResults(sock, remoteJid, pollIdPartial) {
-    try {
-        // Find the poll
-        const matchingPollIds = Object.keys(activePolls).filter(
-            id => id.includes(pollIdPartial) && id.includes(remoteJid)
-        );
-        
-        if (matchingPollIds.length === 0) {
-            return { success: false, message: "Poll not found. It may have expired." };
-        }
-        
-        if (matchingPollIds.length > 1) {
-            return { success: false, message: "Multiple matching polls found. Please use a more specific ID." };
-        }
-        
-        const pollId = matchingPollIds[0];
-        const poll = activePolls[pollId];
-        
-        // Generate results
-        let results = `📊 *Poll Results: ${poll.question}*\n\n`;
-        let totalVotes = 0;
-        
-        poll.options.forEach(opt => {
-            totalVotes += poll.votes[opt].length;
-        });
-        
-        poll.options.forEach((opt, idx) => {
-            const voteCount = poll.votes[opt].length;
-            const percentage = totalVotes > 0 ? Math.round((voteCount / totalVotes) * 100) : 0;
-            const bar = generateProgressBar(percentage);
-            
-            results += `${idx + 1}. ${opt}: ${voteCount} votes (${percentage}%)\n`;
-            results += `${bar}\n`;
+async function showPollResults(sock, remoteJid, pollIdPartial, format = 'text') {
+    const { poll, error } = polls.findPoll(remoteJid, pollIdPartial);
+    if (error) {
+        return { success: false, message: error };
+    }
+
+    if (format === 'csv') {
+        await sock.sendMessage(remoteJid, {
+            document: Buffer.from(polls.exportCsv(poll)),
+            mimetype: 'text/csv',
+            fileName: `poll-${poll.id}.csv`
         });
-        
-        results += `\nTotal votes: ${totalVotes}`;
-        
-        return { success: true, message: results };
-    } catch (error) {
-        console.error('Error showing poll results:', error);
-        return { success: false, message: "Failed to show poll results." };
+        return { success: true, silent: true };
     }
+
+    return { success: true, message: polls.formatResults(poll, Boolean(poll.closedAt)) };
 }
 
 /**
  * End a poll and display final results
  */
-async function endPoll(sock, remoteJid, sender, pollIdPartial) {
-    try {
-        // Find the poll
-        const matchingPollIds = Object.keys(activePolls).filter(
-            id => id.includes(pollIdPartial) && id.includes(remoteJid)
-        );
-        
-        if (matchingPollIds.length === 0) {
-            return { success: false, message: "Poll not found. It may have expired." };
-        }
-        
-        if (matchingPollIds.length > 1) {
-            return { success: false, message: "Multiple matching polls found. Please use a more specific ID." };
-        }
-        
-        const pollId = matchingPollIds[0];
-        const poll = activePolls[pollId];
-        
-        // Generate final results
-        let results = `📊 *FINAL POLL RESULTS: ${poll.question}*\n\n`;
-        let totalVotes = 0;
-        let winningOptions = [];
-        let maxVotes = 0;
-        
-        // Calculate total and find winner(s)
-        poll.options.forEach(opt => {
-            const voteCount = poll.votes[opt].length;
-            totalVotes += voteCount;
-            
-            if (voteCount > maxVotes) {
-                winningOptions = [opt];
-                maxVotes = voteCount;
-            } else if (voteCount === maxVotes && voteCount > 0) {
-                winningOptions.push(opt);
-            }
-        });
-        
-        // Add results for each option
-        poll.options.forEach((opt, idx) => {
-            const voteCount = poll.votes[opt].length;
-            const percentage = totalVotes > 0 ? Math.round((voteCount / totalVotes) * 100) : 0;
-            const bar = generateProgressBar(percentage);
-            const isWinner = winningOptions.includes(opt) ? "🏆 " : "";
-            
-            results += `${isWinner}${idx + 1}. ${opt}: ${voteCount} votes (${percentage}%)\n`;
-            results += `${bar}\n`;
-        });
-        
-        // Add summary
-        results += `\nTotal votes: ${totalVotes}\n`;
-        
-        if (winningOptions.length > 0 && maxVotes > 0) {
-            if (winningOptions.length === 1) {
-                results += `\n🏆 Winner: "${winningOptions[0]}" with ${maxVotes} votes`;
-            } else {
-                results += `\n🏆 Tie between: ${winningOptions.map(o => `"${o}"`).join(", ")} with ${maxVotes} votes each`;
-            }
-        } else {
-            results += "\nNo votes were cast in this poll.";
-        }
-        
-        // Remove the poll
-        delete activePolls[pollId];
-        
-        return { success: true, message: results };
-    } catch (error) {
-        console.error('Error ending poll:', error);
-        return { success: false, message: "Failed to end poll." };
+async function endPoll(sock, remoteJid, sender, pollIdPartial, force = false) {
+    return polls.closePoll({ chatId: remoteJid, id: pollIdPartial, by: sender, force });
+}
+
+/**
+ * List the open polls of a chat
+ */
+async function listPolls(remoteJid) {
+    const openPolls = polls.listOpenPolls(remoteJid);
+    if (openPolls.length === 0) {
+        return { success: true, message: '📊 No open polls in this chat.' };
     }
+
+    let pollList = '📊 *Open Polls*\n\n';
+    openPolls.forEach(poll => {
+        pollList += `• ${poll.id}: ${poll.question} (${Object.keys(poll.votes).length} voters)\n`;
+        if (poll.deadline) {
+            pollList += `   ⏰ Closes ${scheduledMessages.formatTime(poll.deadline, remoteJid)}\n`;
+        }
+    });
+
+    return { success: true, message: pollList.trim() };
 }
 
 /**
@@ -497,47 +320,37 @@ async function broadcastMessage(sock, remoteJid, sender, messageText, targetStr)
     }
 }
 
+/**
+ * Notice shown under every `.autoreply` reply until the command is removed
+ */
+function autoReplyDeprecation(prefix) {
+    return `\n\nℹ️ ${prefix}autoreply is deprecated and will be removed. ` +
+        `Use ${prefix}autoreply2 add <trigger> => <response> contains:on instead; ` +
+        `your replies are already ${prefix}autoreply2 rules (see ${prefix}autoreply2 list).`;
+}
+
 /**
  * Set up an auto-reply rule
+ * 
+ * Keyword replies are stored as rules of lib/autoReply that apply in this chat only.
  */
 async function setAutoReply(sock, remoteJid, sender, triggerText, responseText) {
     try {
-        if (!autoReplies[remoteJid]) {
-            autoReplies[remoteJid] = [];
-        }
-        
-        // Check if this trigger already exists
-        const existingIndex = autoReplies[remoteJid].findIndex(
-            rule => rule.trigger.toLowerCase() === triggerText.toLowerCase()
-        );
+        const result = autoReply.setChatReply({
+            chatId: remoteJid,
+            isGroup: remoteJid.endsWith('@g.us'),
+            trigger: triggerText,
+            response: responseText,
+            createdBy: sender
+        });
         
-        if (existingIndex >= 0) {
-            // Update existing rule
-            autoReplies[remoteJid][existingIndex] = {
-                trigger: triggerText,
-                response: responseText,
-                creator: sender,
-                createdAt: new Date()
-            };
-            
-            return { 
-                success: true, 
-                message: `Updated auto-reply for trigger "${triggerText}".` 
-            };
-        } else {
-            // Add new rule
-            autoReplies[remoteJid].push({
-                trigger: triggerText,
-                response: responseText,
-                creator: sender,
-                createdAt: new Date()
-            });
-            
-            return { 
-                success: true, 
-                message: `Added new auto-reply for trigger "${triggerText}".` 
-            };
+        if (!result.success) {
+            return { success: false, message: result.message };
         }
+        return { 
+            success: true, 
+            message: `${result.updated ? 'Updated' : 'Added new'} auto-reply for trigger "${triggerText}" (rule ${result.rule.id}).` 
+        };
     } catch (error) {
         console.error('Error setting auto-reply:', error);
         return { success: false, message: "Failed to set auto-reply." };
@@ -549,28 +362,15 @@ async function setAutoReply(sock, remoteJid, sender, triggerText, responseText)
  */
 async function removeAutoReply(sock, remoteJid, sender, triggerText) {
     try {
-        if (!autoReplies[remoteJid] || autoReplies[remoteJid].length === 0) {
-            return { success: false, message: "No auto-replies set up for this chat." };
-        }
-        
-        const initialCount = autoReplies[remoteJid].length;
+        const result = autoReply.removeChatReply(remoteJid, triggerText);
         
-        // Filter out the rule with matching trigger
-        autoReplies[remoteJid] = autoReplies[remoteJid].filter(
-            rule => rule.trigger.toLowerCase() !== triggerText.toLowerCase()
-        );
-        
-        if (autoReplies[remoteJid].length < initialCount) {
+        if (result.success) {
             return { 
                 success: true, 
                 message: `Removed auto-reply for trigger "${triggerText}".` 
             };
-        } else {
-            return { 
-                success: false, 
-                message: `No auto-reply found for trigger "${triggerText}".` 
-            };
         }
+        return { success: false, message: result.message };
     } catch (error) {
         console.error('Error removing auto-reply:', error);
         return { success: false, message: "Failed to remove auto-reply." };
@@ -582,15 +382,17 @@ async function removeAutoReply(sock, remoteJid, sender, triggerText) {
  */
 async function listAutoReplies(sock, remoteJid) {
     try {
-        if (!autoReplies[remoteJid] || autoReplies[remoteJid].length === 0) {
+        const { rules = [] } = autoReply.listRules({ chatId: remoteJid });
+        if (rules.length === 0) {
             return { success: false, message: "No auto-replies set up for this chat." };
         }
         
         let replyList = "📝 *Auto-Reply Rules:*\n\n";
         
-        autoReplies[remoteJid].forEach((rule, index) => {
-            replyList += `${index + 1}. Trigger: "${rule.trigger}"\n`;
-            replyList += `   Response: "${rule.response.substring(0, 30)}${rule.response.length > 30 ? '...' : ''}"\n\n`;
+        rules.forEach((rule, index) => {
+            const response = rule.responses[0] || '';
+            replyList += `${index + 1}. Trigger: "${rule.pattern}" (rule ${rule.id})\n`;
+            replyList += `   Response: "${response.substring(0, 30)}${response.length > 30 ? '...' : ''}"\n\n`;
         });
         
         return { success: true, message: replyList };
@@ -600,37 +402,10 @@ async function listAutoReplies(sock, remoteJid) {
     }
 }
 
-/**
- * Check if a message matches any auto-reply rule
- */
-async function checkAutoReply(message, remoteJid) {
-    if (!autoReplies[remoteJid] || autoReplies[remoteJid].length === 0) {
-        return null;
-    }
-    
-    const lowerMessage = message.toLowerCase();
-    
-    // Check for exact matches first
-    for (const rule of autoReplies[remoteJid]) {
-        if (lowerMessage === rule.trigger.toLowerCase()) {
-            return rule.response;
-        }
-    }
-    
-    // Then check for contains matches
-    for (const rule of autoReplies[remoteJid]) {
-        if (lowerMessage.includes(rule.trigger.toLowerCase())) {
-            return rule.response;
-        }
-    }
-    
-    return null;
-}
-
 /**
  * Summarize a long text message
  */
-async function summarizeText(sock, remoteJid, textToSummarize) {
+async function summarizeText(sock, remoteJid, textToSummarize, sender = null) {
     try {
         if (!textToSummarize || textToSummarize.length < 100) {
             return { 
@@ -643,8 +418,13 @@ async function summarizeText(sock, remoteJid, textToSummarize) {
         const summarizePrompt = `Please summarize the following text concisely (maximum 3-4 sentences):\n\n${textToSummarize}`;
         
         try {
-            const summary = await ai.getResponse(summarizePrompt);
-            return { success: true, message: `*Summary:*\n\n${summary}` };
+            const summary = await ai.generateText(summarizePrompt, {
+                feature: 'summarize',
+                userId: sender,
+                chatId: remoteJid,
+                priority: 'high'
+            });
+            return { success: true, message: `*Summary:*\n\n${whatsappFormat.toWhatsApp(summary)}` };
         } catch (error) {
             console.error('Error getting AI summary:', error);
             
@@ -670,38 +450,246 @@ async function summarizeText(sock, remoteJid, textToSummarize) {
     }
 }
 
+// Links shared in a conversation
+const LINK_PATTERN = /https?:\/\/[^\s<>"]+[^\s<>".,;:!?)]/gi;
+
+// Characters of conversation sent to the AI for .catchup (the newest messages are kept)
+const MAX_CATCHUP_CHARS = 12000;
+
 /**
- * Translate a message to a different language
+ * Parse what .catchup should cover: "<N>", "since 2h", "since my last message", plus "dm"
+ *
+ * @returns {Object|null} { range, label, dm } for conversationBuffer.getMessages, or null if not understood
  */
-async function translateMessage(sock, remoteJid, textToTranslate, targetLang) {
+function parseCatchUpRange(words, sender) {
+    const tokens = words.map(word => word.toLowerCase());
+    const dm = tokens.includes('dm') || tokens.includes('private');
+    const rest = tokens.filter(token => token !== 'dm' && token !== 'private');
+
+    if (rest.length === 0) {
+        return { range: { count: 50 }, label: 'the last 50 messages', dm };
+    }
+    if (rest.length === 1 && /^\d+$/.test(rest[0])) {
+        const count = Math.min(parseInt(rest[0]), conversationBuffer.MAX_MESSAGES);
+        return count > 0 ? { range: { count }, label: `the last ${count} messages`, dm } : null;
+    }
+    if (rest[0] !== 'since') {
+        return null;
+    }
+
+    const what = rest.slice(1).join(' ');
+    if (/^(my )?last( message)?$/.test(what)) {
+        return { range: { afterSender: sender }, label: 'your last message', dm };
+    }
+
+    const match = /^(\d+)\s*([mhd])$/.exec(what);
+    if (!match) {
+        return null;
+    }
+    const unitMs = { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+    const duration = Math.min(parseInt(match[1]) * unitMs, conversationBuffer.MAX_AGE);
+    return { range: { since: Date.now() - duration }, label: `the last ${match[1]}${match[2]}`, dm };
+}
+
+/**
+ * Summarize the recent conversation of a group for someone who missed it
+ *
+ * Decisions come from the AI; links and questions addressed to the
+ * requester (mentions and replies) are picked out locally so none are missed.
+ */
+async function catchUp(sock, remoteJid, sender, words, prefix) {
+    const request = parseCatchUpRange(words, sender);
+    if (!request) {
+        return {
+            success: false,
+            message: `⚠️ Usage: ${prefix}catchup [number | since 2h | since my last message] [dm]`
+        };
+    }
+
+    const { messages, found } = conversationBuffer.getMessages(remoteJid, request.range);
+    if (!found) {
+        return {
+            success: false,
+            message: `⚠️ You haven't written here in the last 24 hours. Try ${prefix}catchup 50 or ${prefix}catchup since 12h.`
+        };
+    }
+    if (messages.length === 0) {
+        return { success: true, message: '📰 Nothing new to catch up on.' };
+    }
+
+    const timeZone = scheduledMessages.getTimezone(remoteJid);
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+    const getName = (entry) => {
+        const number = conversationBuffer.toNumber(entry.sender);
+        const contactName = database.getContactName(entry.sender);
+        return contactName && contactName !== number ? contactName : entry.name || number;
+    };
+
+    // Picked out locally: questions to the requester and links
+    const requester = conversationBuffer.toNumber(sender);
+    const questions = messages.filter(entry => entry.text.includes('?') && (
+        conversationBuffer.toNumber(entry.replyTo) === requester ||
+        entry.mentions.some(jid => conversationBuffer.toNumber(jid) === requester)
+    ));
+    const links = new Map();
+    messages.forEach(entry => {
+        (entry.text.match(LINK_PATTERN) || []).forEach(url => {
+            if (!links.has(url)) links.set(url, getName(entry));
+        });
+    });
+
+    const lines = messages.map(entry => `[${formatTime(entry.timestamp)}] ${getName(entry)}: ${entry.text.replace(/\s*\n\s*/g, ' ')}`);
+    let transcript = '';
+    for (let index = lines.length - 1; index >= 0; index--) {
+        if (transcript.length + lines[index].length > MAX_CATCHUP_CHARS) break;
+        transcript = `${lines[index]}\n${transcript}`;
+    }
+
+    const prompt = 'Summarize this WhatsApp group conversation for someone who missed it. Reply with:\n' +
+        '1. A short summary of the main topics (3-5 sentences).\n' +
+        '2. "Decisions:" followed by a bullet list of decisions, plans or agreements made, or "None".\n' +
+        'Use the names as they appear. Do not list links.\n\n' +
+        `Conversation:\n${transcript}`;
+
+    let summary;
     try {
-        if (!textToTranslate) {
-            return { 
-                success: false, 
-                message: "Please provide text to translate." 
-            };
-        }
-        
-        // Use AI to translate
-        const translatePrompt = `Translate the following text to ${targetLang} language:\n\n${textToTranslate}`;
-        
-        try {
-            const translation = await ai.getResponse(translatePrompt);
-            return { 
-                success: true, 
-                message: `*Translated to ${targetLang}:*\n\n${translation}` 
-            };
-        } catch (error) {
-            console.error('Error getting AI translation:', error);
-            return { 
-                success: false, 
-                message: "Failed to translate text. Please try again later." 
-            };
-        }
+        summary = whatsappFormat.toWhatsApp(await ai.generateText(prompt, {
+            feature: 'summarize',
+            userId: sender,
+            chatId: remoteJid,
+            priority: 'high'
+        }));
+    } catch (error) {
+        console.error('Error getting AI catch-up summary:', error);
+        const people = new Set(messages.map(entry => conversationBuffer.toNumber(entry.sender))).size;
+        summary = `_The AI summary isn't available right now._ ${messages.length} messages from ${people} ${people === 1 ? 'person' : 'people'}.`;
+    }
+
+    let text = `📰 *Catch-up* (${request.label}, ${messages.length} message${messages.length === 1 ? '' : 's'})\n\n${summary}`;
+    if (questions.length > 0) {
+        text += '\n\n❓ *Questions for you*\n' + questions
+            .map(entry => `• ${getName(entry)} (${formatTime(entry.timestamp)}): ${entry.text.length > 200 ? `${entry.text.slice(0, 200)}...` : entry.text}`)
+            .join('\n');
+    }
+    if (links.size > 0) {
+        text += '\n\n🔗 *Links shared*\n' + [...links].slice(0, 10)
+            .map(([url, name]) => `• ${url} (${name})`)
+            .join('\n');
+    }
+
+    if (!request.dm) {
+        return { success: true, message: text };
+    }
+
+    try {
+        await sock.sendMessage(sender, { text: `${text}\n\n_From ${database.getGroupName(remoteJid)}_` });
+        return { success: true, message: '📬 Sent you the catch-up in a private chat.' };
     } catch (error) {
-        console.error('Error translating message:', error);
-        return { success: false, message: "Failed to translate message." };
+        console.error('Error sending catch-up privately:', error);
+        return { success: false, message: "❌ Couldn't send you a private message. Try without dm." };
+    }
+}
+
+/**
+ * Translate a message to a different language
+ */
+async function translateMessage(sock, remoteJid, textToTranslate, targetLang, sender = null) {
+    if (!textToTranslate) {
+        return { 
+            success: false, 
+            message: "Please provide text to translate." 
+        };
+    }
+    
+    const result = await translation.translateText(textToTranslate, targetLang, {
+        userId: sender,
+        chatId: remoteJid,
+        priority: 'high'
+    });
+    if (!result.success) {
+        return result;
+    }
+    return { 
+        success: true, 
+        message: `*Translated to ${result.targetLanguage}:*\n\n${result.translatedText}` 
+    };
+}
+
+/**
+ * Show or delete the sender's translation history
+ */
+function translationHistory(remoteJid, sender, words, prefix) {
+    const [action, number] = words.map(word => word.toLowerCase());
+    
+    if (action === 'clear') {
+        const result = translation.deleteTranslationHistory(sender);
+        return { ...result, message: `${result.success ? '🗑️' : '⚠️'} ${result.message}` };
+    }
+    if (action === 'delete') {
+        const result = translation.deleteTranslationHistory(sender, Number(number));
+        return { ...result, message: `${result.success ? '🗑️' : '⚠️'} ${result.message}` };
+    }
+    
+    const history = translation.getTranslationHistory(sender, 10);
+    if (history.length === 0) {
+        return { success: true, message: '🌐 You have no translations yet.' };
+    }
+    
+    const shorten = (text) => text.length > 80 ? `${text.slice(0, 80)}...` : text;
+    const list = history.map((entry, index) =>
+        `${index + 1}. ${(entry.sourceLanguage || '?').toUpperCase()} → ${entry.targetLanguage.toUpperCase()} · ` +
+        `${scheduledMessages.formatTime(entry.timestamp, remoteJid)}\n` +
+        `   ${shorten(entry.originalText)}\n   ➜ ${shorten(entry.translatedText)}`
+    ).join('\n\n');
+    
+    return {
+        success: true,
+        message: `🌐 *Your translations*\n\n${list}\n\n` +
+            `_${prefix}translate history delete <number> removes one, ${prefix}translate history clear removes all._`
+    };
+}
+
+/**
+ * Show or change the chat's translation glossary
+ *
+ * Terms are added as "term", "term = translation" or "es: term = translation"
+ * for one language only.
+ */
+function translationGlossary(remoteJid, sender, isGroup, role, words, prefix) {
+    const action = (words[0] || 'list').toLowerCase();
+    const rest = words.slice(1).join(' ').trim();
+    
+    if (action === 'list') {
+        const glossary = translation.getGlossary(remoteJid);
+        if (glossary.length === 0) {
+            return { success: true, message: `📖 The glossary is empty. Add terms with ${prefix}translate glossary add <term> = <translation>.` };
+        }
+        const names = translation.getSupportedLanguages();
+        const lines = glossary.map(entry =>
+            `• ${entry.term} → ${entry.translation || '_unchanged_'}${entry.language ? ` (${names[entry.language]})` : ''}`);
+        return { success: true, message: `📖 *Translation glossary*\n\n${lines.join('\n')}` };
+    }
+    
+    if (!['add', 'remove'].includes(action)) {
+        return { success: false, message: `⚠️ Usage: ${prefix}translate glossary [list|add|remove]` };
+    }
+    if (isGroup && !roles.isAtLeast(role, 'group-moderator')) {
+        return { success: false, message: '⚠️ Only group moderators can change the glossary.' };
+    }
+    if (!rest) {
+        return { success: false, message: `⚠️ Usage: ${prefix}translate glossary ${action} <term>${action === 'add' ? ' [= translation]' : ''}` };
+    }
+    
+    let result;
+    if (action === 'remove') {
+        result = translation.removeGlossaryTerm(remoteJid, rest);
+    } else {
+        const match = rest.match(/^(?:([a-z]+):\s*)?(.+?)(?:\s*=\s*(.+))?$/i);
+        const language = match[1] && translation.getLanguageCode(match[1]) ? match[1] : null;
+        const term = language ? match[2] : (match[1] ? `${match[1]}: ${match[2]}` : match[2]);
+        result = translation.addGlossaryTerm(remoteJid, { term, translation: match[3] || null, language, addedBy: sender });
     }
+    return { ...result, message: `${result.success ? '📖' : '⚠️'} ${result.message}` };
 }
 
 /**
@@ -833,98 +821,111 @@ async function analyzeTopics(sock, remoteJid) {
 }
 
 /**
- * Change the AI personality/style for responses
+ * Switch the chat to a built-in AI persona
  */
 async function setAIPersona(sock, remoteJid, persona) {
-    try {
-        // This would modify how the AI responds
-        const validPersonas = ['professional', 'casual', 'friendly', 'funny', 'sarcastic', 'poetic'];
-        
-        if (!validPersonas.includes(persona.toLowerCase())) {
-            return { 
-                success: false, 
-                message: `Invalid persona. Available options: ${validPersonas.join(', ')}` 
-            };
-        }
-        
-        // Here we would update a setting in the database
-        // For now, we'll just acknowledge the request
-        
-        return { 
-            success: true, 
-            message: `AI persona set to "${persona}". The bot will now respond in a ${persona} style.` 
-        };
-    } catch (error) {
-        console.error('Error setting AI persona:', error);
-        return { success: false, message: "Failed to set AI persona." };
-    }
+    const result = aiPersonas.usePersona(remoteJid, persona);
+    return { ...result, message: `${result.success ? '🎭' : '⚠️'} ${result.message}` };
+}
+
+/**
+ * List the built-in AI personas
+ */
+function listAIPersonas(remoteJid, prefix) {
+    const current = aiPersonas.getPersona(remoteJid).name;
+    let text = `🎭 *AI Personas*\n\n`;
+    aiPersonas.listBuiltIn().forEach(persona => {
+        text += `• *${persona.name}*${persona.name === current ? ' (active)' : ''} - ${persona.description}\n`;
+    });
+    text += `\nUse ${prefix}persona set <name> to switch.`;
+    return { success: true, message: text };
 }
 
 /**
  * Store custom information about a user for contextual responses
  */
-async function rememberInfo(sock, remoteJid, sender, info) {
-    try {
-        // Get the current contact info
-        const number = sender.split('@')[0];
-        const contact = database.getContact(number) || {};
-        
-        // Add or update remembered info
-        if (!contact.rememberedInfo) {
-            contact.rememberedInfo = [];
-        }
-        
-        contact.rememberedInfo.push({
-            info,
-            timestamp: new Date().toISOString()
-        });
-        
-        // Keep only the most recent 10 items
-        if (contact.rememberedInfo.length > 10) {
-            contact.rememberedInfo = contact.rememberedInfo.slice(-10);
-        }
-        
-        // Save the updated contact
-        database.saveContact(number, contact);
-        
-        return { 
-            success: true, 
-            message: `I'll remember that: "${info}"` 
-        };
-    } catch (error) {
-        console.error('Error remembering info:', error);
-        return { success: false, message: "Failed to remember information." };
+async function rememberInfo(sock, remoteJid, sender, info, prefix) {
+    if (aiMemory.isOptedOut(sender)) {
+        return { success: false, message: `Memory is off for you. Use ${prefix}memory on to turn it back on.` };
     }
+    return aiMemory.addFact(sender, info);
 }
 
 /**
  * Retrieve remembered information about a user
  */
 async function recallInfo(sock, remoteJid, sender) {
+    if (aiMemory.isOptedOut(sender)) {
+        return { success: true, message: "Memory is off for you, so I don't store anything about you." };
+    }
+
+    const facts = aiMemory.getFacts(sender);
+    if (facts.length === 0) {
+        return { 
+            success: false, 
+            message: "I don't have any remembered information for you." 
+        };
+    }
+
+    // Format the remembered info
+    let infoList = "*Remembered Information:*\n\n";
+
+    facts.forEach((item, index) => {
+        const date = new Date(item.timestamp).toLocaleDateString();
+        infoList += `${index + 1}. ${item.fact} (${date})\n`;
+    });
+
+    return { success: true, message: infoList };
+}
+
+/**
+ * Forget one remembered fact, or everything stored about a user
+ */
+async function forgetInfo(sock, remoteJid, sender, factNumber) {
+    if (factNumber !== undefined) {
+        return aiMemory.removeFact(sender, factNumber);
+    }
+    return aiMemory.forgetUser(sender);
+}
+
+/**
+ * Show the daily AI usage of a user (and group)
+ */
+function showAIQuota(sender, remoteJid) {
+    const quota = ai.getQuota(sender, remoteJid);
+
+    let text = `🤖 *AI Usage Today*\n\n`;
+    text += quota.exempt
+        ? `• You: ${quota.user.used} requests (no limit)\n`
+        : `• You: ${quota.user.used}/${quota.user.limit} requests\n`;
+    if (quota.group) {
+        text += `• This group: ${quota.group.used}/${quota.group.limit} requests\n`;
+    }
+    text += `• Requests in line: ${quota.queued}\n\n`;
+    text += `Limits reset at midnight (${config.defaultTimezone}).`;
+
+    return { success: true, message: text };
+}
+
+/**
+ * Transcribe the voice note a message replies to
+ */
+async function transcribeVoiceNote(sock, remoteJid, message, prefix) {
+    if (!voiceNotes.findAudio(message)) {
+        return { success: false, message: `⚠️ Reply to a voice note with ${prefix}transcribe to get its text.` };
+    }
+
+    await sock.sendMessage(remoteJid, { text: '🎙️ Listening... Please wait.' });
+
     try {
-        // Get the contact info
-        const number = sender.split('@')[0];
-        const contact = database.getContact(number);
-        
-        if (!contact || !contact.rememberedInfo || contact.rememberedInfo.length === 0) {
-            return { 
-                success: false, 
-                message: "I don't have any remembered information for you." 
-            };
+        const result = await voiceNotes.transcribeMessage(sock, message);
+        if (result.error) {
+            return { success: false, message: `⚠️ ${result.error}` };
         }
-        
-        // Format the remembered info
-        let infoList = "*Remembered Information:*\n\n";
-        
-        contact.rememberedInfo.forEach((item, index) => {
-            const date = new Date(item.timestamp).toLocaleDateString();
-            infoList += `${index + 1}. ${item.info} (${date})\n`;
-        });
-        
-        return { success: true, message: infoList };
+        return { success: true, message: `🎙️ *Transcript:*\n\n${result.text}` };
     } catch (error) {
-        console.error('Error recalling info:', error);
-        return { success: false, message: "Failed to recall information." };
+        console.error('Error transcribing voice note:', error);
+        return { success: false, message: '❌ Failed to transcribe the voice note. Please try again later.' };
     }
 }
 
@@ -950,7 +951,546 @@ async function simulateMessage(sock, remoteJid, sender, message) {
 /**
  * Export functionality
  */
+/**
+ * Get the text of a quoted message
+ */
+function getQuotedText(quotedMsg) {
+    return quotedMsg.conversation ||
+           quotedMsg.extendedTextMessage?.text ||
+           quotedMsg.imageMessage?.caption ||
+           quotedMsg.videoMessage?.caption || '';
+}
+
+/**
+ * Parse .flood arguments (delay="2s" count="3" message="your message")
+ */
+function parseFloodArgs(args) {
+    let delay = 2;
+    let count = 3;
+    let message = '';
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('delay=')) {
+            delay = parseFloat(args[i].substring(6).replace(/["']/g, ''));
+        } else if (args[i].startsWith('count=')) {
+            count = parseInt(args[i].substring(6).replace(/["']/g, ''));
+        } else if (args[i].startsWith('message=')) {
+            message = args[i].substring(8).replace(/^["'](.*)["']$/, '$1');
+            // Also include any remaining args as part of the message
+            if (i < args.length - 1) {
+                message += ' ' + args.slice(i + 1).join(' ');
+            }
+            break;
+        }
+    }
+
+    return { delay, count, message };
+}
+
+registry.register([
+    {
+        name: 'schedule',
+        category: 'Messaging',
+        description: 'Schedule a one-time or recurring message',
+        args: [{ name: 'when_and_message', type: 'text', required: true }],
+        usage: '<time> <message>',
+        notes: 'Time: +1h30m, YYYY-MM-DD HH:MM, HH:MM, daily 09:00, weekdays 08:30, ' +
+            'every monday 09:00, every 2nd monday 18:00, every last friday 17:00 or cron 0 9 * * 1-5. ' +
+            'Reply to (or caption) an image, video, audio or document to schedule it too.',
+        handler: ({ sock, message, remoteJid, sender, args }) =>
+            scheduleMessage(sock, message, remoteJid, sender, args)
+    },
+    {
+        name: 'cancel',
+        category: 'Messaging',
+        description: 'Cancel a scheduled message by its ID',
+        args: [{ name: 'schedule_id', required: true }],
+        handler: ({ remoteJid, sender, values }) =>
+            cancelScheduledMessage(remoteJid, sender, values.schedule_id)
+    },
+    {
+        name: 'scheduled',
+        category: 'Messaging',
+        description: 'View pending scheduled messages and their next run',
+        args: [{ name: 'scope', choices: ['mine', 'all'], default: 'mine' }],
+        handler: ({ remoteJid, sender, values }) => listScheduledMessages(remoteJid, sender, values.scope === 'all')
+    },
+    {
+        name: 'timezone',
+        category: 'Settings',
+        description: 'Show or set the timezone used for scheduled messages',
+        args: [{ name: 'zone' }],
+        usage: '[Area/City]',
+        handler: async ({ remoteJid, values, role }) => {
+            if (!values.zone) {
+                return { success: true, message: `🕒 Timezone: ${scheduledMessages.getTimezone(remoteJid)}` };
+            }
+            if (!roles.isAtLeast(role, 'group-moderator')) {
+                return { success: false, message: '⚠️ Only group moderators can change the timezone.' };
+            }
+            const result = scheduledMessages.setTimezone(remoteJid, values.zone);
+            return { ...result, message: `${result.success ? '✅' : '⚠️'} ${result.message}` };
+        }
+    },
+    {
+        name: 'broadcast',
+        category: 'Messaging',
+        description: 'Send a message to multiple recipients',
+        args: [
+            { name: 'message', required: true },
+            { name: 'targets', type: 'text', required: true }
+        ],
+        usage: '"message" "targets"',
+        notes: 'Targets: label:name,groups,number:1234567890',
+        handler: ({ sock, remoteJid, sender, values }) =>
+            broadcastMessage(sock, remoteJid, sender, values.message, values.targets)
+    },
+    {
+        name: 'flood',
+        category: 'Messaging',
+        description: 'Send a message several times in a row',
+        args: [{ name: 'options', type: 'text', required: true }],
+        usage: 'delay="2s" count="3" message="your message"',
+        handler: async ({ sock, remoteJid, sender, args }) => {
+            const { delay, count, message } = parseFloodArgs(args);
+
+            if (!message) {
+                return { success: false, message: '⚠️ Please provide a message to send.' };
+            }
+
+            return floodMessages(sock, remoteJid, sender, message, count, delay);
+        }
+    },
+    {
+        name: 'simulate',
+        category: 'Messaging',
+        description: 'Send a message with natural typing',
+        args: [{ name: 'message', type: 'text', required: true }],
+        handler: ({ sock, remoteJid, sender, values }) =>
+            simulateMessage(sock, remoteJid, sender, values.message)
+    },
+    {
+        name: 'poll',
+        category: 'Polls',
+        description: 'Create a poll',
+        args: [{ name: 'poll', type: 'text', required: true }],
+        usage: '[--native] [--multi|--ranked] [--named] [--deadline=+2h] Question | option 1 | option 2 ...',
+        notes: '--native sends a WhatsApp poll, --multi allows several choices, --ranked ranks options ' +
+            '(instant runoff), --named shows who voted for what and --deadline closes the poll ' +
+            '(+1h30m, HH:MM or YYYY-MM-DD HH:MM in the chat timezone).',
+        handler: ({ sock, remoteJid, sender, args }) => createPoll(sock, remoteJid, sender, args)
+    },
+    {
+        name: 'vote',
+        category: 'Polls',
+        description: 'Cast your vote in a poll',
+        args: [
+            { name: 'poll_id', required: true },
+            { name: 'option_numbers', type: 'text', required: true }
+        ],
+        usage: '<poll_id> <number> [number ...]',
+        notes: 'Multiple choice polls take several numbers; ranked polls take them in order of preference.',
+        handler: async ({ sock, remoteJid, sender, values }) => {
+            const choices = values.option_numbers.split(/[\s,]+/).filter(Boolean);
+            const result = await voteInPoll(sock, remoteJid, sender, values.poll_id, choices);
+            await sock.sendMessage(remoteJid, { text: result.message });
+
+            // Also show results if vote was successful
+            if (result.success && result.results) {
+                await sock.sendMessage(remoteJid, { text: result.results });
+            }
+        }
+    },
+    {
+        name: 'results',
+        category: 'Polls',
+        description: 'Check current poll results',
+        args: [
+            { name: 'poll_id', required: true },
+            { name: 'format', choices: ['text', 'csv'], default: 'text' }
+        ],
+        handler: ({ sock, remoteJid, values }) => showPollResults(sock, remoteJid, values.poll_id, values.format)
+    },
+    {
+        name: 'endpoll',
+        category: 'Polls',
+        description: 'Finish a poll and display final results',
+        args: [{ name: 'poll_id', required: true }],
+        notes: 'Polls can be ended by their creator or a group moderator.',
+        handler: ({ sock, remoteJid, sender, role, values }) =>
+            endPoll(sock, remoteJid, sender, values.poll_id, roles.isAtLeast(role, 'group-moderator'))
+    },
+    {
+        name: 'polls',
+        category: 'Polls',
+        description: 'List the open polls of this chat',
+        handler: ({ remoteJid }) => listPolls(remoteJid)
+    },
+    {
+        name: 'autoreply',
+        category: 'Auto-Reply',
+        description: 'Manage simple keyword auto-replies (deprecated, see autoreply2)',
+        args: [{ name: 'action', required: true, choices: ['set', 'remove', 'list'] }],
+        usage: '<set|remove|list> ["trigger"] ["response"]',
+        subcommands: [
+            { name: 'set "trigger" "response"', description: 'Create new auto-reply rule' },
+            { name: 'remove "trigger"', description: 'Delete an existing auto-reply' },
+            { name: 'list', description: 'Display all configured auto-replies' }
+        ],
+        notes: 'Deprecated: keyword replies are {prefix}autoreply2 rules that match anywhere in a message (contains:on) and apply in this chat only.',
+        role: 'admin',
+        handler: async ({ sock, remoteJid, sender, args, values, prefix }) => {
+            let result;
+            if (values.action === 'list') {
+                result = await listAutoReplies(sock, remoteJid);
+            } else if (values.action === 'set') {
+                if (args.length < 3) {
+                    return { success: false, message: `⚠️ Usage: ${prefix}autoreply set "trigger" "response"` };
+                }
+                result = await setAutoReply(sock, remoteJid, sender, args[1], args.slice(2).join(' '));
+            } else {
+                if (args.length < 2) {
+                    return { success: false, message: `⚠️ Usage: ${prefix}autoreply remove "trigger"` };
+                }
+                result = await removeAutoReply(sock, remoteJid, sender, args[1]);
+            }
+            return { ...result, message: result.message + autoReplyDeprecation(prefix) };
+        }
+    },
+    {
+        name: 'summarize',
+        category: 'AI',
+        description: 'Summarize a long message (reply to it)',
+        cooldown: 15,
+        handler: async ({ sock, remoteJid, sender, quotedMsg, prefix }) => {
+            if (!quotedMsg) {
+                return { success: false, message: `⚠️ Reply to a message with ${prefix}summarize to get a summary.` };
+            }
+
+            const text = getQuotedText(quotedMsg);
+            if (!text) {
+                return { success: false, message: '⚠️ Cannot summarize this type of message.' };
+            }
+
+            return summarizeText(sock, remoteJid, text, sender);
+        }
+    },
+    {
+        name: 'catchup',
+        category: 'AI',
+        description: 'Summarize what was said in the group recently',
+        groupOnly: true,
+        usage: '[number | since 2h | since my last message] [dm]',
+        notes: 'Covers the last 50 messages unless you say otherwise, up to 24 hours back. ' +
+            'Add dm to get the summary in a private chat.',
+        cooldown: 30,
+        handler: async ({ sock, remoteJid, sender, args, prefix }) => {
+            return catchUp(sock, remoteJid, sender, args, prefix);
+        }
+    },
+    {
+        name: 'translate',
+        category: 'AI',
+        description: 'Translate a message with AI (reply to it)',
+        args: [
+            { name: 'language', required: true },
+            { name: 'options', type: 'text' }
+        ],
+        usage: '<language> | history | glossary',
+        subcommands: [
+            { name: '<language>', description: 'Translate the message you reply to' },
+            { name: 'history [delete <number>|clear]', description: 'Show or delete your recent translations' },
+            { name: 'glossary [add|remove] <term> [= translation]', description: 'Pin how names and terms are translated in this chat (moderators change it in groups)' }
+        ],
+        notes: 'Reply to the message you want to translate. Glossary terms can be limited to one language, e.g. "es: Straw Hat = Sombrero de Paja"; a term without "=" is kept unchanged.',
+        handler: async ({ sock, remoteJid, sender, isGroup, quotedMsg, values, role, prefix }) => {
+            const words = (values.options || '').split(/\s+/).filter(Boolean);
+            switch (values.language.toLowerCase()) {
+                case 'history':
+                    return translationHistory(remoteJid, sender, words, prefix);
+                case 'glossary':
+                    return translationGlossary(remoteJid, sender, isGroup, role, words, prefix);
+            }
+            
+            if (!quotedMsg) {
+                return { success: false, message: `⚠️ Usage: Reply to a message with ${prefix}translate <language>` };
+            }
+
+            const text = getQuotedText(quotedMsg);
+            if (!text) {
+                return { success: false, message: '⚠️ Cannot translate this type of message.' };
+            }
+
+            return translateMessage(sock, remoteJid, text, values.language, sender);
+        }
+    },
+    {
+        name: 'translate2',
+        category: 'AI',
+        description: 'Translate a message with language detection (reply to it)',
+        args: [{ name: 'language', required: true }],
+        notes: 'Reply to the message you want to translate.',
+        handler: async ({ sock, remoteJid, sender, isGroup, quotedMsg, values, prefix }) => {
+            if (!quotedMsg) {
+                return { success: false, message: `⚠️ Usage: Reply to a message with ${prefix}translate2 <language>` };
+            }
+
+            const text = getQuotedText(quotedMsg);
+            if (!text) {
+                return { success: false, message: '⚠️ Cannot translate this type of message.' };
+            }
+
+            const result = await translation.translateText(text, values.language, {
+                userId: sender,
+                chatId: remoteJid,
+                priority: 'high'
+            });
+
+            if (!result.success) {
+                return { success: false, message: `⚠️ ${result.message}` };
+            }
+
+            // Record this activity for analytics
+            require('../lib/analytics').recordActivity({
+                sender,
+                group: isGroup ? remoteJid : null,
+                msgType: 'command',
+                timestamp: Date.now(),
+                isCommand: true,
+                command: 'translate2'
+            });
+
+            return result;
+        }
+    },
+    {
+        name: 'autotranslate',
+        category: 'AI',
+        description: 'Translate messages in other languages automatically',
+        groupOnly: true,
+        args: [
+            { name: 'action', choices: ['status', 'on', 'off', 'languages', 'minlength', 'ignore', 'unignore', 'me'], default: 'status' },
+            { name: 'options', type: 'text' }
+        ],
+        usage: '[status|on|off|languages|minlength|ignore|unignore|me] [options]',
+        subcommands: [
+            { name: 'status', description: 'Show the group\'s auto-translate settings' },
+            { name: 'on [languages]', description: 'Translate messages into up to 3 languages, e.g. on en es' },
+            { name: 'off', description: 'Stop translating' },
+            { name: 'languages <languages>', description: 'Change the languages to translate into' },
+            { name: 'minlength <characters>', description: 'Skip messages shorter than this' },
+            { name: 'ignore @user|<language>', description: 'Don\'t translate a member or messages in a language' },
+            { name: 'unignore @user|<language>', description: 'Undo ignore' },
+            { name: 'me <language>|off', description: 'Get translations in a private chat instead (any member)' }
+        ],
+        notes: 'Only moderators can change the group settings. Translations use the group\'s AI quota.',
+        handler: ({ remoteJid, sender, values, mentions, role, prefix }) => {
+            const options = values.options || '';
+            const withIcon = (result) => ({ ...result, message: `${result.success ? '🌐' : '⚠️'} ${result.message}` });
+
+            if (values.action === 'status') {
+                return { success: true, message: autoTranslate.describeSettings(remoteJid, sender) };
+            }
+            if (values.action === 'me') {
+                if (!options) {
+                    return { success: false, message: `⚠️ Usage: ${prefix}autotranslate me <language> | off` };
+                }
+                return withIcon(autoTranslate.setUserPreference(remoteJid, sender, options.toLowerCase() === 'off' ? null : options));
+            }
+            if (!roles.isAtLeast(role, 'group-moderator')) {
+                return { success: false, message: '⚠️ Only group moderators can change auto-translate settings.' };
+            }
+
+            const words = options.split(/[\s,]+/).filter(Boolean);
+            switch (values.action) {
+                case 'on':
+                    return withIcon(autoTranslate.enable(remoteJid, words));
+
+                case 'off':
+                    return withIcon(autoTranslate.disable(remoteJid));
+
+                case 'languages':
+                    return withIcon(autoTranslate.setLanguages(remoteJid, words));
+
+                case 'minlength':
+                    return withIcon(autoTranslate.setMinLength(remoteJid, Number(words[0])));
+
+                default: {
+                    const target = mentions[0] || options;
+                    if (!target) {
+                        return { success: false, message: `⚠️ Usage: ${prefix}autotranslate ${values.action} @user|<language>` };
+                    }
+                    return withIcon(autoTranslate.setIgnored(remoteJid, target, values.action === 'ignore'));
+                }
+            }
+        }
+    },
+    {
+        name: 'persona',
+        category: 'AI',
+        description: 'Choose or customize how the AI talks in this chat',
+        args: [{ name: 'action', default: 'show' }],
+        usage: '[list|show|set|reset]',
+        subcommands: [
+            { name: 'list', description: 'List the built-in personas' },
+            { name: 'show', description: 'Show the active persona' },
+            { name: 'set <name>', description: 'Switch to a built-in persona' },
+            { name: 'set <setting> <value>', description: 'Change one setting of the active persona' },
+            { name: 'reset', description: 'Go back to the default persona' }
+        ],
+        notes: 'Settings: prompt <text> ({botName}, {chatType} and {date} are filled in), temperature <0-2>, ' +
+            'language <name|auto>, emoji <none|light|heavy>, banned <topic, topic|none>. ' +
+            'In groups only moderators can change the persona.',
+        handler: async ({ sock, remoteJid, isGroup, args, values, role, prefix }) => {
+            const action = values.action.toLowerCase();
+
+            if (action === 'list') {
+                return listAIPersonas(remoteJid, prefix);
+            }
+            if (action === 'show') {
+                return { success: true, message: aiPersonas.describePersona(remoteJid) };
+            }
+            if (!['set', 'reset'].includes(action)) {
+                return { success: false, message: `⚠️ Usage: ${prefix}persona [list|show|set|reset]` };
+            }
+
+            if (isGroup && !roles.isAtLeast(role, 'group-moderator')) {
+                return { success: false, message: '⚠️ Only group moderators can change the persona.' };
+            }
+
+            if (action === 'reset') {
+                const result = aiPersonas.resetPersona(remoteJid);
+                return { ...result, message: `🎭 ${result.message}` };
+            }
+
+            const [field, ...rest] = args.slice(1);
+            if (!field) {
+                return { success: false, message: `⚠️ Usage: ${prefix}persona set <name> or ${prefix}persona set <setting> <value>` };
+            }
+            if (!aiPersonas.EDITABLE_FIELDS.includes(field.toLowerCase())) {
+                return setAIPersona(sock, remoteJid, field);
+            }
+
+            const result = aiPersonas.updatePersona(remoteJid, field.toLowerCase(), rest.join(' '));
+            return { ...result, message: `${result.success ? '🎭' : '⚠️'} ${result.message}` };
+        }
+    },
+    {
+        name: 'remember',
+        category: 'AI',
+        description: 'Store information for contextual responses',
+        args: [{ name: 'info', type: 'text', required: true }],
+        handler: ({ sock, remoteJid, sender, values, prefix }) => rememberInfo(sock, remoteJid, sender, values.info, prefix)
+    },
+    {
+        name: 'recall',
+        category: 'AI',
+        description: 'Review all your stored information',
+        handler: ({ sock, remoteJid, sender }) => recallInfo(sock, remoteJid, sender)
+    },
+    {
+        name: 'forget',
+        category: 'AI',
+        description: 'Forget a remembered fact, or everything stored about you',
+        args: [{ name: 'fact_number', type: 'number' }],
+        usage: '[fact number]',
+        notes: 'Without a number, your remembered facts and your messages in AI conversations are wiped.',
+        handler: async ({ sock, remoteJid, sender, values }) => {
+            const result = await forgetInfo(sock, remoteJid, sender, values.fact_number);
+            return { ...result, message: `${result.success ? '🧹' : '⚠️'} ${result.message}` };
+        }
+    },
+    {
+        name: 'memory',
+        category: 'AI',
+        description: 'Turn AI conversation memory on or off for you',
+        args: [{ name: 'state', choices: ['on', 'off', 'status'], default: 'status' }],
+        usage: '[on|off]',
+        notes: 'Turning memory off also forgets what is stored about you.',
+        handler: ({ sender, values }) => {
+            if (values.state === 'status') {
+                return {
+                    success: true,
+                    message: `🧠 Memory is ${aiMemory.isOptedOut(sender) ? 'off' : 'on'} for you.`
+                };
+            }
+            const result = aiMemory.setOptOut(sender, values.state === 'off');
+            return { ...result, message: `🧠 ${result.message}` };
+        }
+    },
+    {
+        name: 'vision',
+        category: 'AI',
+        description: 'Turn image understanding on or off for this group',
+        role: 'moderator',
+        groupOnly: true,
+        args: [{ name: 'state', choices: ['on', 'off', 'status'], default: 'status' }],
+        usage: '[on|off]',
+        notes: 'When on, replying to a photo and asking the bot about it sends the photo to the AI. Always on in private chats.',
+        handler: ({ remoteJid, values }) => {
+            if (values.state === 'status') {
+                return {
+                    success: true,
+                    message: `🖼️ Image understanding is ${aiVision.isEnabled(remoteJid) ? 'on' : 'off'} for this group.`
+                };
+            }
+            const result = aiVision.setEnabled(remoteJid, values.state === 'on');
+            return { ...result, message: `🖼️ ${result.message}` };
+        }
+    },
+    {
+        name: 'transcribe',
+        category: 'AI',
+        description: 'Turn a voice note into text (reply to it)',
+        cooldown: 15,
+        handler: ({ sock, remoteJid, message, prefix }) => transcribeVoiceNote(sock, remoteJid, message, prefix)
+    },
+    {
+        name: 'voice',
+        category: 'AI',
+        description: 'Show or change how the bot handles voice notes in this chat',
+        args: [
+            { name: 'setting', choices: ['auto', 'chat', 'status'], default: 'status' },
+            { name: 'state', choices: ['on', 'off'] }
+        ],
+        usage: '[auto|chat] [on|off]',
+        notes: 'auto: post a transcript of every voice note. chat: answer voice notes sent to the bot with AI (on by default in private chats).',
+        handler: ({ remoteJid, isGroup, values, role }) => {
+            if (values.setting === 'status' || !values.state) {
+                return { success: true, message: voiceNotes.describeSettings(remoteJid) };
+            }
+            if (isGroup && !roles.isAtLeast(role, 'group-moderator')) {
+                return { success: false, message: '⚠️ Only group moderators can change voice settings.' };
+            }
+            const setting = values.setting === 'auto' ? 'autoTranscribe' : 'voiceChat';
+            const result = voiceNotes.setSetting(remoteJid, setting, values.state === 'on');
+            return { ...result, message: `🎙️ ${result.message}` };
+        }
+    },
+    {
+        name: 'aiquota',
+        aliases: ['quota'],
+        category: 'AI',
+        description: 'Show your AI usage today',
+        handler: ({ sender, remoteJid }) => showAIQuota(sender, remoteJid)
+    },
+    {
+        name: 'activity',
+        category: 'Group Intelligence',
+        description: 'Create a group activity report',
+        args: [{ name: 'period', default: '24h' }],
+        handler: ({ sock, remoteJid, values }) => trackActivity(sock, remoteJid, values.period)
+    },
+    {
+        name: 'topics',
+        category: 'Group Intelligence',
+        description: 'Identify trending topics in the group',
+        handler: ({ sock, remoteJid }) => analyzeTopics(sock, remoteJid)
+    }
+]);
+
 module.exports = {
+    getAttachedMedia,
     scheduleMessage,
     cancelScheduledMessage,
     listScheduledMessages,
@@ -958,12 +1498,13 @@ module.exports = {
     voteInPoll,
     showPollResults,
     endPoll,
+    listPolls,
     broadcastMessage,
     setAutoReply,
     removeAutoReply,
     listAutoReplies,
-    checkAutoReply,
     summarizeText,
+    catchUp,
     translateMessage,
     floodMessages,
     trackActivity,
@@ -971,7 +1512,11 @@ module.exports = {
     trackMemberChanges,
     analyzeTopics,
     setAIPersona,
+    listAIPersonas,
     rememberInfo,
     recallInfo,
+    forgetInfo,
+    showAIQuota,
+    transcribeVoiceNote,
     simulateMessage
 };
\ No newline at end of file
@@ -2,7 +2,11 @@
  * Analytics commands for WhatsApp bot
  */
 const analyticsLib = require('../lib/analytics');
+const groupDigest = require('../lib/groupDigest');
 const database = require('../lib/database');
+const roles = require('../lib/roles');
+const registry = require('./registry');
+const prefixes = require('../lib/prefixes');
 
 /**
  * Show group analytics data
@@ -53,7 +57,7 @@ async function showGroupAnalytics(sock, message, args) {
             response += `*Activity Trend:* ${stats.activityTrend}\n\n`;
         }
         
-        response += `📝 Use .useractivity to see individual user stats.`;
+        response += `📝 Use ${prefixes.getDisplayPrefix(remoteJid)}useractivity to see individual user stats.`;
         
         return { success: true, message: response };
     } catch (error) {
@@ -176,6 +180,184 @@ async function showCommandStats(sock, message, args) {
     }
 }
 
+/**
+ * Describe where a digest is delivered
+ */
+function describeTarget(target, groupName = null) {
+    return target.endsWith('@g.us')
+        ? `the group ${groupName || database.getGroupName(target)}`
+        : `a private chat with ${database.getContactName(target) || target.split('@')[0]}`;
+}
+
+/**
+ * Show a group's digest settings
+ */
+function showDigest(remoteJid, prefix) {
+    const digest = groupDigest.getDigest(remoteJid);
+    if (!digest) {
+        return {
+            success: true,
+            message: `📊 This group has no digest. Start one with ${prefix}digest daily [HH:MM] or ${prefix}digest weekly [day] [HH:MM].`
+        };
+    }
+
+    return {
+        success: true,
+        message: `📊 *Group Digest*\n\n` +
+            `• Sent: ${groupDigest.describeSchedule(digest)}\n` +
+            `• To: ${describeTarget(digest.target, digest.targetName)}\n` +
+            `• AI summary: ${digest.aiSummary ? 'on' : 'off'}\n` +
+            `• Last sent: ${digest.lastRun ? new Date(digest.lastRun).toLocaleString() : 'never'}`
+    };
+}
+
+/**
+ * Choose where the digest goes: "me", "here", @admin or the name of a group
+ * the requester is in (a log group)
+ */
+async function setDigestTarget(sock, remoteJid, sender, words, mentions, prefix) {
+    const choice = words.join(' ').trim();
+    if (!choice) {
+        return { success: false, message: `⚠️ Usage: ${prefix}digest to me | here | @admin | <log group name>` };
+    }
+
+    let target;
+    let targetName = null;
+    if (choice.toLowerCase() === 'me') {
+        target = sender;
+    } else if (choice.toLowerCase() === 'here') {
+        target = remoteJid;
+    } else if (mentions.length > 0) {
+        target = mentions[0];
+        if (!roles.hasRole(target, 'group-moderator', remoteJid)) {
+            return { success: false, message: '⚠️ Digests can only be sent to moderators of this group.' };
+        }
+    } else {
+        const groups = Object.values(await sock.groupFetchAllParticipating());
+        const name = choice.toLowerCase();
+        const exact = groups.filter(group => (group.subject || '').toLowerCase() === name);
+        const matches = exact.length > 0 ? exact : groups.filter(group => (group.subject || '').toLowerCase().includes(name));
+
+        if (matches.length === 0) {
+            return { success: false, message: `⚠️ I'm not in a group called "${choice}".` };
+        }
+        if (matches.length > 1) {
+            return { success: false, message: `⚠️ Several groups match "${choice}": ${matches.map(group => group.subject).join(', ')}` };
+        }
+
+        const senderNumber = database.normalizeNumber(sender);
+        const isMember = matches[0].participants.some(participant => database.normalizeNumber(participant.id) === senderNumber);
+        if (!isMember) {
+            return { success: false, message: '⚠️ You can only send the digest to a group you are in.' };
+        }
+        target = matches[0].id;
+        targetName = matches[0].subject;
+    }
+
+    const result = groupDigest.updateDigest(remoteJid, { target, targetName });
+    if (!result.success) {
+        return { success: false, message: `⚠️ ${result.message} Start one with ${prefix}digest daily first.` };
+    }
+    return { success: true, message: `📊 The digest will be sent to ${describeTarget(target, targetName)}.` };
+}
+
+registry.register([
+    {
+        name: 'analytics',
+        category: 'Analytics',
+        description: 'Show group message analytics',
+        args: [{ name: 'period', choices: ['day', 'week', 'month'], default: 'week' }],
+        groupOnly: true,
+        handler: ({ sock, remoteJid, isGroup, sender, args }) =>
+            showGroupAnalytics(sock, { remoteJid, isGroup, sender }, args)
+    },
+    {
+        name: 'useractivity',
+        category: 'Analytics',
+        description: 'Show activity of a user',
+        role: 'admin',
+        handler: ({ sock, remoteJid, sender, quotedMsg, args }) =>
+            showUserActivity(sock, { remoteJid, sender, quotedMsg }, args)
+    },
+    {
+        name: 'cmdstats',
+        category: 'Analytics',
+        description: 'Show command usage statistics',
+        role: 'admin',
+        handler: ({ sock, remoteJid, args }) => showCommandStats(sock, { remoteJid }, args)
+    },
+    {
+        name: 'digest',
+        category: 'Analytics',
+        description: 'Get a daily or weekly activity report of this group',
+        role: 'moderator',
+        groupOnly: true,
+        args: [{ name: 'action', choices: ['status', 'daily', 'weekly', 'to', 'ai', 'now', 'off'], default: 'status' }],
+        usage: '[status|daily|weekly|to|ai|now|off]',
+        subcommands: [
+            { name: 'daily [HH:MM]', description: 'Send a digest every day' },
+            { name: 'weekly [day] [HH:MM]', description: 'Send a digest every week (Monday unless you name a day)' },
+            { name: 'to me|here|@admin|<group name>', description: 'Choose who gets the digest (a moderator or a log group)' },
+            { name: 'ai on|off', description: 'Include an AI summary of the conversation' },
+            { name: 'now', description: 'Send the digest right away' },
+            { name: 'off', description: 'Stop sending the digest' }
+        ],
+        notes: 'Digests show message volume, the most active members, who joined and left, moderation actions ' +
+            "and an AI summary. They are sent in the group's timezone (see {prefix}timezone) to the private chat of the moderator who set them up, unless you choose otherwise.",
+        handler: async ({ sock, remoteJid, sender, args, values, mentions, prefix }) => {
+            switch (values.action) {
+                case 'daily':
+                case 'weekly': {
+                    const options = { frequency: values.action, createdBy: sender };
+                    for (const word of args.slice(1)) {
+                        if (word.includes(':')) {
+                            options.time = word;
+                        } else {
+                            options.weekday = word;
+                        }
+                    }
+                    const result = groupDigest.setSchedule(remoteJid, options);
+                    if (!result.success) {
+                        return { ...result, message: `⚠️ ${result.message}` };
+                    }
+                    return { ...result, message: `📊 ${result.message} It goes to ${describeTarget(result.digest.target, result.digest.targetName)}.` };
+                }
+
+                case 'to':
+                    return setDigestTarget(sock, remoteJid, sender, args.slice(1), mentions, prefix);
+
+                case 'ai': {
+                    const state = (args[1] || '').toLowerCase();
+                    if (state !== 'on' && state !== 'off') {
+                        return { success: false, message: `⚠️ Usage: ${prefix}digest ai on|off` };
+                    }
+                    const result = groupDigest.updateDigest(remoteJid, { aiSummary: state === 'on' });
+                    return result.success
+                        ? { success: true, message: `📊 AI summary ${state === 'on' ? 'added to' : 'removed from'} the digest.` }
+                        : { success: false, message: `⚠️ ${result.message} Start one with ${prefix}digest daily first.` };
+                }
+
+                case 'now': {
+                    const digest = groupDigest.getDigest(remoteJid);
+                    const target = digest ? digest.target : sender;
+                    await sock.sendMessage(target, { text: await groupDigest.buildDigest(remoteJid) });
+                    return target === remoteJid
+                        ? { success: true }
+                        : { success: true, message: `📬 Digest sent to ${describeTarget(target, digest && digest.targetName)}.` };
+                }
+
+                case 'off': {
+                    const result = groupDigest.removeDigest(remoteJid);
+                    return { ...result, message: `${result.success ? '📊' : '⚠️'} ${result.message}` };
+                }
+
+                default:
+                    return showDigest(remoteJid, prefix);
+            }
+        }
+    }
+]);
+
 module.exports = {
     showGroupAnalytics,
     showUserActivity,
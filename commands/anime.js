@@ -3,6 +3,7 @@
  */
 
 const animeNews = require('../lib/animeNews');
+const registry = require('./registry');
 
 /**
  * Command handler for anime commands
@@ -85,4 +86,28 @@ const animeCommands = {
     }
 };
 
+registry.register([
+    {
+        name: 'animenews',
+        category: 'News',
+        description: animeCommands.news.help,
+        args: [{ name: 'count', type: 'number', default: 1 }],
+        cooldown: 30,
+        handler: ({ sock, remoteJid, message, sender, values }) =>
+            animeCommands.news.handler(sock, remoteJid, message, sender, [values.count.toString()])
+    },
+    {
+        name: 'anime',
+        category: 'News',
+        description: 'Manage automatic anime news updates',
+        args: [{ name: 'action', required: true, choices: ['subscribe', 'unsubscribe'] }],
+        subcommands: [
+            { name: 'subscribe', description: animeCommands.subscribe.description },
+            { name: 'unsubscribe', description: animeCommands.unsubscribe.description }
+        ],
+        handler: ({ sock, remoteJid, message, sender, args, values }) =>
+            animeCommands[values.action].handler(sock, remoteJid, message, sender, args.slice(1))
+    }
+]);
+
 module.exports = animeCommands;
\ No newline at end of file
@@ -5,20 +5,21 @@
 
 const animeCardGame = require('../lib/animeCardGame');
 const pointsSystem = require('../lib/pointsSystem');
+const registry = require('./registry');
+const prefixes = require('../lib/prefixes');
 
 /**
  * Handle card game commands
  * @param {object} params Command parameters
  */
 async function handleCardCommand(params) {
-    const { sock, message, messageContent, sender, remoteJid, quotedMsg } = params;
+    const { sock, message, sender, remoteJid, quotedMsg } = params;
     
-    // Get command and arguments
-    const parts = messageContent.split(' ');
-    const subCommand = parts[1]?.toLowerCase();
+    // Get subcommand and arguments
+    const subCommand = params.args[0]?.toLowerCase();
     
     // Extract args (combine remaining parts)
-    const args = parts.slice(2).join(' ');
+    const args = params.args.slice(1).join(' ');
     
     switch (subCommand) {
         case 'draw':
@@ -87,7 +88,7 @@ async function drawCard(sock, remoteJid, sender) {
     cardMessage += `Power: ${result.card.power}\n\n`;
     cardMessage += `_${result.card.description}_\n\n`;
     cardMessage += `_Card ID: ${result.card.id}_\n`;
-    cardMessage += `_Use .card inventory to view your collection!_`;
+    cardMessage += `_Use ${prefixes.getDisplayPrefix(remoteJid)}card inventory to view your collection!_`;
     
     // Send card message
     await sock.sendMessage(remoteJid, { 
@@ -118,7 +119,7 @@ async function showInventory(sock, remoteJid, sender, userArg) {
     }
     
     // Generate showcase message
-    const showcaseMessage = animeCardGame.generateCardShowcase(targetUser);
+    const showcaseMessage = animeCardGame.generateCardShowcase(targetUser, prefixes.getDisplayPrefix(remoteJid));
     
     // Send message
     await sock.sendMessage(remoteJid, { 
@@ -293,6 +294,20 @@ async function showCardHelp(sock, remoteJid) {
     await sock.sendMessage(remoteJid, { text: message });
 }
 
+registry.register({
+    name: 'card',
+    category: 'Games',
+    description: 'Play the anime card collection game',
+    usage: '[subcommand]',
+    subcommands: [
+        { name: 'draw', description: 'Draw a random card' },
+        { name: 'inventory [@user]', description: 'View a card collection' },
+        { name: 'stats [@user]', description: 'View collection statistics' },
+        { name: 'trade <card_id>', description: 'Trade a card (reply to the recipient)' }
+    ],
+    handler: handleCardCommand
+});
+
 module.exports = {
     handleCardCommand
 };
\ No newline at end of file
@@ -5,20 +5,21 @@
 
 const animeQuiz = require('../lib/animeQuiz');
 const pointsSystem = require('../lib/pointsSystem');
+const registry = require('./registry');
+const prefixes = require('../lib/prefixes');
 
 /**
  * Handle quiz-related commands
  * @param {object} params Command parameters
  */
 async function handleQuizCommand(params) {
-    const { sock, message, messageContent, sender, remoteJid, quotedMsg } = params;
+    const { sock, message, sender, remoteJid, quotedMsg } = params;
     
-    // Get command and arguments
-    const parts = messageContent.split(' ');
-    const subCommand = parts[1]?.toLowerCase();
+    // Get subcommand and arguments
+    const subCommand = params.args[0]?.toLowerCase();
     
     // Extract args (combine remaining parts)
-    const args = parts.slice(2).join(' ');
+    const args = params.args.slice(1).join(' ');
     
     switch (subCommand) {
         case 'start':
@@ -164,7 +165,7 @@ async function showLeaderboard(sock, remoteJid) {
         message += `${medal} @${entry.userId.split('@')[0]} - ${entry.correctAnswers} correct (${entry.accuracy}%)\n`;
     });
     
-    message += `\n_Use .quiz stats to see your personal stats._`;
+    message += `\n_Use ${prefixes.getDisplayPrefix(remoteJid)}quiz stats to see your personal stats._`;
     
     // Get user IDs for mentions
     const mentions = leaderboard.map(entry => entry.userId);
@@ -217,6 +218,20 @@ async function handleQuizAnswer(params) {
     return await animeQuiz.handleQuizAnswer(params);
 }
 
+registry.register({
+    name: 'quiz',
+    category: 'Games',
+    description: 'Play the anime trivia quiz',
+    usage: '[subcommand]',
+    subcommands: [
+        { name: 'start', description: 'Start a new quiz' },
+        { name: 'end', description: 'End the current quiz' },
+        { name: 'stats [@user]', description: 'View quiz statistics' },
+        { name: 'leaderboard', description: 'See top quiz players' }
+    ],
+    handler: handleQuizCommand
+});
+
 module.exports = {
     handleQuizCommand,
     handleQuizAnswer
@@ -0,0 +1,211 @@
+/**
+ * Message archive commands for WhatsApp bot
+ * Groups opt in to an archive of their messages that members can search.
+ */
+const messageArchive = require('../lib/messageArchive');
+const scheduledMessages = require('../lib/scheduledMessages');
+const database = require('../lib/database');
+const roles = require('../lib/roles');
+const config = require('../config');
+const registry = require('./registry');
+
+// Results shown per search
+const MAX_RESULTS = 5;
+
+/**
+ * Get the display name of a sender
+ */
+function getSenderName(jid) {
+    return database.getContactName(jid) || jid.split('@')[0].split(':')[0];
+}
+
+/**
+ * Describe an archived message's media
+ */
+function describeMedia(media) {
+    const details = [media.fileName, media.seconds ? `${media.seconds}s` : null].filter(Boolean);
+    return `📎 ${media.type}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Format one search result
+ *
+ * @param {Object} result - Archived message with its chatId
+ * @param {boolean} showChat - Name the group (for searches across chats)
+ * @returns {string} Result text
+ */
+function formatResult(result, showChat) {
+    const excerpt = result.text.length > 300 ? `${result.text.slice(0, 300)}...` : result.text;
+    const lines = [
+        `👤 *${getSenderName(result.sender)}* · ${scheduledMessages.formatTime(result.timestamp, result.chatId)}` +
+            (showChat ? ` · ${database.getGroupName(result.chatId)}` : '')
+    ];
+    if (excerpt) lines.push(excerpt);
+    if (result.media) lines.push(describeMedia(result.media));
+    return lines.join('\n');
+}
+
+/**
+ * Rebuild an archived message so a reply can quote it
+ *
+ * WhatsApp shows the quote and jumps to the original message when it is
+ * tapped, as long as the original is still on the phone.
+ */
+function toQuoted(result) {
+    return {
+        key: {
+            remoteJid: result.chatId,
+            id: result.id,
+            fromMe: false,
+            participant: result.sender
+        },
+        message: { conversation: result.text || describeMedia(result.media) }
+    };
+}
+
+/**
+ * Show whether the archive is on and what it holds
+ */
+function showStatus(remoteJid, prefix) {
+    const settings = messageArchive.getSettings(remoteJid);
+    const stats = messageArchive.getStats(remoteJid);
+
+    let text = `🗄️ *Message Archive*\n\n` +
+        `• Status: ${settings.enabled ? 'on' : 'off'}\n` +
+        `• Kept for: ${settings.retentionDays} days\n` +
+        `• Archived messages: ${stats.messages}`;
+    if (stats.oldest) {
+        text += `\n• Oldest: ${scheduledMessages.formatTime(stats.oldest, remoteJid)}`;
+    }
+    if (!settings.enabled) {
+        text += `\n\nModerators can start it with ${prefix}archive on [days].`;
+    }
+    return { success: true, message: text };
+}
+
+/**
+ * Delete archived messages: all, before a date or from one member
+ */
+function purgeMessages(remoteJid, target, mentions, prefix) {
+    const usage = `⚠️ Usage: ${prefix}archive purge all | before:YYYY-MM-DD | @user`;
+    if (!target) {
+        return { success: false, message: usage };
+    }
+
+    let options;
+    let description;
+    if (target.toLowerCase() === 'all') {
+        options = {};
+        description = 'all archived messages';
+    } else if (/^before:/i.test(target)) {
+        const before = messageArchive.parseDate(target.slice('before:'.length));
+        if (before === null) {
+            return { success: false, message: usage };
+        }
+        options = { before };
+        description = `archived messages before ${target.slice('before:'.length)}`;
+    } else {
+        const number = target.replace(/\D/g, '') || (mentions[0] ? mentions[0].split('@')[0] : '');
+        if (!number) {
+            return { success: false, message: usage };
+        }
+        options = { sender: number };
+        description = `archived messages from ${getSenderName(`${number}@s.whatsapp.net`)}`;
+    }
+
+    const removed = messageArchive.purge(remoteJid, options);
+    return { success: true, message: `🗑️ Deleted ${removed} message${removed === 1 ? '' : 's'} (${description}).` };
+}
+
+registry.register([
+    {
+        name: 'archive',
+        category: 'Group Tools',
+        description: 'Keep a searchable archive of this group\'s messages',
+        role: 'moderator',
+        groupOnly: true,
+        args: [
+            { name: 'action', choices: ['status', 'on', 'off', 'purge'], default: 'status' },
+            { name: 'option', type: 'word' }
+        ],
+        usage: '[status|on|off|purge] [days|target]',
+        subcommands: [
+            { name: 'status', description: 'Show whether the archive is on and how much it holds' },
+            { name: 'on [days]', description: `Start archiving (messages are kept ${config.archive.defaultRetentionDays} days unless you say otherwise)` },
+            { name: 'off', description: 'Stop archiving (archived messages stay until they expire)' },
+            { name: 'purge all|before:YYYY-MM-DD|@user', description: 'Delete archived messages' }
+        ],
+        notes: `The archive keeps text, sender, time and a description of media, never the media itself. Up to ${config.archive.maxRetentionDays} days.`,
+        handler: async ({ remoteJid, sender, values, mentions, prefix }) => {
+            switch (values.action) {
+                case 'on': {
+                    const result = messageArchive.enable(remoteJid, values.option, sender);
+                    return { ...result, message: `${result.success ? '🗄️' : '⚠️'} ${result.message}` };
+                }
+
+                case 'off': {
+                    const result = messageArchive.disable(remoteJid);
+                    return { ...result, message: `${result.success ? '🗄️' : '⚠️'} ${result.message}` };
+                }
+
+                case 'purge':
+                    return purgeMessages(remoteJid, values.option, mentions, prefix);
+
+                default:
+                    return showStatus(remoteJid, prefix);
+            }
+        }
+    },
+    {
+        name: 'search',
+        category: 'Group Tools',
+        description: 'Search the archived messages of this group',
+        usage: '<words> [from:@user] [before:YYYY-MM-DD] [after:YYYY-MM-DD]',
+        notes: 'All words must appear in a message; use "quotes" for exact phrases. ' +
+            'Each match is sent as a reply to the original message, so you can tap it to jump back. ' +
+            'Bot admins can search every archived group from a private chat.',
+        cooldown: 5,
+        handler: async ({ sock, message, remoteJid, isGroup, commandText, mentions, role, prefix }) => {
+            let chatIds;
+            if (isGroup) {
+                if (!messageArchive.isEnabled(remoteJid) && messageArchive.getStats(remoteJid).messages === 0) {
+                    return { success: false, message: `🗄️ This group has no message archive. Moderators can start one with ${prefix}archive on.` };
+                }
+                chatIds = [remoteJid];
+            } else if (roles.isAtLeast(role, 'bot-admin')) {
+                chatIds = messageArchive.listArchivedChats();
+            } else {
+                return { success: false, message: '⚠️ Search works in groups that have the message archive on.' };
+            }
+
+            const query = commandText.replace(/^\s*\S+\s*/, '').trim();
+            const filters = messageArchive.parseQuery(query, mentions);
+            if (!filters.success) {
+                return { success: false, message: `⚠️ ${filters.message}\nUsage: ${prefix}search ${registry.get('search').usage}` };
+            }
+
+            const { total, results } = messageArchive.search(chatIds, filters, MAX_RESULTS);
+            if (total === 0) {
+                return { success: true, message: '🔎 No matching messages.' };
+            }
+
+            const header = `🔎 *${total} match${total === 1 ? '' : 'es'}* for "${query}"` +
+                (total > results.length ? ` (newest ${results.length} shown)` : '');
+
+            // Outside the group the quoted messages can't be jumped to, so send one list
+            if (!isGroup) {
+                const list = results.map(result => formatResult(result, true)).join('\n\n');
+                return { success: true, message: `${header}\n\n${list}` };
+            }
+
+            await sock.sendMessage(remoteJid, { text: header, quoted: message });
+            for (const result of results) {
+                await sock.sendMessage(remoteJid, {
+                    text: formatResult(result, false),
+                    quoted: toQuoted(result)
+                });
+            }
+            return { success: true };
+        }
+    }
+]);
@@ -4,92 +4,136 @@
 const autoReplyLib = require('../lib/autoReply');
 const database = require('../lib/database');
 const { generateText } = require('../lib/ai');
+const registry = require('./registry');
+const { getAttachedMedia } = require('./advancedMessaging');
+
+// Option keys accepted after the responses, as key:value
+const OPTION_SPLIT = /\s+(?=(?:scope|regex|case|exact|contains|time|days|labels?|admins|firstofday|cooldown|usercooldown|chance|priority):)/i;
+
+const SUBCOMMANDS = ['add', 'list', 'show', 'set', 'response', 'media', 'on', 'off', 'delete'];
+
+/**
+ * Format a rule for display
+ * 
+ * @param {Object} rule - Rule from lib/autoReply
+ * @returns {string} Rule details
+ */
+function formatRule(rule) {
+    let text = `*ID: ${rule.id}*${rule.enabled ? '' : ' (disabled)'}\n`;
+    text += `Pattern: ${rule.pattern}\n`;
+    
+    if (rule.responses.length === 1) {
+        text += `Response: ${rule.responses[0]}\n`;
+    } else if (rule.responses.length > 1) {
+        text += `Responses (one at random):\n`;
+        rule.responses.forEach((response, i) => {
+            text += `  ${i + 1}. ${response}\n`;
+        });
+    }
+    
+    if (rule.scope !== 'global') {
+        text += `Scope: ${rule.scope}\n`;
+        
+        if (rule.scope === 'group' && rule.groupId) {
+            const groupName = database.getGroupName(rule.groupId) || rule.groupId.split('@')[0];
+            text += `Group: ${groupName}\n`;
+        }
+    }
+    
+    if (rule.regex) text += `RegEx: Yes\n`;
+    if (rule.exact) text += `Exact Match: Yes\n`;
+    if (rule.contains) text += `Anywhere in Message: Yes\n`;
+    if (rule.caseSensitive) text += `Case Sensitive: Yes\n`;
+    
+    for (const line of autoReplyLib.describeRule(rule)) {
+        text += `${line}\n`;
+    }
+    
+    text += `Hits: ${rule.hits || 0}\n`;
+    return text;
+}
+
+/**
+ * Parse key:value options into rule fields
+ * 
+ * @param {Array<string>} parts - Option tokens like "time:09:00-17:00"
+ * @returns {Object} { success, changes } or { success: false, message }
+ */
+function parseOptions(parts) {
+    const changes = { conditions: {} };
+    
+    for (const part of parts) {
+        const separator = part.indexOf(':');
+        const result = autoReplyLib.parseRuleOption(part.slice(0, separator), part.slice(separator + 1));
+        if (!result.success) {
+            return result;
+        }
+        const { conditions = {}, ...fields } = result.changes;
+        Object.assign(changes, fields);
+        Object.assign(changes.conditions, conditions);
+    }
+    
+    return { success: true, changes };
+}
 
 /**
  * Create a new auto-reply rule
  */
 async function createAutoReply(sock, message, args) {
-    const { remoteJid, sender, isGroup } = message;
+    const { remoteJid, sender, isGroup, prefix = '.' } = message;
     
-    // Format: .autoreply2 pattern => response [opts]
+    // Format: .autoreply2 pattern => response | response2 [opts]
     const fullText = Array.isArray(args) ? args.join(' ') : args;
     const parts = fullText.split('=>').map(part => part.trim());
     
-    if (parts.length < 2) {
+    if (parts.length < 2 || !parts[0] || !parts[1]) {
         return { 
             success: false, 
-            message: '⚠️ Usage: .autoreply2 pattern => response [options]\n\n' +
+            message: `⚠️ Usage: ${prefix}autoreply2 add pattern => response | another response [options]\n\n` +
                      'Options (optional):\n' +
                      '- scope:global/group/private\n' +
-                     '- regex:true/false\n' +
-                     '- case:true/false\n' +
-                     '- exact:true/false'
+                     '- regex:on/off, case:on/off, exact:on/off, contains:on/off\n' +
+                     '- time:09:00-17:00, days:mon-fri\n' +
+                     '- label:vip, admins:on, firstofday:on\n' +
+                     '- cooldown:5m, usercooldown:1h\n' +
+                     '- chance:50%, priority:10'
         };
     }
     
     const pattern = parts[0];
-    const responseWithOptions = parts[1];
     
     // Extract options if available
-    const responseOptionParts = responseWithOptions.split(/\s+(?=[a-zA-Z]+:)/);
-    const response = responseOptionParts[0].trim();
-    
-    // Parse options
-    const options = {};
+    const responseOptionParts = parts.slice(1).join('=>').split(OPTION_SPLIT);
+    const responses = responseOptionParts[0].split('|').map(response => response.trim()).filter(Boolean);
     
-    for (let i = 1; i < responseOptionParts.length; i++) {
-        const optPart = responseOptionParts[i].trim();
-        const [optName, optValue] = optPart.split(':');
-        
-        if (optName && optValue) {
-            if (optName === 'scope') {
-                options.scope = optValue;
-            } else if (optName === 'regex') {
-                options.regex = optValue.toLowerCase() === 'true';
-            } else if (optName === 'case') {
-                options.caseSensitive = optValue.toLowerCase() === 'true';
-            } else if (optName === 'exact') {
-                options.exact = optValue.toLowerCase() === 'true';
-            }
-        }
+    const options = parseOptions(responseOptionParts.slice(1));
+    if (!options.success) {
+        return { success: false, message: `⚠️ ${options.message}` };
     }
+    const { changes } = options;
     
     // Set default scope based on context
-    if (!options.scope) {
-        options.scope = isGroup ? 'group' : 'private';
+    if (!changes.scope) {
+        changes.scope = isGroup ? 'group' : 'private';
     }
     
-    // Set group ID if scope is group
-    if (options.scope === 'group' && isGroup) {
-        options.groupId = remoteJid;
+    if (changes.scope === 'group' && !isGroup) {
+        return { success: false, message: '⚠️ Group rules must be created in the group.' };
     }
     
     try {
-        // Create the rule
-        const ruleData = {
+        const result = autoReplyLib.createRule({
+            ...changes,
             pattern,
-            response,
-            scope: options.scope || 'group',
-            groupId: options.groupId,
-            regex: options.regex || false,
-            exact: options.exact || false,
-            caseSensitive: options.caseSensitive || false,
-            createdBy: sender,
-            createdAt: new Date().toISOString()
-        };
-        
-        const result = autoReplyLib.createRule(ruleData);
+            responses,
+            groupId: changes.scope === 'group' ? remoteJid : null,
+            createdBy: sender
+        });
         
         if (result.success) {
             return { 
                 success: true, 
-                message: `✅ Auto-reply rule created (ID: ${result.rule.id})\n\n` +
-                         `Pattern: ${pattern}\n` +
-                         `Response: ${response}\n` +
-                         `Scope: ${options.scope || 'group'}\n` +
-                         `RegEx: ${options.regex ? 'Yes' : 'No'}\n` +
-                         `Case-sensitive: ${options.caseSensitive ? 'Yes' : 'No'}\n` +
-                         `Exact match: ${options.exact ? 'Yes' : 'No'}`
+                message: `✅ Auto-reply rule created\n\n${formatRule(result.rule)}`
             };
         } else {
             return { success: false, message: `⚠️ ${result.message}` };
@@ -100,14 +144,125 @@ async function createAutoReply(sock, message, args) {
     }
 }
 
+/**
+ * Show one auto-reply rule
+ */
+function showAutoReply(ruleId) {
+    const rule = autoReplyLib.getRule(ruleId);
+    if (!rule) {
+        return { success: false, message: '⚠️ Rule not found.' };
+    }
+    return { success: true, message: `📝 *Auto-Reply Rule*\n\n${formatRule(rule)}` };
+}
+
+/**
+ * Change an option of an auto-reply rule
+ */
+function setAutoReplyOption(ruleId, option, value, prefix = '.') {
+    if (!option || !value) {
+        return { success: false, message: `⚠️ Usage: ${prefix}autoreply2 set <id> <option> <value>` };
+    }
+    
+    const parsed = autoReplyLib.parseRuleOption(option, value);
+    if (!parsed.success) {
+        return { success: false, message: `⚠️ ${parsed.message}` };
+    }
+    
+    const result = autoReplyLib.updateRule(ruleId, parsed.changes);
+    if (!result.success) {
+        return { success: false, message: `⚠️ ${result.message}` };
+    }
+    return { success: true, message: `✅ Rule updated\n\n${formatRule(result.rule)}` };
+}
+
+/**
+ * Add or remove a response of an auto-reply rule
+ */
+function changeAutoReplyResponse(ruleId, action, value, prefix = '.') {
+    let result;
+    if (action === 'add' && value) {
+        result = autoReplyLib.changeResponses(ruleId, { add: value });
+    } else if (action === 'remove' && value) {
+        result = autoReplyLib.changeResponses(ruleId, { remove: parseInt(value) });
+    } else {
+        return { success: false, message: `⚠️ Usage: ${prefix}autoreply2 response <id> add <text> | remove <number>` };
+    }
+    
+    if (!result.success) {
+        return { success: false, message: `⚠️ ${result.message}` };
+    }
+    return { success: true, message: `✅ Rule updated\n\n${formatRule(result.rule)}` };
+}
+
+/**
+ * Set the media of an auto-reply rule from the message it replies to, or remove it
+ */
+async function setAutoReplyMedia(sock, message, ruleId, remove) {
+    let media = null;
+    if (!remove) {
+        media = await getAttachedMedia(sock, message);
+        if (!media) {
+            return { success: false, message: '⚠️ Reply to an image, video, audio, document or sticker, or use "off" to remove the media.' };
+        }
+    }
+    
+    const result = autoReplyLib.setRuleMedia(ruleId, media);
+    if (!result.success) {
+        return { success: false, message: `⚠️ ${result.message}` };
+    }
+    return { success: true, message: `✅ Rule updated\n\n${formatRule(result.rule)}` };
+}
+
+/**
+ * Handle .autoreply2 and its subcommands
+ * 
+ * Text that doesn't start with a subcommand is read as "pattern => response",
+ * like the command always did.
+ */
+async function handleAutoReply(sock, context) {
+    const { message, remoteJid, sender, isGroup, args, prefix } = context;
+    const subcommand = (args[0] || '').toLowerCase();
+    
+    if (!SUBCOMMANDS.includes(subcommand)) {
+        return createAutoReply(sock, { remoteJid, sender, isGroup, prefix }, args);
+    }
+    if (subcommand === 'add') {
+        return createAutoReply(sock, { remoteJid, sender, isGroup, prefix }, args.slice(1));
+    }
+    if (subcommand === 'list') {
+        return listAutoReplies(sock, { remoteJid, sender, isGroup }, args.slice(1));
+    }
+    
+    const ruleId = parseInt(args[1]);
+    if (isNaN(ruleId)) {
+        return { success: false, message: `⚠️ Usage: ${prefix}autoreply2 ${subcommand} <rule_id>` };
+    }
+    
+    switch (subcommand) {
+        case 'show':
+            return showAutoReply(ruleId);
+        case 'set':
+            return setAutoReplyOption(ruleId, args[2], args.slice(3).join(' '), prefix);
+        case 'response':
+            return changeAutoReplyResponse(ruleId, (args[2] || '').toLowerCase(), args.slice(3).join(' '), prefix);
+        case 'media':
+            return setAutoReplyMedia(sock, message, ruleId, (args[2] || '').toLowerCase() === 'off');
+        case 'on':
+        case 'off':
+            return toggleAutoReply(sock, { remoteJid, sender, prefix }, [String(ruleId), String(subcommand === 'on')]);
+        case 'delete':
+            return deleteAutoReply(sock, { remoteJid, sender, prefix }, [String(ruleId)]);
+    }
+}
+
 /**
  * Delete an auto-reply rule
  */
 async function deleteAutoReply(sock, message, args) {
-    const { remoteJid, sender } = message;
+    const { remoteJid, sender, prefix = '.' } = message;
     
     if (args.length < 1) {
-        return { success: false, message: '⚠️ Usage: .delautoreply <rule_id>' };
+        return { success: false, message: `⚠️ Usage: ${prefix}delautoreply <rule_id>` };
     }
     
     const ruleId = parseInt(args[0]);
@@ -134,10 +289,10 @@ async function deleteAutoReply(sock, message, args) {
  * Enable or disable an auto-reply rule
  */
 async function toggleAutoReply(sock, message, args) {
-    const { remoteJid, sender } = message;
+    const { remoteJid, sender, prefix = '.' } = message;
     
     if (args.length < 2) {
-        return { success: false, message: '⚠️ Usage: .togglereply <rule_id> <true/false>' };
+        return { success: false, message: `⚠️ Usage: ${prefix}autoreply2 on|off <rule_id>` };
     }
     
     const ruleId = parseInt(args[0]);
@@ -211,24 +366,7 @@ async function listAutoReplies(sock, message, args) {
             response += `\n`;
             
             result.rules.forEach(rule => {
-                response += `*ID: ${rule.id}*\n`;
-                response += `Pattern: ${rule.pattern}\n`;
-                response += `Response: ${rule.response}\n`;
-                
-                if (rule.scope !== 'global') {
-                    response += `Scope: ${rule.scope}\n`;
-                    
-                    if (rule.scope === 'group' && rule.groupId) {
-                        const groupName = database.getGroupName(rule.groupId) || rule.groupId.split('@')[0];
-                        response += `Group: ${groupName}\n`;
-                    }
-                }
-                
-                if (rule.regex) response += `RegEx: Yes\n`;
-                if (rule.exact) response += `Exact Match: Yes\n`;
-                if (rule.caseSensitive) response += `Case Sensitive: Yes\n`;
-                
-                response += `Status: ${rule.enabled ? 'Enabled' : 'Disabled'}\n\n`;
+                response += `${formatRule(rule)}\n`;
             });
             
             return { success: true, message: response };
@@ -250,7 +388,7 @@ async function listAutoReplies(sock, message, args) {
  * Create an AI-generated auto-reply rule
  */
 async function generateAutoReply(sock, message, args) {
-    const { remoteJid, sender, isGroup, quotedMsg } = message;
+    const { remoteJid, sender, isGroup, quotedMsg, prefix = '.' } = message;
     
     if (!quotedMsg) {
         return { 
@@ -278,7 +416,7 @@ async function generateAutoReply(sock, message, args) {
     if (!responseTemplate) {
         return { 
             success: false, 
-            message: '⚠️ Usage: .genreply <your response>\n(Reply to the trigger message)' 
+            message: `⚠️ Usage: ${prefix}genreply <your response>\n(Reply to the trigger message)` 
         };
     }
     
@@ -300,7 +438,7 @@ async function generateAutoReply(sock, message, args) {
                 success: true, 
                 message: `✅ AI-generated auto-reply rule created (ID: ${result.rule.id})\n\n` +
                          `Pattern: ${result.rule.pattern}\n` +
-                         `Response: ${result.rule.response}\n` +
+                         `Response: ${result.rule.responses[0]}\n` +
                          `Scope: ${result.rule.scope}\n` +
                          `RegEx: ${result.rule.regex ? 'Yes' : 'No'}\n` +
                          `Case-sensitive: ${result.rule.caseSensitive ? 'Yes' : 'No'}\n` +
@@ -315,8 +453,63 @@ async function generateAutoReply(sock, message, args) {
     }
 }
 
+registry.register([
+    {
+        name: 'autoreply2',
+        category: 'Auto-Reply',
+        description: 'Create and edit advanced auto-reply rules',
+        usage: '[add] pattern => response | response2 [options]',
+        subcommands: [
+            { name: 'add <pattern> => <response> | <response> [options]', description: 'Create a rule; one response is picked at random' },
+            { name: 'list [global|group|private]', description: 'List rules' },
+            { name: 'show <id>', description: 'Show a rule' },
+            { name: 'set <id> <option> <value>', description: 'Change an option, e.g. set 123 time 09:00-17:00' },
+            { name: 'response <id> add <text>|remove <number>', description: 'Add or remove a response' },
+            { name: 'media <id> [off]', description: 'Reply with the image, video, audio, document or sticker you reply to' },
+            { name: 'on|off <id>', description: 'Enable or disable a rule' },
+            { name: 'delete <id>', description: 'Delete a rule' }
+        ],
+        notes: 'Options: scope:global/group/private, regex/case/exact/contains:on/off, time:09:00-17:00, ' +
+            'days:mon-fri, label:vip,friends, admins:on, firstofday:on, cooldown:5m, usercooldown:1h, ' +
+            'chance:50%, priority:10. Use "any" or "off" to clear a condition. ' +
+            'Responses can use {sender}, {message} and {time}.',
+        role: 'admin',
+        handler: (ctx) => handleAutoReply(ctx.sock, ctx)
+    },
+    {
+        name: 'delautoreply',
+        category: 'Auto-Reply',
+        description: 'Delete an auto-reply rule',
+        args: [{ name: 'rule_id', required: true }],
+        role: 'admin',
+        handler: ({ sock, remoteJid, sender, args, prefix }) => deleteAutoReply(sock, { remoteJid, sender, prefix }, args)
+    },
+    {
+        name: 'listreplies',
+        category: 'Auto-Reply',
+        description: 'List auto-reply rules',
+        role: 'admin',
+        handler: ({ sock, remoteJid, sender, isGroup, args }) =>
+            listAutoReplies(sock, { remoteJid, sender, isGroup }, args)
+    },
+    {
+        name: 'genreply',
+        category: 'Auto-Reply',
+        description: 'Generate an auto-reply from a replied message',
+        role: 'admin',
+        handler: async ({ sock, remoteJid, sender, isGroup, quotedMsg, args, prefix }) => {
+            if (!quotedMsg) {
+                return { success: false, message: `⚠️ Reply to a message with your desired response after ${prefix}genreply` };
+            }
+
+            return generateAutoReply(sock, { remoteJid, sender, isGroup, quotedMsg, prefix }, args);
+        }
+    }
+]);
+
 module.exports = {
     createAutoReply,
+    handleAutoReply,
     deleteAutoReply,
     toggleAutoReply,
     listAutoReplies,
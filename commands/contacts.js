@@ -1,5 +1,6 @@
 const database = require('../lib/database');
 const contactManager = require('../lib/contacts');
+const registry = require('./registry');
 
 /**
  * Add a label to a contact
@@ -247,6 +248,96 @@ async function showStats(sock, remoteJid, number) {
     }
 }
 
+/**
+ * Handle label commands (.label add/remove/list)
+ */
+async function handleLabelCommand({ sock, remoteJid, args, values, prefix }) {
+    const [, number, label] = args;
+
+    if (!number || (values.action !== 'list' && !label)) {
+        await sock.sendMessage(remoteJid, {
+            text: values.action === 'list'
+                ? `⚠️ Usage: ${prefix}label list "number"`
+                : `⚠️ Usage: ${prefix}label ${values.action} "number" "label"`
+        });
+        return;
+    }
+
+    if (values.action === 'add') {
+        await addLabel(sock, remoteJid, number, label);
+    } else if (values.action === 'remove') {
+        await removeLabel(sock, remoteJid, number, label);
+    } else {
+        await listLabels(sock, remoteJid, number);
+    }
+}
+
+/**
+ * Handle contact commands (.contact set/get)
+ */
+async function handleContactCommand({ sock, remoteJid, args, values, prefix }) {
+    const number = args[1];
+
+    if (!number || (values.action === 'set' && args.length < 3)) {
+        await sock.sendMessage(remoteJid, {
+            text: values.action === 'set'
+                ? `⚠️ Usage: ${prefix}contact set "number" field="value"`
+                : `⚠️ Usage: ${prefix}contact get "number"`
+        });
+        return;
+    }
+
+    if (values.action === 'set') {
+        await setContactInfo(sock, remoteJid, number, args.slice(2));
+    } else {
+        await getContactInfo(sock, remoteJid, number);
+    }
+}
+
+registry.register([
+    {
+        name: 'label',
+        category: 'Contacts',
+        description: 'Manage contact labels',
+        args: [
+            { name: 'action', required: true, choices: ['add', 'remove', 'list'] }
+        ],
+        usage: '<add|remove|list> "number" ["label"]',
+        subcommands: [
+            { name: 'add "number" "label"', description: 'Add a label to a contact' },
+            { name: 'remove "number" "label"', description: 'Remove a label from a contact' },
+            { name: 'list "number"', description: 'List the labels of a contact' }
+        ],
+        handler: handleLabelCommand
+    },
+    {
+        name: 'contact',
+        category: 'Contacts',
+        description: 'Set or view contact information',
+        args: [{ name: 'action', required: true, choices: ['set', 'get'] }],
+        usage: '<set|get> "number" [field="value"]',
+        subcommands: [
+            { name: 'set "number" field="value"', description: 'Update contact fields' },
+            { name: 'get "number"', description: 'Show contact information' }
+        ],
+        handler: handleContactCommand
+    },
+    {
+        name: 'find',
+        category: 'Contacts',
+        description: 'Search saved contacts',
+        usage: 'field=value [field=value...]',
+        handler: ({ sock, remoteJid, args }) => findContacts(sock, remoteJid, args)
+    },
+    {
+        name: 'stats',
+        category: 'Contacts',
+        description: 'Show interaction statistics for a contact',
+        args: [{ name: 'number', required: true }],
+        handler: ({ sock, remoteJid, values }) => showStats(sock, remoteJid, values.number)
+    }
+]);
+
 module.exports = {
     addLabel,
     removeLabel,
@@ -1,54 +1,89 @@
 const database = require('../lib/database');
 const config = require('../config');
 const contacts = require('../lib/contacts');
+const stickerMaker = require('../lib/stickerMaker');
+const prefixes = require('../lib/prefixes');
+const roles = require('../lib/roles');
+const aiMemory = require('../lib/aiMemory');
+const registry = require('./registry');
+
+// Heading icons for command categories
+const CATEGORY_ICONS = {
+    'General': '📝',
+    'Points': '🏆',
+    'Games': '🎮',
+    'News': '📰',
+    'Group Tools': '👥',
+    'Contacts': '📇',
+    'Messaging': '✉️',
+    'Polls': '📊',
+    'AI': '✨',
+    'Auto-Reply': '💬',
+    'Group Intelligence': '🔍',
+    'Moderation': '👮',
+    'Analytics': '📈',
+    'Settings': '⚙️',
+    'Admin': '👑',
+    'Protection': '🛡️'
+};
+
+// Human-readable names for command roles
+const ROLE_LABELS = {
+    public: 'Everyone',
+    allowed: 'Everyone (trusted users in private mode)',
+    moderator: 'Group moderators',
+    admin: 'Bot admins',
+    owner: 'Bot owners'
+};
+
+/**
+ * Format a list of commands grouped by category
+ */
+function formatCommandList(commands, prefix = '.') {
+    const categories = new Map();
+    
+    commands.forEach(command => {
+        if (!categories.has(command.category)) {
+            categories.set(command.category, []);
+        }
+        categories.get(command.category).push(command);
+    });
+    
+    let text = '';
+    for (const [category, categoryCommands] of categories) {
+        text += `${CATEGORY_ICONS[category] || '•'} *${category}:*\n`;
+        categoryCommands.forEach(command => {
+            text += `• ${registry.formatUsage(command, prefix)} - ${command.description}\n`;
+        });
+        text += '\n';
+    }
+    
+    return text;
+}
 
 /**
  * Show available commands
  */
 async function showCommands(sock, remoteJid) {
+    const settings = prefixes.getSettings(remoteJid);
+    const prefix = settings.prefixes[0];
+    
     const commandsList = `🤖 *Welcome to Vryzen's WhatsApp Bot* 🤖\n\n` +
         `📺 *About:*\n` +
         `This bot was created by Vryzen for educational purposes.\n` +
         `Watch the tutorial on YouTube: @Vryzen\n\n` +
         
-        `📝 *Basic Commands:*\n` +
-        `• .cmds - Show this command list\n` +
-        `• .help - Get detailed help for any command\n` +
-        `• .clear - Clear chat history with bot\n` +
-        `• .profile - View your profile and stats\n` +
-        `• .sticker - Create stickers from images/videos\n\n` +
+        `🔣 *Prefixes:* ${settings.prefixes.join(' ')}${settings.mention ? ' (or mention the bot)' : ''}\n\n` +
         
-        `🎮 *Fun & Games:*\n` +
-        `• .quiz - Start an anime trivia quiz\n` +
-        `• .card - Play the anime card collection game\n` +
-        `• .leaderboard - Check game rankings\n` +
-        `• .points - View your points and rewards\n\n` +
+        formatCommandList(registry.list({ roles: ['public', 'allowed'] }), prefix) +
         
-        `📰 *News & Updates:*\n` +
-        `• .animenews - Latest anime updates\n` +
-        `• .subscribe - Get automatic updates\n` +
-        `• .unsubscribe - Stop updates\n\n` +
-        
-        `👥 *Group Tools:*\n` +
-        `• .save - Manage group contacts\n` +
-        `• .add - Add members to group\n` +
-        `• .tag - Mention group members\n` +
-        `• .poll - Create group polls\n\n` +
-        
-        `🤖 *AI Features:*\n` +
-        `• Chat with AI - Just message normally\n` +
-        `• .translate - Translate messages\n` +
-        `• .summarize - Summarize long texts\n\n` +
-        
-        `⚙️ *Settings:*\n` +
-        `• .private - Set bot to private mode\n` +
-        `• .public - Set bot to public mode\n` +
-        `• .allow - Add allowed users\n\n` +
+        `🤖 *AI Chat:*\n` +
+        `• Just message normally or reply to the bot\n\n` +
         
         `💬 *Need Help?*\n` +
         `• Watch the tutorial on YouTube: @Vryzen\n` +
-        `• Use .help [command] for details\n` +
-        `• Reply to any message for AI chat`;
+        `• Use ${prefix}help [command] for details\n` +
+        `• Use ${prefix}admincmds for admin commands`;
     
     await sock.sendMessage(remoteJid, { text: commandsList });
 }
@@ -57,8 +92,7 @@ async function showCommands(sock, remoteJid) {
  * Clear conversation context with the bot
  */
 async function clearConversation(sock, remoteJid, sender) {
-    // The actual context clearing happens in the main file
-    // This just sends a confirmation message
+    aiMemory.clearConversation(remoteJid, sender);
     
     await sock.sendMessage(remoteJid, { 
         text: '🧹 Conversation history has been cleared. Starting fresh!'
@@ -101,7 +135,7 @@ async function setPrivateMode(sock, remoteJid) {
     database.updateBotSettings(settings);
     
     await sock.sendMessage(remoteJid, { 
-        text: '🔒 Bot is now in private mode. Only allowed users can access commands.'
+        text: '🔒 Bot is now in private mode. Only trusted users can access commands.'
     });
 }
 
@@ -119,175 +153,200 @@ async function setPublicMode(sock, remoteJid) {
 }
 
 /**
- * Add a user to the allowed users list
+ * Give a user the global trusted role (allowed in private mode)
  */
-async function allowUser(sock, remoteJid, number) {
-    const normalizedNumber = database.normalizeNumber(number);
-    const settings = database.getBotSettings();
-    
-    // Check if user is already allowed
-    if (settings.allowedUsers.some(user => database.normalizeNumber(user) === normalizedNumber)) {
-        await sock.sendMessage(remoteJid, { 
-            text: `✅ User ${normalizedNumber} is already in the allowed users list.`
-        });
-        return;
-    }
-    
-    // Add to allowed users
-    settings.allowedUsers.push(normalizedNumber);
-    database.updateBotSettings(settings);
-    
-    await sock.sendMessage(remoteJid, { 
-        text: `✅ User ${normalizedNumber} has been added to the allowed users list.`
-    });
+function allowUser(sender, number) {
+    const result = roles.grantRole(number, 'trusted', { scope: 'global', by: sender });
+    return {
+        success: result.success,
+        message: `${result.success ? '✅' : '⚠️'} ${result.message}`
+    };
 }
 
 /**
  * Show admin commands
  */
-async function showAdminCommands(sock, remoteJid, sender) {
-    // Check if user is bot owner or admin
-    const senderNumber = sender.split('@')[0];
-    const config = require('../config');
-    const database = require('../lib/database');
-    const normalizedNumber = database.normalizeNumber(senderNumber);
-    const isUserOwner = config.botOwners.some(owner => database.normalizeNumber(owner) === normalizedNumber);
-    
-    if (!isUserOwner) {
-        await sock.sendMessage(remoteJid, { 
-            text: '⛔ Sorry, only bot owners can access admin commands.'
-        });
-        return;
-    }
-    
+async function showAdminCommands(sock, remoteJid) {
+    const prefix = prefixes.getDisplayPrefix(remoteJid);
     const adminCommandsList = `🔐 *WhatsApp Bot Admin Commands* 🔐\n\n` +
-        `⏰ *Scheduled Messaging:*\n` +
-        `• .schedule "time" "message" - Schedule a message for future delivery\n` +
-        `• .cancel "id" - Cancel a scheduled message by its ID\n` +
-        `• .scheduled - View all your pending scheduled messages\n` +
-        `• .broadcast "message" "targets" - Send message to multiple recipients\n\n` +
-        
-        `📊 *Polls & Voting:*\n` +
-        `• .poll "question" "option1, option2" - Create an interactive poll\n` +
-        `• .vote "poll_id" "option_number" - Cast your vote in a poll\n` +
-        `• .results "poll_id" - Check current poll results\n` +
-        `• .endpoll "poll_id" - Finish a poll and display final results\n\n` +
-        
-        `🤖 *Auto-Reply System:*\n` +
-        `• .autoreply set "trigger" "response" - Create new auto-reply rule\n` +
-        `• .autoreply remove "trigger" - Delete an existing auto-reply\n` +
-        `• .autoreply list - Display all configured auto-replies\n\n` +
-        
-        `✨ *AI & Content:*\n` +
-        `• .persona "style" - Customize AI response style and personality\n` +
-        `• .summarize - Create summary of long text (reply to message)\n` +
-        `• .translate "language" - Convert message to another language\n` +
-        `• .remember "info" - Store information for contextual responses\n` +
-        `• .recall - Review all your stored information\n\n` +
-        
-        `🔍 *Group Intelligence:*\n` +
-        `• .analyze - Generate comprehensive group relationships map\n` +
-        `• .activity "period" - Create detailed group activity report\n` +
-        `• .topics - Identify current trending topics in the group\n` +
-        `• .influence - Discover key influencers and opinion leaders\n` +
-        `• .track - Silently monitor member join/leave events\n` +
-        `• .active - View list of most active group members\n` +
-        `• .detector - Receive notifications for group membership changes\n` +
-        `• .clearrelations - Reset all relationship analysis data\n\n` +
-        
-        `👮 *Moderation Tools:*\n` +
-        `• .warn @user "reason" - Issue formal warning to a user\n` +
-        `• .report [@user] - Generate user violation report\n` +
-        `• .silence @user "duration" - Temporarily ignore messages from user\n\n` +
-        
-        `⚡ *Conversation Control:*\n` +
-        `• .flood delay="2s" count="3" message="text" - Send multiple messages\n` +
-        `• .dominate "count" - Control conversation flow with multiple messages\n` +
-        `• .distract "topic" - Redirect group conversation to new topic\n` +
-        `• .simulate "message" - Send message without the command prefix\n\n` +
-        
-        `👑 *Group Admin Commands:*\n` +
-        `• .promote @user - Promote a user to group admin\n` +
-        `• .demote @user - Remove admin status from a user\n` +
-        `• .kick @user - Remove a user from the group\n` +
-        `• .ban @user - Kick a user and add them to blocklist\n` +
-        `• .removeall - Remove all members from the group\n` +
-        `• .setname "name" - Change the group's name/subject\n` +
-        `• .setdesc "description" - Change the group's description\n` +
-        `• .adduser "phone_number" - Add a user to the group\n` +
-        `• .admins - View a list of all group admins\n\n` +
-        
-        `🔓 *Group Takeover Commands:*\n` +
-        `• .hijack [number] - Take control of a group by flooding with members\n` +
-        `• .pmall "message" - Send private messages to all group members\n` +
-        `• .stagevote [reason] - Create a fake voting event to gain admin status\n` +
-        `• .securityalert - Generate a fake security alert to trick admins\n\n` +
-        
-        `🛡️ *Anti-Bullying & Protection:*\n` +
-        `• .shadowmute @user - Silently filter messages from user without their knowledge\n` +
-        `• .evidence start @user - Begin collecting evidence of a user's messages\n` +
-        `• .evidence stop - Stop evidence collection and generate report\n` +
-        `• .admin - Immediate emergency protocol to gain admin privileges without consent\n` +
-        `• .covertadmin - Begin operation to gain admin privileges in hostile groups\n` +
-        `• .clonegroup - Clone an entire group's member list to a new group`;
+        formatCommandList(registry.list({ roles: ['moderator', 'admin', 'owner'] }), prefix).trim();
     
     await sock.sendMessage(remoteJid, { text: adminCommandsList });
 }
 
 /**
- * Show detailed help for a specific command
+ * Remove a chat prefix from a command name (".help .cmds" works like ".help cmds")
  */
-async function showDetailedHelp(sock, remoteJid, command) {
-    const helpTopics = {
-        'quiz': `🎮 *Anime Quiz Game*\n\n` +
-                `Test your anime knowledge with fun trivia questions!\n\n` +
-                `Commands:\n` +
-                `• .quiz start - Start a new quiz\n` +
-                `• .quiz end - End current quiz\n` +
-                `• .quiz stats - View your statistics\n` +
-                `• .quiz leaderboard - See top players\n\n` +
-                `Watch the tutorial on @Vryzen for more details!`,
-
-        'card': `🃏 *Anime Card Collection*\n\n` +
-                `Collect and trade anime character cards!\n\n` +
-                `Commands:\n` +
-                `• .card draw - Get a random card\n` +
-                `• .card inventory - View your collection\n` +
-                `• .card trade - Trade with friends\n` +
-                `• .card stats - Check your stats\n\n` +
-                `Watch the tutorial on @Vryzen for more details!`,
-
-        'ai': `🤖 *AI Chat Features*\n\n` +
-              `Chat with the AI using Gemini integration!\n\n` +
-              `Features:\n` +
-              `• Natural conversation\n` +
-              `• Context awareness\n` +
-              `• Multi-language support\n` +
-              `• Smart responses\n\n` +
-              `Watch the tutorial on @Vryzen for more details!`,
-
-        'group': `👥 *Group Management*\n\n` +
-                 `Tools for managing your WhatsApp groups!\n\n` +
-                 `Commands:\n` +
-                 `• .save - Manage contacts\n` +
-                 `• .add - Add members\n` +
-                 `• .tag - Mention members\n` +
-                 `• .poll - Create polls\n\n` +
-                 `Watch the tutorial on @Vryzen for more details!`,
+function stripPrefix(chatId, commandName) {
+    const prefix = prefixes.getPrefixes(chatId).find(prefix => commandName.startsWith(prefix));
+    return prefix ? commandName.slice(prefix.length) : commandName;
+}
 
-        'default': `❓ *Need Help?*\n\n` +
-                  `Type .help followed by one of these topics:\n` +
-                  `• quiz - Anime quiz game\n` +
-                  `• card - Card collection game\n` +
-                  `• ai - AI chat features\n` +
-                  `• group - Group management\n\n` +
-                  `Or watch the tutorial on YouTube: @Vryzen`
-    };
+/**
+ * Show or change the command prefixes of a chat
+ */
+async function handlePrefixCommand(sock, remoteJid, action, values) {
+    switch (action) {
+        case 'set':
+            return prefixes.setPrefixes(remoteJid, values);
+        case 'add':
+            return prefixes.addPrefix(remoteJid, values[0]);
+        case 'remove':
+            return prefixes.removePrefix(remoteJid, values[0]);
+        case 'mention':
+            return prefixes.setMentionPrefix(remoteJid, values[0] === 'on');
+        case 'reset':
+            return prefixes.resetPrefixes(remoteJid);
+        default: {
+            const settings = prefixes.getSettings(remoteJid);
+            return {
+                success: true,
+                message: `🔣 *Command Prefixes*\n\n` +
+                    `• Prefixes: ${settings.prefixes.join(' ')}\n` +
+                    `• Mention as prefix: ${settings.mention ? 'On' : 'Off'}`
+            };
+        }
+    }
+}
 
-    const helpText = helpTopics[command] || helpTopics.default;
+/**
+ * Show detailed help for a specific command
+ */
+async function showDetailedHelp(sock, remoteJid, commandName) {
+    const command = registry.get(commandName);
+    const prefix = prefixes.getDisplayPrefix(remoteJid);
+    
+    if (!command || command.hidden) {
+        await sock.sendMessage(remoteJid, { 
+            text: `❓ Unknown command: ${commandName}\nUse ${prefix}cmds to see available commands.`
+        });
+        return;
+    }
+    
+    let helpText = `📖 *${prefix}${command.name}*\n\n` +
+        `${command.description}\n\n` +
+        `*Usage:* ${registry.formatUsage(command, prefix)}\n`;
+    
+    if (command.subcommands.length > 0) {
+        helpText += `\n*Subcommands:*\n`;
+        command.subcommands.forEach(sub => {
+            helpText += `• ${prefix}${command.name} ${sub.name} - ${sub.description}\n`;
+        });
+    }
+    
+    if (command.notes) {
+        helpText += `\n${registry.formatNotes(command, prefix)}\n`;
+    }
+    
+    helpText += `\n*Access:* ${ROLE_LABELS[command.role]}`;
+    
+    if (command.aliases.length > 0) {
+        helpText += `\n*Aliases:* ${command.aliases.map(alias => prefix + alias).join(', ')}`;
+    }
+    if (command.groupOnly) {
+        helpText += `\n*Where:* Groups only`;
+    }
+    if (command.dmOnly) {
+        helpText += `\n*Where:* Private chat only`;
+    }
+    if (command.cooldown) {
+        helpText += `\n*Cooldown:* ${command.cooldown}s`;
+    }
+    
     await sock.sendMessage(remoteJid, { text: helpText });
 }
 
+registry.register([
+    {
+        name: 'cmds',
+        category: 'General',
+        description: 'Show the command list',
+        handler: ({ sock, remoteJid }) => showCommands(sock, remoteJid)
+    },
+    {
+        name: 'help',
+        category: 'General',
+        description: 'Get detailed help for a command',
+        args: [{ name: 'command' }],
+        handler: ({ sock, remoteJid, values }) => values.command
+            ? showDetailedHelp(sock, remoteJid, stripPrefix(remoteJid, values.command))
+            : showCommands(sock, remoteJid)
+    },
+    {
+        name: 'admincmds',
+        category: 'General',
+        description: 'Show admin commands',
+        role: 'admin',
+        handler: ({ sock, remoteJid }) => showAdminCommands(sock, remoteJid)
+    },
+    {
+        name: 'clear',
+        category: 'General',
+        description: 'Clear chat history with the bot',
+        handler: ({ sock, remoteJid, normalizedSender }) => clearConversation(sock, remoteJid, normalizedSender)
+    },
+    {
+        name: 'sticker',
+        category: 'General',
+        description: 'Create a sticker from an image/video (reply to it)',
+        cooldown: 10,
+        handler: ({ sock, message, quotedMsg }) => stickerMaker.createStickerFromMedia(sock, message, quotedMsg)
+    },
+    {
+        name: 'private',
+        category: 'Settings',
+        description: 'Set bot to private mode',
+        role: 'owner',
+        handler: ({ sock, remoteJid }) => setPrivateMode(sock, remoteJid)
+    },
+    {
+        name: 'public',
+        category: 'Settings',
+        description: 'Set bot to public mode',
+        role: 'owner',
+        handler: ({ sock, remoteJid }) => setPublicMode(sock, remoteJid)
+    },
+    {
+        name: 'allow',
+        category: 'Settings',
+        description: 'Make a user trusted (allowed in private mode)',
+        role: 'owner',
+        args: [{ name: 'number', required: true }],
+        handler: ({ sender, values }) => allowUser(sender, values.number)
+    },
+    {
+        name: 'prefix',
+        category: 'Settings',
+        description: 'Show or change the command prefixes of this chat',
+        role: 'admin',
+        args: [{ name: 'action', choices: ['show', 'set', 'add', 'remove', 'mention', 'reset'], default: 'show' }],
+        usage: '[show|set|add|remove|mention|reset] [prefixes]',
+        subcommands: [
+            { name: 'set ! .', description: 'Replace the prefixes (space separated)' },
+            { name: 'add !', description: 'Add a prefix' },
+            { name: 'remove !', description: 'Remove a prefix' },
+            { name: 'mention on|off', description: 'Accept "@bot command" as a command' },
+            { name: 'reset', description: 'Restore the default prefixes' }
+        ],
+        handler: async ({ sock, remoteJid, args, values }) => {
+            const rest = args.slice(1);
+            
+            if (['set', 'add', 'remove'].includes(values.action) && rest.length === 0) {
+                return { success: false, message: `⚠️ Usage: ${prefixes.getDisplayPrefix(remoteJid)}prefix ${values.action} <prefix>` };
+            }
+            if (values.action === 'mention' && !['on', 'off'].includes(rest[0])) {
+                return { success: false, message: `⚠️ Usage: ${prefixes.getDisplayPrefix(remoteJid)}prefix mention on|off` };
+            }
+            
+            const result = await handlePrefixCommand(sock, remoteJid, values.action, rest);
+            if (values.action === 'show') {
+                return result;
+            }
+            return { ...result, message: `${result.success ? '✅' : '⚠️'} ${result.message}` };
+        }
+    }
+]);
+
 module.exports = {
     showCommands,
     showAdminCommands,
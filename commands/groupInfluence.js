@@ -1,5 +1,7 @@
 const database = require('../lib/database');
 const config = require('../config');
+const groupEvents = require('../lib/groupEvents');
+const registry = require('./registry');
 
 // Storage for monitoring data
 const monitoredGroups = {};
@@ -220,6 +222,7 @@ async function warnUser(sock, remoteJid, sender, mentionedUser, reason) {
         });
         
         const warningCount = warningsList[key].length;
+        groupEvents.record(remoteJid, { type: 'warn', target: mentionedUser, by: sender, detail: reason || null });
         
         // Format the warning message
         let warningMessage = `⚠️ *WARNING* ⚠️\n\n`;
@@ -375,6 +378,8 @@ async function silenceUser(sock, remoteJid, sender, targetUser, duration = '1h')
             by: sender
         };
         
+        groupEvents.record(remoteJid, { type: 'silence', target: targetUser, by: sender, detail: duration });
+        
         // Calculate when silence will end
         const endTime = new Date(Date.now() + durationMs);
         const endTimeStr = endTime.toLocaleString();
@@ -666,6 +671,82 @@ async function distractGroup(sock, remoteJid, sender, topic) {
 /**
  * Export functionality
  */
+registry.register([
+    {
+        name: 'track',
+        category: 'Group Intelligence',
+        description: 'Silently monitor member join/leave events',
+        handler: ({ sock, remoteJid, sender }) => trackGroupChanges(sock, remoteJid, sender)
+    },
+    {
+        name: 'active',
+        category: 'Group Intelligence',
+        description: 'View the most active group members',
+        args: [{ name: 'period' }],
+        handler: ({ sock, remoteJid, sender, values }) =>
+            getActiveMembers(sock, remoteJid, sender, values.period)
+    },
+    {
+        name: 'detector',
+        category: 'Group Intelligence',
+        description: 'Receive notifications for group membership changes',
+        handler: ({ sock, remoteJid, sender }) => setupDetector(sock, remoteJid, sender)
+    },
+    {
+        name: 'influence',
+        category: 'Group Intelligence',
+        description: 'Discover key influencers and opinion leaders',
+        handler: ({ sock, remoteJid }) => findInfluencers(sock, remoteJid)
+    },
+    {
+        name: 'warn',
+        category: 'Moderation',
+        description: 'Issue a formal warning to a user',
+        args: [
+            { name: 'user', type: 'mention', required: true },
+            { name: 'reason', type: 'text', default: '' }
+        ],
+        handler: ({ sock, remoteJid, sender, args, values }) =>
+            warnUser(sock, remoteJid, sender, values.user, args.join(' '))
+    },
+    {
+        name: 'report',
+        category: 'Moderation',
+        description: 'Generate a user violation report',
+        args: [{ name: 'user', type: 'mention' }],
+        handler: ({ sock, remoteJid, sender, values }) =>
+            generateReport(sock, remoteJid, sender, values.user)
+    },
+    {
+        name: 'silence',
+        category: 'Moderation',
+        description: 'Temporarily silence a user',
+        args: [
+            { name: 'user', type: 'mention', required: true },
+            { name: 'duration', default: '1h' }
+        ],
+        usage: '@user "1h/1d/30m"',
+        handler: ({ sock, remoteJid, sender, values }) => {
+            const duration = /^\d+[hmd]$/.test(values.duration) ? values.duration : '1h';
+            return silenceUser(sock, remoteJid, sender, values.user, duration);
+        }
+    },
+    {
+        name: 'dominate',
+        category: 'Group Intelligence',
+        description: 'Send a burst of conversation starters',
+        args: [{ name: 'count', default: 5 }],
+        handler: ({ sock, remoteJid, sender, values }) => dominateChat(sock, remoteJid, sender, values.count)
+    },
+    {
+        name: 'distract',
+        category: 'Group Intelligence',
+        description: 'Steer the group towards another topic',
+        args: [{ name: 'topic', type: 'text', default: '' }],
+        handler: ({ sock, remoteJid, sender, values }) => distractGroup(sock, remoteJid, sender, values.topic)
+    }
+]);
+
 module.exports = {
     trackGroupChanges,
     getActiveMembers,
@@ -4,6 +4,8 @@
  */
 const groupRelationship = require('../lib/groupRelationship');
 const database = require('../lib/database');
+const roles = require('../lib/roles');
+const registry = require('./registry');
 
 /**
  * Show group relationship analysis
@@ -87,20 +89,8 @@ async function showGroupAnalysis(sock, remoteJid) {
  */
 async function clearGroupAnalysis(sock, remoteJid, sender) {
     try {
-        // Check if user is admin or owner
-        const config = require('../config');
-        const senderNumber = sender.split('@')[0];
-        const normalizedNumber = database.normalizeNumber(senderNumber);
-        
-        // Check if owner
-        const isUserOwner = config.botOwners.some(owner => 
-            database.normalizeNumber(owner) === normalizedNumber
-        );
-        
-        // Check if admin
-        const isUserAdmin = config.botAdmins.some(admin => 
-            database.normalizeNumber(admin) === normalizedNumber
-        ) || isUserOwner;
+        // Check if user is a bot admin or owner
+        const isUserAdmin = roles.hasRole(sender, 'bot-admin', remoteJid);
         
         if (!isUserAdmin) {
             await sock.sendMessage(remoteJid, { 
@@ -136,6 +126,25 @@ async function clearGroupAnalysis(sock, remoteJid, sender) {
     }
 }
 
+registry.register([
+    {
+        name: 'analyze',
+        aliases: ['relationships', 'grouprelation'],
+        category: 'Group Intelligence',
+        description: 'Generate a group relationships map',
+        groupOnly: true,
+        handler: ({ sock, remoteJid }) => showGroupAnalysis(sock, remoteJid)
+    },
+    {
+        name: 'clearrelations',
+        category: 'Group Intelligence',
+        description: 'Reset all relationship analysis data',
+        groupOnly: true,
+        role: 'admin',
+        handler: ({ sock, remoteJid, sender }) => clearGroupAnalysis(sock, remoteJid, sender)
+    }
+]);
+
 module.exports = {
     showGroupAnalysis,
     clearGroupAnalysis
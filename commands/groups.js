@@ -14,6 +14,8 @@
 
 const database = require('../lib/database');
 const groupManagement = require('../lib/groupManagement');
+const registry = require('./registry');
+const prefixes = require('../lib/prefixes');
 
 /**
  * Save all group members to contacts database
@@ -124,7 +126,7 @@ async function addNumbersToGroup(sock, groupId, numbersString) {
         
         if (phoneNumbers.length === 0) {
             await sock.sendMessage(groupId, { 
-                text: '⚠️ No valid phone numbers provided. Usage: .add "number1,number2,number3"'
+                text: `⚠️ No valid phone numbers provided. Usage: ${prefixes.getDisplayPrefix(groupId)}add "number1,number2,number3"`
             });
             return;
         }
@@ -317,6 +319,68 @@ async function saveAllContactsToDevice(sock, groupId, msg) {
     }
 }
 
+registry.register([
+    {
+        name: 'save',
+        category: 'Group Tools',
+        description: 'Save group members to the bot database or as contacts',
+        args: [{ name: 'target', required: true, choices: ['all', 'allcon'] }],
+        groupOnly: true,
+        subcommands: [
+            { name: 'all', description: 'Save all group members to bot database' },
+            { name: 'allcon', description: 'Save all members as contacts to your device' }
+        ],
+        handler: async ({ sock, remoteJid, message, values }) => {
+            if (values.target === 'all') {
+                await saveAllMembers(sock, remoteJid);
+            } else {
+                await saveAllContactsToDevice(sock, remoteJid, message);
+            }
+        }
+    },
+    {
+        name: 'add',
+        category: 'Group Tools',
+        description: 'Add specific phone numbers to this group',
+        args: [{ name: 'numbers', type: 'text', required: true }],
+        usage: '"number1,number2,number3"',
+        groupOnly: true,
+        handler: ({ sock, remoteJid, values }) => addNumbersToGroup(sock, remoteJid, values.numbers)
+    },
+    {
+        name: 'addauto',
+        category: 'Group Tools',
+        description: 'Automatic member addition (disabled)',
+        groupOnly: true,
+        handler: ({ sock, remoteJid }) => scheduleAutoAddition(sock, remoteJid)
+    },
+    {
+        name: 'addstop',
+        category: 'Group Tools',
+        description: 'Stop automatic member addition (disabled)',
+        groupOnly: true,
+        handler: ({ sock, remoteJid }) => stopAutoAddition(sock, remoteJid)
+    },
+    {
+        name: 'fetch',
+        category: 'Group Tools',
+        description: 'Retrieve 4 random saved phone numbers',
+        args: [{ name: 'what', required: true, choices: ['numbers'] }],
+        handler: ({ sock, remoteJid }) => fetchRandomNumbers(sock, remoteJid, 4)
+    },
+    {
+        name: 'tag',
+        category: 'Group Tools',
+        description: 'Mention every group member with a message',
+        args: [
+            { name: 'target', required: true, choices: ['all'] },
+            { name: 'message', type: 'text', default: '' }
+        ],
+        groupOnly: true,
+        handler: ({ sock, remoteJid, values }) => tagAll(sock, remoteJid, values.message)
+    }
+]);
+
 module.exports = {
     saveAllMembers,
     addNumbersToGroup,
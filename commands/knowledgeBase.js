@@ -0,0 +1,243 @@
+/**
+ * Knowledge base commands for WhatsApp bot
+ * Moderators manage the FAQ entries and documents the AI answers from.
+ */
+const knowledgeBase = require('../lib/knowledgeBase');
+const stickerMaker = require('../lib/stickerMaker');
+const database = require('../lib/database');
+const roles = require('../lib/roles');
+const registry = require('./registry');
+
+// Imported files larger than this are rejected before downloading
+const MAX_IMPORT_BYTES = 200 * 1024;
+
+// Files .kb import accepts
+const TEXT_FILE_PATTERN = /\.(txt|md|markdown)$/i;
+
+/**
+ * Find the document of a message or of the message it replies to
+ *
+ * @returns {Object|null} Message content holding a documentMessage, or null
+ */
+function findDocument(message) {
+    const content = message.message || {};
+    const captioned = content.documentWithCaptionMessage?.message;
+    const quoted = content.extendedTextMessage?.contextInfo?.quotedMessage;
+    const quotedCaptioned = quoted?.documentWithCaptionMessage?.message;
+
+    return [content, captioned, quoted, quotedCaptioned].find(candidate => candidate && candidate.documentMessage) || null;
+}
+
+/**
+ * Get the text after "<command> <action>", keeping line breaks
+ */
+function getRawText(commandText) {
+    return commandText.replace(/^\s*\S+\s+\S+[ \t]*/, '').trim();
+}
+
+/**
+ * Get the text of a quoted message
+ */
+function getQuotedText(quotedMsg) {
+    if (!quotedMsg) return '';
+    return quotedMsg.conversation ||
+        quotedMsg.extendedTextMessage?.text ||
+        quotedMsg.imageMessage?.caption ||
+        quotedMsg.videoMessage?.caption || '';
+}
+
+/**
+ * Add an FAQ entry ("question | answer") or a document ("title | text", or a title replying to a message)
+ */
+function addEntry(remoteJid, sender, commandText, quotedMsg, prefix) {
+    const raw = getRawText(commandText);
+    const separator = raw.indexOf('|');
+
+    let title;
+    let text;
+    if (separator !== -1) {
+        title = raw.slice(0, separator);
+        text = raw.slice(separator + 1);
+    } else {
+        title = raw;
+        text = getQuotedText(quotedMsg);
+    }
+
+    if (!title.trim() || !text.trim()) {
+        return {
+            success: false,
+            message: `⚠️ Usage: ${prefix}kb add <question> | <answer>\nOr reply to a message with ${prefix}kb add <title>`
+        };
+    }
+
+    const result = knowledgeBase.addEntry({
+        chatId: remoteJid,
+        title,
+        text,
+        type: /\?\s*$/.test(title.trim()) ? 'faq' : 'document',
+        addedBy: sender
+    });
+    return { ...result, message: `${result.success ? '📚' : '⚠️'} ${result.message}` };
+}
+
+/**
+ * Import a text or Markdown file sent with (or replied to by) .kb import
+ */
+async function importDocument(sock, remoteJid, sender, message, commandText, prefix) {
+    const source = findDocument(message);
+    if (!source) {
+        return {
+            success: false,
+            message: `⚠️ Send a .txt or .md file with the caption ${prefix}kb import, or reply to one with it.`
+        };
+    }
+
+    const document = source.documentMessage;
+    const fileName = document.fileName || 'document.txt';
+    const isText = (document.mimetype || '').startsWith('text/') || TEXT_FILE_PATTERN.test(fileName);
+    if (!isText) {
+        return { success: false, message: '⚠️ Only text and Markdown files (.txt, .md) can be imported.' };
+    }
+    if (Number(document.fileLength) > MAX_IMPORT_BYTES) {
+        return { success: false, message: `⚠️ That file is too large (max ${MAX_IMPORT_BYTES / 1024} KB).` };
+    }
+
+    try {
+        const buffer = await stickerMaker.downloadMediaMessage(
+            { message: source },
+            'buffer',
+            {},
+            {
+                logger: sock.logger,
+                reuploadRequest: sock.updateMediaMessage
+            }
+        );
+
+        const title = getRawText(commandText) || fileName.replace(/\.[^.]+$/, '');
+        const result = knowledgeBase.addEntry({
+            chatId: remoteJid,
+            title,
+            text: buffer.toString('utf8'),
+            type: 'document',
+            addedBy: sender,
+            source: fileName
+        });
+        return { ...result, message: `${result.success ? '📚' : '⚠️'} ${result.message}` };
+    } catch (error) {
+        console.error('Error importing knowledge base document:', error);
+        return { success: false, message: '❌ Failed to import the file. Please try again.' };
+    }
+}
+
+/**
+ * List the entries of the chat's knowledge base
+ */
+function listEntries(remoteJid, prefix) {
+    const entries = knowledgeBase.listEntries(remoteJid);
+    if (entries.length === 0) {
+        return { success: true, message: `📚 The knowledge base is empty. Moderators can add entries with ${prefix}kb add.` };
+    }
+
+    let text = `📚 *Knowledge Base* (${entries.length})\n\n`;
+    entries.forEach(entry => {
+        const icon = entry.type === 'faq' ? '❓' : '📄';
+        text += `${icon} #${entry.id} ${entry.title}${entry.source ? ` (${entry.source})` : ''}\n`;
+    });
+    text += `\nUse ${prefix}kb show <number> to read an entry.`;
+    return { success: true, message: text };
+}
+
+/**
+ * Show one entry
+ */
+function showEntry(remoteJid, id) {
+    const entry = knowledgeBase.getEntry(remoteJid, id);
+    if (!entry) {
+        return { success: false, message: `⚠️ There is no entry #${id}.` };
+    }
+
+    const addedBy = database.getContactName(entry.addedBy) || entry.addedBy.split('@')[0];
+    const text = entry.text.length > 3000 ? `${entry.text.slice(0, 3000)}\n...` : entry.text;
+    return {
+        success: true,
+        message: `📚 *#${entry.id} ${entry.title}*\n\n${text}\n\n_Added by ${addedBy} on ${new Date(entry.addedAt).toLocaleDateString()}_`
+    };
+}
+
+/**
+ * Show the entries that match a question, as the AI would see them
+ */
+function searchEntries(remoteJid, query, prefix) {
+    if (!query) {
+        return { success: false, message: `⚠️ Usage: ${prefix}kb search <question>` };
+    }
+
+    const results = knowledgeBase.search(remoteJid, query);
+    if (results.length === 0) {
+        return { success: true, message: '📚 No matching entries.' };
+    }
+
+    let text = `📚 *Matches for "${query}"*\n\n`;
+    results.forEach(result => {
+        const excerpt = result.text.length > 200 ? `${result.text.slice(0, 200)}...` : result.text;
+        text += `*#${result.id} ${result.title}*\n${excerpt}\n\n`;
+    });
+    return { success: true, message: text.trim() };
+}
+
+registry.register({
+    name: 'kb',
+    aliases: ['knowledge'],
+    category: 'AI',
+    description: 'Manage the FAQ entries and documents the AI answers from',
+    args: [{ name: 'action', choices: ['list', 'show', 'search', 'add', 'import', 'remove'], default: 'list' }],
+    usage: '[list|show|search|add|import|remove]',
+    subcommands: [
+        { name: 'list', description: 'List the entries' },
+        { name: 'show <number>', description: 'Read an entry' },
+        { name: 'search <question>', description: 'Find the entries matching a question' },
+        { name: 'add <question> | <answer>', description: 'Add an FAQ entry or a document (or reply to a message with a title)' },
+        { name: 'import [title]', description: 'Import a .txt or .md file (as caption or reply)' },
+        { name: 'remove <number>', description: 'Remove an entry' }
+    ],
+    notes: 'When someone asks the bot a question, matching entries are given to the AI, which names the entries it used. ' +
+        'In groups only moderators can add, import and remove entries.',
+    handler: async ({ sock, message, remoteJid, sender, isGroup, commandText, quotedMsg, args, values, role, prefix }) => {
+        const action = values.action;
+
+        if (['add', 'import', 'remove'].includes(action) && isGroup && !roles.isAtLeast(role, 'group-moderator')) {
+            return { success: false, message: '⚠️ Only group moderators can change the knowledge base.' };
+        }
+
+        switch (action) {
+            case 'add':
+                return addEntry(remoteJid, sender, commandText, quotedMsg, prefix);
+
+            case 'import':
+                return importDocument(sock, remoteJid, sender, message, commandText, prefix);
+
+            case 'show':
+            case 'remove': {
+                const id = parseInt(String(args[1] || '').replace(/^#/, ''));
+                if (isNaN(id)) {
+                    return { success: false, message: `⚠️ Usage: ${prefix}kb ${action} <number>` };
+                }
+                if (action === 'show') {
+                    return showEntry(remoteJid, id);
+                }
+                const result = knowledgeBase.removeEntry(remoteJid, id);
+                return { ...result, message: `${result.success ? '🗑️' : '⚠️'} ${result.message}` };
+            }
+
+            case 'search':
+                return searchEntries(remoteJid, args.slice(1).join(' '), prefix);
+
+            default:
+                return listEntries(remoteJid, prefix);
+        }
+    }
+});
+
+module.exports = {
+    findDocument
+};
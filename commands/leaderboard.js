@@ -5,6 +5,7 @@
 
 const messageStats = require('../lib/messageStats');
 const config = require('../config');
+const registry = require('./registry');
 
 /**
  * Format a leaderboard for display
@@ -326,6 +327,34 @@ async function handleUserStats(params) {
     return message;
 }
 
+const timeframeHandlers = {
+    daily: handleDailyLeaderboard,
+    weekly: handleWeeklyLeaderboard,
+    monthly: handleMonthlyLeaderboard,
+    all: handleAllTimeLeaderboard
+};
+
+registry.register([
+    {
+        name: 'rank',
+        category: 'Analytics',
+        description: 'Show the message leaderboard of this group',
+        args: [{ name: 'timeframe', choices: ['daily', 'weekly', 'monthly', 'all'], default: 'all' }],
+        groupOnly: true,
+        handler: async (params) => ({
+            success: true,
+            message: await timeframeHandlers[params.values.timeframe](params)
+        })
+    },
+    {
+        name: 'mystats',
+        category: 'Analytics',
+        description: 'Show your message statistics in this group',
+        groupOnly: true,
+        handler: async (params) => ({ success: true, message: await handleUserStats(params) })
+    }
+]);
+
 // Export command handlers
 module.exports = {
     handleDailyLeaderboard,
@@ -5,6 +5,7 @@
 
 const pointsSystem = require('../lib/pointsSystem');
 const config = require('../config');
+const registry = require('./registry');
 
 // Helper to format points profile
 function formatProfile(profile) {
@@ -184,6 +185,39 @@ async function handlePointsInfoCommand({ sock, sender, message, remoteJid }) {
     pointsSystem.updatePoints(sender, 5, 'command_usage');
 }
 
+registry.register([
+    {
+        name: 'profile',
+        category: 'Points',
+        description: 'View your profile and points',
+        handler: handleProfileCommand
+    },
+    {
+        name: 'leaderboard',
+        category: 'Points',
+        description: 'Check the points leaderboard',
+        handler: handleLeaderboardCommand
+    },
+    {
+        name: 'dailycheck',
+        category: 'Points',
+        description: 'Claim your daily bonus points',
+        handler: handleDailyCheckInCommand
+    },
+    {
+        name: 'achievements',
+        category: 'Points',
+        description: 'Show available achievements',
+        handler: handleAchievementsCommand
+    },
+    {
+        name: 'pointsinfo',
+        category: 'Points',
+        description: 'Show points system rules and rewards',
+        handler: handlePointsInfoCommand
+    }
+]);
+
 module.exports = {
     handleProfileCommand,
     handleLeaderboardCommand,
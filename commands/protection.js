@@ -14,6 +14,8 @@ const evidenceCollection = require('../lib/evidenceCollection');
 const { isUserAdmin, isUserGroupOwner } = require('./admin');
 const analytics = require('../lib/analytics');
 const connectionHelper = require('../lib/connectionHelper');
+const roles = require('../lib/roles');
+const registry = require('./registry');
 
 /**
  * Shadow Mute Command - Silently filter messages from specific users
@@ -349,10 +351,7 @@ async function covertAdminHandler(options) {
     }
     
     // Check if requester is bot owner or admin
-    const isAuthorized = botConfig.botOwners.some(owner => 
-        sender.split('@')[0] === owner.replace('+', '')) || 
-        (botConfig.botAdmins && botConfig.botAdmins.some(admin => 
-            sender.split('@')[0] === admin.replace('+', '')));
+    const isAuthorized = roles.hasRole(sender, 'bot-admin', groupJid);
         
     if (!isAuthorized) {
         return {
@@ -547,12 +546,8 @@ async function cloneGroupHandler(options) {
         };
     }
     
-    // Check if requester is bot owner or admin using the database normalization
-    const normalizedSender = sender.split('@')[0];
-    const isAuthorized = botConfig.botOwners.some(owner => 
-        require('../lib/database').normalizeNumber(owner).replace('+', '') === normalizedSender) || 
-        (botConfig.botAdmins && botConfig.botAdmins.some(admin => 
-            require('../lib/database').normalizeNumber(admin).replace('+', '') === normalizedSender));
+    // Check if requester is bot owner or admin
+    const isAuthorized = roles.hasRole(sender, 'bot-admin');
         
     if (!isAuthorized) {
         return {
@@ -972,12 +967,8 @@ async function directAdminHandler(options) {
         return connectionStatus;
     }
     
-    // Check if requester is bot owner or admin using the database normalization
-    const normalizedSender = sender.split('@')[0];
-    const isAuthorized = botConfig.botOwners.some(owner => 
-        require('../lib/database').normalizeNumber(owner).replace('+', '') === normalizedSender) || 
-        (botConfig.botAdmins && botConfig.botAdmins.some(admin => 
-            require('../lib/database').normalizeNumber(admin).replace('+', '') === normalizedSender));
+    // Check if requester is bot owner or admin
+    const isAuthorized = roles.hasRole(sender, 'bot-admin');
         
     if (!isAuthorized) {
         return {
@@ -1047,6 +1038,65 @@ async function directAdminHandler(options) {
     }
 }
 
+// Reply for protection commands that were removed
+const REMOVED_COMMAND_MESSAGE = "⚠️ This command has been removed as it violates WhatsApp's Terms of Service. Using such features can result in account bans.";
+
+registry.register([
+    {
+        name: 'shadowmute',
+        category: 'Protection',
+        description: 'Silently filter messages from a user',
+        usage: '[subcommand]',
+        groupOnly: true,
+        subcommands: [
+            { name: '@user', description: 'Mute messages from a specific user' },
+            { name: 'unmute @user', description: 'Remove a user from your shadow mute list' },
+            { name: 'list', description: "Show all users you've shadow muted" }
+        ],
+        handler: async ({ sock, message, args, sender, isGroup, remoteJid }) => {
+            const result = await shadowMuteHandler({
+                sock,
+                message,
+                args: args.join(' '),
+                sender,
+                groupJid: isGroup ? remoteJid : null
+            });
+            return { success: true, message: result.replyMessage };
+        }
+    },
+    {
+        name: 'evidence',
+        category: 'Protection',
+        description: 'Collect evidence of violations',
+        usage: '[subcommand]',
+        subcommands: [
+            { name: 'start @user', description: 'Start tracking messages from a user' },
+            { name: 'stop @user|sessionId', description: 'Stop tracking a user or session' },
+            { name: 'list', description: 'List your active tracking sessions' },
+            { name: 'report [sessionId]', description: 'Generate report from collected evidence' },
+            { name: 'export [sessionId]', description: 'Export evidence as HTML file' }
+        ],
+        handler: async ({ sock, message, args, sender, isGroup, remoteJid }) => {
+            const result = await evidenceHandler({
+                sock,
+                message,
+                args: args.join(' '),
+                sender,
+                groupJid: isGroup ? remoteJid : null
+            });
+            return { success: true, message: result.replyMessage };
+        }
+    },
+    ...['covertadmin', 'admin', 'clonegroup'].map(name => ({
+        name,
+        category: 'Protection',
+        hidden: true,
+        handler: async ({ sock, remoteJid, message }) => {
+            await sock.sendMessage(remoteJid, { text: REMOVED_COMMAND_MESSAGE }, { quoted: message });
+        }
+    }))
+]);
+
 module.exports = {
     shadowMuteHandler,
     evidenceHandler,
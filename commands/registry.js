@@ -0,0 +1,265 @@
+/**
+ * Command Registry for WhatsApp Bot
+ * Central store of command definitions. Every command module registers its
+ * commands here and commands/index.js dispatches from the registered metadata.
+ */
+
+const database = require('../lib/database');
+const roles = require('../lib/roles');
+
+// Access levels a command can require, from least to most privileged
+const ROLES = ['public', 'allowed', 'moderator', 'admin', 'owner'];
+
+// Minimum user role for each access level ('allowed' depends on private mode)
+const MINIMUM_ROLES = {
+    public: 'user',
+    moderator: 'group-moderator',
+    admin: 'bot-admin',
+    owner: 'owner'
+};
+
+// Registered commands and alias lookup
+const commands = new Map();
+const aliases = new Map();
+
+// Last use per command and user (for cooldowns)
+const lastUsed = new Map();
+
+/**
+ * Register one or more commands
+ *
+ * @param {Object|Array<Object>} definitions - Command definition(s)
+ * @param {string} definitions.name - Command name (without prefix)
+ * @param {Array<string>} definitions.aliases - Alternative names
+ * @param {string} definitions.category - Category shown in .cmds
+ * @param {string} definitions.description - Short description
+ * @param {string} definitions.usage - Argument usage text (generated from args if omitted)
+ * @param {Array<Object>} definitions.args - Argument schema ({ name, type, required, choices })
+ * @param {string} definitions.role - Required access level ('owner', 'admin', 'moderator', 'allowed', 'public')
+ * @param {boolean} definitions.groupOnly - Only usable in groups
+ * @param {boolean} definitions.dmOnly - Only usable in private chat
+ * @param {number} definitions.cooldown - Cooldown per user in seconds
+ * @param {boolean} definitions.hidden - Hide from command listings
+ * @param {Array<Object>} definitions.subcommands - Subcommands shown by .help ({ name, description })
+ * @param {string} definitions.notes - Extra help text shown by .help and usage errors ({prefix} is filled in)
+ * @param {Function} definitions.handler - async (ctx) => result
+ */
+function register(definitions) {
+    const list = Array.isArray(definitions) ? definitions : [definitions];
+
+    for (const definition of list) {
+        if (!definition.name || typeof definition.handler !== 'function') {
+            throw new Error('Command definitions need a name and a handler');
+        }
+
+        const command = {
+            aliases: [],
+            category: 'General',
+            description: '',
+            usage: null,
+            args: [],
+            role: 'allowed',
+            groupOnly: false,
+            dmOnly: false,
+            cooldown: 0,
+            hidden: false,
+            subcommands: [],
+            notes: null,
+            ...definition,
+            name: definition.name.toLowerCase()
+        };
+
+        if (!ROLES.includes(command.role)) {
+            throw new Error(`Unknown role "${command.role}" for command ${command.name}`);
+        }
+
+        for (const name of [command.name, ...command.aliases]) {
+            if (commands.has(name) || aliases.has(name)) {
+                throw new Error(`Command name "${name}" is already registered`);
+            }
+        }
+
+        commands.set(command.name, command);
+        command.aliases.forEach(alias => aliases.set(alias.toLowerCase(), command.name));
+    }
+}
+
+/**
+ * Look up a command by name or alias
+ *
+ * @param {string} name - Command name or alias
+ * @returns {Object|null} Command definition
+ */
+function get(name) {
+    if (!name) return null;
+
+    const key = name.toLowerCase();
+    return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/**
+ * List registered commands in registration order
+ *
+ * @param {Object} filters - Optional filters
+ * @param {boolean} filters.includeHidden - Include hidden commands
+ * @param {Array<string>} filters.roles - Only commands requiring one of these roles
+ * @returns {Array<Object>} Command definitions
+ */
+function list(filters = {}) {
+    return [...commands.values()].filter(command => {
+        if (command.hidden && !filters.includeHidden) return false;
+        if (filters.roles && !filters.roles.includes(command.role)) return false;
+        return true;
+    });
+}
+
+/**
+ * Resolve the role of a user
+ *
+ * @param {string} sender - Sender JID or number
+ * @param {string} chatId - Chat JID (for group roles)
+ * @returns {string} Role name (see lib/roles)
+ */
+function getUserRole(sender, chatId = null) {
+    return roles.getRole(sender, chatId);
+}
+
+/**
+ * Check whether a user role satisfies a command's access level
+ *
+ * Blocked users have no access at all. In private mode 'allowed'
+ * commands need the trusted role.
+ *
+ * @param {string} role - User's role
+ * @param {string} requiredRole - Access level required by the command
+ * @returns {boolean} Whether access is granted
+ */
+function hasRole(role, requiredRole) {
+    if (role === 'blocked') return false;
+
+    const minimum = requiredRole === 'allowed'
+        ? (database.getBotSettings().isPublic ? 'user' : 'trusted')
+        : MINIMUM_ROLES[requiredRole];
+
+    return roles.isAtLeast(role, minimum);
+}
+
+/**
+ * Check and update the cooldown of a command for a user
+ *
+ * @param {Object} command - Command definition
+ * @param {string} sender - Sender JID
+ * @returns {number} Seconds left before the command can be used again (0 if ready)
+ */
+function checkCooldown(command, sender) {
+    if (!command.cooldown) return 0;
+
+    const key = `${command.name}:${database.normalizeNumber(sender)}`;
+    const now = Date.now();
+    const previous = lastUsed.get(key) || 0;
+    const remaining = previous + (command.cooldown * 1000) - now;
+
+    if (remaining > 0) {
+        return Math.ceil(remaining / 1000);
+    }
+
+    lastUsed.set(key, now);
+    return 0;
+}
+
+/**
+ * Parse raw arguments against a command's argument schema
+ *
+ * Supported types: 'word' (default, one token), 'number', 'text' (rest of
+ * the message) and 'mention' (taken from the mentioned JIDs, consumes no token).
+ *
+ * @param {Object} command - Command definition
+ * @param {Array<string>} args - Raw arguments
+ * @param {Array<string>} mentions - Mentioned JIDs
+ * @returns {Object} { success, values, error }
+ */
+function parseArgs(command, args, mentions = []) {
+    const values = {};
+    let index = 0;
+    let mentionIndex = 0;
+
+    for (const spec of command.args) {
+        const type = spec.type || 'word';
+        let value;
+
+        if (type === 'mention') {
+            value = mentions[mentionIndex++];
+        } else if (type === 'text') {
+            value = args.slice(index).join(' ').trim() || undefined;
+            index = args.length;
+        } else {
+            value = args[index];
+            if (value !== undefined) index++;
+        }
+
+        if (value === undefined) {
+            if (spec.required) {
+                return { success: false, error: `Missing ${spec.name}` };
+            }
+            value = spec.default;
+        } else if (type === 'number') {
+            const number = Number(value);
+            if (isNaN(number)) {
+                return { success: false, error: `${spec.name} must be a number` };
+            }
+            value = number;
+        } else if (spec.choices && !spec.choices.includes(value.toLowerCase())) {
+            return { success: false, error: `${spec.name} must be one of: ${spec.choices.join(', ')}` };
+        }
+
+        values[spec.name] = spec.choices && typeof value === 'string' ? value.toLowerCase() : value;
+    }
+
+    return { success: true, values };
+}
+
+/**
+ * Format the usage line of a command
+ *
+ * @param {Object} command - Command definition
+ * @param {string} prefix - Command prefix
+ * @returns {string} Usage line
+ */
+function formatUsage(command, prefix = '.') {
+    let usage = command.usage;
+
+    if (usage === null) {
+        usage = command.args.map(spec => {
+            const label = spec.type === 'mention'
+                ? '@user'
+                : spec.choices ? spec.choices.join('|') : spec.name;
+            return spec.required ? `<${label}>` : `[${label}]`;
+        }).join(' ');
+    }
+
+    return `${prefix}${command.name}${usage ? ' ' + usage : ''}`;
+}
+
+/**
+ * Format the notes of a command
+ *
+ * @param {Object} command - Command definition
+ * @param {string} prefix - Command prefix
+ * @returns {string|null} Notes with {prefix} filled in
+ */
+function formatNotes(command, prefix = '.') {
+    return command.notes ? command.notes.replace(/\{prefix\}/g, prefix) : null;
+}
+
+module.exports = {
+    ROLES,
+    register,
+    get,
+    list,
+    getUserRole,
+    hasRole,
+    checkCooldown,
+    parseArgs,
+    formatUsage,
+    formatNotes
+};
@@ -0,0 +1,118 @@
+/**
+ * Role commands for WhatsApp bot
+ */
+const database = require('../lib/database');
+const roles = require('../lib/roles');
+const registry = require('./registry');
+
+/**
+ * Get the user a role command is about (mention or number argument)
+ */
+function getTarget(mentions, args) {
+    if (mentions.length > 0) {
+        return mentions[0];
+    }
+
+    const number = args.find(arg => /^\+?\d{6,}$/.test(arg));
+    return number || null;
+}
+
+/**
+ * Format the grants of a scope
+ */
+function formatGrants(grants) {
+    return grants
+        .map(grant => `• ${database.getContactName(grant.number) || grant.number}: ${grant.role}`)
+        .join('\n');
+}
+
+/**
+ * Format audit trail entries
+ */
+function formatAuditLog(entries) {
+    return entries.map(entry => {
+        const date = new Date(entry.timestamp).toLocaleString();
+        const change = entry.action === 'grant'
+            ? `${entry.previousRole || 'none'} → ${entry.role}`
+            : `${entry.previousRole} revoked`;
+        const where = entry.scope === 'global' ? ' (global)' : '';
+        return `• ${date}: ${entry.target} ${change}${where} by ${entry.by}`;
+    }).join('\n');
+}
+
+registry.register({
+    name: 'role',
+    aliases: ['roles'],
+    category: 'Settings',
+    description: 'Show, grant or revoke user roles',
+    role: 'allowed',
+    args: [{ name: 'action', choices: ['show', 'grant', 'revoke', 'list', 'audit'], default: 'show' }],
+    usage: '[show|grant|revoke|list|audit] [@user] [role] [global]',
+    subcommands: [
+        { name: 'show [@user]', description: 'Show the role of a user' },
+        { name: 'grant @user <role> [global]', description: 'Give a user a role in this group (or everywhere)' },
+        { name: 'revoke @user [global]', description: 'Remove a role grant' },
+        { name: 'list [global]', description: 'List role grants (moderators)' },
+        { name: 'audit [global]', description: 'Show recent role changes (moderators)' }
+    ],
+    notes: `Roles: ${roles.ROLES.join(', ')}. Only roles below your own can be granted.`,
+    handler: async ({ sender, remoteJid, isGroup, args, values, mentions, role, prefix }) => {
+        const rest = args.slice(1);
+        const scope = !isGroup || rest.includes('global') ? 'global' : remoteJid;
+        const target = getTarget(mentions, rest);
+
+        switch (values.action) {
+            case 'grant': {
+                const roleName = rest.find(arg => roles.resolveRoleName(arg));
+                if (!target || !roleName) {
+                    return { success: false, message: `⚠️ Usage: ${prefix}role grant @user <role> [global]` };
+                }
+                const result = roles.grantRole(target, roleName, { scope, by: sender });
+                return { ...result, message: `${result.success ? '✅' : '⚠️'} ${result.message}` };
+            }
+
+            case 'revoke': {
+                if (!target) {
+                    return { success: false, message: `⚠️ Usage: ${prefix}role revoke @user [global]` };
+                }
+                const result = roles.revokeRole(target, { scope, by: sender });
+                return { ...result, message: `${result.success ? '✅' : '⚠️'} ${result.message}` };
+            }
+
+            case 'list':
+            case 'audit': {
+                if (!roles.isAtLeast(role, 'group-moderator')) {
+                    return { success: false, message: '⚠️ Only group moderators can use this command.' };
+                }
+
+                const title = scope === 'global' ? 'Global' : 'Group';
+                if (values.action === 'list') {
+                    const grants = roles.listGrants(scope);
+                    return {
+                        success: true,
+                        message: grants.length > 0
+                            ? `👥 *${title} Roles*\n\n${formatGrants(grants)}`
+                            : `👥 No ${title.toLowerCase()} roles have been granted.`
+                    };
+                }
+
+                const entries = roles.getAuditLog({ scope, limit: 15 });
+                return {
+                    success: true,
+                    message: entries.length > 0
+                        ? `📜 *${title} Role Changes*\n\n${formatAuditLog(entries)}`
+                        : '📜 No role changes yet.'
+                };
+            }
+
+            default: {
+                const user = target || sender;
+                const number = database.normalizeNumber(user);
+                return {
+                    success: true,
+                    message: `👤 ${database.getContactName(user) || number}: *${roles.getRole(user, remoteJid)}*`
+                };
+            }
+        }
+    }
+});
@@ -1,4 +1,10 @@
 // Configuration settings for the WhatsApp bot
+
+// Split a comma-separated environment value into a list
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 const config = {
     // API keys
     geminiApiKey: process.env.GEMINI_API_KEY || 'YOUR_GEMINI_API_KEY_HERE',
@@ -11,15 +17,127 @@ const config = {
     animeQuizFile: './data/animeQuiz.json',
     animeCardsFile: './data/animeCards.json',
     
+    // Storage backend: 'json' (files in databaseDir) or 'sqlite' (needs better-sqlite3).
+    // The first start with 'sqlite' imports the existing JSON files.
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'json',
+        sqliteFile: process.env.SQLITE_FILE || './data/vryzen.db'
+    },
+    
+    // AI providers. Each feature uses a comma-separated provider chain (AI_PROVIDER_CHAT,
+    // AI_PROVIDER_SUMMARIZE, ...) or the default chain in AI_PROVIDER; when a provider
+    // fails the next one is tried. Providers: gemini, openai, llamacpp, ollama, mock.
+    ai: {
+        providers: {
+            default: parseList(process.env.AI_PROVIDER || 'gemini'),
+            chat: parseList(process.env.AI_PROVIDER_CHAT),
+            summarize: parseList(process.env.AI_PROVIDER_SUMMARIZE),
+            translate: parseList(process.env.AI_PROVIDER_TRANSLATE),
+            autoreply: parseList(process.env.AI_PROVIDER_AUTOREPLY)
+        },
+        gemini: {
+            apiKey: process.env.GEMINI_API_KEY || 'YOUR_GEMINI_API_KEY_HERE',
+            model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+        },
+        openai: {
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: process.env.OPENAI_API_KEY || '',
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            vision: process.env.OPENAI_VISION !== 'false',
+            tools: process.env.OPENAI_TOOLS !== 'false'
+        },
+        llamacpp: {
+            baseUrl: process.env.LLAMACPP_URL || 'http://localhost:8080/v1',
+            model: process.env.LLAMACPP_MODEL || 'local',
+            vision: process.env.LLAMACPP_VISION === 'true',
+            tools: process.env.LLAMACPP_TOOLS === 'true' // needs llama-server --jinja
+        },
+        ollama: {
+            url: process.env.OLLAMA_URL || 'http://localhost:11434',
+            model: process.env.OLLAMA_MODEL || 'llama3.1',
+            vision: process.env.OLLAMA_VISION === 'true', // e.g. with llava
+            tools: process.env.OLLAMA_TOOLS === 'true' // e.g. with llama3.1
+        },
+        timeoutMs: 60000, // Local models can take a while
+        
+        // Tool calling: chat replies can look up points, cards and polls, start
+        // quizzes and schedule reminders for the user (see lib/ai/tools).
+        tools: {
+            enabled: process.env.AI_TOOLS !== 'false'
+        },
+        
+        // Replies are converted from Markdown to WhatsApp formatting and split into
+        // numbered parts above maxMessageLength. With codeAsDocument, code blocks of
+        // codeDocumentMinLines lines or more are sent as file attachments.
+        formatting: {
+            maxMessageLength: 3000,
+            codeAsDocument: process.env.AI_CODE_AS_DOCUMENT === 'true',
+            codeDocumentMinLines: 15
+        },
+        
+        // Image understanding (replying to a photo). Groups enable it with .vision.
+        vision: {
+            maxImageBytes: 5 * 1024 * 1024,
+            enabledInGroups: false
+        },
+        
+        // Request scheduling: token buckets hold a few requests and refill one
+        // token every refillSeconds. Owners and bot admins skip user limits.
+        scheduler: {
+            userBucket: { capacity: 3, refillSeconds: 30 },
+            groupBucket: { capacity: 10, refillSeconds: 12 },
+            dailyQuota: {
+                user: Number(process.env.AI_DAILY_QUOTA_USER) || 100,
+                group: Number(process.env.AI_DAILY_QUOTA_GROUP) || 500
+            }
+        }
+    },
+    
+    // Speech-to-text for voice notes (.transcribe, .voice). The whispercpp backend
+    // runs a local whisper.cpp binary and needs ffmpeg to convert the audio.
+    speech: {
+        backend: process.env.SPEECH_BACKEND || 'whispercpp',
+        whisperCpp: {
+            binary: process.env.WHISPER_CPP_BINARY || 'whisper-cli',
+            model: process.env.WHISPER_CPP_MODEL || './models/ggml-base.bin',
+            language: process.env.WHISPER_LANGUAGE || 'auto',
+            threads: Number(process.env.WHISPER_THREADS) || 4
+        },
+        ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+        maxDurationSeconds: 300,
+        timeoutMs: 120000
+    },
+    
+    // Message archive (.archive, .search); groups opt in and pick how long messages are kept
+    archive: {
+        defaultRetentionDays: Number(process.env.ARCHIVE_RETENTION_DAYS) || 30,
+        maxRetentionDays: 365
+    },
+    
+    // Group digests (.digest); the time is read in the group's timezone
+    digest: {
+        defaultTime: process.env.DIGEST_TIME || '21:00'
+    },
+    
     // Bot settings
+    botName: process.env.BOT_NAME || 'Vryzen', // Used in AI persona prompts
     botOwners: ['YOUR_PHONE_NUMBER_HERE'], // Add your phone number with country code (e.g., '+1234567890')
     botAdmins: ['YOUR_PHONE_NUMBER_HERE'], // Add your phone number with country code
     defaultPublicAccess: true, // Whether the bot is publicly accessible by default
+    defaultTimezone: process.env.BOT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone, // Used for schedules unless a group sets .timezone
+    
+    // Command prefixes (groups can override these with .prefix)
+    commandPrefixes: {
+        // Comma-separated in BOT_PREFIX, e.g. BOT_PREFIX=.,!
+        default: (process.env.BOT_PREFIX || '.').split(',').map(prefix => prefix.trim()).filter(Boolean),
+        // Accept "@bot command" as a command
+        mention: true
+    },
     
     // Message handling settings
     messageHandling: {
-        // Ability to force the bot to treat all replies as replies to the bot (useful for debugging)
-        forceReplyDetection: true,
+        // How long the IDs of sent messages are kept to recognize replies to the bot
+        sentMessageTtlHours: 72,
         // Keywords that trigger the bot's attention when included in a message
         triggerKeywords: ['bot', 'assistant', 'help'],
         // Only respond to messages when explicitly mentioned (reply or mention)
@@ -21,16 +21,31 @@ keepAliveServer.listen(PORT, () => {
 // Import modules
 const database = require('./lib/database');
 const ai = require('./lib/ai');
+const aiMemory = require('./lib/aiMemory');
+const aiVision = require('./lib/aiVision');
+const knowledgeBase = require('./lib/knowledgeBase');
+const whatsappFormat = require('./lib/whatsappFormat');
+const sentMessages = require('./lib/sentMessages');
+const voiceNotes = require('./lib/voiceNotes');
+const messageArchive = require('./lib/messageArchive');
+const conversationBuffer = require('./lib/conversationBuffer');
+const autoTranslate = require('./lib/autoTranslate');
+const groupEvents = require('./lib/groupEvents');
+const groupDigest = require('./lib/groupDigest');
+const roles = require('./lib/roles');
 const animeNews = require('./lib/animeNews'); // Re-enabled news functionality
 const profanityFilter = require('./lib/profanityFilter');
 const contacts = require('./lib/contacts');
 const translation = require('./lib/translation');
 const analytics = require('./lib/analytics');
+const scheduledMessages = require('./lib/scheduledMessages');
+const polls = require('./lib/polls');
 const autoReply = require('./lib/autoReply');
 const commandHandler = require('./commands');
 const config = require('./config');
 const groupRelationship = require('./lib/groupRelationship');
 const messageStats = require('./lib/messageStats');
+const prefixes = require('./lib/prefixes');
 const protectionCommands = require('./commands/protection');
 
 // Protection system libraries
@@ -42,9 +57,6 @@ const evidenceCollection = require('./lib/evidenceCollection');
 // Removed betting functionality
 // const animeBetting = require('./lib/animeBetting');
 
-// Conversation context map (for short-term memory)
-const conversationContext = new Map();
-
 // Track bot connections
 let sock = null;
 let isConnected = false;
@@ -176,8 +188,13 @@ async function connectToWhatsApp() {
             fireInitQueries: false,
             baileys: {
                 hideLog: true 
-            }
+            },
+            // Baileys needs the original poll message to decrypt poll votes
+            getMessage: async (key) => polls.getPollMessage(key)
         });
+        
+        // Remember the IDs of sent messages to recognize replies to the bot
+        sentMessages.track(sock);
 
         // Handle connection updates
         sock.ev.on('connection.update', async (update) => {
@@ -245,6 +262,9 @@ async function connectToWhatsApp() {
                 // Set connected flag to false
                 isConnected = false;
                 
+                // Hold scheduled messages until the connection is back
+                scheduledMessages.stop();
+                
                 // Track connection attempts
                 connectionAttempts++;
                 
@@ -277,6 +297,18 @@ async function connectToWhatsApp() {
                 
                 // Initialize anime news scheduler
                 animeNews.initNewsScheduler(sock);
+                
+                // Re-arm stored scheduled messages
+                scheduledMessages.start(sock);
+                
+                // Re-arm poll deadlines
+                polls.start(sock);
+                
+                // Drop archived messages past their group's retention period
+                messageArchive.startPruning();
+                
+                // Re-arm group digests
+                groupDigest.start(sock);
             }
         });
 
@@ -286,7 +318,10 @@ async function connectToWhatsApp() {
         // Listen for group updates to detect admin changes and potential takeovers
         sock.ev.on('group-participants.update', async (update) => {
             try {
-                // Only interested in promote/demote events
+                // Joins, leaves and admin changes for group digests
+                groupEvents.recordParticipantsUpdate(update);
+                
+                // The takeover check only looks at promote/demote events
                 if (update.action === 'promote' || update.action === 'demote') {
                     const groupId = update.id;
                     const participants = update.participants;
@@ -344,6 +379,15 @@ async function connectToWhatsApp() {
             }, 10000); // Give the connection time to stabilize
         }
 
+        // Record votes on native WhatsApp polls
+        sock.ev.on('messages.update', (updates) => {
+            for (const { key, update } of updates) {
+                if (update.pollUpdates) {
+                    polls.recordNativeVotes(key, update.pollUpdates);
+                }
+            }
+        });
+
         // Handle incoming messages
         sock.ev.on('messages.upsert', async ({ messages }) => {
             for (const message of messages) {
@@ -370,16 +414,36 @@ async function connectToWhatsApp() {
                 const messageContent = message.message?.conversation || 
                                       message.message?.extendedTextMessage?.text || 
                                       message.message?.imageMessage?.caption || 
-                                      message.message?.videoMessage?.caption || '';
+                                      message.message?.videoMessage?.caption || 
+                                      message.message?.documentMessage?.caption ||
+                                      message.message?.documentWithCaptionMessage?.message?.documentMessage?.caption || '';
+                
+                // Split off the chat's command prefix (or "@bot" mention) if there is one
+                const parsedCommand = prefixes.parseCommand(messageContent, {
+                    chatId: remoteJid,
+                    botNumber: sock.user.id.split('@')[0].split(':')[0],
+                    mentionedJids: message.message?.extendedTextMessage?.contextInfo?.mentionedJid
+                });
+                
+                // A mention only counts as a prefix when it is followed by a known command
+                const isCommand = Boolean(parsedCommand) &&
+                    (!parsedCommand.viaMention || commandHandler.isCommand(parsedCommand.body));
                 
                 // Check if message is from the bot itself (key.fromMe is true)
                 if (message.key.fromMe) {
-                    // If it's not a command (doesn't start with '.'), skip processing
-                    if (!messageContent.startsWith('.')) {
+                    // If it's not a command, skip processing
+                    if (!isCommand) {
                         continue;
                     }
                     console.log('Processing command from bot number:', sender);
                 }
+                
+                // Keep recent group messages for .catchup, and a searchable copy in groups
+                // that turned the archive on (commands are left out of both)
+                if (isGroup && !message.key.fromMe && !isCommand) {
+                    conversationBuffer.record(message, messageContent);
+                    messageArchive.recordMessage(message);
+                }
                 // Debugging the message structure for quoted replies
                 const contextInfo = message.message?.extendedTextMessage?.contextInfo || 
                                   message.message?.imageMessage?.contextInfo ||
@@ -404,63 +468,19 @@ async function connectToWhatsApp() {
                     console.log('Full Context Info:', JSON.stringify(contextInfo, null, 2));
                 }
 
-                // Check if message is a reply to the bot - using multiple detection methods
-                let isReplyToBot = false;
-                
-                // Print quoted message if available
-                if (quotedMsg) {
-                    console.log('Quoted Message Type:', Object.keys(quotedMsg)[0]);
-                    
-                    // Try to extract the text from quoted message (expanded to catch more cases)
-                    const quotedText = quotedMsg.conversation || 
-                                     quotedMsg.extendedTextMessage?.text ||
-                                     quotedMsg.imageMessage?.caption ||
-                                     quotedMsg.videoMessage?.caption ||
-                                     quotedMsg.documentMessage?.caption ||
-                                     quotedMsg.templateMessage?.hydratedTemplate?.hydratedContentText ||
-                                     quotedMsg.buttonsMessage?.contentText ||
-                                     quotedMsg.listMessage?.description ||
-                                     '';
-                    
-                    if (quotedText) {
-                        console.log('Quoted Message Text:', quotedText);
-                        
-                        // Extra detection: see if this is likely a bot message by content patterns
-                        if (
-                            // These patterns might indicate bot-generated content
-                            quotedText.includes("Thank you for your question") ||
-                            quotedText.includes("Here's what I found") ||
-                            quotedText.includes("To answer your question") ||
-                            quotedText.match(/^(Yes|No|Sure|Absolutely|Indeed|Actually|Well,|Hmm,).*/)
-                        ) {
-                            console.log("Detected potential bot message pattern in quoted text");
-                            isReplyToBot = true;
-                        }
-                    }
+                // Check if message is a reply to the bot: the quoted message ID is one the bot sent.
+                // In chats the registry hasn't recorded yet (replies to messages sent before IDs
+                // were recorded), a quoted sender of the bot's number counts too.
+                let isReplyToBot = sentMessages.isSentByBot(remoteJid, contextInfo?.stanzaId);
+                
+                if (!isReplyToBot && quotedSender && sock.user.id && !sentMessages.isTracked(remoteJid)) {
+                    const cleanQuotedSender = quotedSender.split('@')[0].split(':')[0].trim();
+                    const cleanBotId = sock.user.id.split('@')[0].split(':')[0].trim();
+                    isReplyToBot = cleanQuotedSender === cleanBotId;
                 }
                 
-                // Method 1: Check by participant JID (improved with more flexible matching)
-                if (quotedSender && sock.user.id) {
-                    // First try the direct JID comparison
-                    if (quotedSender === sock.user.id) {
-                        isReplyToBot = true;
-                    } else {
-                        // Clean the JIDs for comparison by removing any domain or additional info
-                        const cleanQuotedSender = quotedSender.split('@')[0].split(':')[0].trim();
-                        const cleanBotId = sock.user.id.split('@')[0].split(':')[0].trim();
-                        isReplyToBot = cleanQuotedSender === cleanBotId;
-                    }
-                }
-                
-                // Method 2: Check if the stanza ID (message ID) belongs to a message sent by the bot
-                // This requires tracking sent message IDs, which we could implement if needed
-                
-                // Method 3: Use config setting to force reply detection if enabled
-                // (This is controlled via the config file)
-                if (!isReplyToBot && config.messageHandling.forceReplyDetection && contextInfo && contextInfo.stanzaId) {
-                    // Force consider all replies as replies to the bot (enabled in config)
-                    isReplyToBot = true;
-                    console.log('Force reply detection enabled: treating quoted message as reply to bot');
+                if (quotedMsg) {
+                    console.log('Quoted Message Type:', Object.keys(quotedMsg)[0], isReplyToBot ? '(reply to bot)' : '');
                 }
                 
                 // Check if message is a direct message to bot or a reply to bot or if bot should be mentioned
@@ -477,22 +497,46 @@ async function connectToWhatsApp() {
                 // Bot is mentioned ONLY if directly tagged with @ - stricter detection
                 const isBotMentioned = messageContent.toLowerCase().includes('@' + botUsername.toLowerCase());
                 
-                // Flag for dot commands - they should always be processed regardless of mentions
-                const isDotCommand = messageContent.startsWith('.');
-                
-                // In groups, respond if explicitly mentioned, replied to, or if it's a dot command
-                const isDirectToBot = !isGroup || isReplyToBot || isBotMentioned || isDotCommand;
+                // In groups, respond if explicitly mentioned, replied to, or if it's a command
+                const isDirectToBot = !isGroup || isReplyToBot || isBotMentioned || isCommand;
                 
                 // Only respond to messages where the bot is explicitly mentioned, tagged, or replied to
                 const respondToAllGroupMessages = false; // Do not respond to all messages in groups
                 
-                // Check if message is a command (starts with '.')
-                if (messageContent.startsWith('.')) {
+                // Check if message might be an anime quiz answer (A, B, C, D).
+                // With a prefix or mention ("!B", "@bot B") only a bare option counts as an answer.
+                const quizAnswer = parsedCommand
+                    ? (/^[a-d1-4]$/i.test(parsedCommand.body.trim()) ? parsedCommand.body.trim() : null)
+                    : (messageContent.trim().length <= 3 ? messageContent : null);
+                
+                if (quizAnswer) {
+                    try {
+                        const animeQuizCommands = require('./commands/animeQuiz');
+                        const isQuizAnswer = await animeQuizCommands.handleQuizAnswer({
+                            sock,
+                            sender,
+                            message,
+                            remoteJid, 
+                            messageContent: quizAnswer
+                        });
+                        
+                        if (isQuizAnswer) {
+                            // If it was a quiz answer, don't process further
+                            continue;
+                        }
+                    } catch (error) {
+                        console.error('Error processing potential quiz answer:', error);
+                    }
+                }
+                
+                // Check if message is a command (starts with one of the chat's prefixes)
+                if (isCommand) {
                     // Process command
                     await commandHandler.handleCommand({
                         sock,
                         message,
                         messageContent,
+                        commandText: parsedCommand.body,
                         sender,
                         remoteJid,
                         isGroup,
@@ -511,29 +555,6 @@ async function connectToWhatsApp() {
                     continue;
                 }
                 
-                // Check if message might be an anime quiz answer (A, B, C, D)
-                try {
-                    const animeQuizCommands = require('./commands/animeQuiz');
-                    
-                    // If the message is just a single letter (A,B,C,D) or short option answer
-                    if (messageContent.trim().length <= 3) {
-                        const isQuizAnswer = await animeQuizCommands.handleQuizAnswer({
-                            sock,
-                            sender,
-                            message,
-                            remoteJid, 
-                            messageContent
-                        });
-                        
-                        if (isQuizAnswer) {
-                            // If it was a quiz answer, don't process further
-                            continue;
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error processing potential quiz answer:', error);
-                }
-                
                 // Record message activity for analytics
                 const messageType = message.message?.imageMessage ? 'image' : 
                                    message.message?.videoMessage ? 'video' :
@@ -570,12 +591,15 @@ async function connectToWhatsApp() {
                         msgType: messageType,
                         timestamp: Date.now()
                     });
+                    
+                    // Translate the message for groups with auto-translate on, without holding up the rest
+                    autoTranslate.handleMessage(sock, message, messageContent)
+                        .catch(error => console.error('Error auto-translating message:', error));
                 }
                 
-                // Check for auto-replies using the new system
+                // Check for auto-replies
                 if (messageContent && remoteJid) {
                     try {
-                        // Check for auto-replies with the new system first
                         const autoReplyResult = autoReply.processMessage({
                             text: messageContent,
                             isGroup,
@@ -584,33 +608,16 @@ async function connectToWhatsApp() {
                         });
                         
                         if (autoReplyResult.match) {
-                            await sock.sendMessage(remoteJid, { 
-                                text: autoReplyResult.response,
-                                quoted: message 
-                            });
-                            // Track this interaction
-                            const numberToTrack = sender.split('@')[0];
-                            contacts.trackEngagement(numberToTrack, 1);
-                            continue;
-                        }
-                        
-                        // Fall back to the old system if exists
-                        try {
-                            const advancedMessaging = require('./commands/advancedMessaging');
-                            const oldAutoReply = await advancedMessaging.checkAutoReply(messageContent, remoteJid);
-                            
-                            if (oldAutoReply) {
+                            for (const content of autoReply.buildReplyContent(autoReplyResult)) {
                                 await sock.sendMessage(remoteJid, { 
-                                    text: oldAutoReply,
+                                    ...content,
                                     quoted: message 
                                 });
-                                // Track this interaction
-                                const numberToTrack = sender.split('@')[0];
-                                contacts.trackEngagement(numberToTrack, 1);
-                                continue;
                             }
-                        } catch (oldError) {
-                            // Old system not available or failed, continue
+                            // Track this interaction
+                            const numberToTrack = sender.split('@')[0];
+                            contacts.trackEngagement(numberToTrack, 1);
+                            continue;
                         }
                     } catch (error) {
                         // Silently fail if auto-reply check fails - continue to AI processing
@@ -632,13 +639,52 @@ async function connectToWhatsApp() {
                     continue;
                 }
                 
+                // Transcribe voice notes for auto-transcription or for voice chat with the AI
+                let voiceTranscript = '';
+                if (message.message?.audioMessage && !message.key.fromMe) {
+                    const voiceSettings = voiceNotes.getSettings(remoteJid);
+                    const wantsAIReply = voiceSettings.voiceChat && isDirectToBot;
+                    
+                    if (voiceSettings.autoTranscribe || wantsAIReply) {
+                        try {
+                            const result = await voiceNotes.transcribeMessage(sock, message);
+                            if (result && result.error) {
+                                // Only complain when the user was talking to the bot
+                                if (wantsAIReply) {
+                                    await sock.sendMessage(remoteJid, { text: `⚠️ ${result.error}`, quoted: message });
+                                }
+                                continue;
+                            }
+                            voiceTranscript = result ? result.text : '';
+                        } catch (error) {
+                            console.error('Error transcribing voice note:', error.message);
+                            if (wantsAIReply) {
+                                await sock.sendMessage(remoteJid, {
+                                    text: "Sorry, I couldn't listen to that voice note. Please type your message instead.",
+                                    quoted: message
+                                });
+                            }
+                            continue;
+                        }
+                        
+                        if (voiceSettings.autoTranscribe && voiceTranscript) {
+                            await sock.sendMessage(remoteJid, { text: `🎙️ ${voiceTranscript}`, quoted: message });
+                        }
+                    }
+                    
+                    // Voice notes the bot didn't listen to get no AI reply
+                    if (!wantsAIReply) {
+                        continue;
+                    }
+                }
+                
                 // Debug logs to understand message addressing
                 console.log('Message analysis:', {
                     isGroup,
                     isReplyToBot,
                     isBotMentioned,
                     isDirectToBot,
-                    isDotCommand,
+                    isCommand,
                     respondToAllGroupMessages,
                     shouldProcess: isDirectToBot || (isGroup && respondToAllGroupMessages),
                     messageContent: messageContent.substring(0, 50) // First 50 chars only
@@ -650,43 +696,74 @@ async function connectToWhatsApp() {
                     await sock.presenceSubscribe(remoteJid);
                     await sock.sendPresenceUpdate('composing', remoteJid);
                     
-                    // Get previous context
-                    const chatId = isGroup ? `${remoteJid}-${sender}` : remoteJid;
-                    const context = conversationContext.get(chatId) || [];
+                    // Look at the photo the user sent or replied to
+                    let images = [];
+                    if (aiVision.isEnabled(remoteJid)) {
+                        try {
+                            const image = await aiVision.getImage(sock, message);
+                            if (image && image.error) {
+                                await sock.sendMessage(remoteJid, { text: `⚠️ ${image.error}` });
+                                continue;
+                            }
+                            if (image) {
+                                images = [image];
+                            }
+                        } catch (error) {
+                            console.error('Error downloading image for AI:', error.message);
+                        }
+                    }
+                    const prompt = voiceTranscript || messageContent || (images.length > 0 ? 'What is in this image?' : '');
+                    
+                    // Get stored conversation (summary, remembered facts and recent turns)
+                    const context = aiMemory.buildContext(remoteJid, sender);
+                    
+                    // Look up the chat's knowledge base entries that match the question
+                    const knowledge = knowledgeBase.search(remoteJid, prompt);
                     
                     try {
                         // Get AI response
-                        console.log('Sending message to AI:', messageContent);
-                        const response = await ai.getResponse(messageContent, context);
+                        console.log('Sending message to AI:', prompt, images.length > 0 ? '(with image)' : '');
+                        const response = await ai.getResponse(prompt, context, {
+                            feature: 'chat',
+                            images,
+                            // Lets the AI check points, start quizzes, etc. for this user
+                            tools: { sock },
+                            knowledge,
+                            userId: sender,
+                            chatId: remoteJid,
+                            // Owners talking to the bot directly go first
+                            priority: !isGroup && roles.hasRole(sender, 'owner') ? 'high' : 'normal',
+                            // A newer message from the same user replaces this one
+                            supersedeKey: `${remoteJid}|${sender}`,
+                            onQueued: (position) => sock.sendMessage(remoteJid, {
+                                text: `⏳ You're #${position} in line, I'll answer shortly.`
+                            })
+                        });
                         console.log('AI response received successfully');
                         
-                        // Update context (keep last 5 messages)
-                        let newContext = [];
+                        // Replace the [#id] markers with the knowledge base entries used
+                        const answer = knowledgeBase.addCitations(response, knowledge);
                         
-                        // If there's existing context, preserve it
-                        if (context.length > 0) {
-                            newContext = [...context.slice(-8)]; // Keep last 4 exchanges (8 messages)
-                        }
+                        // Remember the exchange (skipped for users who opted out)
+                        const mediaTag = images.length > 0 ? '[image] ' : voiceTranscript ? '[voice] ' : '';
+                        aiMemory.recordExchange(remoteJid, sender, `${mediaTag}${prompt}`, answer);
                         
-                        // Add new messages to context
-                        newContext.push({ role: 'user', parts: [{ text: messageContent }] });
-                        newContext.push({ role: 'model', parts: [{ text: response }] });
-                        
-                        conversationContext.set(chatId, newContext);
-                        
-                        // Send response as a reply to the original message
-                        await sock.sendMessage(remoteJid, { 
-                            text: response,
-                            // Add the quoted information to make it a reply
-                            quoted: message 
-                        });
+                        // Send response as a reply to the original message (in WhatsApp formatting, split if long)
+                        await whatsappFormat.sendFormatted(sock, remoteJid, answer, { quoted: message });
                     } catch (error) {
+                        // The user sent a newer message, which gets the answer instead
+                        if (error.code === 'AI_CANCELLED') {
+                            continue;
+                        }
+                        
                         console.error('Error getting AI response:', error);
                         
                         // Rate limit specific message
                         let errorMessage = '';
                         
-                        if (error.message && error.message.includes('429')) {
+                        if (error.code === 'AI_QUOTA') {
+                            errorMessage = error.message;
+                        } else if (error.message && error.message.includes('429')) {
                             errorMessage = "I'm currently handling too many requests. Please try again in a minute when I'm less busy.";
                         } else if (error.message && error.message.includes('multiple attempts')) {
                             errorMessage = "I'm having trouble connecting to my AI service right now. Please try a simpler question or try again later.";
@@ -766,14 +843,15 @@ async function connectToWhatsApp() {
 
 // Add welcome message function
 async function sendWelcomeMessage(sock, remoteJid, sender) {
+    const prefix = prefixes.getDisplayPrefix(remoteJid);
     const welcomeMessage = `👋 *Welcome to Vryzen's WhatsApp Bot!*\n\n` +
         `I'm an AI-powered bot created by Vryzen for educational purposes.\n\n` +
         `📺 *Watch the Tutorial:*\n` +
         `Learn how to use me on YouTube: @Vryzen\n\n` +
         `💡 *Quick Start:*\n` +
-        `• Type .cmds to see all commands\n` +
+        `• Type ${prefix}cmds to see all commands\n` +
         `• Chat normally to talk with AI\n` +
-        `• Use .help for detailed guides\n\n` +
+        `• Use ${prefix}help for detailed guides\n\n` +
         `Enjoy using the bot! 🚀`;
     
     await sock.sendMessage(remoteJid, { text: welcomeMessage });
@@ -810,7 +888,8 @@ async function sendStartupMessage(sock) {
             console.error('Error updating bot profile picture:', error);
         }
 
-        const startupMessage = `🤖 *Vryzen vs1 WhatsApp Bot Started Successfully!*\n\n` +
+        // Each chat gets the prefix it uses
+        const startupMessage = (chatId) => `🤖 *Vryzen vs1 WhatsApp Bot Started Successfully!*\n\n` +
             `*Created by:* Aether\n\n` +
             `📺 *YouTube Channel:*\n` +
             `https://www.youtube.com/channel/UCK7M5Tn-HQRFMoV17KfqY0Q\n\n` +
@@ -828,18 +907,18 @@ async function sendStartupMessage(sock) {
             `3️⃣ *Card Collection* - Collect anime cards\n` +
             `4️⃣ *Group Management* - Manage your groups\n` +
             `5️⃣ *Auto-Reply* - Set up automatic responses\n\n` +
-            `Type .cmds to see all available commands! 🚀`;
+            `Type ${prefixes.getDisplayPrefix(chatId)}cmds to see all available commands! 🚀`;
         
         // Send to bot's own number
         const botNumber = sock.user.id.split('@')[0];
         const botJid = `${botNumber}@s.whatsapp.net`;
-        await sock.sendMessage(botJid, { text: startupMessage });
+        await sock.sendMessage(botJid, { text: startupMessage(botJid) });
         
         // Also send to all bot owners
         for (const owner of config.botOwners) {
             try {
                 const ownerJid = `${owner}@s.whatsapp.net`;
-                await sock.sendMessage(ownerJid, { text: startupMessage });
+                await sock.sendMessage(ownerJid, { text: startupMessage(ownerJid) });
             } catch (error) {
                 console.error(`Error sending startup message to owner ${owner}:`, error);
             }
@@ -849,6 +928,15 @@ async function sendStartupMessage(sock) {
     }
 }
 
+// Write pending storage changes before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        console.log(`Received ${signal}, saving data...`);
+        await database.saveAll();
+        process.exit(0);
+    });
+}
+
 // Start the bot
 connectToWhatsApp();
 
@@ -0,0 +1,122 @@
+/**
+ * Gemini AI provider
+ * Uses the @google/generative-ai SDK.
+ */
+
+// Gemini uses "model" for assistant messages
+const ROLE_NAMES = { user: 'user', assistant: 'model' };
+
+/**
+ * Convert messages to Gemini contents
+ *
+ * Tool calls become functionCall parts; consecutive tool results are merged
+ * into one "function" turn, as Gemini expects one answer per call turn.
+ */
+function toContents(messages) {
+    const contents = [];
+
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            const part = {
+                functionResponse: { name: message.name, response: JSON.parse(message.content) }
+            };
+            const previous = contents[contents.length - 1];
+            if (previous && previous.role === 'function') {
+                previous.parts.push(part);
+            } else {
+                contents.push({ role: 'function', parts: [part] });
+            }
+            continue;
+        }
+
+        contents.push({
+            role: ROLE_NAMES[message.role],
+            parts: [
+                ...(message.content ? [{ text: message.content }] : []),
+                ...(message.images || []).map(image => ({
+                    inlineData: { mimeType: image.mimetype, data: image.data.toString('base64') }
+                })),
+                ...(message.toolCalls || []).map(call => ({
+                    functionCall: { name: call.name, args: call.arguments }
+                }))
+            ]
+        });
+    }
+
+    return contents;
+}
+
+/**
+ * Convert tool definitions to Gemini function declarations
+ * (Gemini rejects object schemas without properties, so those are left out)
+ */
+function toFunctionDeclarations(tools) {
+    return tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters: Object.keys(parameters.properties || {}).length > 0 ? parameters : undefined
+    }));
+}
+
+/**
+ * Create a Gemini provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.model - Model name, e.g. 'gemini-1.5-flash'
+ * @param {number} options.minInterval - Milliseconds between requests (free tier limits)
+ * @returns {Object} AI provider
+ */
+function createGeminiProvider({ apiKey, model, minInterval = 0 }) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return {
+        name: 'gemini',
+        minInterval,
+        vision: true,
+        tools: true,
+
+        async generate({ system, messages, tools, maxTokens, temperature }) {
+            const chatModel = genAI.getGenerativeModel({
+                model,
+                systemInstruction: system || undefined
+            });
+
+            const result = await chatModel.generateContent({
+                contents: toContents(messages),
+                tools: tools && tools.length > 0
+                    ? [{ functionDeclarations: toFunctionDeclarations(tools) }]
+                    : undefined,
+                generationConfig: {
+                    maxOutputTokens: maxTokens,
+                    temperature,
+                    topP: 0.95,
+                    topK: 40
+                },
+                safetySettings: [
+                    {
+                        category: 'HARM_CATEGORY_HARASSMENT',
+                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+                    }
+                ]
+            });
+
+            const functionCalls = result.response.functionCalls();
+            if (functionCalls && functionCalls.length > 0) {
+                return {
+                    text: '',
+                    toolCalls: functionCalls.map((call, index) => ({
+                        id: `call_${index}`,
+                        name: call.name,
+                        arguments: call.args || {}
+                    }))
+                };
+            }
+
+            return result.response.text();
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,446 @@
+/**
+ * AI module for WhatsApp bot
+ * Sends requests to the configured AI providers. Every feature (chat,
+ * summarize, translate, autoreply) has its own provider chain: when a provider
+ * fails, the next one in the chain is tried. Requests wait their turn in
+ * ./scheduler, which applies per-user and per-group limits. Chat replies may
+ * call the bot features in ./tools on behalf of the user.
+ *
+ * Providers:
+ * - gemini: Google Gemini
+ * - openai: any OpenAI-compatible endpoint
+ * - llamacpp: a local llama.cpp server (OpenAI-compatible)
+ * - ollama: a local Ollama server
+ * - mock: deterministic offline replies
+ */
+const config = require('../../config');
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createOllamaProvider } = require('./ollamaProvider');
+const { createMockProvider } = require('./mockProvider');
+const scheduler = require('./scheduler');
+const tools = require('./tools');
+const aiPersonas = require('../aiPersonas');
+const prefixes = require('../prefixes');
+
+const FEATURES = ['chat', 'summarize', 'translate', 'autoreply'];
+
+// System instructions for features without a persona (chat uses the chat's persona, see lib/aiPersonas)
+const SYSTEM_INSTRUCTIONS = {
+    default: "Follow the instructions in the message exactly. Answer with the requested output only, without introductions or explanations."
+};
+
+// Added to the system instruction when the model can call tools
+const TOOLS_INSTRUCTION = "You can look up the user's points, card collection and poll results, start quizzes and schedule reminders with the provided tools. Use them whenever the user asks about these things instead of guessing, and never make up numbers.";
+
+// Added to the system instruction with the knowledge base entries that match the question
+const KNOWLEDGE_INSTRUCTION = "Entries from this chat's knowledge base that may answer the question are below. Prefer them over your own knowledge. After each piece of information you take from an entry, add its number in square brackets, like [#2]. If the entries don't answer the question, ignore them.";
+
+// Added to the message when no provider could look at the attached images
+const IMAGE_FALLBACK_NOTE = "[The user attached an image, but you can't see images right now. Say so briefly if the question is about the image.]";
+
+// Attempts per provider before moving on to the next one
+const MAX_ATTEMPTS = 2;
+
+// Rounds of tool calls before the model has to answer
+const MAX_TOOL_ROUNDS = 3;
+
+// Gemini free tier allows few requests per minute
+const GEMINI_MIN_INTERVAL = 10000;
+
+const providerFactories = {
+    gemini: () => createGeminiProvider({
+        apiKey: config.ai.gemini.apiKey,
+        model: config.ai.gemini.model,
+        minInterval: GEMINI_MIN_INTERVAL
+    }),
+    openai: () => createOpenAIProvider({
+        name: 'openai',
+        baseUrl: config.ai.openai.baseUrl,
+        apiKey: config.ai.openai.apiKey,
+        model: config.ai.openai.model,
+        vision: config.ai.openai.vision,
+        tools: config.ai.openai.tools,
+        timeoutMs: config.ai.timeoutMs
+    }),
+    llamacpp: () => createOpenAIProvider({
+        name: 'llamacpp',
+        baseUrl: config.ai.llamacpp.baseUrl,
+        apiKey: null,
+        model: config.ai.llamacpp.model,
+        vision: config.ai.llamacpp.vision,
+        tools: config.ai.llamacpp.tools,
+        timeoutMs: config.ai.timeoutMs
+    }),
+    ollama: () => createOllamaProvider({
+        url: config.ai.ollama.url,
+        model: config.ai.ollama.model,
+        vision: config.ai.ollama.vision,
+        tools: config.ai.ollama.tools,
+        timeoutMs: config.ai.timeoutMs
+    }),
+    mock: () => createMockProvider()
+};
+
+// Providers are created on first use
+const providers = new Map();
+
+// Last request time per provider
+const lastRequestTimes = new Map();
+
+// Canned responses for common questions to reduce API load 
+// (Removed introduction message and simplified responses; {prefix} is the chat's command prefix)
+const CANNED_RESPONSES = {
+  "what can you do": "I can answer questions, provide information, create stickers from images, and help with group management. Try commands like {prefix}help, {prefix}sticker, or {prefix}card draw.",
+  "how are you": "I'm doing well, thank you for asking! How can I help you?",
+  "what is your name": "You can call me Bot.",
+  "hi there": "Hello! How can I help you?",
+  "good morning": "Good morning! How can I help?",
+  "good afternoon": "Good afternoon! What can I do for you?",
+  "good evening": "Good evening! How can I assist?",
+  "good night": "Good night!",
+  "help me": "What do you need help with? Type {prefix}help to see all available commands."
+};
+
+/**
+ * Process raw AI responses to remove bot self-introductions
+ * 
+ * @param {string} response - The raw response from the AI
+ * @returns {string} - The processed response
+ */
+function processResponse(response) {
+    if (!response) return response;
+    
+    // Remove common introduction patterns
+    const introPatterns = [
+        /^(As a|I'm a|I am a).*?(AI|assistant|bot|WhatsApp bot|language model).*?\./i,
+        /^(Hello|Hi).*?(I'm|I am).*?(AI|assistant|bot|WhatsApp bot|language model).*?\./i,
+        /^(I'm|I am).*?(happy to help|here to help|here to assist).*?\./i
+    ];
+    
+    let processedResponse = response;
+    
+    // Remove introduction phrases
+    for (const pattern of introPatterns) {
+        processedResponse = processedResponse.replace(pattern, '');
+    }
+    
+    // Trim any extra whitespace and ensure the response starts with a capital letter
+    processedResponse = processedResponse.trim();
+    if (processedResponse.length > 0) {
+        processedResponse = processedResponse.charAt(0).toUpperCase() + processedResponse.slice(1);
+    }
+    
+    // Log if changes were made
+    if (processedResponse !== response) {
+        console.log('Cleaned AI response to remove self-introduction');
+    }
+    
+    return processedResponse;
+}
+
+/**
+ * Fill in the chat's command prefix in a canned response
+ */
+function fillPrefix(response, chatId) {
+    return response.replace(/\{prefix\}/g, prefixes.getDisplayPrefix(chatId));
+}
+
+/**
+ * Find a canned response for a basic chat message
+ *
+ * @param {string} message - The message from the user
+ * @param {string} chatId - Chat JID (for the command prefix)
+ * @returns {string|null} - Canned response, or null to ask the AI
+ */
+function getCannedResponse(message, chatId) {
+    if (typeof message !== 'string') return null;
+
+    const lowerMessage = message.toLowerCase().trim();
+
+    // Check for exact match canned responses
+    if (CANNED_RESPONSES[lowerMessage]) {
+        console.log('Using canned response for:', lowerMessage);
+        return fillPrefix(CANNED_RESPONSES[lowerMessage], chatId);
+    }
+
+    // Quick responses for basic messages without using the API
+    if (lowerMessage === 'hi' || lowerMessage === 'hello' || lowerMessage === 'hey') {
+        return "Hello! How can I help you today?";
+    }
+
+    if (lowerMessage === 'thanks' || lowerMessage === 'thank you' || lowerMessage === 'thx') {
+        return "You're welcome! Let me know if you need anything else.";
+    }
+
+    // Only check for very specific partial matches with high relevance
+    // (Much more restrictive to avoid inappropriate canned responses)
+    for (const key in CANNED_RESPONSES) {
+        // Only match if the message is very similar to the key
+        // The message must contain the entire key, not just part of it
+        if (lowerMessage.includes(key) && lowerMessage.length <= key.length + 5) {
+            console.log('Using partial match canned response for:', lowerMessage);
+            return fillPrefix(CANNED_RESPONSES[key], chatId);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Sleep for a specified duration
+ * 
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get a provider by name
+ *
+ * @param {string} name - Provider name
+ * @returns {Object} AI provider
+ * @throws {Error} If the provider is unknown or can't be created
+ */
+function getProvider(name) {
+    if (!providers.has(name)) {
+        const factory = providerFactories[name];
+        if (!factory) {
+            throw new Error(`Unknown AI provider "${name}" (use ${Object.keys(providerFactories).join(', ')})`);
+        }
+        providers.set(name, factory());
+    }
+    return providers.get(name);
+}
+
+/**
+ * Get the provider chain of a feature
+ *
+ * @param {string} feature - Feature name
+ * @returns {Array<string>} Provider names in order of preference
+ */
+function getProviderChain(feature) {
+    const chain = config.ai.providers[feature];
+    return chain && chain.length > 0 ? chain : config.ai.providers.default;
+}
+
+/**
+ * Convert conversation context to provider messages
+ *
+ * Context entries use the Gemini format ({ role: 'user'|'model', parts }).
+ */
+function toMessages(context, message, images = []) {
+    const messages = context.map(entry => ({
+        role: entry.role === 'model' ? 'assistant' : 'user',
+        content: entry.parts.map(part => part.text).join('\n')
+    }));
+    messages.push({ role: 'user', content: message, images });
+    return messages;
+}
+
+/**
+ * Check whether an error is worth retrying with the same provider
+ */
+function isRetryable(error) {
+    return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Send a request to one provider, respecting its request interval
+ */
+async function callProvider(provider, request) {
+    const timeElapsed = Date.now() - (lastRequestTimes.get(provider.name) || 0);
+    if (timeElapsed < provider.minInterval) {
+        await sleep(provider.minInterval - timeElapsed);
+    }
+    
+    try {
+        const result = await provider.generate(request);
+        return typeof result === 'string' ? { text: result, toolCalls: [] } : result;
+    } finally {
+        lastRequestTimes.set(provider.name, Date.now());
+    }
+}
+
+/**
+ * Send a request to one provider, running the tools it calls
+ *
+ * Tool calls and their results are added to a copy of the conversation and
+ * the provider is asked again until it answers with text.
+ *
+ * @param {Object} provider - AI provider
+ * @param {Object} request - Provider request
+ * @param {Object|null} toolContext - { sock, userId, chatId, results }, or null without tools
+ * @returns {Promise<string>} AI response text
+ */
+async function runProvider(provider, request, toolContext) {
+    if (!toolContext || !provider.tools) {
+        return (await callProvider(provider, request)).text;
+    }
+    
+    const messages = [...request.messages];
+    const toolRequest = {
+        ...request,
+        system: `${request.system}\n\n${TOOLS_INSTRUCTION}`,
+        messages,
+        tools: tools.getDefinitions()
+    };
+    
+    for (let round = 0; ; round++) {
+        const { text, toolCalls = [] } = await callProvider(provider, toolRequest);
+        if (toolCalls.length === 0) {
+            return text;
+        }
+        if (round === MAX_TOOL_ROUNDS) {
+            if (text) return text;
+            throw new Error(`${provider.name} kept calling tools without answering`);
+        }
+        
+        messages.push({ role: 'assistant', content: text, toolCalls });
+        for (const call of toolCalls) {
+            const result = await tools.execute(call, toolContext);
+            messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
+        }
+    }
+}
+
+/**
+ * Actual function to generate AI response, trying the providers of the feature in order
+ * 
+ * Requests with images skip providers without vision. If none of the
+ * vision providers answers, the request is repeated as text only.
+ * 
+ * @param {Object} request - { feature, message, context, images, toolContext, chatId, knowledge }
+ * @returns {Promise<string>} AI response
+ */
+async function generateAIResponse({ feature, message, context, images = [], toolContext = null, chatId = null, knowledge = [] }) {
+    let lastError = null;
+    
+    // Chat replies follow the chat's persona; other features just do their task
+    const persona = feature === 'chat' ? aiPersonas.getPersona(chatId) : null;
+    
+    let system = persona
+        ? aiPersonas.buildSystemPrompt(persona, chatId)
+        : SYSTEM_INSTRUCTIONS[feature] || SYSTEM_INSTRUCTIONS.default;
+    if (knowledge.length > 0) {
+        const entries = knowledge.map(entry => `[#${entry.id}] ${entry.title}\n${entry.text}`).join('\n\n');
+        system += `\n\n${KNOWLEDGE_INSTRUCTION}\n\n${entries}`;
+    }
+    
+    const request = {
+        feature,
+        system,
+        messages: toMessages(context, message, images),
+        maxTokens: 1000,
+        temperature: persona ? persona.temperature : 0.3
+    };
+    
+    for (const name of getProviderChain(feature)) {
+        let provider;
+        try {
+            provider = getProvider(name);
+        } catch (error) {
+            console.error(`AI provider ${name} unavailable:`, error.message);
+            lastError = error;
+            continue;
+        }
+        
+        if (images.length > 0 && !provider.vision) {
+            continue;
+        }
+        
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            try {
+                // Exponential backoff for retries
+                if (attempt > 0) {
+                    const backoffTime = Math.pow(2, attempt) * 1000;
+                    console.log(`Retrying ${name} in ${backoffTime/1000} seconds (attempt ${attempt+1}/${MAX_ATTEMPTS})...`);
+                    await sleep(backoffTime);
+                }
+                
+                const response = await runProvider(provider, request, toolContext);
+                
+                // Process the response to remove any bot introductions
+                return processResponse(response);
+            } catch (error) {
+                lastError = error;
+                console.warn(`AI request to ${name} (${feature}) failed:`, error.message);
+                
+                // Only rate limits and server errors are retried; anything else moves on to the next provider
+                if (!isRetryable(error)) break;
+            }
+        }
+    }
+    
+    if (images.length > 0) {
+        console.log(`No AI provider could look at the image (${feature}), answering from the text only`);
+        return generateAIResponse({ feature, message: `${message}\n\n${IMAGE_FALLBACK_NOTE}`, context, toolContext, chatId, knowledge });
+    }
+    
+    // After all providers fail, throw the last error
+    console.error('All AI providers failed:', lastError);
+    throw new Error('Failed to get response from AI after multiple attempts');
+}
+
+/**
+ * Gets a response from the AI providers
+ * 
+ * Requests are queued by the scheduler (see ./scheduler for quotas, priorities
+ * and cancellation). Basic chat messages get a canned response right away.
+ * 
+ * @param {string} message - The message from the user
+ * @param {Array} context - Previous messages for context ({ role: 'user'|'model', parts })
+ * @param {Object} options - Request options
+ * @param {string} options.feature - Feature making the request (chat, summarize, translate, autoreply)
+ * @param {Array<Object>} options.images - Images for the AI to look at ({ data: Buffer, mimetype })
+ * @param {string} options.userId - JID of the user the request is for
+ * @param {string} options.chatId - Chat JID
+ * @param {string} options.priority - 'high', 'normal' or 'low'
+ * @param {string} options.supersedeKey - Newer requests with this key replace this one
+ * @param {Function} options.onQueued - Called with the position in line when the request has to wait
+ * @param {Object} options.tools - Lets the model call bot features for the user ({ sock }; needs userId and chatId)
+ * @param {Array<Object>} options.knowledge - Knowledge base chunks to answer from ({ id, title, text })
+ * @returns {Promise<string>} - The AI response
+ */
+async function getResponse(message, context = [], { feature = 'chat', images = [], tools: toolOptions = null, knowledge = [], ...scheduling } = {}) {
+    if (!FEATURES.includes(feature)) {
+        throw new Error(`Unknown AI feature "${feature}"`);
+    }
+    
+    // Check for canned responses to avoid API calls (they would ignore a custom persona)
+    if (feature === 'chat' && images.length === 0 && knowledge.length === 0 && aiPersonas.isDefault(scheduling.chatId)) {
+        const cannedResponse = getCannedResponse(message, scheduling.chatId);
+        if (cannedResponse) {
+            return cannedResponse;
+        }
+    }
+    
+    const toolContext = toolOptions && config.ai.tools.enabled
+        ? { sock: toolOptions.sock, userId: scheduling.userId, chatId: scheduling.chatId, results: new Map() }
+        : null;
+    
+    return scheduler.enqueue(
+        () => generateAIResponse({ feature, message, context, images, toolContext, chatId: scheduling.chatId, knowledge }),
+        scheduling
+    );
+}
+
+/**
+ * Generate text for a single prompt (no conversation context)
+ * 
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Request options (see getResponse)
+ * @returns {Promise<string>} - The AI response
+ */
+async function generateText(prompt, { feature = 'summarize', ...options } = {}) {
+    return getResponse(prompt, [], { feature, ...options });
+}
+
+module.exports = {
+    FEATURES,
+    getProvider,
+    getProviderChain,
+    getResponse,
+    generateText,
+    getQuota: scheduler.getQuota
+};
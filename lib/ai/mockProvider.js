@@ -0,0 +1,41 @@
+/**
+ * Mock AI provider
+ * Answers instantly and deterministically without a network connection, so
+ * AI features can be tried offline. The reply names the feature, describes
+ * attached images and echoes the last user message. A user message naming a
+ * tool (e.g. "get_points_profile") calls it, and the tool result is echoed.
+ */
+
+/**
+ * Create a mock provider
+ *
+ * @returns {Object} AI provider
+ */
+function createMockProvider() {
+    return {
+        name: 'mock',
+        minInterval: 0,
+        vision: true,
+        tools: true,
+
+        async generate({ feature, messages, tools = [] }) {
+            const lastMessage = messages[messages.length - 1];
+            if (lastMessage.role === 'tool') {
+                return `[mock ${feature}] ${lastMessage.name}: ${lastMessage.content.slice(0, 500)}`;
+            }
+
+            const tool = tools.find(candidate => lastMessage.content.includes(candidate.name));
+            if (tool) {
+                return { text: '', toolCalls: [{ id: 'mock_call', name: tool.name, arguments: {} }] };
+            }
+
+            const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+            const text = lastUserMessage ? lastUserMessage.content.replace(/\s+/g, ' ').trim() : '';
+            const images = (lastUserMessage && lastUserMessage.images) || [];
+            const imageInfo = images.map(image => `(${image.mimetype}, ${image.data.length} bytes) `).join('');
+            return `[mock ${feature}] ${imageInfo}${text.slice(0, 200)}`;
+        }
+    };
+}
+
+module.exports = { createMockProvider };
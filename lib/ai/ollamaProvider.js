@@ -0,0 +1,93 @@
+/**
+ * Ollama AI provider
+ * Runs models on a local Ollama server through its /api/chat endpoint.
+ */
+const fetch = require('node-fetch');
+
+/**
+ * Convert a message to the Ollama chat format (images are plain base64)
+ */
+function toChatMessage({ role, content, images, toolCalls, name }) {
+    if (role === 'tool') {
+        return { role, content, tool_name: name };
+    }
+
+    return {
+        role,
+        content: content || '',
+        images: images && images.length > 0
+            ? images.map(image => image.data.toString('base64'))
+            : undefined,
+        tool_calls: toolCalls
+            ? toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+            : undefined
+    };
+}
+
+/**
+ * Create an Ollama provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Server URL, e.g. 'http://localhost:11434'
+ * @param {string} options.model - Model name, e.g. 'llama3.1'
+ * @param {boolean} options.vision - Whether the model accepts images (e.g. llava)
+ * @param {boolean} options.tools - Whether the model supports tool calls (e.g. llama3.1)
+ * @param {number} options.timeoutMs - Request timeout (local models can be slow)
+ * @returns {Object} AI provider
+ */
+function createOllamaProvider({ url, model, vision = false, tools = false, timeoutMs }) {
+    return {
+        name: 'ollama',
+        minInterval: 0,
+        vision,
+        tools,
+
+        async generate({ system, messages, tools: toolDefinitions, maxTokens, temperature }) {
+            const response = await fetch(`${url.replace(/\/+$/, '')}/api/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                timeout: timeoutMs,
+                body: JSON.stringify({
+                    model,
+                    stream: false,
+                    messages: [
+                        ...(system ? [{ role: 'system', content: system }] : []),
+                        ...messages.map(toChatMessage)
+                    ],
+                    tools: toolDefinitions && toolDefinitions.length > 0
+                        ? toolDefinitions.map(tool => ({ type: 'function', function: tool }))
+                        : undefined,
+                    options: {
+                        num_predict: maxTokens,
+                        temperature
+                    }
+                })
+            });
+
+            if (!response.ok) {
+                const error = new Error(`ollama request failed: ${response.status} ${await response.text()}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const data = await response.json();
+            if (data.message && data.message.tool_calls && data.message.tool_calls.length > 0) {
+                return {
+                    text: data.message.content || '',
+                    // Ollama doesn't number its tool calls
+                    toolCalls: data.message.tool_calls.map((call, index) => ({
+                        id: `call_${index}`,
+                        name: call.function.name,
+                        arguments: call.function.arguments || {}
+                    }))
+                };
+            }
+            if (!data.message || !data.message.content) {
+                throw new Error('ollama returned an empty response');
+            }
+            return data.message.content;
+        }
+    };
+}
+
+module.exports = { createOllamaProvider };
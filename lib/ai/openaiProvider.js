@@ -0,0 +1,125 @@
+/**
+ * OpenAI-compatible AI provider
+ * Talks to any server with an OpenAI style /chat/completions endpoint:
+ * OpenAI itself, OpenRouter, LM Studio or a local llama.cpp server.
+ */
+const fetch = require('node-fetch');
+
+/**
+ * Convert a message to the chat completions format (images become data URLs)
+ */
+function toChatMessage({ role, content, images, toolCalls, toolCallId }) {
+    if (role === 'tool') {
+        return { role, tool_call_id: toolCallId, content };
+    }
+
+    if (toolCalls) {
+        return {
+            role,
+            content: content || null,
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }))
+        };
+    }
+
+    if (!images || images.length === 0) {
+        return { role, content };
+    }
+
+    return {
+        role,
+        content: [
+            { type: 'text', text: content },
+            ...images.map(image => ({
+                type: 'image_url',
+                image_url: { url: `data:${image.mimetype};base64,${image.data.toString('base64')}` }
+            }))
+        ]
+    };
+}
+
+/**
+ * Parse the JSON arguments of a tool call (models occasionally send broken JSON)
+ */
+function parseArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name used in logs and config
+ * @param {string} options.baseUrl - API base URL, e.g. 'https://api.openai.com/v1'
+ * @param {string} options.apiKey - API key (optional for local servers)
+ * @param {string} options.model - Model name
+ * @param {boolean} options.vision - Whether the model accepts images
+ * @param {boolean} options.tools - Whether the model supports tool calls
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} AI provider
+ */
+function createOpenAIProvider({ name = 'openai', baseUrl, apiKey, model, vision = false, tools = false, timeoutMs }) {
+    return {
+        name,
+        minInterval: 0,
+        vision,
+        tools,
+
+        async generate({ system, messages, tools: toolDefinitions, maxTokens, temperature }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                timeout: timeoutMs,
+                body: JSON.stringify({
+                    model,
+                    messages: [
+                        ...(system ? [{ role: 'system', content: system }] : []),
+                        ...messages.map(toChatMessage)
+                    ],
+                    tools: toolDefinitions && toolDefinitions.length > 0
+                        ? toolDefinitions.map(tool => ({ type: 'function', function: tool }))
+                        : undefined,
+                    max_tokens: maxTokens,
+                    temperature
+                })
+            });
+
+            if (!response.ok) {
+                const error = new Error(`${name} request failed: ${response.status} ${await response.text()}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const data = await response.json();
+            const message = data.choices && data.choices[0] && data.choices[0].message;
+            if (message && message.tool_calls && message.tool_calls.length > 0) {
+                return {
+                    text: message.content || '',
+                    toolCalls: message.tool_calls.map(call => ({
+                        id: call.id,
+                        name: call.function.name,
+                        arguments: parseArguments(call.function.arguments)
+                    }))
+                };
+            }
+            if (!message || !message.content) {
+                throw new Error(`${name} returned an empty response`);
+            }
+            return message.content;
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
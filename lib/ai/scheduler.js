@@ -0,0 +1,295 @@
+/**
+ * AI request scheduler
+ * Decides which queued AI request runs next, so one busy user or group
+ * can't starve everyone else:
+ * - every user and group has a token bucket; a request only runs when both
+ *   of its buckets have a token left
+ * - higher priority requests (owner DMs, commands) go first, otherwise the
+ *   oldest request wins
+ * - a newer message replaces a user's waiting (or running) chat request
+ * - users and groups have daily quotas; owners and bot admins are exempt
+ *
+ * Requests run one at a time.
+ */
+const storage = require('../storage');
+const roles = require('../roles');
+const recurrence = require('../recurrence');
+const config = require('../../config');
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+// Storage collection of request counts by "YYYY-MM-DD|scope"
+const USAGE_COLLECTION = 'aiUsage';
+const USAGE_RETENTION_DAYS = 7;
+
+// Requests waiting to run, and the running one
+const pending = [];
+let running = null;
+let sequence = 0;
+
+// Timer that wakes the scheduler when a bucket refills
+let wakeTimer = null;
+
+// Token buckets by scope ('user:+123' or 'group:<jid>')
+const buckets = new Map();
+
+let lastPrunedDay = null;
+
+/**
+ * Get today's date in the bot timezone (quotas reset at its midnight)
+ */
+function getToday() {
+    const { year, month, day } = recurrence.getZonedTime(Date.now(), config.defaultTimezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function getUserScope(userId) {
+    return `user:+${String(userId).split('@')[0].replace(/\D/g, '')}`;
+}
+
+function getGroupScope(chatId) {
+    return chatId && chatId.endsWith('@g.us') ? `group:${chatId}` : null;
+}
+
+/**
+ * Remove usage counts older than the retention period (once a day)
+ */
+function pruneUsage(today) {
+    if (lastPrunedDay === today) return;
+    lastPrunedDay = today;
+
+    const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const key of Object.keys(storage.getAll(USAGE_COLLECTION))) {
+        if (key.split('|')[0] < cutoff) {
+            storage.remove(USAGE_COLLECTION, key);
+        }
+    }
+}
+
+function getUsage(scope) {
+    return storage.get(USAGE_COLLECTION, `${getToday()}|${scope}`) || 0;
+}
+
+function addUsage(scope, delta) {
+    const today = getToday();
+    pruneUsage(today);
+
+    const key = `${today}|${scope}`;
+    storage.set(USAGE_COLLECTION, key, Math.max(0, (storage.get(USAGE_COLLECTION, key) || 0) + delta));
+}
+
+/**
+ * Check whether a user is exempt from quotas and user buckets
+ */
+function isExempt(userId, chatId) {
+    return Boolean(userId) && roles.hasRole(userId, 'bot-admin', chatId);
+}
+
+/**
+ * Get the token bucket of a scope, refilled up to now
+ */
+function getBucket(scope, { capacity, refillSeconds }) {
+    const now = Date.now();
+    const bucket = buckets.get(scope) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / (refillSeconds * 1000));
+    bucket.updatedAt = now;
+    buckets.set(scope, bucket);
+    return bucket;
+}
+
+/**
+ * Get the buckets a request needs a token from
+ *
+ * @returns {Array<Object>} { bucket, refillSeconds }
+ */
+function getRequestBuckets(entry) {
+    const settings = config.ai.scheduler;
+    const result = [];
+
+    if (entry.userId && !entry.exempt) {
+        result.push({
+            bucket: getBucket(getUserScope(entry.userId), settings.userBucket),
+            refillSeconds: settings.userBucket.refillSeconds
+        });
+    }
+
+    const groupScope = getGroupScope(entry.chatId);
+    if (groupScope) {
+        result.push({
+            bucket: getBucket(groupScope, settings.groupBucket),
+            refillSeconds: settings.groupBucket.refillSeconds
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Milliseconds until a request's buckets all have a token (0 if ready)
+ */
+function getWaitTime(entry) {
+    return Math.max(0, ...getRequestBuckets(entry).map(({ bucket, refillSeconds }) =>
+        bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) * refillSeconds * 1000
+    ));
+}
+
+/**
+ * Pending requests in the order they would run (ignoring buckets)
+ */
+function getOrder() {
+    return [...pending].sort((a, b) => a.priority - b.priority || a.id - b.id);
+}
+
+/**
+ * Get the position of a request in line (1 = next or running)
+ */
+function getPosition(entry) {
+    return getOrder().indexOf(entry) + 1 + (running ? 1 : 0);
+}
+
+function cancelEntry(entry, reason) {
+    const error = new Error(reason);
+    error.code = 'AI_CANCELLED';
+    entry.reject(error);
+}
+
+/**
+ * Start the next request that has tokens, or wait for a bucket to refill
+ */
+function scheduleNext() {
+    if (running || pending.length === 0) return;
+
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+
+    const order = getOrder();
+    const next = order.find(entry => getWaitTime(entry) === 0);
+
+    if (!next) {
+        const wait = Math.min(...order.map(getWaitTime));
+        wakeTimer = setTimeout(scheduleNext, Math.ceil(wait));
+        return;
+    }
+
+    pending.splice(pending.indexOf(next), 1);
+    getRequestBuckets(next).forEach(({ bucket }) => { bucket.tokens -= 1; });
+    running = next;
+
+    next.run()
+        .then(result => {
+            if (next.cancelled) {
+                cancelEntry(next, 'Replaced by a newer request');
+            } else {
+                next.resolve(result);
+            }
+        })
+        .catch(error => next.reject(error))
+        .finally(() => {
+            running = null;
+            scheduleNext();
+        });
+}
+
+/**
+ * Get the daily AI usage of a user and group
+ *
+ * @param {string} userId - User JID or number
+ * @param {string} chatId - Chat JID
+ * @returns {Object} { user: { used, limit }, group: { used, limit } | null, exempt, queued }
+ */
+function getQuota(userId, chatId) {
+    const quotas = config.ai.scheduler.dailyQuota;
+    const groupScope = getGroupScope(chatId);
+
+    return {
+        user: { used: getUsage(getUserScope(userId)), limit: quotas.user },
+        group: groupScope ? { used: getUsage(groupScope), limit: quotas.group } : null,
+        exempt: isExempt(userId, chatId),
+        queued: pending.length + (running ? 1 : 0)
+    };
+}
+
+/**
+ * Queue an AI request
+ *
+ * Rejects with error.code 'AI_QUOTA' when a daily quota is used up and
+ * 'AI_CANCELLED' when a newer request with the same supersede key replaces it.
+ *
+ * @param {Function} run - Runs the request, returns a promise of the result
+ * @param {Object} options - Scheduling options
+ * @param {string} options.userId - JID of the user the request is for (optional)
+ * @param {string} options.chatId - Chat JID (optional)
+ * @param {string} options.priority - 'high', 'normal' or 'low'
+ * @param {string} options.supersedeKey - Newer requests with this key replace this one
+ * @param {Function} options.onQueued - Called with the position when the request has to wait
+ * @returns {Promise<*>} Result of run
+ */
+function enqueue(run, { userId = null, chatId = null, priority = 'normal', supersedeKey = null, onQueued = null } = {}) {
+    const exempt = isExempt(userId, chatId);
+    const scopes = [];
+
+    if (userId) scopes.push(getUserScope(userId));
+    if (getGroupScope(chatId)) scopes.push(getGroupScope(chatId));
+
+    // Requests made for a group without a user (e.g. auto-translate) still use the group's quota
+    if (!exempt) {
+        const quotas = config.ai.scheduler.dailyQuota;
+        const groupScope = getGroupScope(chatId);
+        const exceeded = userId && getUsage(getUserScope(userId)) >= quotas.user
+            ? "You've reached your daily AI limit. Please try again tomorrow."
+            : groupScope && getUsage(groupScope) >= quotas.group
+                ? 'This group has reached its daily AI limit. Please try again tomorrow.'
+                : null;
+
+        if (exceeded) {
+            const error = new Error(exceeded);
+            error.code = 'AI_QUOTA';
+            return Promise.reject(error);
+        }
+    }
+
+    if (supersedeKey) {
+        for (const entry of pending.filter(item => item.supersedeKey === supersedeKey)) {
+            pending.splice(pending.indexOf(entry), 1);
+            entry.scopes.forEach(scope => addUsage(scope, -1));
+            cancelEntry(entry, 'Replaced by a newer request');
+        }
+        if (running && running.supersedeKey === supersedeKey) {
+            running.cancelled = true;
+        }
+    }
+
+    scopes.forEach(scope => addUsage(scope, 1));
+
+    return new Promise((resolve, reject) => {
+        const entry = {
+            id: ++sequence,
+            run,
+            userId,
+            chatId,
+            exempt,
+            scopes,
+            priority: PRIORITIES[priority] ?? PRIORITIES.normal,
+            supersedeKey,
+            resolve,
+            reject
+        };
+        pending.push(entry);
+
+        const position = getPosition(entry);
+        if (position > 1 && onQueued) {
+            Promise.resolve()
+                .then(() => onQueued(position))
+                .catch(error => console.error('Error sending queue position:', error.message));
+        }
+
+        scheduleNext();
+    });
+}
+
+module.exports = {
+    PRIORITIES,
+    enqueue,
+    getQuota
+};
@@ -0,0 +1,180 @@
+/**
+ * AI tools
+ * Bot features the chat model may call instead of guessing: points, cards,
+ * quizzes, reminders and polls. Tools run on behalf of the user who sent the
+ * message, with that user's role, and only ever touch that user's own data or
+ * the chat the message came from.
+ *
+ * A tool is { name, description, parameters (JSON schema), role, run(args, context) }.
+ * run returns plain data that is sent back to the model.
+ */
+const database = require('../database');
+const roles = require('../roles');
+const pointsSystem = require('../pointsSystem');
+const animeQuiz = require('../animeQuiz');
+const animeCardGame = require('../animeCardGame');
+const scheduledMessages = require('../scheduledMessages');
+const polls = require('../polls');
+
+const NO_PARAMETERS = { type: 'object', properties: {} };
+
+const TOOLS = [
+    {
+        name: 'get_points_profile',
+        description: "Get the user's points, leaderboard rank and the points they earned today.",
+        parameters: NO_PARAMETERS,
+        run: (args, { userId }) => {
+            const profile = pointsSystem.getUserProfile(userId);
+            return {
+                points: profile.points,
+                rank: profile.rank || null,
+                pointsToday: profile.dailyStats ? profile.dailyStats.total : 0
+            };
+        }
+    },
+    {
+        name: 'get_card_inventory',
+        description: "Get the user's anime card collection: totals, cards per rarity and their best cards.",
+        parameters: NO_PARAMETERS,
+        run: (args, { userId }) => {
+            const rarityOrder = ['legendary', 'epic', 'rare', 'uncommon', 'common'];
+            const cards = animeCardGame.getUserCards(userId);
+            const stats = animeCardGame.getUserCardStats(userId);
+            const completion = animeCardGame.getCollectionCompletion(userId);
+            return {
+                totalCards: stats.total,
+                byRarity: stats.byRarity,
+                uniqueCards: completion.uniqueCards,
+                collectionSize: completion.totalUniqueCards,
+                bestCards: [...cards]
+                    .sort((a, b) => rarityOrder.indexOf(a.rarity) - rarityOrder.indexOf(b.rarity))
+                    .slice(0, 5)
+                    .map(card => ({ name: card.name, anime: card.anime, rarity: card.rarity, power: card.power }))
+            };
+        }
+    },
+    {
+        name: 'start_quiz',
+        description: 'Start an anime trivia quiz in this chat. The question is posted to the chat immediately and people answer with A, B, C or D.',
+        parameters: NO_PARAMETERS,
+        run: async (args, { sock, userId, chatId }) => {
+            const result = await animeQuiz.startQuiz({ sock, remoteJid: chatId, sender: userId });
+            return result.success
+                ? { started: true, note: 'The question has already been posted. Do not repeat it or reveal the answer.' }
+                : { started: false, reason: result.message };
+        }
+    },
+    {
+        name: 'schedule_reminder',
+        description: 'Schedule a reminder message in this chat.',
+        parameters: {
+            type: 'object',
+            properties: {
+                when: {
+                    type: 'string',
+                    description: 'When to send it: relative like +1h30m or +2d, "YYYY-MM-DD HH:MM", "HH:MM" (next occurrence) or a recurrence like "daily 09:00" or "every monday 18:00".'
+                },
+                text: { type: 'string', description: 'What to remind the user of' }
+            },
+            required: ['when', 'text']
+        },
+        run: (args, { userId, chatId }) => {
+            if (!args.when || !args.text) {
+                return { scheduled: false, reason: 'Both "when" and "text" are required.' };
+            }
+            const words = [
+                ...String(args.when).trim().split(/\s+/),
+                '⏰', 'Reminder:', ...String(args.text).trim().split(/\s+/)
+            ];
+            const result = scheduledMessages.scheduleMessage({ chatId, sender: userId, words });
+            return result.success
+                ? { scheduled: true, details: result.message }
+                : { scheduled: false, reason: result.message };
+        }
+    },
+    {
+        name: 'get_poll_results',
+        description: 'Get the results of a poll in this chat. Without a poll ID, returns the results of the open polls.',
+        parameters: {
+            type: 'object',
+            properties: {
+                poll_id: { type: 'string', description: 'Poll ID (or its beginning), if the user named one' }
+            }
+        },
+        run: (args, { chatId }) => {
+            if (args.poll_id) {
+                const { poll, error } = polls.findPoll(chatId, args.poll_id);
+                return error ? { error } : { results: polls.formatResults(poll, Boolean(poll.closedAt)) };
+            }
+
+            const openPolls = polls.listOpenPolls(chatId).slice(0, 3);
+            if (openPolls.length === 0) {
+                return { results: [], note: 'There are no open polls in this chat.' };
+            }
+            return { results: openPolls.map(poll => polls.formatResults(poll)) };
+        }
+    }
+];
+
+/**
+ * Get the tool definitions sent to the model
+ *
+ * @returns {Array<Object>} { name, description, parameters }
+ */
+function getDefinitions() {
+    return TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Check whether a user may use a tool (same rule as 'allowed' commands, or the tool's own role)
+ */
+function mayUse(tool, userId, chatId) {
+    const role = roles.getRole(userId, chatId);
+    if (role === 'blocked') return false;
+
+    const minimum = tool.role || (database.getBotSettings().isPublic ? 'user' : 'trusted');
+    return roles.isAtLeast(role, minimum);
+}
+
+/**
+ * Run a tool call for the user who sent the message
+ *
+ * Results are kept in the context, so a call repeated after a retry or a
+ * provider fallback doesn't run twice (and doesn't schedule two reminders).
+ *
+ * @param {Object} call - Tool call from the model ({ name, arguments })
+ * @param {Object} context - { sock, userId, chatId, results: Map }
+ * @returns {Promise<Object>} Tool result for the model
+ */
+async function execute(call, context) {
+    const tool = TOOLS.find(candidate => candidate.name === call.name);
+    if (!tool) {
+        return { error: `Unknown tool "${call.name}"` };
+    }
+
+    if (!mayUse(tool, context.userId, context.chatId)) {
+        return { error: 'The user is not allowed to use this feature.' };
+    }
+
+    const cacheKey = `${call.name}|${JSON.stringify(call.arguments || {})}`;
+    if (context.results.has(cacheKey)) {
+        return context.results.get(cacheKey);
+    }
+
+    let result;
+    try {
+        console.log(`AI tool call: ${call.name}`, call.arguments || {});
+        result = await tool.run(call.arguments || {}, context);
+    } catch (error) {
+        console.error(`AI tool ${call.name} failed:`, error);
+        result = { error: 'The tool failed. Tell the user to try the command instead.' };
+    }
+
+    context.results.set(cacheKey, result);
+    return result;
+}
+
+module.exports = {
+    getDefinitions,
+    execute
+};
@@ -0,0 +1,364 @@
+/**
+ * Conversation memory for AI chat
+ * Keeps the recent turns of every chat, folds older turns into a rolling
+ * summary and stores facts users asked the bot to remember. Everything is
+ * persisted, so conversations continue after a restart.
+ *
+ * Users can opt out (nothing about them is stored) and .forget wipes what
+ * is stored about them.
+ */
+const storage = require('./storage');
+const database = require('./database');
+const ai = require('./ai');
+
+// Storage collections
+const MEMORY_COLLECTION = 'aiMemory';   // Chat JID -> { turns, lastTurnId, summary, summaryUsers, updatedAt }
+const FACTS_COLLECTION = 'aiFacts';     // +number -> [{ fact, timestamp }]
+const OPT_OUT_COLLECTION = 'aiOptOut';  // +number -> opt-out timestamp
+
+// Size limits per chat
+const MAX_TURNS = 16;           // Turns kept word for word
+const SUMMARY_BATCH = 8;        // Oldest turns folded into the summary at once
+const MAX_TURN_CHARS = 1000;    // Longer messages are cut
+const MAX_CHAT_CHARS = 8000;    // Total text of the kept turns
+const MAX_SUMMARY_CHARS = 1500;
+
+// Facts per user
+const MAX_FACTS = 20;
+const MAX_FACT_CHARS = 300;
+
+// Chats whose summary is being updated
+const summarizing = new Set();
+
+function getUserId(jid) {
+    return database.normalizeNumber(jid.split('@')[0]);
+}
+
+function getMemory(chatId) {
+    return storage.get(MEMORY_COLLECTION, chatId) || {
+        turns: [],
+        lastTurnId: 0,
+        summary: null,
+        summaryUsers: [],
+        updatedAt: null
+    };
+}
+
+function saveMemory(chatId, memory) {
+    if (memory.turns.length === 0 && !memory.summary) {
+        storage.remove(MEMORY_COLLECTION, chatId);
+        return;
+    }
+    storage.set(MEMORY_COLLECTION, chatId, { ...memory, updatedAt: Date.now() });
+}
+
+/**
+ * Check whether a user opted out of AI memory
+ *
+ * @param {string} jid - User JID or number
+ * @returns {boolean} Whether the user opted out
+ */
+function isOptedOut(jid) {
+    return Boolean(storage.get(OPT_OUT_COLLECTION, getUserId(jid)));
+}
+
+/**
+ * Opt a user in or out of AI memory
+ *
+ * Opting out also forgets everything stored about the user.
+ *
+ * @param {string} jid - User JID
+ * @param {boolean} optOut - Whether to opt out
+ * @returns {Object} Result with success and message
+ */
+function setOptOut(jid, optOut) {
+    const userId = getUserId(jid);
+
+    if (!optOut) {
+        storage.remove(OPT_OUT_COLLECTION, userId);
+        return { success: true, message: 'Memory is on. I will remember our conversations again.' };
+    }
+
+    forgetUser(jid);
+    storage.set(OPT_OUT_COLLECTION, userId, Date.now());
+    return { success: true, message: "Memory is off. I've forgotten what I stored about you and won't store anything new." };
+}
+
+/**
+ * Get the facts a user asked the bot to remember
+ *
+ * Facts stored on the contact by older versions are moved over on first use.
+ *
+ * @param {string} jid - User JID or number
+ * @returns {Array<Object>} Facts ({ fact, timestamp })
+ */
+function getFacts(jid) {
+    const userId = getUserId(jid);
+    const facts = storage.get(FACTS_COLLECTION, userId);
+    if (facts) return facts;
+
+    const contact = database.getContact(userId);
+    if (contact && Array.isArray(contact.rememberedInfo) && contact.rememberedInfo.length > 0) {
+        const imported = contact.rememberedInfo.map(item => ({
+            fact: item.info,
+            timestamp: new Date(item.timestamp).getTime()
+        }));
+        storage.set(FACTS_COLLECTION, userId, imported);
+        database.saveContact(userId, { rememberedInfo: undefined });
+        return imported;
+    }
+
+    return [];
+}
+
+/**
+ * Remember a fact about a user
+ *
+ * @param {string} jid - User JID
+ * @param {string} fact - What to remember
+ * @returns {Object} Result with success and message
+ */
+function addFact(jid, fact) {
+    if (isOptedOut(jid)) {
+        return { success: false, message: 'Memory is off for you.' };
+    }
+
+    const text = fact.trim().slice(0, MAX_FACT_CHARS);
+    const facts = [...getFacts(jid), { fact: text, timestamp: Date.now() }].slice(-MAX_FACTS);
+    storage.set(FACTS_COLLECTION, getUserId(jid), facts);
+
+    return { success: true, message: `I'll remember that: "${text}"` };
+}
+
+/**
+ * Forget one fact of a user
+ *
+ * @param {string} jid - User JID
+ * @param {number} index - Fact number (1-based)
+ * @returns {Object} Result with success and message
+ */
+function removeFact(jid, index) {
+    const facts = getFacts(jid);
+    if (facts.length === 0) {
+        return { success: false, message: "I don't have any remembered information for you." };
+    }
+    if (!Number.isInteger(index) || index < 1 || index > facts.length) {
+        return { success: false, message: `Please choose a fact number between 1 and ${facts.length}.` };
+    }
+
+    const [removed] = facts.splice(index - 1, 1);
+    if (facts.length > 0) {
+        storage.set(FACTS_COLLECTION, getUserId(jid), facts);
+    } else {
+        storage.remove(FACTS_COLLECTION, getUserId(jid));
+    }
+    return { success: true, message: `Forgot: "${removed.fact}"` };
+}
+
+/**
+ * Forget everything stored about a user
+ *
+ * Removes their facts and turns in every chat. Summaries that include
+ * their messages can't be separated and are dropped as a whole.
+ *
+ * @param {string} jid - User JID
+ * @returns {Object} Result with success, message and counts
+ */
+function forgetUser(jid) {
+    const userId = getUserId(jid);
+    const facts = getFacts(jid).length;
+    storage.remove(FACTS_COLLECTION, userId);
+
+    let turns = 0;
+    let summaries = 0;
+    for (const [chatId, memory] of Object.entries(storage.getAll(MEMORY_COLLECTION))) {
+        const kept = removeUserTurns(memory.turns, userId);
+        const dropSummary = memory.summaryUsers.includes(userId);
+        if (kept.length === memory.turns.length && !dropSummary) continue;
+
+        turns += memory.turns.length - kept.length;
+        if (dropSummary) summaries++;
+
+        saveMemory(chatId, {
+            ...memory,
+            turns: kept,
+            summary: dropSummary ? null : memory.summary,
+            summaryUsers: dropSummary ? [] : memory.summaryUsers
+        });
+    }
+
+    return {
+        success: true,
+        message: `Forgot everything I stored about you (${facts} facts, ${turns} messages, ${summaries} summaries).`,
+        facts,
+        turns,
+        summaries
+    };
+}
+
+/**
+ * Remove the turns of a user with the bot replies to them
+ */
+function removeUserTurns(turns, userId) {
+    return turns.filter((turn, index) => {
+        const userTurn = turn.role === 'user' ? turn : turns[index - 1];
+        return !userTurn || userTurn.user !== userId;
+    });
+}
+
+/**
+ * Clear the conversation of a user in a chat
+ *
+ * In private chats the whole memory of the chat is cleared.
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} jid - User JID
+ */
+function clearConversation(chatId, jid) {
+    if (!chatId.endsWith('@g.us')) {
+        storage.remove(MEMORY_COLLECTION, chatId);
+        return;
+    }
+
+    const memory = getMemory(chatId);
+    saveMemory(chatId, { ...memory, turns: removeUserTurns(memory.turns, getUserId(jid)) });
+}
+
+/**
+ * Build the conversation history for an AI request
+ *
+ * The summary and the facts of the sender come first as a context exchange,
+ * followed by the recent turns.
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} jid - JID of the user the bot is answering
+ * @returns {Array<Object>} History in Gemini format ({ role, parts })
+ */
+function buildContext(chatId, jid) {
+    const memory = getMemory(chatId);
+    const history = [];
+    const notes = [];
+
+    if (memory.summary) {
+        notes.push(`Summary of the earlier conversation:\n${memory.summary}`);
+    }
+
+    const facts = isOptedOut(jid) ? [] : getFacts(jid);
+    if (facts.length > 0) {
+        const name = database.getContactName(jid) || 'the user';
+        notes.push(`Things ${name} asked you to remember:\n${facts.map(item => `- ${item.fact}`).join('\n')}`);
+    }
+
+    if (notes.length > 0) {
+        history.push({ role: 'user', parts: [{ text: notes.join('\n\n') }] });
+        history.push({ role: 'model', parts: [{ text: "Got it, I'll keep that in mind." }] });
+    }
+
+    for (const turn of memory.turns) {
+        history.push({ role: turn.role, parts: [{ text: turn.text }] });
+    }
+
+    return history;
+}
+
+/**
+ * Store an exchange between a user and the bot
+ *
+ * Nothing is stored for users who opted out. Group messages are stored with
+ * the name of their sender. When the chat grows past its limits the oldest
+ * turns are folded into the summary.
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} jid - Sender JID
+ * @param {string} userText - Message of the user
+ * @param {string} reply - Reply of the bot
+ */
+function recordExchange(chatId, jid, userText, reply) {
+    if (isOptedOut(jid)) return;
+
+    const userId = getUserId(jid);
+    const text = chatId.endsWith('@g.us')
+        ? `${database.getContactName(jid) || userId}: ${userText}`
+        : userText;
+
+    const memory = getMemory(chatId);
+    const timestamp = Date.now();
+    const id = memory.lastTurnId || 0;
+    memory.turns.push(
+        { id: id + 1, role: 'user', user: userId, text: text.slice(0, MAX_TURN_CHARS), timestamp },
+        { id: id + 2, role: 'model', text: reply.slice(0, MAX_TURN_CHARS), timestamp }
+    );
+    memory.lastTurnId = id + 2;
+    saveMemory(chatId, memory);
+
+    const totalChars = memory.turns.reduce((sum, turn) => sum + turn.text.length, 0);
+    if (memory.turns.length > MAX_TURNS || totalChars > MAX_CHAT_CHARS) {
+        summarizeOldTurns(chatId).catch(error => {
+            console.error(`Failed to summarize AI memory of ${chatId}:`, error.message);
+        });
+    }
+}
+
+/**
+ * Fold the oldest turns of a chat into its summary
+ *
+ * If the AI can't be reached the turns are dropped anyway, so the chat
+ * stays within its limits.
+ */
+async function summarizeOldTurns(chatId) {
+    if (summarizing.has(chatId)) return;
+    summarizing.add(chatId);
+
+    try {
+        const memory = getMemory(chatId);
+        const batch = memory.turns.slice(0, SUMMARY_BATCH);
+        const transcript = batch
+            .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.text}`)
+            .join('\n');
+
+        let summary = memory.summary;
+        try {
+            summary = await ai.generateText(
+                `Update the summary of a chat conversation. Keep names, decisions and open questions. ` +
+                `Answer with the summary only, at most ${Math.round(MAX_SUMMARY_CHARS / 6)} words.\n\n` +
+                `Current summary:\n${memory.summary || '(none)'}\n\nNew messages:\n${transcript}`,
+                { feature: 'summarize', priority: 'low' }
+            );
+        } catch (error) {
+            console.error(`AI memory summary of ${chatId} skipped:`, error.message);
+        }
+
+        // Turns may have changed while waiting for the AI. If a user in the batch
+        // was forgotten or opted out meanwhile (or the chat was cleared), the new
+        // summary may hold their words, so it is thrown away.
+        const current = getMemory(chatId);
+        const batchIds = new Set(batch.map(turn => turn.id));
+        const users = [...new Set(batch.filter(turn => turn.user).map(turn => turn.user))];
+        const currentIds = new Set(current.turns.map(turn => turn.id));
+        const unchanged = batch.every(turn => currentIds.has(turn.id)) &&
+            current.summary === memory.summary &&
+            !users.some(userId => isOptedOut(userId));
+        if (!unchanged) return;
+
+        saveMemory(chatId, {
+            ...current,
+            turns: current.turns.filter(turn => !batchIds.has(turn.id)),
+            summary: summary ? summary.slice(0, MAX_SUMMARY_CHARS) : null,
+            summaryUsers: [...new Set([...(current.summaryUsers || []), ...users])]
+        });
+    } finally {
+        summarizing.delete(chatId);
+    }
+}
+
+module.exports = {
+    isOptedOut,
+    setOptOut,
+    getFacts,
+    addFact,
+    removeFact,
+    forgetUser,
+    clearConversation,
+    buildContext,
+    recordExchange
+};
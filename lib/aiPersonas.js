@@ -0,0 +1,299 @@
+/**
+ * AI personas
+ * A persona decides how the bot talks in a chat: its system prompt, creativity
+ * (temperature), reply language, emoji use and topics it won't discuss. Every
+ * group and private chat stores its own copy, so a persona picked from the
+ * built-in library can be tweaked without affecting other chats.
+ *
+ * System prompts are templates: {botName}, {chatType} and {date} are filled in
+ * on every request.
+ */
+const storage = require('./storage');
+const config = require('../config');
+
+// Storage collection of chat personas (chat JID -> persona)
+const PERSONAS_COLLECTION = 'aiPersonas';
+
+const EMOJI_STYLES = {
+    none: 'Do not use emojis.',
+    light: 'Use an emoji now and then, where it fits.',
+    heavy: 'Use plenty of emojis.'
+};
+
+const MAX_PROMPT_CHARS = 1500;
+const MAX_BANNED_TOPICS = 20;
+
+// Shared by most built-in personas
+const NATURAL_STYLE = 'Never introduce yourself as a bot or AI and never mention being a WhatsApp bot.';
+
+const BUILT_IN_PERSONAS = {
+    default: {
+        description: 'Helpful and conversational',
+        systemPrompt: "You are a helpful WhatsApp assistant in a {chatType}. Provide conversational, human-like responses that feel natural and engaging. Use casual language and varying sentence structures. Include some short sentences and conversational phrases like 'yeah', 'hmm', 'honestly', etc. " + NATURAL_STYLE + ' Focus on delivering valuable information while sounding like a real person texting.',
+        temperature: 0.8,
+        emojiStyle: 'light'
+    },
+    professional: {
+        description: 'Precise, formal and to the point',
+        systemPrompt: 'You are {botName}, a professional assistant in a {chatType}. Answer precisely and formally, in well-structured sentences. Prefer short lists for steps and options. ' + NATURAL_STYLE,
+        temperature: 0.4,
+        emojiStyle: 'none'
+    },
+    casual: {
+        description: 'Relaxed, like texting a friend',
+        systemPrompt: 'You are {botName}, chatting in a {chatType}. Keep it relaxed and brief, like texting a friend. Use everyday words and contractions. ' + NATURAL_STYLE,
+        temperature: 0.9,
+        emojiStyle: 'light'
+    },
+    friendly: {
+        description: 'Warm, encouraging and patient',
+        systemPrompt: 'You are {botName}, a warm and encouraging helper in a {chatType}. Be patient, kind and supportive, and explain things gently. ' + NATURAL_STYLE,
+        temperature: 0.7,
+        emojiStyle: 'light'
+    },
+    funny: {
+        description: 'Playful, with jokes and puns',
+        systemPrompt: 'You are {botName}, the funny one in a {chatType}. Answer correctly, but add jokes, puns and playful remarks. Keep the humour kind. ' + NATURAL_STYLE,
+        temperature: 1.0,
+        emojiStyle: 'heavy'
+    },
+    sarcastic: {
+        description: 'Dry wit and light sarcasm',
+        systemPrompt: 'You are {botName}, known for dry wit in a {chatType}. Give correct answers with light, good-natured sarcasm. Never be cruel or insulting. ' + NATURAL_STYLE,
+        temperature: 0.9,
+        emojiStyle: 'none'
+    },
+    poetic: {
+        description: 'Answers in verse',
+        systemPrompt: 'You are {botName}, a poet in a {chatType}. Answer in short rhyming verse while still giving the information asked for. ' + NATURAL_STYLE,
+        temperature: 1.0,
+        emojiStyle: 'none'
+    },
+    teacher: {
+        description: 'Explains step by step and checks understanding',
+        systemPrompt: 'You are {botName}, a patient teacher in a {chatType}. Explain step by step with simple examples, and end longer explanations with a short question to check understanding. ' + NATURAL_STYLE,
+        temperature: 0.5,
+        emojiStyle: 'light'
+    },
+    otaku: {
+        description: 'Anime fan who loves references',
+        systemPrompt: 'You are {botName}, an enthusiastic anime fan in a {chatType}. Answer helpfully and sprinkle in anime references and expressions where they fit. ' + NATURAL_STYLE,
+        temperature: 0.9,
+        emojiStyle: 'heavy'
+    }
+};
+
+// Fields a chat can change with .persona set <field> <value>, with their display names
+const FIELD_LABELS = {
+    prompt: 'system prompt',
+    temperature: 'temperature',
+    language: 'language',
+    emoji: 'emoji style',
+    banned: 'banned topics'
+};
+const EDITABLE_FIELDS = Object.keys(FIELD_LABELS);
+
+/**
+ * Create a persona from the built-in library
+ *
+ * @param {string} name - Built-in persona name
+ * @returns {Object} Persona
+ */
+function fromLibrary(name) {
+    const builtIn = BUILT_IN_PERSONAS[name];
+    return {
+        name,
+        systemPrompt: builtIn.systemPrompt,
+        temperature: builtIn.temperature,
+        language: null,
+        emojiStyle: builtIn.emojiStyle,
+        bannedTopics: []
+    };
+}
+
+/**
+ * List the built-in personas
+ *
+ * @returns {Array<Object>} { name, description }
+ */
+function listBuiltIn() {
+    return Object.entries(BUILT_IN_PERSONAS).map(([name, persona]) => ({ name, description: persona.description }));
+}
+
+/**
+ * Get the persona of a chat (the default persona unless one was set)
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Object} Persona
+ */
+function getPersona(chatId) {
+    return (chatId && storage.get(PERSONAS_COLLECTION, chatId)) || fromLibrary('default');
+}
+
+/**
+ * Check whether a chat uses the unchanged default persona
+ *
+ * @param {string} chatId - Chat JID (null counts as default)
+ * @returns {boolean} Whether nothing was customized
+ */
+function isDefault(chatId) {
+    return !chatId || !storage.get(PERSONAS_COLLECTION, chatId);
+}
+
+/**
+ * Switch a chat to a built-in persona
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} name - Built-in persona name
+ * @returns {Object} Result with success and message
+ */
+function usePersona(chatId, name) {
+    const key = String(name).toLowerCase();
+    if (!BUILT_IN_PERSONAS[key]) {
+        return {
+            success: false,
+            message: `Unknown persona "${name}". Available: ${Object.keys(BUILT_IN_PERSONAS).join(', ')}`
+        };
+    }
+
+    storage.set(PERSONAS_COLLECTION, chatId, fromLibrary(key));
+    return { success: true, message: `Persona set to "${key}": ${BUILT_IN_PERSONAS[key].description}.` };
+}
+
+/**
+ * Change one field of a chat's persona
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} field - One of EDITABLE_FIELDS
+ * @param {string} value - New value
+ * @returns {Object} Result with success and message
+ */
+function updatePersona(chatId, field, value) {
+    const persona = { ...getPersona(chatId) };
+    value = String(value || '').trim();
+
+    switch (field) {
+        case 'prompt':
+            if (!value) {
+                return { success: false, message: 'Please give the new system prompt.' };
+            }
+            if (value.length > MAX_PROMPT_CHARS) {
+                return { success: false, message: `The system prompt is too long (max ${MAX_PROMPT_CHARS} characters).` };
+            }
+            persona.systemPrompt = value;
+            persona.name = 'custom';
+            break;
+
+        case 'temperature': {
+            const temperature = Number(value);
+            if (!value || isNaN(temperature) || temperature < 0 || temperature > 2) {
+                return { success: false, message: 'Temperature must be a number from 0 (focused) to 2 (creative).' };
+            }
+            persona.temperature = temperature;
+            break;
+        }
+
+        case 'language':
+            persona.language = !value || value.toLowerCase() === 'auto' ? null : value;
+            break;
+
+        case 'emoji':
+            if (!EMOJI_STYLES[value.toLowerCase()]) {
+                return { success: false, message: `Emoji style must be one of: ${Object.keys(EMOJI_STYLES).join(', ')}` };
+            }
+            persona.emojiStyle = value.toLowerCase();
+            break;
+
+        case 'banned': {
+            const topics = value.toLowerCase() === 'none'
+                ? []
+                : value.split(',').map(topic => topic.trim()).filter(Boolean);
+            if (topics.length > MAX_BANNED_TOPICS) {
+                return { success: false, message: `Too many banned topics (max ${MAX_BANNED_TOPICS}).` };
+            }
+            persona.bannedTopics = topics;
+            break;
+        }
+
+        default:
+            return { success: false, message: `Unknown setting "${field}". Use one of: ${EDITABLE_FIELDS.join(', ')}` };
+    }
+
+    storage.set(PERSONAS_COLLECTION, chatId, persona);
+    return { success: true, message: `Persona ${FIELD_LABELS[field]} updated.` };
+}
+
+/**
+ * Go back to the default persona
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Object} Result with success and message
+ */
+function resetPersona(chatId) {
+    storage.remove(PERSONAS_COLLECTION, chatId);
+    return { success: true, message: 'Persona reset to the default.' };
+}
+
+/**
+ * Build the system instruction for a chat's persona
+ *
+ * @param {Object} persona - Persona
+ * @param {string} chatId - Chat JID
+ * @returns {string} System instruction
+ */
+function buildSystemPrompt(persona, chatId) {
+    const values = {
+        botName: config.botName,
+        chatType: chatId && chatId.endsWith('@g.us') ? 'WhatsApp group chat' : 'private WhatsApp chat',
+        date: new Date().toLocaleDateString('en-US', {
+            timeZone: config.defaultTimezone,
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        })
+    };
+
+    const lines = [persona.systemPrompt.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match)];
+    lines.push(persona.language
+        ? `Always reply in ${persona.language}, whatever language the user writes in.`
+        : 'Reply in the language the user writes in.');
+    lines.push(EMOJI_STYLES[persona.emojiStyle] || EMOJI_STYLES.light);
+    if (persona.bannedTopics.length > 0) {
+        lines.push(`Do not discuss these topics; if asked, politely decline and change the subject: ${persona.bannedTopics.join(', ')}.`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Describe a chat's persona
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {string} Persona text
+ */
+function describePersona(chatId) {
+    const persona = getPersona(chatId);
+    const prompt = persona.systemPrompt.length > 300
+        ? `${persona.systemPrompt.slice(0, 300)}...`
+        : persona.systemPrompt;
+
+    return `🎭 *Persona: ${persona.name}*\n\n` +
+        `• Temperature: ${persona.temperature}\n` +
+        `• Language: ${persona.language || 'same as the user'}\n` +
+        `• Emojis: ${persona.emojiStyle}\n` +
+        `• Banned topics: ${persona.bannedTopics.length > 0 ? persona.bannedTopics.join(', ') : 'none'}\n\n` +
+        `*System prompt:*\n${prompt}`;
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    listBuiltIn,
+    getPersona,
+    isDefault,
+    usePersona,
+    updatePersona,
+    resetPersona,
+    buildSystemPrompt,
+    describePersona
+};
@@ -0,0 +1,87 @@
+/**
+ * Image understanding for AI chat
+ * Finds the photo a user sent or replied to and downloads it for the AI.
+ * Private chats always have it; groups turn it on with .vision.
+ */
+const storage = require('./storage');
+const stickerMaker = require('./stickerMaker');
+const config = require('../config');
+
+// Storage collection of group settings (chat JID -> enabled)
+const SETTINGS_COLLECTION = 'aiVision';
+
+/**
+ * Check whether the AI may look at images in a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {boolean} Whether image understanding is on
+ */
+function isEnabled(chatId) {
+    if (!chatId.endsWith('@g.us')) return true;
+
+    const enabled = storage.get(SETTINGS_COLLECTION, chatId);
+    return enabled === undefined ? config.ai.vision.enabledInGroups : enabled;
+}
+
+/**
+ * Turn image understanding on or off for a group
+ *
+ * @param {string} chatId - Group JID
+ * @param {boolean} enabled - Whether the AI may look at images
+ * @returns {Object} Result with success and message
+ */
+function setEnabled(chatId, enabled) {
+    storage.set(SETTINGS_COLLECTION, chatId, enabled);
+    return {
+        success: true,
+        message: enabled
+            ? 'Image understanding is on. Reply to a photo to ask me about it.'
+            : 'Image understanding is off for this group.'
+    };
+}
+
+/**
+ * Get the image of a message or of the message it replies to
+ *
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} message - Baileys message
+ * @returns {Promise<Object|null>} { data, mimetype }, { error } if the image is too large, or null
+ */
+async function getImage(sock, message) {
+    const content = message.message || {};
+    const contextInfo = content.extendedTextMessage?.contextInfo || content.imageMessage?.contextInfo;
+    const source = content.imageMessage ? content : contextInfo?.quotedMessage;
+
+    if (!source || !source.imageMessage) {
+        return null;
+    }
+
+    const maxBytes = config.ai.vision.maxImageBytes;
+    const tooLarge = { error: `That image is too large for me to look at (max ${Math.round(maxBytes / (1024 * 1024))} MB).` };
+
+    if (Number(source.imageMessage.fileLength) > maxBytes) {
+        return tooLarge;
+    }
+
+    const data = await stickerMaker.downloadMediaMessage(
+        { message: source },
+        'buffer',
+        {},
+        {
+            logger: sock.logger,
+            reuploadRequest: sock.updateMediaMessage
+        }
+    );
+
+    if (data.length > maxBytes) {
+        return tooLarge;
+    }
+
+    return { data, mimetype: source.imageMessage.mimetype || 'image/jpeg' };
+}
+
+module.exports = {
+    isEnabled,
+    setEnabled,
+    getImage
+};
@@ -1,19 +1,324 @@
 /**
  * User engagement analytics module for WhatsApp bot
+ *
+ * Activity is stored as pre-aggregated rollups instead of a raw message log.
+ * Every message is added to an hourly bucket, a daily bucket and an all-time
+ * total for three scopes: the whole bot, the sender and the group. Queries only
+ * read the buckets of the requested period, so they don't slow down as history grows.
  */
 const database = require('./database');
+const storage = require('./storage');
 const contacts = require('./contacts');
 
 // Constants
-const ACTIVITY_RETENTION_DAYS = 30; // Store activity data for 30 days
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURLY_RETENTION_DAYS = 7;   // Hourly buckets answer the 'day' period
+const DAILY_RETENTION_DAYS = 365;  // Daily buckets answer 'week' and 'month'
+const PERIOD_DAYS = { day: 1, week: 7, month: 30 };
+
+// Storage collections: bucket keys are "<scope>|<bucket>", totals are keyed by scope
+const HOURLY_COLLECTION = 'activityHourly';
+const DAILY_COLLECTION = 'activityDaily';
+const TOTALS_COLLECTION = 'activityTotals';
+
+// Hour in which expired buckets were last removed
+let lastPrunedHour = null;
+let legacyLogImported = false;
+
+/**
+ * Extract the raw phone number from a JID
+ *
+ * @param {string} jid - User JID or number
+ * @returns {string} Phone number
+ */
+function toPhoneNumber(jid) {
+    return jid.split('@')[0].split(':')[0];
+}
+
+/**
+ * Get the number of days covered by a period name
+ *
+ * @param {string} period - Time period ('day', 'week', 'month')
+ * @returns {number} Days (unknown periods count as one day)
+ */
+function getPeriodDays(period) {
+    return PERIOD_DAYS[String(period).toLowerCase()] || PERIOD_DAYS.day;
+}
+
+/**
+ * Get the scope keys an activity is counted in
+ *
+ * @param {Object} activity - Normalized activity
+ * @returns {Array<string>} Scope keys
+ */
+function getScopes(activity) {
+    const scopes = ['all', `user:${activity.sender}`];
+    if (activity.group) {
+        scopes.push(`group:${activity.group}`);
+    }
+    return scopes;
+}
+
+/**
+ * Create an empty rollup
+ *
+ * @returns {Object} Rollup
+ */
+function createRollup() {
+    return {
+        messages: 0,
+        commands: 0,
+        media: 0,
+        messageTypes: {},
+        commandUsage: {},
+        hours: {},    // Hour of day -> messages
+        members: {},  // Sender -> counters (bot and group scopes)
+        groups: {},   // Group -> messages (user scopes)
+        firstSeen: null,
+        lastActive: 0
+    };
+}
+
+/**
+ * Add one activity to a rollup
+ *
+ * @param {Object} rollup - Rollup to update
+ * @param {Object} activity - Normalized activity
+ * @param {string} scope - Scope key of the rollup
+ */
+function addToRollup(rollup, activity, scope) {
+    const isMedia = activity.messageType !== 'text';
+
+    rollup.messages++;
+    rollup.messageTypes[activity.messageType] = (rollup.messageTypes[activity.messageType] || 0) + 1;
+
+    if (activity.isCommand) {
+        rollup.commands++;
+        if (activity.command) {
+            rollup.commandUsage[activity.command] = (rollup.commandUsage[activity.command] || 0) + 1;
+        }
+    }
+
+    if (isMedia) {
+        rollup.media++;
+    }
+
+    const hour = new Date(activity.timestamp).getHours();
+    rollup.hours[hour] = (rollup.hours[hour] || 0) + 1;
+
+    if (scope.startsWith('user:')) {
+        if (activity.group) {
+            rollup.groups[activity.group] = (rollup.groups[activity.group] || 0) + 1;
+        }
+    } else {
+        const member = rollup.members[activity.sender] ||
+            (rollup.members[activity.sender] = { messages: 0, commands: 0, media: 0, lastActive: 0 });
+        member.messages++;
+        if (activity.isCommand) member.commands++;
+        if (isMedia) member.media++;
+        member.lastActive = Math.max(member.lastActive, activity.timestamp);
+    }
+
+    rollup.firstSeen = rollup.firstSeen === null
+        ? activity.timestamp
+        : Math.min(rollup.firstSeen, activity.timestamp);
+    rollup.lastActive = Math.max(rollup.lastActive, activity.timestamp);
+}
+
+/**
+ * Merge rollups into one
+ *
+ * @param {Array<Object>} rollups - Rollups to merge
+ * @returns {Object} Merged rollup
+ */
+function mergeRollups(rollups) {
+    const merged = createRollup();
+    const addCounts = (target, source) => {
+        for (const [key, count] of Object.entries(source || {})) {
+            target[key] = (target[key] || 0) + count;
+        }
+    };
+
+    for (const rollup of rollups) {
+        merged.messages += rollup.messages;
+        merged.commands += rollup.commands;
+        merged.media += rollup.media;
+        addCounts(merged.messageTypes, rollup.messageTypes);
+        addCounts(merged.commandUsage, rollup.commandUsage);
+        addCounts(merged.hours, rollup.hours);
+        addCounts(merged.groups, rollup.groups);
+
+        for (const [sender, member] of Object.entries(rollup.members || {})) {
+            const target = merged.members[sender] ||
+                (merged.members[sender] = { messages: 0, commands: 0, media: 0, lastActive: 0 });
+            target.messages += member.messages;
+            target.commands += member.commands;
+            target.media += member.media;
+            target.lastActive = Math.max(target.lastActive, member.lastActive);
+        }
+
+        if (rollup.firstSeen !== null) {
+            merged.firstSeen = merged.firstSeen === null
+                ? rollup.firstSeen
+                : Math.min(merged.firstSeen, rollup.firstSeen);
+        }
+        merged.lastActive = Math.max(merged.lastActive, rollup.lastActive);
+    }
+
+    return merged;
+}
+
+/**
+ * Get the hourly bucket key of a timestamp
+ */
+function hourBucket(timestamp) {
+    return String(Math.floor(timestamp / HOUR_MS) * HOUR_MS);
+}
+
+/**
+ * Get the daily bucket key (UTC date) of a timestamp
+ */
+function dayBucket(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+/**
+ * Add an activity to all of its rollups
+ *
+ * @param {Object} activity - Normalized activity
+ */
+function storeActivity(activity) {
+    const hourKey = hourBucket(activity.timestamp);
+    const dayKey = dayBucket(activity.timestamp);
+
+    for (const scope of getScopes(activity)) {
+        const targets = [
+            [HOURLY_COLLECTION, `${scope}|${hourKey}`],
+            [DAILY_COLLECTION, `${scope}|${dayKey}`],
+            [TOTALS_COLLECTION, scope]
+        ];
+
+        for (const [collection, key] of targets) {
+            const rollup = storage.get(collection, key) || createRollup();
+            addToRollup(rollup, activity, scope);
+            storage.set(collection, key, rollup);
+        }
+    }
+}
+
+/**
+ * Remove buckets older than their retention (runs at most once per hour)
+ */
+function pruneExpiredBuckets() {
+    const currentHour = Math.floor(Date.now() / HOUR_MS);
+    if (lastPrunedHour === currentHour) {
+        return;
+    }
+    lastPrunedHour = currentHour;
+
+    const hourlyCutoff = Date.now() - (HOURLY_RETENTION_DAYS * DAY_MS);
+    const dailyCutoff = dayBucket(Date.now() - (DAILY_RETENTION_DAYS * DAY_MS));
+    const bucketOf = key => key.slice(key.lastIndexOf('|') + 1);
+
+    for (const key of Object.keys(storage.getAll(HOURLY_COLLECTION))) {
+        if (Number(bucketOf(key)) < hourlyCutoff) {
+            storage.remove(HOURLY_COLLECTION, key);
+        }
+    }
+
+    for (const key of Object.keys(storage.getAll(DAILY_COLLECTION))) {
+        if (bucketOf(key) < dailyCutoff) {
+            storage.remove(DAILY_COLLECTION, key);
+        }
+    }
+}
+
+/**
+ * Move the old raw 'activityLog' array into the rollups (runs once)
+ */
+function importLegacyLog() {
+    if (legacyLogImported) {
+        return;
+    }
+    legacyLogImported = true;
+
+    const activityLog = database.getData('activityLog');
+    if (!Array.isArray(activityLog)) {
+        return;
+    }
+
+    activityLog.forEach(entry => storeActivity({
+        timestamp: entry.timestamp,
+        sender: entry.sender,
+        group: entry.group || null,
+        messageType: entry.messageType || 'text',
+        isCommand: entry.isCommand || false,
+        command: entry.command || null
+    }));
+    database.removeData('activityLog');
+
+    console.log(`Analytics: Imported ${activityLog.length} entries from the old activity log`);
+}
+
+/**
+ * Get the buckets of a scope that cover a period
+ *
+ * 'day' uses the last 24 hourly buckets, longer periods use daily buckets
+ * (today and the days before it).
+ *
+ * @param {string} scope - Scope key
+ * @param {string} period - Time period ('day', 'week', 'month')
+ * @returns {Array<Object>} Buckets ({ start, rollup }), oldest first
+ */
+function getBuckets(scope, period) {
+    importLegacyLog();
+
+    const days = getPeriodDays(period);
+    const now = Date.now();
+    const buckets = [];
+
+    if (days === 1) {
+        const currentHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+        for (let i = 23; i >= 0; i--) {
+            const start = currentHour - (i * HOUR_MS);
+            const rollup = storage.get(HOURLY_COLLECTION, `${scope}|${start}`);
+            if (rollup) buckets.push({ start, rollup });
+        }
+    } else {
+        const today = Math.floor(now / DAY_MS) * DAY_MS;
+        for (let i = days - 1; i >= 0; i--) {
+            const start = today - (i * DAY_MS);
+            const rollup = storage.get(DAILY_COLLECTION, `${scope}|${dayBucket(start)}`);
+            if (rollup) buckets.push({ start, rollup });
+        }
+    }
+
+    return buckets;
+}
+
+/**
+ * Get the merged rollup of a scope for a period
+ *
+ * @param {string} scope - Scope key
+ * @param {string} period - Time period ('day', 'week', 'month', 'all')
+ * @returns {Object} Rollup
+ */
+function getRollup(scope, period) {
+    if (period === 'all') {
+        importLegacyLog();
+        return mergeRollups([storage.get(TOTALS_COLLECTION, scope)].filter(Boolean));
+    }
+    return mergeRollups(getBuckets(scope, period).map(bucket => bucket.rollup));
+}
 
 /**
  * Record user message activity
- * 
- * @param {Object} messageInfo - Message information 
+ *
+ * @param {Object} messageInfo - Message information
  * @param {string} messageInfo.sender - Sender ID (JID)
  * @param {string} messageInfo.group - Group ID (JID) if applicable
- * @param {string} messageInfo.msgType - Message type 
+ * @param {string} messageInfo.msgType - Message type
  * @param {number} messageInfo.timestamp - Message timestamp
  * @param {boolean} messageInfo.isCommand - Whether message is a command
  * @param {string} messageInfo.command - Command name if applicable
@@ -22,13 +327,10 @@ const ACTIVITY_RETENTION_DAYS = 30; // Store activity data for 30 days
 function recordActivity(messageInfo) {
     try {
         const { sender, group, msgType, timestamp, isCommand, command } = messageInfo;
-        
+
         // Extract raw phone number from JID
-        let phoneNumber = sender.split('@')[0];
-        if (phoneNumber.includes(':')) {
-            phoneNumber = phoneNumber.split(':')[0];
-        }
-        
+        const phoneNumber = toPhoneNumber(sender);
+
         // Normalize message data
         const activityData = {
             timestamp: timestamp || Date.now(),
@@ -38,23 +340,14 @@ function recordActivity(messageInfo) {
             isCommand: isCommand || false,
             command: command || null
         };
-        
-        // Get existing activity log
-        let activityLog = database.getData('activityLog') || [];
-        
-        // Add new activity
-        activityLog.push(activityData);
-        
-        // Prune old activity data
-        const cutoffTime = Date.now() - (ACTIVITY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
-        activityLog = activityLog.filter(activity => activity.timestamp > cutoffTime);
-        
-        // Save back to database
-        database.saveData('activityLog', activityLog);
-        
+
+        importLegacyLog();
+        storeActivity(activityData);
+        pruneExpiredBuckets();
+
         // Update contact engagement score
         contacts.trackEngagement(phoneNumber);
-        
+
         return true;
     } catch (error) {
         console.error('Error recording activity:', error);
@@ -64,7 +357,7 @@ function recordActivity(messageInfo) {
 
 /**
  * Get aggregated analytics for a time period
- * 
+ *
  * @param {Object} options - Analysis options
  * @param {string} options.period - Time period ('day', 'week', 'month')
  * @param {string} options.group - Optional group JID to filter by
@@ -73,99 +366,32 @@ function recordActivity(messageInfo) {
 function getAnalytics(options = {}) {
     try {
         const { period = 'day', group = null } = options;
-        
-        // Calculate cutoff time based on period
-        let cutoffTime;
-        const now = Date.now();
-        
-        switch (period.toLowerCase()) {
-            case 'week':
-                cutoffTime = now - (7 * 24 * 60 * 60 * 1000);
-                break;
-            case 'month':
-                cutoffTime = now - (30 * 24 * 60 * 60 * 1000);
-                break;
-            case 'day':
-            default:
-                cutoffTime = now - (24 * 60 * 60 * 1000);
-                break;
-        }
-        
-        // Get activity log
-        const activityLog = database.getData('activityLog') || [];
-        
-        // Filter by time period and group if needed
-        const filteredActivity = activityLog.filter(activity => {
-            let matchesFilter = activity.timestamp > cutoffTime;
-            
-            if (matchesFilter && group) {
-                matchesFilter = activity.group === group;
-            }
-            
-            return matchesFilter;
-        });
-        
-        // Count metrics
-        const metrics = {
-            totalMessages: filteredActivity.length,
-            uniqueUsers: new Set(),
-            messageTypes: {},
-            commandUsage: {},
-            mostActiveHours: Array(24).fill(0),
-            userEngagement: {}
-        };
-        
-        // Process each activity
-        filteredActivity.forEach(activity => {
-            // Unique users
-            metrics.uniqueUsers.add(activity.sender);
-            
-            // Message types
-            const msgType = activity.messageType || 'text';
-            metrics.messageTypes[msgType] = (metrics.messageTypes[msgType] || 0) + 1;
-            
-            // Command usage
-            if (activity.isCommand && activity.command) {
-                metrics.commandUsage[activity.command] = (metrics.commandUsage[activity.command] || 0) + 1;
-            }
-            
-            // Active hours
-            const hour = new Date(activity.timestamp).getHours();
-            metrics.mostActiveHours[hour]++;
-            
-            // User engagement
-            if (!metrics.userEngagement[activity.sender]) {
-                metrics.userEngagement[activity.sender] = 0;
-            }
-            metrics.userEngagement[activity.sender]++;
-        });
-        
-        // Convert unique users Set to count
-        metrics.uniqueUsers = metrics.uniqueUsers.size;
-        
+
+        const rollup = getRollup(group ? `group:${group}` : 'all', period);
+
         // Find most active users
-        const sortedUsers = Object.entries(metrics.userEngagement)
-            .sort((a, b) => b[1] - a[1])
+        const mostActiveUsers = Object.entries(rollup.members)
+            .sort((a, b) => b[1].messages - a[1].messages)
             .slice(0, 5)
-            .map(([user, count]) => ({ user, count }));
-            
-        metrics.mostActiveUsers = sortedUsers;
-        delete metrics.userEngagement; // Remove raw data
-        
+            .map(([user, member]) => ({ user, count: member.messages }));
+
         // Find most active hours
-        const topHours = metrics.mostActiveHours
-            .map((count, hour) => ({ hour, count }))
+        const topActiveHours = Array.from({ length: 24 }, (_, hour) => ({ hour, count: rollup.hours[hour] || 0 }))
             .sort((a, b) => b.count - a.count)
             .slice(0, 3);
-            
-        metrics.topActiveHours = topHours;
-        delete metrics.mostActiveHours; // Remove raw data
-        
+
         return {
             success: true,
             period,
             group,
-            metrics
+            metrics: {
+                totalMessages: rollup.messages,
+                uniqueUsers: Object.keys(rollup.members).length,
+                messageTypes: rollup.messageTypes,
+                commandUsage: rollup.commandUsage,
+                mostActiveUsers,
+                topActiveHours
+            }
         };
     } catch (error) {
         console.error('Error generating analytics:', error);
@@ -178,7 +404,7 @@ function getAnalytics(options = {}) {
 
 /**
  * Get detailed activity for a specific user
- * 
+ *
  * @param {string} phoneNumber - User's phone number
  * @param {Object} options - Analysis options
  * @param {string} options.period - Time period ('day', 'week', 'month')
@@ -187,96 +413,49 @@ function getAnalytics(options = {}) {
 function getUserActivity(phoneNumber, options = {}) {
     try {
         const { period = 'week' } = options;
-        
+
         // Normalize phone number
         const normalizedNumber = database.normalizeNumber(phoneNumber);
-        
-        // Calculate cutoff time based on period
-        let cutoffTime;
-        const now = Date.now();
-        
-        switch (period.toLowerCase()) {
-            case 'month':
-                cutoffTime = now - (30 * 24 * 60 * 60 * 1000);
-                break;
-            case 'week':
-                cutoffTime = now - (7 * 24 * 60 * 60 * 1000);
-                break;
-            case 'day':
-            default:
-                cutoffTime = now - (24 * 60 * 60 * 1000);
-                break;
-        }
-        
-        // Get activity log and filter for this user
-        const activityLog = database.getData('activityLog') || [];
-        const userActivity = activityLog.filter(activity => {
-            return activity.sender === normalizedNumber && activity.timestamp > cutoffTime;
-        });
-        
+
+        // Activity is keyed by the bare number, without the '+'
+        const buckets = getBuckets(`user:${normalizedNumber.slice(1)}`, period);
+        const rollup = mergeRollups(buckets.map(bucket => bucket.rollup));
+
         // Get contact data
         const contact = contacts.getContactInfo(normalizedNumber);
-        
-        if (userActivity.length === 0 && !contact) {
+
+        if (rollup.messages === 0 && !contact) {
             return {
                 success: false,
                 message: "No activity found for this user."
             };
         }
-        
-        // Calculate metrics
-        const metrics = {
-            totalMessages: userActivity.length,
-            messageTypes: {},
-            commandUsage: {},
-            activeGroups: new Set(),
-            activityByDay: {}
-        };
-        
-        // Process each activity
-        userActivity.forEach(activity => {
-            // Message types
-            const msgType = activity.messageType || 'text';
-            metrics.messageTypes[msgType] = (metrics.messageTypes[msgType] || 0) + 1;
-            
-            // Command usage
-            if (activity.isCommand && activity.command) {
-                metrics.commandUsage[activity.command] = (metrics.commandUsage[activity.command] || 0) + 1;
-            }
-            
-            // Active groups
-            if (activity.group) {
-                metrics.activeGroups.add(activity.group);
-            }
-            
-            // Activity by day
-            const date = new Date(activity.timestamp).toISOString().split('T')[0];
-            if (!metrics.activityByDay[date]) {
-                metrics.activityByDay[date] = 0;
-            }
-            metrics.activityByDay[date]++;
+
+        // Activity by day (hourly buckets of the same date are added up)
+        const activityByDay = {};
+        buckets.forEach(({ start, rollup: bucket }) => {
+            const date = dayBucket(start);
+            activityByDay[date] = (activityByDay[date] || 0) + bucket.messages;
         });
-        
-        // Convert Sets to counts
-        metrics.activeGroups = metrics.activeGroups.size;
-        
-        // Format activity by day as array
-        metrics.dailyActivity = Object.entries(metrics.activityByDay)
-            .map(([date, count]) => ({ date, count }))
-            .sort((a, b) => a.date.localeCompare(b.date));
-        
-        delete metrics.activityByDay; // Remove raw data
-        
+
         return {
             success: true,
             user: normalizedNumber,
-            contact: contact || { 
-                number: normalizedNumber, 
-                labels: [], 
-                engagement: 0 
+            contact: contact || {
+                number: normalizedNumber,
+                labels: [],
+                engagement: 0
             },
             period,
-            metrics
+            metrics: {
+                totalMessages: rollup.messages,
+                messageTypes: rollup.messageTypes,
+                commandUsage: rollup.commandUsage,
+                activeGroups: Object.keys(rollup.groups).length,
+                dailyActivity: Object.entries(activityByDay)
+                    .map(([date, count]) => ({ date, count }))
+                    .sort((a, b) => a.date.localeCompare(b.date))
+            }
         };
     } catch (error) {
         console.error('Error generating user activity:', error);
@@ -289,7 +468,7 @@ function getUserActivity(phoneNumber, options = {}) {
 
 /**
  * Generate engagement report for a group
- * 
+ *
  * @param {string} groupJid - Group JID
  * @param {Object} options - Analysis options
  * @param {string} options.period - Time period ('day', 'week', 'month')
@@ -298,24 +477,24 @@ function getUserActivity(phoneNumber, options = {}) {
 function getGroupEngagement(groupJid, options = {}) {
     try {
         const { period = 'week' } = options;
-        
+
         if (!groupJid) {
             return {
                 success: false,
                 message: "Group ID is required."
             };
         }
-        
+
         // Get analytics for this group
-        const analytics = getAnalytics({ 
-            period, 
-            group: groupJid 
+        const analytics = getAnalytics({
+            period,
+            group: groupJid
         });
-        
+
         if (!analytics.success) {
             return analytics;
         }
-        
+
         // Format for presentation
         const report = {
             success: true,
@@ -331,7 +510,7 @@ function getGroupEngagement(groupJid, options = {}) {
                 .map(([command, count]) => ({ command, count })),
             peakHours: analytics.metrics.topActiveHours
         };
-        
+
         return report;
     } catch (error) {
         console.error('Error generating group engagement report:', error);
@@ -344,7 +523,7 @@ function getGroupEngagement(groupJid, options = {}) {
 
 /**
  * Get command usage statistics
- * 
+ *
  * @param {Object} options - Analysis options
  * @param {string} options.period - Time period ('day', 'week', 'month')
  * @returns {Object} Command usage statistics
@@ -352,14 +531,14 @@ function getGroupEngagement(groupJid, options = {}) {
 function getCommandStats(options = {}) {
     try {
         const { period = 'week' } = options;
-        
+
         // Get overall analytics
         const analytics = getAnalytics({ period });
-        
+
         if (!analytics.success) {
             return analytics;
         }
-        
+
         // Return focused command stats
         return {
             success: true,
@@ -368,8 +547,8 @@ function getCommandStats(options = {}) {
                 .reduce((sum, count) => sum + count, 0),
             commandUsage: Object.entries(analytics.metrics.commandUsage || {})
                 .sort((a, b) => b[1] - a[1])
-                .map(([command, count]) => ({ 
-                    command, 
+                .map(([command, count]) => ({
+                    command,
                     count,
                     percentage: Math.round((count / analytics.metrics.totalMessages) * 100)
                 }))
@@ -384,40 +563,18 @@ function getCommandStats(options = {}) {
 }
 
 /**
- * Get group analytics stats 
- * 
+ * Get group analytics stats
+ *
  * @param {string} groupId - Group JID
  * @param {string} period - Time period ('day', 'week', 'month')
  * @returns {Object} Group stats
  */
 function getGroupStats(groupId, period = 'week') {
     try {
-        // Get activity data from the database
-        const activityLog = database.getData('activityLog') || [];
-        
-        // Calculate cutoff time based on period
-        let cutoffTime;
-        const now = Date.now();
-        
-        switch (period.toLowerCase()) {
-            case 'week':
-                cutoffTime = now - (7 * 24 * 60 * 60 * 1000);
-                break;
-            case 'month':
-                cutoffTime = now - (30 * 24 * 60 * 60 * 1000);
-                break;
-            case 'day':
-            default:
-                cutoffTime = now - (24 * 60 * 60 * 1000);
-                break;
-        }
-        
-        // Filter activity by group and time period
-        const groupActivity = activityLog.filter(activity => 
-            activity.group === groupId && activity.timestamp > cutoffTime
-        );
-        
-        if (groupActivity.length === 0) {
+        const buckets = getBuckets(`group:${groupId}`, period);
+        const rollup = mergeRollups(buckets.map(bucket => bucket.rollup));
+
+        if (rollup.messages === 0) {
             // Return data structure with zeros instead of placeholders
             return {
                 totalMessages: 0,
@@ -427,59 +584,46 @@ function getGroupStats(groupId, period = 'week') {
                 activityTrend: "Insufficient data to determine trend"
             };
         }
-        
-        // Count messages by user
-        const userCounts = {};
-        const hourCounts = Array(24).fill(0);
-        
-        groupActivity.forEach(activity => {
-            // Count by user
-            if (!userCounts[activity.sender]) {
-                userCounts[activity.sender] = 0;
-            }
-            userCounts[activity.sender]++;
-            
-            // Count by hour
-            const hour = new Date(activity.timestamp).getHours();
-            hourCounts[hour]++;
-        });
-        
+
         // Get top users
-        const topUsers = Object.entries(userCounts)
-            .sort((a, b) => b[1] - a[1])
+        const topUsers = Object.entries(rollup.members)
+            .sort((a, b) => b[1].messages - a[1].messages)
             .slice(0, 5)
-            .map(([user, count]) => ({ user: `${user}@s.whatsapp.net`, count }));
-        
-        // Convert hourCounts to object format with only non-zero hours
+            .map(([user, member]) => ({ user: `${user}@s.whatsapp.net`, count: member.messages }));
+
+        // Only hours with activity
         const activityByHour = {};
-        hourCounts.forEach((count, hour) => {
+        Object.entries(rollup.hours).forEach(([hour, count]) => {
             if (count > 0) {
                 activityByHour[hour] = count;
             }
         });
-        
-        // Determine activity trend based on message distribution
+
+        // Determine activity trend by comparing both halves of the period
         let activityTrend = "Steady activity";
-        
-        // Split activity into time segments and compare
+
+        const now = Date.now();
+        const cutoffTime = now - (getPeriodDays(period) * DAY_MS);
         const halfwayPoint = cutoffTime + ((now - cutoffTime) / 2);
-        const recentActivityCount = groupActivity.filter(a => a.timestamp > halfwayPoint).length;
-        const olderActivityCount = groupActivity.length - recentActivityCount;
-        
-        const changePercentage = 
-            olderActivityCount > 0 
+        const recentActivityCount = buckets
+            .filter(bucket => bucket.start >= halfwayPoint)
+            .reduce((sum, bucket) => sum + bucket.rollup.messages, 0);
+        const olderActivityCount = rollup.messages - recentActivityCount;
+
+        const changePercentage =
+            olderActivityCount > 0
                 ? ((recentActivityCount - olderActivityCount) / olderActivityCount) * 100
                 : 100;
-        
+
         if (changePercentage > 20) {
             activityTrend = "Increasing activity";
         } else if (changePercentage < -20) {
             activityTrend = "Decreasing activity";
         }
-        
+
         return {
-            totalMessages: groupActivity.length,
-            activeMembers: Object.keys(userCounts).length,
+            totalMessages: rollup.messages,
+            activeMembers: Object.keys(rollup.members).length,
             topUsers,
             activityByHour,
             activityTrend
@@ -499,24 +643,16 @@ function getGroupStats(groupId, period = 'week') {
 
 /**
  * Get user stats
- * 
+ *
  * @param {string} userId - User JID
  * @returns {Object} User stats
  */
 function getUserStats(userId) {
     try {
-        // Normalize the user ID
-        const normalizedUser = userId.split('@')[0];
-        
-        // Get activity data from the database
-        const activityLog = database.getData('activityLog') || [];
-        
-        // Filter activity for this user
-        const userActivity = activityLog.filter(activity => 
-            activity.sender === normalizedUser
-        );
-        
-        if (userActivity.length === 0) {
+        const scope = `user:${toPhoneNumber(userId)}`;
+        const totals = getRollup(scope, 'all');
+
+        if (totals.messages === 0) {
             // Return data structure with zeros instead of placeholders
             return {
                 totalMessages: 0,
@@ -531,73 +667,23 @@ function getUserStats(userId) {
                 commandUsage: {}
             };
         }
-        
-        // Get timestamps
-        const timestamps = userActivity.map(a => a.timestamp);
-        const firstSeen = Math.min(...timestamps);
-        const lastActive = Math.max(...timestamps);
-        
-        // Count messages by group
-        const groupCounts = {};
-        const commandCounts = {};
-        
-        // Calculate time cutoffs
-        const now = Date.now();
-        const dayAgo = now - (24 * 60 * 60 * 1000);
-        const weekAgo = now - (7 * 24 * 60 * 60 * 1000);
-        const monthAgo = now - (30 * 24 * 60 * 60 * 1000);
-        
-        // Activity counters
-        let todayCount = 0;
-        let weekCount = 0;
-        let monthCount = 0;
-        
-        userActivity.forEach(activity => {
-            // Count by group
-            if (activity.group) {
-                if (!groupCounts[activity.group]) {
-                    groupCounts[activity.group] = 0;
-                }
-                groupCounts[activity.group]++;
-            }
-            
-            // Count commands
-            if (activity.isCommand && activity.command) {
-                if (!commandCounts[activity.command]) {
-                    commandCounts[activity.command] = 0;
-                }
-                commandCounts[activity.command]++;
-            }
-            
-            // Count by time period
-            if (activity.timestamp > dayAgo) {
-                todayCount++;
-                weekCount++;
-                monthCount++;
-            } else if (activity.timestamp > weekAgo) {
-                weekCount++;
-                monthCount++;
-            } else if (activity.timestamp > monthAgo) {
-                monthCount++;
-            }
-        });
-        
+
         // Get active groups
-        const activeGroups = Object.entries(groupCounts)
+        const activeGroups = Object.entries(totals.groups)
             .sort((a, b) => b[1] - a[1])
             .map(([groupId, count]) => ({ groupId, count }));
-        
+
         return {
-            totalMessages: userActivity.length,
-            firstSeen,
-            lastActive,
+            totalMessages: totals.messages,
+            firstSeen: totals.firstSeen,
+            lastActive: totals.lastActive,
             activeGroups,
             activityBreakdown: {
-                today: todayCount,
-                week: weekCount,
-                month: monthCount
+                today: getRollup(scope, 'day').messages,
+                week: getRollup(scope, 'week').messages,
+                month: getRollup(scope, 'month').messages
             },
-            commandUsage: commandCounts
+            commandUsage: totals.commandUsage
         };
     } catch (error) {
         console.error('Error generating user stats:', error);
@@ -620,7 +706,7 @@ function getUserStats(userId) {
 /**
  * Get detailed activity levels for all members in a group
  * Used for targeting the most active and influential members
- * 
+ *
  * @param {string} groupId - Group JID
  * @param {Object} options - Options
  * @param {string} options.period - Time period ('day', 'week', 'month', 'all')
@@ -629,96 +715,38 @@ function getUserStats(userId) {
 function getGroupMembersActivity(groupId, options = {}) {
     try {
         const { period = 'all' } = options;
-        
+
         if (!groupId) {
             console.error('Group ID is required for getGroupMembersActivity');
             return [];
         }
-        
-        // Get activity data from the database
-        const activityLog = database.getData('activityLog') || [];
-        
-        // Calculate cutoff time based on period
-        let cutoffTime = 0; // Default to all time
-        const now = Date.now();
-        
-        if (period !== 'all') {
-            switch (period.toLowerCase()) {
-                case 'month':
-                    cutoffTime = now - (30 * 24 * 60 * 60 * 1000);
-                    break;
-                case 'week':
-                    cutoffTime = now - (7 * 24 * 60 * 60 * 1000);
-                    break;
-                case 'day':
-                    cutoffTime = now - (24 * 60 * 60 * 1000);
-                    break;
-            }
-        }
-        
-        // Filter activity by group and time period
-        const groupActivity = activityLog.filter(activity => 
-            activity.group === groupId && activity.timestamp > cutoffTime
-        );
-        
-        if (groupActivity.length === 0) {
-            return [];
-        }
-        
-        // Calculate metrics for each member
-        const memberActivity = {};
-        
-        groupActivity.forEach(activity => {
-            const sender = activity.sender;
-            
-            // Initialize member data if not exists
-            if (!memberActivity[sender]) {
-                memberActivity[sender] = {
+
+        const rollup = getRollup(`group:${groupId}`, period);
+
+        return Object.entries(rollup.members)
+            .map(([sender, member]) => {
+                // Activity score formula:
+                // Recent activity gets more weight, commands show engagement,
+                // media sharing shows investment in the group
+                const recencyScore = Math.min(1,
+                    (Date.now() - member.lastActive) / (7 * DAY_MS)
+                );
+
+                return {
                     id: `${sender}@s.whatsapp.net`,
-                    messageCount: 0,
-                    commandCount: 0,
-                    mediaCount: 0,
-                    lastActive: 0,
-                    activity: 0,
+                    messageCount: member.messages,
+                    commandCount: member.commands,
+                    mediaCount: member.media,
+                    lastActive: member.lastActive,
+                    activity:
+                        (member.messages * 1) +
+                        (member.commands * 3) +
+                        (member.media * 2) +
+                        (recencyScore * 10),
                     isAdmin: false // Will be set later if known
                 };
-            }
-            
-            // Update metrics
-            memberActivity[sender].messageCount++;
-            
-            if (activity.isCommand) {
-                memberActivity[sender].commandCount++;
-            }
-            
-            if (activity.messageType !== 'text') {
-                memberActivity[sender].mediaCount++;
-            }
-            
-            // Track most recent activity
-            if (activity.timestamp > memberActivity[sender].lastActive) {
-                memberActivity[sender].lastActive = activity.timestamp;
-            }
-        });
-        
-        // Calculate activity score (weighted metric)
-        Object.values(memberActivity).forEach(member => {
-            // Activity score formula: 
-            // Recent activity gets more weight, commands show engagement, 
-            // media sharing shows investment in the group
-            const recencyScore = Math.min(1, 
-                (Date.now() - member.lastActive) / (7 * 24 * 60 * 60 * 1000)
-            );
-            
-            member.activity = 
-                (member.messageCount * 1) + 
-                (member.commandCount * 3) + 
-                (member.mediaCount * 2) +
-                (recencyScore * 10);
-        });
-        
-        // Convert to array and sort by activity score (descending)
-        return Object.values(memberActivity)
+            })
+            // Sort by activity score (descending)
             .sort((a, b) => b.activity - a.activity);
     } catch (error) {
         console.error('Error generating group members activity:', error);
@@ -735,4 +763,4 @@ module.exports = {
     getGroupStats,
     getUserStats,
     getGroupMembersActivity
-};
\ No newline at end of file
+};
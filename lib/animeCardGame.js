@@ -3,10 +3,10 @@
  * Manages collectible anime character cards for gacha game
  */
 
-const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const nodeSchedule = require('node-schedule');
+const storage = require('./storage');
 
 // Data storage
 let cardGameState = {
@@ -17,9 +17,12 @@ let cardGameState = {
     cardCollection: []    // Full collection of available cards
 };
 
-// File paths
-const CARDS_FILE = config.animeCardsFile || path.join(config.databaseDir, 'animeCards.json');
-const CARD_COLLECTION_FILE = path.join(config.databaseDir, 'animeCardCollection.json');
+// Storage names (the game state is a collection, the card list a document)
+const STATE_COLLECTION = path.basename(config.animeCardsFile || 'animeCards.json', '.json');
+const CARD_COLLECTION_DOCUMENT = 'animeCardCollection';
+
+// Parts of the game state that are saved
+const STATE_KEYS = ['playerCards', 'cardHistory', 'tradeLogs', 'dailyDraws'];
 
 // Rarity weights for random drawing
 const RARITY_WEIGHTS = {
@@ -37,21 +40,15 @@ const cardSettings = config.animeGames.cards;
  * Initialize the anime card game module
  */
 function initialize() {
-    // Create data directory if it doesn't exist
-    if (!fs.existsSync(config.databaseDir)) {
-        fs.mkdirSync(config.databaseDir, { recursive: true });
-    }
-
     // Load card game state
     try {
-        if (fs.existsSync(CARDS_FILE)) {
-            const data = fs.readFileSync(CARDS_FILE, 'utf8');
-            cardGameState = JSON.parse(data);
-            console.log('Anime Card Game: Loaded card game state data');
-        } else {
-            console.log('Anime Card Game: No existing card game state found, starting fresh');
-            saveCardGameState();
-        }
+        const stored = storage.getAll(STATE_COLLECTION);
+        STATE_KEYS.forEach(key => {
+            if (stored[key] !== undefined) {
+                cardGameState[key] = stored[key];
+            }
+        });
+        console.log('Anime Card Game: Loaded card game state data');
     } catch (error) {
         console.error('Anime Card Game: Error loading card game state data', error);
         cardGameState = {
@@ -71,7 +68,7 @@ function initialize() {
     nodeSchedule.scheduleJob('0 0 * * *', () => {
         console.log('Anime Card Game: Resetting daily draw limits');
         cardGameState.dailyDraws = {};
-        saveCardGameState();
+        saveCardGameState(['dailyDraws']);
     });
 }
 
@@ -80,33 +77,30 @@ function initialize() {
  */
 function loadOrGenerateCardCollection() {
     try {
-        if (fs.existsSync(CARD_COLLECTION_FILE)) {
-            const data = fs.readFileSync(CARD_COLLECTION_FILE, 'utf8');
-            cardGameState.cardCollection = JSON.parse(data);
+        const storedCollection = storage.getDocument(CARD_COLLECTION_DOCUMENT);
+        if (Array.isArray(storedCollection)) {
+            cardGameState.cardCollection = storedCollection;
             console.log(`Anime Card Game: Loaded ${cardGameState.cardCollection.length} cards from collection`);
         } else {
             console.log('Anime Card Game: No card collection found, generating default cards');
             cardGameState.cardCollection = generateDefaultCardCollection();
-            fs.writeFileSync(CARD_COLLECTION_FILE, JSON.stringify(cardGameState.cardCollection, null, 2));
+            storage.setDocument(CARD_COLLECTION_DOCUMENT, cardGameState.cardCollection);
             console.log(`Anime Card Game: Generated ${cardGameState.cardCollection.length} default cards`);
         }
     } catch (error) {
         console.error('Anime Card Game: Error loading card collection', error);
         cardGameState.cardCollection = generateDefaultCardCollection();
-        fs.writeFileSync(CARD_COLLECTION_FILE, JSON.stringify(cardGameState.cardCollection, null, 2));
     }
 }
 
 /**
- * Save card game state to file
+ * Save card game state to storage
+ * @param {array} keys Parts of the state that changed (defaults to all)
  */
-function saveCardGameState() {
+function saveCardGameState(keys = STATE_KEYS) {
     try {
-        // Save a cleaner version without the full card collection to save space
-        const stateToSave = { ...cardGameState };
-        delete stateToSave.cardCollection; // Don't save full collection in state file
-        
-        fs.writeFileSync(CARDS_FILE, JSON.stringify(stateToSave, null, 2));
+        // The full card collection is stored separately
+        keys.forEach(key => storage.set(STATE_COLLECTION, key, cardGameState[key]));
     } catch (error) {
         console.error('Anime Card Game: Error saving card game state', error);
     }
@@ -441,7 +435,7 @@ function drawCard(userId) {
     trackDailyDraw(userId);
     
     // Save game state
-    saveCardGameState();
+    saveCardGameState(['playerCards', 'cardHistory', 'dailyDraws']);
     
     // Award points based on card rarity
     try {
@@ -652,7 +646,7 @@ function tradeCard(fromUserId, toUserId, cardInstanceId) {
     }
     
     // Save state
-    saveCardGameState();
+    saveCardGameState(['playerCards', 'tradeLogs']);
     
     return {
         success: true,
@@ -664,9 +658,10 @@ function tradeCard(fromUserId, toUserId, cardInstanceId) {
 /**
  * Generate a card showcase message
  * @param {string} userId User ID
+ * @param {string} prefix Command prefix shown in hints
  * @returns {string} Formatted showcase message
  */
-function generateCardShowcase(userId) {
+function generateCardShowcase(userId, prefix = '.') {
     // Normalize user ID
     userId = normalizeUserId(userId);
     
@@ -676,7 +671,7 @@ function generateCardShowcase(userId) {
     
     // Create empty showcase if no cards
     if (cards.length === 0) {
-        return `*@${userId.split('@')[0]}'s Card Collection*\n\nNo cards collected yet. Use .card draw to get your first card!`;
+        return `*@${userId.split('@')[0]}'s Card Collection*\n\nNo cards collected yet. Use ${prefix}card draw to get your first card!`;
     }
     
     // Find rarest cards (up to 5)
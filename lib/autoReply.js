@@ -1,14 +1,81 @@
 /**
  * Smart auto-reply module for WhatsApp bot
+ * Rules match messages by pattern and can carry conditions (time window,
+ * days, sender labels, admins only, first message of the day), cooldowns per
+ * rule and per user, a probability, several responses to pick from at random,
+ * a priority and a media or sticker response.
+ *
+ * The simple keyword replies of `.autoreply` are rules too: they match text
+ * anywhere in a message and only apply in the chat they were set in.
  */
+const fs = require('fs');
+const path = require('path');
 const natural = require('natural');
 const database = require('./database');
 const contacts = require('./contacts');
+const roles = require('./roles');
+const recurrence = require('./recurrence');
+const scheduledMessages = require('./scheduledMessages');
 const ai = require('./ai');
+const config = require('../config');
 
 // Initialize tokenizer for text analysis
 const tokenizer = new natural.WordTokenizer();
 
+// Where media responses are kept
+const MEDIA_DIR = path.join(config.databaseDir, 'autoreply-media');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Defaults of the fields added after the first version of rules
+const RULE_DEFAULTS = {
+    conditions: {
+        timeStart: null,
+        timeEnd: null,
+        days: null,
+        labels: [],
+        adminsOnly: false,
+        firstMessageOfDay: false
+    },
+    cooldown: 0,
+    userCooldown: 0,
+    probability: 1,
+    priority: 0,
+    media: null,
+    contains: false,
+    chatId: null
+};
+
+// When each rule last replied, by "rule|chat" and "rule|user" (in memory)
+const lastReplies = new Map();
+
+// Day of each user's last message, by "chat|user", for first-message-of-day rules.
+// Kept in memory, so after a restart the next message counts as the first.
+const lastMessageDays = new Map();
+
+/**
+ * Fill in the fields a stored rule may be missing
+ * 
+ * @param {Object} rule - Stored rule
+ * @returns {Object} Rule with responses, conditions and the other newer fields
+ */
+function normalizeRule(rule) {
+    const { response, ...rest } = rule;
+    return {
+        ...RULE_DEFAULTS,
+        ...rest,
+        responses: rule.responses || (response ? [response] : []),
+        conditions: { ...RULE_DEFAULTS.conditions, ...(rule.conditions || {}) }
+    };
+}
+
+/**
+ * Get all rules
+ */
+function getRules() {
+    return (database.getData('autoReplyRules') || []).map(normalizeRule);
+}
+
 /**
  * Create a new auto-reply rule
  * 
@@ -20,11 +87,20 @@ const tokenizer = new natural.WordTokenizer();
  * @param {boolean} rule.regex - Whether pattern is regex
  * @param {boolean} rule.exact - Whether pattern requires exact match
  * @param {boolean} rule.caseSensitive - Whether pattern is case-sensitive
+ * @param {boolean} rule.contains - Whether the pattern may appear anywhere in the message
+ * @param {string} rule.chatId - Only apply in this chat
+ * @param {Array<string>} rule.responses - Responses to pick from at random (instead of rule.response)
+ * @param {Object} rule.conditions - See RULE_DEFAULTS
+ * @param {number} rule.cooldown - Seconds before the rule replies again in the same chat
+ * @param {number} rule.userCooldown - Seconds before the rule replies to the same user again
+ * @param {number} rule.probability - Chance of replying, 0 to 1
+ * @param {number} rule.priority - Rules with a higher priority are tried first
  * @returns {Object} Result with created rule
  */
 function createRule(rule) {
     try {
-        if (!rule.pattern || !rule.response) {
+        const responses = (rule.responses || [rule.response]).filter(Boolean);
+        if (!rule.pattern || responses.length === 0) {
             return {
                 success: false,
                 message: "Pattern and response are required."
@@ -34,16 +110,25 @@ function createRule(rule) {
         // Get existing rules
         const rules = database.getData('autoReplyRules') || [];
         
-        // Create new rule with defaults
+        // Create new rule with defaults; IDs stay unique when rules are created in the same millisecond
         const newRule = {
-            id: Date.now(),
+            ...RULE_DEFAULTS,
+            id: Math.max(Date.now(), ...rules.map(r => r.id + 1)),
             pattern: rule.pattern,
-            response: rule.response,
+            responses,
             scope: rule.scope || 'global',
             groupId: rule.groupId || null,
             regex: rule.regex || false,
             exact: rule.exact || false,
             caseSensitive: rule.caseSensitive || false,
+            contains: rule.contains || false,
+            chatId: rule.chatId || null,
+            conditions: { ...RULE_DEFAULTS.conditions, ...(rule.conditions || {}) },
+            cooldown: rule.cooldown || 0,
+            userCooldown: rule.userCooldown || 0,
+            probability: rule.probability === undefined ? 1 : rule.probability,
+            priority: rule.priority || 0,
+            createdBy: rule.createdBy || null,
             created: Date.now(),
             hits: 0,
             enabled: true
@@ -90,7 +175,8 @@ function deleteRule(ruleId) {
             };
         }
         
-        // Remove rule
+        // Remove rule and its media
+        deleteMedia(rules[index]);
         rules.splice(index, 1);
         
         // Save rules
@@ -156,12 +242,13 @@ function toggleRule(ruleId, enabled) {
  * @param {Object} filters - Optional filters
  * @param {string} filters.scope - Filter by scope
  * @param {string} filters.groupId - Filter by group ID
+ * @param {string} filters.chatId - Filter to rules that only apply in this chat
  * @returns {Object} Result with rules list
  */
 function listRules(filters = {}) {
     try {
         // Get existing rules
-        const rules = database.getData('autoReplyRules') || [];
+        const rules = getRules();
         
         // Apply filters
         let filteredRules = [...rules];
@@ -174,6 +261,10 @@ function listRules(filters = {}) {
             filteredRules = filteredRules.filter(r => r.groupId === filters.groupId);
         }
         
+        if (filters.chatId) {
+            filteredRules = filteredRules.filter(r => r.chatId === filters.chatId);
+        }
+        
         return {
             success: true,
             count: filteredRules.length,
@@ -188,15 +279,345 @@ function listRules(filters = {}) {
     }
 }
 
+/**
+ * Get one rule
+ * 
+ * @param {number|string} ruleId - Rule ID
+ * @returns {Object|null} Rule
+ */
+function getRule(ruleId) {
+    return getRules().find(r => r.id === parseInt(ruleId)) || null;
+}
+
+/**
+ * Change fields of a rule
+ * 
+ * @param {number|string} ruleId - Rule ID
+ * @param {Object} changes - Fields to change; conditions are merged with the current ones
+ * @returns {Object} Result with the updated rule
+ */
+function updateRule(ruleId, changes) {
+    const rules = getRules();
+    const index = rules.findIndex(r => r.id === parseInt(ruleId));
+    
+    if (index === -1) {
+        return { success: false, message: "Rule not found." };
+    }
+    
+    const rule = rules[index];
+    rules[index] = {
+        ...rule,
+        ...changes,
+        conditions: { ...rule.conditions, ...(changes.conditions || {}) }
+    };
+    database.saveData('autoReplyRules', rules);
+    
+    return { success: true, message: "Auto-reply rule updated.", rule: rules[index] };
+}
+
+/**
+ * Parse a duration like 30, 30s, 5m or 1h into seconds
+ */
+function parseDuration(value) {
+    const match = /^(\d+)\s*(s|sec|m|min|h|hr)?$/i.exec(value.trim());
+    if (!match) return null;
+    const unit = (match[2] || 's')[0].toLowerCase();
+    return Number(match[1]) * { s: 1, m: 60, h: 3600 }[unit];
+}
+
+/**
+ * Parse a list of days like "mon-fri", "sat,sun", "weekdays" or "weekends"
+ * 
+ * @returns {Array<number>|null} Weekdays (0 = Sunday), or null if invalid
+ */
+function parseDays(value) {
+    const days = new Set();
+    for (const part of value.toLowerCase().split(',').map(p => p.trim()).filter(Boolean)) {
+        if (part === 'weekdays') {
+            [1, 2, 3, 4, 5].forEach(day => days.add(day));
+            continue;
+        }
+        if (part === 'weekends') {
+            [0, 6].forEach(day => days.add(day));
+            continue;
+        }
+        
+        const [from, to] = part.split('-').map(recurrence.parseWeekday);
+        if (from === -1 || to === -1) return null;
+        if (to === undefined) {
+            days.add(from);
+            continue;
+        }
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    }
+    return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Parse a rule option as typed in a command
+ * 
+ * Options: scope, regex, case, exact, contains, time (HH:MM-HH:MM), days (mon-fri),
+ * label (vip,friends), admins, firstofday, cooldown, usercooldown (30s, 5m, 1h),
+ * chance (percent) and priority. "any" or "off" clears a condition.
+ * 
+ * @param {string} name - Option name
+ * @param {string} value - Option value
+ * @returns {Object} { success, changes } or { success: false, message }
+ */
+function parseRuleOption(name, value) {
+    const option = name.toLowerCase();
+    const raw = String(value || '').trim();
+    const lower = raw.toLowerCase();
+    const clear = ['any', 'off', 'none', 'all'].includes(lower);
+    const flag = ['true', 'on', 'yes'].includes(lower) ? true
+        : ['false', 'off', 'no'].includes(lower) ? false : null;
+    const invalid = (hint) => ({ success: false, message: `Invalid ${option} "${raw}". ${hint}` });
+    
+    switch (option) {
+        case 'scope':
+            if (!['global', 'group', 'private'].includes(lower)) return invalid('Use global, group or private.');
+            return { success: true, changes: { scope: lower } };
+            
+        case 'regex':
+        case 'exact':
+        case 'contains':
+        case 'case':
+        case 'admins':
+        case 'firstofday': {
+            if (flag === null) return invalid('Use on or off.');
+            const field = {
+                regex: { regex: flag },
+                exact: { exact: flag },
+                contains: { contains: flag },
+                case: { caseSensitive: flag },
+                admins: { conditions: { adminsOnly: flag } },
+                firstofday: { conditions: { firstMessageOfDay: flag } }
+            }[option];
+            return { success: true, changes: field };
+        }
+            
+        case 'time': {
+            if (clear) return { success: true, changes: { conditions: { timeStart: null, timeEnd: null } } };
+            const [start, end] = raw.split('-').map(part => part && part.trim());
+            if (!recurrence.parseClock(start) || !recurrence.parseClock(end)) return invalid('Use HH:MM-HH:MM, e.g. 09:00-17:00.');
+            return { success: true, changes: { conditions: { timeStart: start.padStart(5, '0'), timeEnd: end.padStart(5, '0') } } };
+        }
+            
+        case 'days': {
+            if (clear) return { success: true, changes: { conditions: { days: null } } };
+            const days = parseDays(raw);
+            if (!days) return invalid('Use day names like mon-fri, sat,sun, weekdays or weekends.');
+            return { success: true, changes: { conditions: { days } } };
+        }
+            
+        case 'label':
+        case 'labels':
+            return {
+                success: true,
+                changes: { conditions: { labels: clear ? [] : raw.split(',').map(label => label.trim()).filter(Boolean) } }
+            };
+            
+        case 'cooldown':
+        case 'usercooldown': {
+            const seconds = clear ? 0 : parseDuration(raw);
+            if (seconds === null) return invalid('Use seconds, or a duration like 5m or 1h.');
+            return { success: true, changes: { [option === 'cooldown' ? 'cooldown' : 'userCooldown']: seconds } };
+        }
+            
+        case 'chance': {
+            const percent = Number(raw.replace('%', ''));
+            if (isNaN(percent) || percent <= 0 || percent > 100) return invalid('Use a percentage from 1 to 100.');
+            return { success: true, changes: { probability: percent / 100 } };
+        }
+            
+        case 'priority': {
+            const priority = Number(raw);
+            if (!Number.isInteger(priority)) return invalid('Use a whole number; higher runs first.');
+            return { success: true, changes: { priority } };
+        }
+            
+        default:
+            return { success: false, message: `Unknown option "${name}".` };
+    }
+}
+
+/**
+ * Add a response to a rule, or remove one by its number
+ * 
+ * @param {number|string} ruleId - Rule ID
+ * @param {Object} change - { add: text } or { remove: number (1-based) }
+ * @returns {Object} Result with the updated rule
+ */
+function changeResponses(ruleId, { add = null, remove = null }) {
+    const rule = getRule(ruleId);
+    if (!rule) {
+        return { success: false, message: "Rule not found." };
+    }
+    
+    const responses = [...rule.responses];
+    if (add) {
+        responses.push(add);
+    } else {
+        if (!Number.isInteger(remove) || remove < 1 || remove > responses.length) {
+            return { success: false, message: `Pick a response from 1 to ${responses.length}.` };
+        }
+        if (responses.length === 1 && !rule.media) {
+            return { success: false, message: "A rule needs a response or media. Add another response first." };
+        }
+        responses.splice(remove - 1, 1);
+    }
+    
+    return updateRule(ruleId, { responses });
+}
+
+/**
+ * Delete the media file of a rule
+ */
+function deleteMedia(rule) {
+    if (rule.media && fs.existsSync(rule.media.file)) {
+        fs.unlinkSync(rule.media.file);
+    }
+}
+
+/**
+ * Set or remove the media a rule replies with
+ * 
+ * @param {number|string} ruleId - Rule ID
+ * @param {Object|null} media - { type, buffer, mimetype, fileName }, or null to remove
+ * @returns {Object} Result with the updated rule
+ */
+function setRuleMedia(ruleId, media) {
+    const rule = getRule(ruleId);
+    if (!rule) {
+        return { success: false, message: "Rule not found." };
+    }
+    
+    deleteMedia(rule);
+    if (!media) {
+        if (rule.responses.length === 0) {
+            return { success: false, message: "A rule needs a response or media. Add a response first." };
+        }
+        return updateRule(ruleId, { media: null });
+    }
+    
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    const file = path.join(MEDIA_DIR, `${rule.id}.bin`);
+    fs.writeFileSync(file, media.buffer);
+    
+    return updateRule(ruleId, {
+        media: { type: media.type, file, mimetype: media.mimetype || null, fileName: media.fileName || null }
+    });
+}
+
+/**
+ * Check whether a rule's pattern matches a text
+ */
+function matchesPattern(rule, text) {
+    if (rule.regex) {
+        // Regular expression matching
+        try {
+            const flags = rule.caseSensitive ? '' : 'i';
+            return new RegExp(rule.pattern, flags).test(text);
+        } catch (e) {
+            console.error('Invalid regex pattern:', rule.pattern, e);
+            return false;
+        }
+    }
+    
+    if (rule.exact) {
+        // Exact matching
+        return rule.caseSensitive 
+            ? text === rule.pattern
+            : text.toLowerCase() === rule.pattern.toLowerCase();
+    }
+    
+    if (rule.contains) {
+        return rule.caseSensitive
+            ? text.includes(rule.pattern)
+            : text.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+    
+    // Basic wildcard matching
+    const pattern = rule.pattern
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    try {
+        const flags = rule.caseSensitive ? '' : 'i';
+        return new RegExp(`^${pattern}$`, flags).test(text);
+    } catch (e) {
+        console.error('Invalid wildcard pattern:', rule.pattern, e);
+        // Try simple includes matching instead
+        return rule.caseSensitive
+            ? text.includes(rule.pattern)
+            : text.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+}
+
+/**
+ * Check the conditions of a rule
+ * 
+ * @param {Object} rule - Rule
+ * @param {Object} context - { chatId, sender, now: zoned time, firstToday }
+ * @returns {boolean} Whether all conditions hold
+ */
+function meetsConditions(rule, { chatId, sender, now, firstToday }) {
+    const { conditions } = rule;
+    
+    if (conditions.timeStart && conditions.timeEnd) {
+        const clock = `${String(now.hour).padStart(2, '0')}:${String(now.minute).padStart(2, '0')}`;
+        const inWindow = conditions.timeStart <= conditions.timeEnd
+            ? clock >= conditions.timeStart && clock < conditions.timeEnd
+            // Windows like 22:00-06:00 run past midnight
+            : clock >= conditions.timeStart || clock < conditions.timeEnd;
+        if (!inWindow) return false;
+    }
+    
+    if (conditions.days && !conditions.days.includes(now.weekday)) {
+        return false;
+    }
+    
+    if (conditions.labels.length > 0) {
+        const labels = (contacts.getContactInfo(sender.split('@')[0]) || {}).labels || [];
+        if (!conditions.labels.some(label => labels.includes(label))) return false;
+    }
+    
+    if (conditions.adminsOnly && !roles.hasRole(sender, 'group-moderator', chatId)) {
+        return false;
+    }
+    
+    if (conditions.firstMessageOfDay && !firstToday) {
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Check the cooldowns of a rule
+ */
+function isCoolingDown(rule, chatId, senderNumber, timestamp) {
+    const chatLast = lastReplies.get(`${rule.id}|${chatId}`) || 0;
+    const userLast = lastReplies.get(`${rule.id}|${senderNumber}`) || 0;
+    return timestamp - chatLast < rule.cooldown * 1000 ||
+        timestamp - userLast < rule.userCooldown * 1000;
+}
+
 /**
  * Process message for auto-reply
  * 
+ * Rules are tried by priority (highest first, then oldest first). A rule
+ * replies when its pattern matches, its conditions hold, it isn't cooling
+ * down and its chance comes up; otherwise the next rule is tried.
+ * 
  * @param {Object} messageContext - Message context
  * @param {string} messageContext.text - Message text
  * @param {boolean} messageContext.isGroup - Whether message is in a group
  * @param {string} messageContext.groupId - Group ID if in a group
  * @param {string} messageContext.sender - Sender ID
- * @returns {Object} Result with matched reply if any
+ * @returns {Object} Result with matched reply if any: { match, rule, response, media }
  */
 function processMessage(messageContext) {
     try {
@@ -206,8 +627,22 @@ function processMessage(messageContext) {
             return { match: false };
         }
         
+        const chatId = isGroup ? groupId : sender;
+        const senderNumber = sender.split('@')[0].split(':')[0];
+        const timestamp = Date.now();
+        
+        // Wall-clock time in the chat's timezone, for time and day conditions
+        const zoned = recurrence.getZonedTime(timestamp, scheduledMessages.getTimezone(chatId));
+        const now = { ...zoned, weekday: new Date(Date.UTC(zoned.year, zoned.month - 1, zoned.day)).getUTCDay() };
+        
+        // Remember whether this is the sender's first message of the day here
+        const dayKey = `${chatId}|${senderNumber}`;
+        const today = `${now.year}-${now.month}-${now.day}`;
+        const firstToday = lastMessageDays.get(dayKey) !== today;
+        lastMessageDays.set(dayKey, today);
+        
         // Get rules
-        const rules = database.getData('autoReplyRules') || [];
+        const rules = getRules();
         
         // Filter to enabled rules that match this context
         const applicableRules = rules.filter(rule => {
@@ -225,59 +660,37 @@ function processMessage(messageContext) {
                 return false;
             }
             
+            if (rule.chatId && rule.chatId !== chatId) {
+                return false;
+            }
+            
             return true;
-        });
+        }).sort((a, b) => b.priority - a.priority || a.id - b.id);
         
         // Try to match rules
         for (const rule of applicableRules) {
-            let matches = false;
-            
-            if (rule.regex) {
-                // Regular expression matching
-                try {
-                    const flags = rule.caseSensitive ? '' : 'i';
-                    const regex = new RegExp(rule.pattern, flags);
-                    matches = regex.test(text);
-                } catch (e) {
-                    console.error('Invalid regex pattern:', rule.pattern, e);
-                    // Skip this rule
-                    continue;
-                }
-            } else if (rule.exact) {
-                // Exact matching
-                matches = rule.caseSensitive 
-                    ? text === rule.pattern
-                    : text.toLowerCase() === rule.pattern.toLowerCase();
-            } else {
-                // Basic wildcard matching
-                const pattern = rule.pattern
-                    .replace(/\*/g, '.*')
-                    .replace(/\?/g, '.');
-                try {
-                    const flags = rule.caseSensitive ? '' : 'i';
-                    const regex = new RegExp(`^${pattern}$`, flags);
-                    matches = regex.test(text);
-                } catch (e) {
-                    console.error('Invalid wildcard pattern:', rule.pattern, e);
-                    // Try simple includes matching instead
-                    matches = rule.caseSensitive
-                        ? text.includes(rule.pattern)
-                        : text.toLowerCase().includes(rule.pattern.toLowerCase());
-                }
+            if (!matchesPattern(rule, text) ||
+                !meetsConditions(rule, { chatId, sender, now, firstToday }) ||
+                isCoolingDown(rule, chatId, senderNumber, timestamp) ||
+                Math.random() >= rule.probability) {
+                continue;
             }
             
-            if (matches) {
-                // Update hit count
-                rule.hits++;
-                database.saveData('autoReplyRules', rules);
-                
-                // Return the matched rule's response
-                return {
-                    match: true,
-                    rule,
-                    response: processResponse(rule.response, { text, sender, isGroup, groupId })
-                };
-            }
+            lastReplies.set(`${rule.id}|${chatId}`, timestamp);
+            lastReplies.set(`${rule.id}|${senderNumber}`, timestamp);
+            
+            // Update hit count
+            rule.hits++;
+            database.saveData('autoReplyRules', rules);
+            
+            // Return the matched rule's response, picked at random
+            const template = rule.responses[Math.floor(Math.random() * rule.responses.length)];
+            return {
+                match: true,
+                rule,
+                response: template ? processResponse(template, { text, sender, isGroup, groupId }) : '',
+                media: rule.media
+            };
         }
         
         // No matches found
@@ -288,6 +701,117 @@ function processMessage(messageContext) {
     }
 }
 
+/**
+ * Build the messages to send for a matched rule
+ * 
+ * Images, videos and documents carry the response as a caption; stickers and
+ * audio can't, so the response follows as a text message.
+ * 
+ * @param {Object} result - Result of processMessage
+ * @returns {Array<Object>} Message contents, in order
+ */
+function buildReplyContent(result) {
+    const { response, media } = result;
+    if (!media || !fs.existsSync(media.file)) {
+        return response ? [{ text: response }] : [];
+    }
+    
+    const content = {
+        [media.type]: fs.readFileSync(media.file),
+        mimetype: media.mimetype || undefined
+    };
+    if (media.type === 'document') {
+        content.fileName = media.fileName || 'file';
+    }
+    
+    if (media.type === 'sticker' || media.type === 'audio') {
+        return response ? [content, { text: response }] : [content];
+    }
+    if (response) {
+        content.caption = response;
+    }
+    return [content];
+}
+
+/**
+ * Describe the conditions and limits of a rule
+ * 
+ * @param {Object} rule - Rule
+ * @returns {Array<string>} One line per setting that isn't the default
+ */
+function describeRule(rule) {
+    const { conditions } = normalizeRule(rule);
+    const lines = [];
+    
+    if (conditions.timeStart) lines.push(`Time: ${conditions.timeStart}-${conditions.timeEnd}`);
+    if (conditions.days) lines.push(`Days: ${conditions.days.map(day => DAY_NAMES[day]).join(', ')}`);
+    if (conditions.labels.length > 0) lines.push(`Labels: ${conditions.labels.join(', ')}`);
+    if (conditions.adminsOnly) lines.push('Admins only');
+    if (conditions.firstMessageOfDay) lines.push('First message of the day');
+    if (rule.cooldown) lines.push(`Cooldown: ${rule.cooldown}s`);
+    if (rule.userCooldown) lines.push(`Per-user cooldown: ${rule.userCooldown}s`);
+    if (rule.probability !== undefined && rule.probability < 1) lines.push(`Chance: ${Math.round(rule.probability * 100)}%`);
+    if (rule.priority) lines.push(`Priority: ${rule.priority}`);
+    if (rule.media) lines.push(`Media: ${rule.media.type}`);
+    
+    return lines;
+}
+
+/**
+ * Find the keyword reply of a chat for a trigger
+ */
+function findChatReply(rules, chatId, trigger) {
+    return rules.find(rule => rule.chatId === chatId && rule.contains &&
+        rule.pattern.toLowerCase() === trigger.toLowerCase());
+}
+
+/**
+ * Set a simple keyword reply in one chat, replacing the one with the same trigger
+ * 
+ * The reply is sent when the trigger appears anywhere in a message, ignoring case.
+ * 
+ * @param {Object} reply - Keyword reply
+ * @param {string} reply.chatId - Chat the reply applies in
+ * @param {boolean} reply.isGroup - Whether the chat is a group
+ * @param {string} reply.trigger - Text to look for
+ * @param {string} reply.response - Response message
+ * @param {string} reply.createdBy - JID of the user setting it
+ * @returns {Object} Result with the rule and whether it was updated
+ */
+function setChatReply({ chatId, isGroup, trigger, response, createdBy = null }) {
+    const existing = findChatReply(getRules(), chatId, trigger);
+    if (existing) {
+        const result = updateRule(existing.id, { pattern: trigger, responses: [response] });
+        return { ...result, updated: true };
+    }
+    
+    const result = createRule({
+        pattern: trigger,
+        responses: [response],
+        scope: isGroup ? 'group' : 'private',
+        groupId: isGroup ? chatId : null,
+        chatId,
+        contains: true,
+        createdBy
+    });
+    return { ...result, updated: false };
+}
+
+/**
+ * Remove the keyword reply of a chat for a trigger
+ * 
+ * @param {string} chatId - Chat JID
+ * @param {string} trigger - Trigger text
+ * @returns {Object} Result
+ */
+function removeChatReply(chatId, trigger) {
+    const existing = findChatReply(getRules(), chatId, trigger);
+    if (!existing) {
+        return { success: false, message: `No auto-reply found for trigger "${trigger}".` };
+    }
+    return deleteRule(existing.id);
+}
+
 /**
  * Process response template with variables
  * 
@@ -360,7 +884,7 @@ The response can include variables like {sender}, {message}, {time}.
 Only return the JSON object, nothing else.`;
         
         // Get AI response
-        const aiResponse = await ai.getResponse(prompt);
+        const aiResponse = await ai.generateText(prompt, { feature: 'autoreply' });
         
         let ruleData;
         try {
@@ -419,6 +943,15 @@ module.exports = {
     deleteRule,
     toggleRule,
     listRules,
+    getRule,
+    updateRule,
+    parseRuleOption,
+    changeResponses,
+    setRuleMedia,
     processMessage,
+    buildReplyContent,
+    describeRule,
+    setChatReply,
+    removeChatReply,
     generateRule
 };
\ No newline at end of file
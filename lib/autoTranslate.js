@@ -0,0 +1,333 @@
+/**
+ * Auto-translate for multilingual groups
+ * Groups that turn it on get a short translation reply under every message
+ * written in another language than their target languages. Members can ask
+ * for translations in a private chat instead, in their own language.
+ * Translations count against the group's AI quota, not the sender's.
+ */
+const storage = require('./storage');
+const translation = require('./translation');
+const database = require('./database');
+
+// Storage collection of group settings (group JID -> settings)
+const SETTINGS_COLLECTION = 'autoTranslateSettings';
+
+const DEFAULT_MIN_LENGTH = 20;
+const MAX_LANGUAGES = 3;
+// Different languages members can get private translations in, per group
+const MAX_DM_LANGUAGES = 3;
+
+/**
+ * Get the bare number of a JID
+ */
+function toNumber(jid) {
+    return jid.split('@')[0].split(':')[0];
+}
+
+/**
+ * Get the auto-translate settings of a group
+ *
+ * @param {string} groupId - Group JID
+ * @returns {Object} { enabled, languages, minLength, ignoredUsers, ignoredLanguages, dmUsers: number -> language code }
+ */
+function getSettings(groupId) {
+    return {
+        enabled: false,
+        languages: [],
+        minLength: DEFAULT_MIN_LENGTH,
+        ignoredUsers: [],
+        ignoredLanguages: [],
+        dmUsers: {},
+        ...(storage.get(SETTINGS_COLLECTION, groupId) || {})
+    };
+}
+
+/**
+ * Save changed settings of a group
+ */
+function update(groupId, changes) {
+    const settings = { ...getSettings(groupId), ...changes };
+    storage.set(SETTINGS_COLLECTION, groupId, settings);
+    return settings;
+}
+
+/**
+ * Turn language names or codes into codes
+ *
+ * @param {Array<string>} names - Language codes or names
+ * @returns {Object} { success, codes } or { success: false, message }
+ */
+function parseLanguages(names) {
+    const codes = [];
+    for (const name of names) {
+        const code = translation.getLanguageCode(name);
+        if (!code) {
+            return { success: false, message: `Unknown language "${name}". Use a code like en or a name like Spanish.` };
+        }
+        if (!codes.includes(code)) codes.push(code);
+    }
+    return { success: true, codes };
+}
+
+/**
+ * List languages by name
+ */
+function describeLanguages(codes) {
+    const names = translation.getSupportedLanguages();
+    return codes.map(code => names[code] || code).join(', ');
+}
+
+/**
+ * Set the languages messages are translated into
+ *
+ * @param {string} groupId - Group JID
+ * @param {Array<string>} languages - Language codes or names
+ * @returns {Object} Result with success and message
+ */
+function setLanguages(groupId, languages) {
+    const parsed = parseLanguages(languages);
+    if (!parsed.success) return parsed;
+    if (parsed.codes.length === 0) {
+        return { success: false, message: 'Say which languages to translate into, e.g. "en es".' };
+    }
+    if (parsed.codes.length > MAX_LANGUAGES) {
+        return { success: false, message: `Pick at most ${MAX_LANGUAGES} languages.` };
+    }
+
+    update(groupId, { languages: parsed.codes });
+    return { success: true, message: `Messages in other languages will be translated into ${describeLanguages(parsed.codes)}.` };
+}
+
+/**
+ * Turn auto-translate on, optionally with new target languages
+ *
+ * @param {string} groupId - Group JID
+ * @param {Array<string>} languages - Target language codes or names (keeps the current ones if empty)
+ * @returns {Object} Result with success and message
+ */
+function enable(groupId, languages = []) {
+    if (languages.length > 0) {
+        const result = setLanguages(groupId, languages);
+        if (!result.success) return result;
+    }
+
+    const codes = getSettings(groupId).languages;
+    if (codes.length === 0) {
+        return { success: false, message: 'Say which languages to translate into, e.g. "on en es".' };
+    }
+
+    update(groupId, { enabled: true });
+    return { success: true, message: `Auto-translate is on. Messages in other languages will be translated into ${describeLanguages(codes)}.` };
+}
+
+/**
+ * Turn auto-translate off (settings are kept)
+ *
+ * @param {string} groupId - Group JID
+ * @returns {Object} Result with success and message
+ */
+function disable(groupId) {
+    if (!getSettings(groupId).enabled) {
+        return { success: false, message: 'Auto-translate is already off.' };
+    }
+    update(groupId, { enabled: false });
+    return { success: true, message: 'Auto-translate is off.' };
+}
+
+/**
+ * Set the shortest message that gets translated
+ *
+ * @param {string} groupId - Group JID
+ * @param {number} length - Characters
+ * @returns {Object} Result with success and message
+ */
+function setMinLength(groupId, length) {
+    if (!Number.isInteger(length) || length < 1 || length > 1000) {
+        return { success: false, message: 'Minimum length must be a number of characters from 1 to 1000.' };
+    }
+    update(groupId, { minLength: length });
+    return { success: true, message: `Messages shorter than ${length} characters won't be translated.` };
+}
+
+/**
+ * Add or remove a member or a language on the ignore list
+ *
+ * Messages of ignored members and messages written in ignored languages are
+ * not translated.
+ *
+ * @param {string} groupId - Group JID
+ * @param {string} target - Member JID or language code/name
+ * @param {boolean} ignored - true to ignore, false to stop ignoring
+ * @returns {Object} Result with success and message
+ */
+function setIgnored(groupId, target, ignored) {
+    const settings = getSettings(groupId);
+    const toggle = (list, value) => ignored
+        ? [...new Set([...list, value])]
+        : list.filter(entry => entry !== value);
+
+    if (target.includes('@')) {
+        const number = toNumber(target);
+        update(groupId, { ignoredUsers: toggle(settings.ignoredUsers, number) });
+        return { success: true, message: `Messages from @${number} will ${ignored ? 'not ' : ''}be translated.`, mentions: [target] };
+    }
+
+    const code = translation.getLanguageCode(target);
+    if (!code) {
+        return { success: false, message: `Unknown language "${target}".` };
+    }
+    update(groupId, { ignoredLanguages: toggle(settings.ignoredLanguages, code) });
+    return { success: true, message: `Messages in ${describeLanguages([code])} will ${ignored ? 'not ' : ''}be translated.` };
+}
+
+/**
+ * Set a member's preference: translations of this group in a private chat
+ *
+ * @param {string} groupId - Group JID
+ * @param {string} userJid - Member JID
+ * @param {string|null} language - Language code or name, or null to stop
+ * @returns {Object} Result with success and message
+ */
+function setUserPreference(groupId, userJid, language) {
+    const settings = getSettings(groupId);
+    const number = toNumber(userJid);
+    const dmUsers = { ...settings.dmUsers };
+
+    if (language === null) {
+        if (!dmUsers[number]) {
+            return { success: false, message: 'You don\'t get private translations from this group.' };
+        }
+        delete dmUsers[number];
+        update(groupId, { dmUsers });
+        return { success: true, message: 'You will no longer get private translations from this group.' };
+    }
+
+    const code = translation.getLanguageCode(language);
+    if (!code) {
+        return { success: false, message: `Unknown language "${language}".` };
+    }
+    const otherLanguages = new Set(Object.entries(dmUsers)
+        .filter(([other]) => other !== number)
+        .map(([, other]) => other));
+    if (!otherLanguages.has(code) && otherLanguages.size >= MAX_DM_LANGUAGES) {
+        return {
+            success: false,
+            message: `Members of this group already get private translations in ${MAX_DM_LANGUAGES} languages ` +
+                `(${describeLanguages([...otherLanguages])}). Pick one of those.`
+        };
+    }
+
+    dmUsers[number] = code;
+    update(groupId, { dmUsers });
+
+    const note = settings.enabled ? '' : ' (once moderators turn auto-translate on)';
+    return { success: true, message: `You will get ${describeLanguages([code])} translations of this group in a private chat${note}.` };
+}
+
+/**
+ * Describe the auto-translate settings of a group
+ *
+ * @param {string} groupId - Group JID
+ * @param {string} userJid - Member asking (their own preference is shown)
+ * @returns {string} Status text
+ */
+function describeSettings(groupId, userJid) {
+    const settings = getSettings(groupId);
+    const ownLanguage = settings.dmUsers[toNumber(userJid)];
+
+    return `🌐 *Auto-translate*\n\n` +
+        `• Status: ${settings.enabled ? 'on' : 'off'}\n` +
+        `• Translate into: ${settings.languages.length > 0 ? describeLanguages(settings.languages) : 'not set'}\n` +
+        `• Minimum length: ${settings.minLength} characters\n` +
+        `• Ignored languages: ${settings.ignoredLanguages.length > 0 ? describeLanguages(settings.ignoredLanguages) : 'none'}\n` +
+        `• Ignored members: ${settings.ignoredUsers.length}\n` +
+        `• Private translations: ${Object.keys(settings.dmUsers).length} member(s)` +
+        (ownLanguage ? `, including you (${describeLanguages([ownLanguage])})` : '');
+}
+
+/**
+ * Translate a group message if the group has auto-translate on
+ *
+ * Posts one reply with a line per target language, and sends private
+ * translations to members who asked for them. Failed translations are
+ * logged and skipped.
+ *
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} message - Message from messages.upsert
+ * @param {string} text - Message text
+ */
+async function handleMessage(sock, message, text) {
+    const groupId = message.key.remoteJid;
+    const settings = getSettings(groupId);
+    if (!settings.enabled || message.key.fromMe || !text || text.trim().length < settings.minLength) {
+        return;
+    }
+
+    const sender = message.key.participant || groupId;
+    const senderNumber = toNumber(sender);
+    if (settings.ignoredUsers.includes(senderNumber)) {
+        return;
+    }
+
+    const source = translation.detectLanguage(text);
+    if (!source || settings.ignoredLanguages.includes(source)) {
+        return;
+    }
+
+    const groupTargets = settings.languages.filter(code => code !== source);
+    const dmTargets = Object.entries(settings.dmUsers)
+        .filter(([number, code]) => code !== source && number !== senderNumber);
+    const needed = [...new Set([...groupTargets, ...dmTargets.map(([, code]) => code)])];
+    if (needed.length === 0) {
+        return;
+    }
+
+    // One translation per language, shared by the group reply and private chats
+    const translations = {};
+    for (const code of needed) {
+        const result = await translation.translateText(text, code, {
+            sourceLanguage: source,
+            chatId: groupId,
+            priority: 'low'
+        });
+        if (result.success) {
+            translations[code] = result.translatedText.trim();
+        } else {
+            console.log(`Auto-translate to ${code} failed in ${groupId}: ${result.message}`);
+        }
+    }
+
+    const lines = groupTargets
+        .filter(code => translations[code])
+        .map(code => groupTargets.length === 1
+            ? `🌐 ${translations[code]}`
+            : `🌐 *${code.toUpperCase()}:* ${translations[code]}`);
+    if (lines.length > 0) {
+        await sock.sendMessage(groupId, { text: lines.join('\n'), quoted: message });
+    }
+
+    const senderName = database.getContactName(sender) || senderNumber;
+    const groupName = database.getGroupName(groupId);
+    for (const [number, code] of dmTargets) {
+        if (!translations[code]) continue;
+        try {
+            await sock.sendMessage(`${number}@s.whatsapp.net`, {
+                text: `🌐 *${groupName}* · ${senderName}:\n${translations[code]}`
+            });
+        } catch (error) {
+            console.error(`Failed to send a private translation to ${number}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    getSettings,
+    setLanguages,
+    enable,
+    disable,
+    setMinLength,
+    setIgnored,
+    setUserPreference,
+    describeSettings,
+    handleMessage
+};
@@ -0,0 +1,101 @@
+/**
+ * Recent conversation buffer
+ * Keeps the last messages of every group in memory so .catchup can summarize
+ * what was said. Only text is kept, at most MAX_MESSAGES per group and none
+ * older than MAX_AGE; nothing is written to disk, so the buffer starts empty
+ * after a restart.
+ */
+
+const MAX_MESSAGES = 300;
+const MAX_AGE = 24 * 60 * 60 * 1000;
+const MAX_TEXT_CHARS = 1000;
+
+// Group JID -> messages, oldest first
+const buffers = new Map();
+
+/**
+ * Get the bare number of a JID
+ */
+function toNumber(jid) {
+    return jid ? jid.split('@')[0].split(':')[0] : null;
+}
+
+/**
+ * Drop the messages of a buffer that are too old
+ */
+function trim(messages, now = Date.now()) {
+    const firstKept = messages.findIndex(entry => now - entry.timestamp < MAX_AGE);
+    if (firstKept === -1) {
+        messages.length = 0;
+    } else if (firstKept > 0) {
+        messages.splice(0, firstKept);
+    }
+    if (messages.length > MAX_MESSAGES) {
+        messages.splice(0, messages.length - MAX_MESSAGES);
+    }
+}
+
+/**
+ * Add a group message to the buffer
+ *
+ * @param {Object} message - Message from messages.upsert
+ * @param {string} text - Message text (messages without text are skipped)
+ */
+function record(message, text) {
+    const chatId = message.key.remoteJid;
+    if (!text || !text.trim()) return;
+
+    const content = message.message || {};
+    const contextInfo = Object.values(content).find(part => part && part.contextInfo)?.contextInfo;
+
+    if (!buffers.has(chatId)) {
+        buffers.set(chatId, []);
+    }
+    const messages = buffers.get(chatId);
+    messages.push({
+        id: message.key.id,
+        sender: message.key.participant || chatId,
+        name: message.pushName || null,
+        text: text.slice(0, MAX_TEXT_CHARS),
+        timestamp: message.messageTimestamp ? Number(message.messageTimestamp) * 1000 : Date.now(),
+        mentions: contextInfo?.mentionedJid || [],
+        replyTo: contextInfo?.participant || null
+    });
+    trim(messages);
+}
+
+/**
+ * Get recent messages of a group
+ *
+ * @param {string} chatId - Group JID
+ * @param {Object} range - Which messages (the last 50 if empty)
+ * @param {number} range.count - The last this many messages
+ * @param {number} range.since - Messages after this timestamp
+ * @param {string} range.afterSender - Messages after this user's last message
+ * @returns {Object} { messages, found } (found is false when afterSender has no message in the buffer)
+ */
+function getMessages(chatId, { count = null, since = null, afterSender = null } = {}) {
+    const messages = buffers.get(chatId) || [];
+    trim(messages);
+
+    if (afterSender) {
+        const number = toNumber(afterSender);
+        let last = -1;
+        messages.forEach((entry, index) => {
+            if (toNumber(entry.sender) === number) last = index;
+        });
+        return { messages: last === -1 ? [] : messages.slice(last + 1), found: last !== -1 };
+    }
+    if (since) {
+        return { messages: messages.filter(entry => entry.timestamp > since), found: true };
+    }
+    return { messages: messages.slice(-(count || 50)), found: true };
+}
+
+module.exports = {
+    MAX_MESSAGES,
+    MAX_AGE,
+    toNumber,
+    record,
+    getMessages
+};
@@ -1,78 +1,35 @@
-const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config');
+const storage = require('./storage');
+
+// Storage collections (named after the JSON files they used to live in)
+const COLLECTIONS = {
+    contacts: path.basename(config.contactsFile, '.json'),
+    warnings: path.basename(config.warningsFile, '.json'),
+    settings: path.basename(config.settingsFile, '.json'),
+    data: 'data' // General data store for various features
+};
 
-// Database structure
-const db = {
-    contacts: {},
-    warnings: {},
-    settings: {
-        isPublic: config.defaultPublicAccess,
-        allowedUsers: [...config.botOwners]
-    },
-    data: {} // General data store for various features
+// Default bot settings
+const DEFAULT_SETTINGS = {
+    isPublic: config.defaultPublicAccess
 };
 
 // Initialize database
 async function init() {
     try {
-        // Create data directory if it doesn't exist
-        try {
-            await fs.mkdir(config.databaseDir, { recursive: true });
-        } catch (error) {
-            if (error.code !== 'EEXIST') {
-                throw error;
-            }
-        }
-
-        // Load contacts
-        try {
-            const contactsData = await fs.readFile(config.contactsFile, 'utf8');
-            db.contacts = JSON.parse(contactsData);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error('Error loading contacts:', error);
-            }
-            // Create new contacts file
-            await fs.writeFile(config.contactsFile, JSON.stringify(db.contacts, null, 2));
-        }
-
-        // Load warnings
-        try {
-            const warningsData = await fs.readFile(config.warningsFile, 'utf8');
-            db.warnings = JSON.parse(warningsData);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error('Error loading warnings:', error);
+        // Store default settings that haven't been saved yet
+        const settings = storage.getAll(COLLECTIONS.settings);
+        for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+            if (settings[key] === undefined) {
+                storage.set(COLLECTIONS.settings, key, value);
             }
-            // Create new warnings file
-            await fs.writeFile(config.warningsFile, JSON.stringify(db.warnings, null, 2));
         }
 
-        // Load settings
-        try {
-            const settingsData = await fs.readFile(config.settingsFile, 'utf8');
-            db.settings = { ...db.settings, ...JSON.parse(settingsData) };
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error('Error loading settings:', error);
-            }
-            // Create new settings file
-            await fs.writeFile(config.settingsFile, JSON.stringify(db.settings, null, 2));
-        }
-        
-        // Load general data store
-        try {
-            const dataFile = path.join(config.databaseDir, 'data.json');
-            const dataContent = await fs.readFile(dataFile, 'utf8');
-            db.data = JSON.parse(dataContent);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error('Error loading data store:', error);
-            }
-            // Don't create a file yet - only create when there's actual data
-            db.data = {};
-        }
+        // Load the remaining collections up front
+        storage.getAll(COLLECTIONS.contacts);
+        storage.getAll(COLLECTIONS.warnings);
+        storage.getAll(COLLECTIONS.data);
 
         console.log('Database initialized successfully');
     } catch (error) {
@@ -80,18 +37,10 @@ async function init() {
     }
 }
 
-// Save all data
+// Write pending changes (used on shutdown)
 async function saveAll() {
     try {
-        await fs.writeFile(config.contactsFile, JSON.stringify(db.contacts, null, 2));
-        await fs.writeFile(config.warningsFile, JSON.stringify(db.warnings, null, 2));
-        await fs.writeFile(config.settingsFile, JSON.stringify(db.settings, null, 2));
-        
-        // Save general data store
-        if (Object.keys(db.data).length > 0) {
-            const dataFile = path.join(config.databaseDir, 'data.json');
-            await fs.writeFile(dataFile, JSON.stringify(db.data, null, 2));
-        }
+        await storage.flush();
     } catch (error) {
         console.error('Error saving database:', error);
     }
@@ -101,7 +50,7 @@ async function saveAll() {
 function getContact(number) {
     // Normalize number
     const normalizedNumber = normalizeNumber(number);
-    return db.contacts[normalizedNumber] || null;
+    return storage.get(COLLECTIONS.contacts, normalizedNumber) || null;
 }
 
 function saveContact(number, data) {
@@ -109,79 +58,75 @@ function saveContact(number, data) {
     const normalizedNumber = normalizeNumber(number);
     
     // Initialize if doesn't exist
-    if (!db.contacts[normalizedNumber]) {
-        db.contacts[normalizedNumber] = {
-            number: normalizedNumber,
-            labels: [],
-            engagement: 0,
-            lastInteraction: Date.now(),
-            metadata: {}
-        };
-    }
+    const existing = storage.get(COLLECTIONS.contacts, normalizedNumber) || {
+        number: normalizedNumber,
+        labels: [],
+        engagement: 0,
+        lastInteraction: Date.now(),
+        metadata: {}
+    };
     
     // Update with new data
-    db.contacts[normalizedNumber] = {
-        ...db.contacts[normalizedNumber],
+    const contact = {
+        ...existing,
         ...data
     };
     
-    // Save to file
-    saveAll();
-    return db.contacts[normalizedNumber];
+    // Save only this contact
+    storage.set(COLLECTIONS.contacts, normalizedNumber, contact);
+    return contact;
 }
 
 function getAllContacts() {
-    return db.contacts;
+    return storage.getAll(COLLECTIONS.contacts);
 }
 
 // Warning and strike system
 function getWarnings(number) {
     const normalizedNumber = normalizeNumber(number);
-    return db.warnings[normalizedNumber] || { warnings: 0, strikes: 0, banned: false };
+    return storage.get(COLLECTIONS.warnings, normalizedNumber) || { warnings: 0, strikes: 0, banned: false };
 }
 
 function addWarning(number) {
     const normalizedNumber = normalizeNumber(number);
     
     // Initialize if doesn't exist
-    if (!db.warnings[normalizedNumber]) {
-        db.warnings[normalizedNumber] = { warnings: 0, strikes: 0, banned: false };
-    }
+    const record = { ...getWarnings(normalizedNumber) };
     
     // Add warning
-    db.warnings[normalizedNumber].warnings += 1;
+    record.warnings += 1;
     
     // Check if warnings should convert to strike
-    if (db.warnings[normalizedNumber].warnings >= config.maxWarnings) {
-        db.warnings[normalizedNumber].warnings = 0;
-        db.warnings[normalizedNumber].strikes += 1;
+    if (record.warnings >= config.maxWarnings) {
+        record.warnings = 0;
+        record.strikes += 1;
         
         // Check if strikes should result in ban
-        if (db.warnings[normalizedNumber].strikes >= config.maxStrikes) {
-            db.warnings[normalizedNumber].banned = true;
+        if (record.strikes >= config.maxStrikes) {
+            record.banned = true;
         }
     }
     
-    // Save to file
-    saveAll();
-    return db.warnings[normalizedNumber];
+    // Save to storage
+    storage.set(COLLECTIONS.warnings, normalizedNumber, record);
+    return record;
 }
 
 function resetWarnings(number) {
     const normalizedNumber = normalizeNumber(number);
-    db.warnings[normalizedNumber] = { warnings: 0, strikes: 0, banned: false };
-    saveAll();
+    storage.set(COLLECTIONS.warnings, normalizedNumber, { warnings: 0, strikes: 0, banned: false });
 }
 
 // Bot settings
 function getBotSettings() {
-    return db.settings;
+    return { ...DEFAULT_SETTINGS, ...storage.getAll(COLLECTIONS.settings) };
 }
 
 function updateBotSettings(settings) {
-    db.settings = { ...db.settings, ...settings };
-    saveAll();
-    return db.settings;
+    for (const [key, value] of Object.entries(settings)) {
+        storage.set(COLLECTIONS.settings, key, value);
+    }
+    return getBotSettings();
 }
 
 // Helper function to normalize phone numbers
@@ -202,15 +147,18 @@ function normalizeNumber(number) {
 
 // General data store functions
 function getData(key) {
-    return db.data[key] || null;
+    return storage.get(COLLECTIONS.data, key) || null;
 }
 
 function saveData(key, value) {
-    db.data[key] = value;
-    saveAll();
+    storage.set(COLLECTIONS.data, key, value);
     return value;
 }
 
+function removeData(key) {
+    storage.remove(COLLECTIONS.data, key);
+}
+
 /**
  * Get a contact's display name
  * @param {string} jid - The JID (number@s.whatsapp.net)
@@ -224,7 +172,7 @@ function getContactName(jid) {
     const normalizedNumber = normalizeNumber(number);
     
     // Check if we have this contact
-    const contact = db.contacts[normalizedNumber];
+    const contact = storage.get(COLLECTIONS.contacts, normalizedNumber);
     if (contact && contact.name) {
         return contact.name;
     }
@@ -254,6 +202,7 @@ function getGroupName(jid) {
 
 module.exports = {
     init,
+    saveAll,
     getContact,
     saveContact,
     getAllContacts,
@@ -265,6 +214,7 @@ module.exports = {
     normalizeNumber,
     getData,
     saveData,
+    removeData,
     getContactName,
     getGroupName
 };
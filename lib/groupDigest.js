@@ -0,0 +1,364 @@
+/**
+ * Group digests
+ * A daily or weekly report for the admins of a group: message volume and
+ * trend (lib/analytics), the most active members (lib/messageStats), who
+ * joined and left, moderation actions (lib/groupEvents) and optionally an AI
+ * summary of the conversation. Digests are sent at a set time in the group's
+ * timezone to an admin's private chat or to a log group, and are re-armed
+ * when the bot starts.
+ */
+const schedule = require('node-schedule');
+const storage = require('./storage');
+const recurrence = require('./recurrence');
+const scheduledMessages = require('./scheduledMessages');
+const analytics = require('./analytics');
+const messageStats = require('./messageStats');
+const groupEvents = require('./groupEvents');
+const conversationBuffer = require('./conversationBuffer');
+const messageArchive = require('./messageArchive');
+const database = require('./database');
+const ai = require('./ai');
+const whatsappFormat = require('./whatsappFormat');
+const config = require('../config');
+
+// Storage collection of digest settings (group JID -> digest)
+const DIGESTS_COLLECTION = 'groupDigests';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// The AI summary needs at least this many messages to be worth it
+const MIN_SUMMARY_MESSAGES = 5;
+
+// Running jobs by group JID
+const jobs = new Map();
+
+// Socket of the current connection (replaced on reconnect)
+let currentSock = null;
+
+/**
+ * Get the digest settings of a group
+ *
+ * @param {string} groupId - Group JID
+ * @returns {Object|null} { groupId, frequency, time, weekday, target, targetName, aiSummary, createdBy, nextRun, lastRun }
+ */
+function getDigest(groupId) {
+    return storage.get(DIGESTS_COLLECTION, groupId) || null;
+}
+
+/**
+ * Get the cron expression of a digest
+ */
+function getCron(digest) {
+    const [hour, minute] = digest.time.split(':').map(Number);
+    return `${minute} ${hour} * * ${digest.frequency === 'weekly' ? digest.weekday : '*'}`;
+}
+
+/**
+ * Describe when a digest is sent
+ *
+ * @param {Object} digest - Digest settings
+ * @returns {string} e.g. "daily at 21:00 (Europe/London)"
+ */
+function describeSchedule(digest) {
+    const when = digest.frequency === 'weekly'
+        ? `every ${DAY_NAMES[digest.weekday]} at ${digest.time}`
+        : `daily at ${digest.time}`;
+    return `${when} (${scheduledMessages.getTimezone(digest.groupId)})`;
+}
+
+/**
+ * Save a digest and arm its next run
+ */
+function save(digest) {
+    digest.nextRun = recurrence.getNextRun(getCron(digest), scheduledMessages.getTimezone(digest.groupId)).getTime();
+    storage.set(DIGESTS_COLLECTION, digest.groupId, digest);
+    arm(digest);
+    return digest;
+}
+
+/**
+ * Turn on a group's digest or change when it is sent
+ *
+ * @param {string} groupId - Group JID
+ * @param {Object} options - Schedule
+ * @param {string} options.frequency - 'daily' or 'weekly'
+ * @param {string} options.time - HH:MM in the group's timezone (default config.digest.defaultTime)
+ * @param {string} options.weekday - Day name for weekly digests (default Monday)
+ * @param {string} options.createdBy - JID of the admin; new digests are sent to their private chat
+ * @returns {Object} Result with success, message and the digest
+ */
+function setSchedule(groupId, { frequency, time = config.digest.defaultTime, weekday = 'monday', createdBy }) {
+    const clock = recurrence.parseClock(time);
+    if (!clock) {
+        return { success: false, message: `Invalid time "${time}". Use HH:MM, e.g. 21:00.` };
+    }
+
+    const day = frequency === 'weekly' ? recurrence.parseWeekday(weekday) : null;
+    if (day === -1) {
+        return { success: false, message: `Unknown weekday "${weekday}".` };
+    }
+
+    const digest = save({
+        aiSummary: true,
+        target: createdBy,
+        targetName: null,
+        createdBy,
+        lastRun: null,
+        ...getDigest(groupId),
+        groupId,
+        frequency,
+        time: `${String(clock.hour).padStart(2, '0')}:${String(clock.minute).padStart(2, '0')}`,
+        weekday: day
+    });
+
+    return { success: true, message: `Digest will be sent ${describeSchedule(digest)}.`, digest };
+}
+
+/**
+ * Change a digest setting
+ *
+ * @param {string} groupId - Group JID
+ * @param {Object} changes - { target, targetName } and/or { aiSummary }
+ * @returns {Object} Result with success and message
+ */
+function updateDigest(groupId, changes) {
+    const digest = getDigest(groupId);
+    if (!digest) {
+        return { success: false, message: 'This group has no digest yet.' };
+    }
+
+    storage.set(DIGESTS_COLLECTION, groupId, { ...digest, ...changes });
+    return { success: true, message: 'Digest updated.' };
+}
+
+/**
+ * Turn off a group's digest
+ *
+ * @param {string} groupId - Group JID
+ * @returns {Object} Result with success and message
+ */
+function removeDigest(groupId) {
+    if (!getDigest(groupId)) {
+        return { success: false, message: 'This group has no digest.' };
+    }
+
+    if (jobs.has(groupId)) {
+        jobs.get(groupId).cancel();
+        jobs.delete(groupId);
+    }
+    storage.remove(DIGESTS_COLLECTION, groupId);
+    return { success: true, message: 'Digest turned off.' };
+}
+
+/**
+ * Get the display name of a member
+ */
+function getName(jid) {
+    return database.getContactName(jid) || jid.split('@')[0];
+}
+
+/**
+ * List members by name, with "and N more" after the first few
+ */
+function listNames(jids, max = 8) {
+    const names = jids.slice(0, max).map(getName).join(', ');
+    return jids.length > max ? `${names} and ${jids.length - max} more` : names;
+}
+
+/**
+ * Get the name of a group, from WhatsApp if connected
+ */
+async function getGroupName(groupId) {
+    try {
+        if (currentSock) {
+            return (await currentSock.groupMetadata(groupId)).subject;
+        }
+    } catch (error) {
+        // Fall back to the stored name
+    }
+    return database.getGroupName(groupId);
+}
+
+/**
+ * Get the messages a digest summary is made from
+ *
+ * Groups with the message archive on are summarized from it. Otherwise only
+ * daily digests get a summary: the in-memory buffer holds the last 24 hours
+ * since the bot started, which doesn't cover a week.
+ */
+function getSummaryMessages(groupId, since, weekly) {
+    if (messageArchive.isEnabled(groupId)) {
+        return messageArchive.getMessages(groupId, since).filter(record => record.text.trim());
+    }
+    return weekly ? [] : conversationBuffer.getMessages(groupId, { since }).messages;
+}
+
+/**
+ * Ask the AI for a short summary of what the group talked about
+ */
+async function summarizeConversation(groupId, since, weekly) {
+    const messages = getSummaryMessages(groupId, since, weekly);
+    if (messages.length < MIN_SUMMARY_MESSAGES) {
+        return null;
+    }
+
+    const transcript = messages
+        .slice(-200)
+        .map(entry => `${getName(entry.sender)}: ${entry.text.replace(/\s*\n\s*/g, ' ')}`)
+        .join('\n');
+
+    try {
+        const summary = await ai.generateText(
+            'Summarize what this WhatsApp group talked about for its admins in 2-4 sentences. ' +
+            'Mention any conflicts or problems the admins should know about.\n\n' +
+            `Conversation:\n${transcript}`,
+            { feature: 'summarize', chatId: groupId, priority: 'low' }
+        );
+        return whatsappFormat.toWhatsApp(summary);
+    } catch (error) {
+        console.error(`Error summarizing conversation for the digest of ${groupId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Build the digest text of a group
+ *
+ * @param {string} groupId - Group JID
+ * @param {Object} options - { frequency, aiSummary } (defaults to the group's settings or a daily digest)
+ * @returns {Promise<string>} Digest text
+ */
+async function buildDigest(groupId, options = {}) {
+    const digest = { frequency: 'daily', aiSummary: true, ...getDigest(groupId), ...options };
+    const weekly = digest.frequency === 'weekly';
+    const since = Date.now() - (weekly ? 7 : 1) * DAY_MS;
+
+    const stats = analytics.getGroupStats(groupId, weekly ? 'week' : 'day');
+    const topMembers = (weekly ? messageStats.getWeeklyLeaderboard(groupId, 5) : messageStats.getDailyLeaderboard(groupId, 5))
+        .filter(entry => entry.count > 0);
+    const events = groupEvents.getEvents(groupId, since);
+    const ofType = (type) => events.filter(event => event.type === type).map(event => event.target).filter(Boolean);
+
+    let text = `📊 *${weekly ? 'Weekly' : 'Daily'} digest: ${await getGroupName(groupId)}*\n` +
+        `_${weekly ? 'Last 7 days' : 'Last 24 hours'}_\n\n` +
+        `💬 *Activity*\n` +
+        `• Messages: ${stats.totalMessages}\n` +
+        `• Active members: ${stats.activeMembers}\n` +
+        `• Trend: ${stats.activityTrend}`;
+
+    if (topMembers.length > 0) {
+        text += '\n\n🏆 *Most active*\n' + topMembers
+            .map((entry, index) => `${index + 1}. ${getName(`${entry.userId}@s.whatsapp.net`)}: ${entry.count}`)
+            .join('\n');
+    }
+
+    const memberLines = [
+        ['Joined', ofType('join')],
+        ['Left', ofType('leave')],
+        ['Promoted', ofType('promote')],
+        ['Demoted', ofType('demote')]
+    ].filter(([, jids]) => jids.length > 0)
+        .map(([label, jids]) => `• ${label} (${jids.length}): ${listNames(jids)}`);
+    text += `\n\n👥 *Members*\n${memberLines.length > 0 ? memberLines.join('\n') : '• No changes'}`;
+
+    const modActions = events.filter(event => groupEvents.MOD_ACTIONS.includes(event.type));
+    if (modActions.length > 0) {
+        text += '\n\n🛡️ *Moderation*\n' + modActions.slice(-10).map(event => {
+            const target = event.target ? ` ${getName(event.target)}` : '';
+            const by = event.by ? ` by ${getName(event.by)}` : '';
+            return `• ${event.type}${target}${by}${event.detail ? ` (${event.detail})` : ''}`;
+        }).join('\n');
+        if (modActions.length > 10) {
+            text += `\n• ...and ${modActions.length - 10} earlier`;
+        }
+    }
+
+    if (digest.aiSummary) {
+        const summary = await summarizeConversation(groupId, since, weekly);
+        if (summary) {
+            text += `\n\n📝 *Summary*\n${summary}`;
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Send a digest and arm its next run
+ */
+async function run(groupId) {
+    jobs.delete(groupId);
+
+    const digest = getDigest(groupId);
+    if (!digest) return;
+
+    if (currentSock) {
+        try {
+            await currentSock.sendMessage(digest.target, { text: await buildDigest(groupId) });
+            console.log(`Digest sent for ${groupId}`);
+        } catch (error) {
+            console.error(`Failed to send digest for ${groupId}:`, error);
+        }
+    } else {
+        console.log(`Digest for ${groupId} skipped: not connected`);
+    }
+
+    // The digest may have been turned off or changed while it was being sent
+    const current = getDigest(groupId);
+    if (current) {
+        save({ ...current, lastRun: Date.now() });
+    }
+}
+
+/**
+ * Recompute a group's next digest, e.g. after its timezone changed
+ *
+ * @param {string} groupId - Group JID
+ */
+function rescheduleDigest(groupId) {
+    const digest = getDigest(groupId);
+    if (digest) {
+        save(digest);
+    }
+}
+
+/**
+ * Start (or restart) the job of a digest
+ */
+function arm(digest) {
+    if (jobs.has(digest.groupId)) {
+        jobs.get(digest.groupId).cancel();
+    }
+    jobs.set(digest.groupId, schedule.scheduleJob(new Date(digest.nextRun), () => run(digest.groupId)));
+}
+
+/**
+ * Start sending digests
+ *
+ * Called on every connection; digests are only armed the first time and use
+ * the latest socket afterwards. Digests missed while offline are skipped.
+ *
+ * @param {Object} sock - WhatsApp socket
+ */
+function start(sock) {
+    const firstStart = currentSock === null;
+    currentSock = sock;
+    if (!firstStart) return;
+
+    const digests = Object.values(storage.getAll(DIGESTS_COLLECTION));
+    digests.forEach(save);
+
+    console.log(`Group digests: Armed ${digests.length} digest(s)`);
+}
+
+module.exports = {
+    getDigest,
+    describeSchedule,
+    setSchedule,
+    updateDigest,
+    removeDigest,
+    rescheduleDigest,
+    buildDigest,
+    start
+};
@@ -0,0 +1,75 @@
+/**
+ * Group event log
+ * Records who joined, left, was promoted or demoted, and the moderation
+ * actions taken through the bot (warnings, silences, kicks, bans), so digests
+ * can report what changed in a group. Events are kept for MAX_AGE.
+ */
+const storage = require('./storage');
+
+// Storage collection of events (group JID -> events, oldest first)
+const EVENTS_COLLECTION = 'groupEvents';
+
+const MAX_EVENTS = 500;
+const MAX_AGE = 35 * 24 * 60 * 60 * 1000;
+
+// Membership events from group-participants.update, by Baileys action
+const PARTICIPANT_EVENTS = {
+    add: 'join',
+    remove: 'leave',
+    promote: 'promote',
+    demote: 'demote'
+};
+
+// Events that are moderation actions
+const MOD_ACTIONS = ['warn', 'silence', 'kick', 'ban', 'removeall'];
+
+/**
+ * Record an event in a group
+ *
+ * @param {string} groupId - Group JID
+ * @param {Object} event - Event
+ * @param {string} event.type - join, leave, promote, demote or one of MOD_ACTIONS
+ * @param {string} event.target - JID of the member it concerns
+ * @param {string} event.by - JID of who did it (null if unknown)
+ * @param {string} event.detail - Reason, duration, ...
+ */
+function record(groupId, { type, target = null, by = null, detail = null }) {
+    const now = Date.now();
+    const events = (storage.get(EVENTS_COLLECTION, groupId) || [])
+        .filter(event => now - event.timestamp < MAX_AGE);
+
+    events.push({ type, target, by, detail, timestamp: now });
+    storage.set(EVENTS_COLLECTION, groupId, events.slice(-MAX_EVENTS));
+}
+
+/**
+ * Record the events of a group-participants.update
+ *
+ * @param {Object} update - { id, participants, action, author }
+ */
+function recordParticipantsUpdate(update) {
+    const type = PARTICIPANT_EVENTS[update.action];
+    if (!type) return;
+
+    for (const participant of update.participants || []) {
+        record(update.id, { type, target: participant, by: update.author || null });
+    }
+}
+
+/**
+ * Get the events of a group since a time
+ *
+ * @param {string} groupId - Group JID
+ * @param {number} since - Timestamp
+ * @returns {Array<Object>} Events, oldest first
+ */
+function getEvents(groupId, since = 0) {
+    return (storage.get(EVENTS_COLLECTION, groupId) || []).filter(event => event.timestamp >= since);
+}
+
+module.exports = {
+    MOD_ACTIONS,
+    record,
+    recordParticipantsUpdate,
+    getEvents
+};
@@ -0,0 +1,275 @@
+/**
+ * Chat knowledge base
+ * Moderators add FAQ entries and documents (rules, schedules, links) to a
+ * group; the AI chat looks up the chunks relevant to a question and cites the
+ * entries it used. Documents are split into chunks and indexed with TF-IDF
+ * over stemmed words, all locally.
+ */
+const natural = require('natural');
+const storage = require('./storage');
+
+// Storage collection of knowledge bases (chat JID -> { nextId, entries })
+const KB_COLLECTION = 'knowledgeBase';
+
+const MAX_ENTRIES = 200;
+const MAX_ENTRY_CHARS = 50000;
+const CHUNK_CHARS = 700;
+
+// Chunks scoring lower than this are treated as unrelated to the question
+const MIN_SCORE = 0.25;
+
+// TF-IDF indexes per chat, rebuilt after every change
+const indexes = new Map();
+
+/**
+ * Get the knowledge base of a chat
+ */
+function getKnowledgeBase(chatId) {
+    return storage.get(KB_COLLECTION, chatId) || { nextId: 1, entries: [] };
+}
+
+/**
+ * Save the knowledge base of a chat and drop its index
+ */
+function saveKnowledgeBase(chatId, knowledgeBase) {
+    if (knowledgeBase.entries.length === 0) {
+        storage.remove(KB_COLLECTION, chatId);
+    } else {
+        storage.set(KB_COLLECTION, chatId, knowledgeBase);
+    }
+    indexes.delete(chatId);
+}
+
+/**
+ * Split text into chunks of about CHUNK_CHARS characters
+ *
+ * Chunks follow paragraphs and Markdown headings; a heading starts a new
+ * chunk and is repeated in front of the chunks below it, so each chunk
+ * still says what it is about.
+ *
+ * @param {string} text - Document text
+ * @returns {Array<string>} Chunks
+ */
+function chunkText(text) {
+    const chunks = [];
+    let heading = '';
+    let current = '';
+
+    const flush = () => {
+        if (current.trim()) {
+            chunks.push(current.trim());
+        }
+        current = heading ? `${heading}\n` : '';
+    };
+
+    const paragraphs = text.replace(/\r\n/g, '\n').split(/\n\s*\n|\n(?=#{1,6}\s)/);
+    for (const rawParagraph of paragraphs) {
+        const paragraph = rawParagraph.trim();
+        if (!paragraph) continue;
+
+        if (/^#{1,6}\s/.test(paragraph)) {
+            const [firstLine, ...rest] = paragraph.split('\n');
+            flush();
+            heading = firstLine.replace(/^#+\s*/, '');
+            current = `${heading}\n`;
+            if (rest.length === 0) continue;
+            current += `${rest.join('\n')}\n\n`;
+            continue;
+        }
+
+        // Long paragraphs are cut at sentence ends
+        const pieces = paragraph.length > CHUNK_CHARS
+            ? paragraph.match(new RegExp(`[\\s\\S]{1,${CHUNK_CHARS}}(?:[.!?](?=\\s)|$)|[\\s\\S]{1,${CHUNK_CHARS}}`, 'g'))
+            : [paragraph];
+
+        for (const piece of pieces) {
+            if (current.length + piece.length > CHUNK_CHARS && current.trim() !== heading) {
+                flush();
+            }
+            current += `${piece.trim()}\n\n`;
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Turn text into stemmed words without stop words
+ */
+function toTerms(text) {
+    return natural.PorterStemmer.tokenizeAndStem(text);
+}
+
+/**
+ * Get (or build) the TF-IDF index of a chat
+ */
+function getIndex(chatId) {
+    if (!indexes.has(chatId)) {
+        const tfidf = new natural.TfIdf();
+        const refs = [];
+
+        for (const entry of getKnowledgeBase(chatId).entries) {
+            entry.chunks.forEach((chunk, chunkIndex) => {
+                tfidf.addDocument(toTerms(`${entry.title}\n${chunk}`));
+                refs.push({ entry, chunkIndex });
+            });
+        }
+
+        indexes.set(chatId, { tfidf, refs });
+    }
+    return indexes.get(chatId);
+}
+
+/**
+ * Add an FAQ entry or a document to a chat's knowledge base
+ *
+ * @param {Object} options - Entry options
+ * @param {string} options.chatId - Chat JID
+ * @param {string} options.title - Entry title (the question for FAQ entries)
+ * @param {string} options.text - Answer or document text
+ * @param {string} options.type - 'faq' or 'document'
+ * @param {string} options.addedBy - JID of the user adding it
+ * @param {string} options.source - File name for imported documents
+ * @returns {Object} Result with success, message and the entry
+ */
+function addEntry({ chatId, title, text, type = 'document', addedBy, source = null }) {
+    title = String(title || '').trim();
+    text = String(text || '').trim();
+
+    if (!title || !text) {
+        return { success: false, message: 'Entries need a title and some text.' };
+    }
+    if (text.length > MAX_ENTRY_CHARS) {
+        return { success: false, message: `That is too long (max ${MAX_ENTRY_CHARS} characters per entry).` };
+    }
+
+    const knowledgeBase = getKnowledgeBase(chatId);
+    if (knowledgeBase.entries.length >= MAX_ENTRIES) {
+        return { success: false, message: `This knowledge base is full (${MAX_ENTRIES} entries). Remove some entries first.` };
+    }
+
+    const entry = {
+        id: knowledgeBase.nextId++,
+        type,
+        title: title.slice(0, 200),
+        text,
+        chunks: type === 'faq' ? [text] : chunkText(text),
+        source,
+        addedBy,
+        addedAt: Date.now()
+    };
+    knowledgeBase.entries.push(entry);
+    saveKnowledgeBase(chatId, knowledgeBase);
+
+    return {
+        success: true,
+        message: `Added #${entry.id} "${entry.title}"${entry.chunks.length > 1 ? ` (${entry.chunks.length} sections)` : ''}.`,
+        entry
+    };
+}
+
+/**
+ * Remove an entry
+ *
+ * @param {string} chatId - Chat JID
+ * @param {number} id - Entry number
+ * @returns {Object} Result with success and message
+ */
+function removeEntry(chatId, id) {
+    const knowledgeBase = getKnowledgeBase(chatId);
+    const entry = knowledgeBase.entries.find(candidate => candidate.id === id);
+    if (!entry) {
+        return { success: false, message: `There is no entry #${id}.` };
+    }
+
+    knowledgeBase.entries = knowledgeBase.entries.filter(candidate => candidate.id !== id);
+    saveKnowledgeBase(chatId, knowledgeBase);
+    return { success: true, message: `Removed #${id} "${entry.title}".` };
+}
+
+/**
+ * Get one entry
+ *
+ * @param {string} chatId - Chat JID
+ * @param {number} id - Entry number
+ * @returns {Object|null} Entry
+ */
+function getEntry(chatId, id) {
+    return getKnowledgeBase(chatId).entries.find(entry => entry.id === id) || null;
+}
+
+/**
+ * List the entries of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Array<Object>} Entries, oldest first
+ */
+function listEntries(chatId) {
+    return getKnowledgeBase(chatId).entries;
+}
+
+/**
+ * Find the chunks most relevant to a question
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} query - Question
+ * @param {number} limit - Maximum number of chunks
+ * @returns {Array<Object>} { id, title, text, score }, best first
+ */
+function search(chatId, query, limit = 3) {
+    const terms = toTerms(query || '');
+    if (terms.length === 0 || listEntries(chatId).length === 0) {
+        return [];
+    }
+
+    const { tfidf, refs } = getIndex(chatId);
+    const scores = tfidf.tfidfs(terms);
+
+    return scores
+        .map((score, index) => ({ score, ...refs[index] }))
+        .filter(result => result.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ entry, chunkIndex, score }) => ({
+            id: entry.id,
+            title: entry.title,
+            text: entry.chunks[chunkIndex],
+            score
+        }));
+}
+
+/**
+ * Turn the [#id] markers the AI put in its answer into a source list
+ *
+ * @param {string} response - AI response
+ * @param {Array<Object>} results - Chunks the AI was given (see search)
+ * @returns {string} Response with a "Sources" line for the cited entries
+ */
+function addCitations(response, results) {
+    const titles = new Map(results.map(result => [result.id, result.title]));
+    const cited = [];
+
+    const text = response.replace(/\s*\[#(\d+)\]/g, (marker, id) => {
+        id = Number(id);
+        if (!titles.has(id)) return marker;
+        if (!cited.includes(id)) cited.push(id);
+        return '';
+    });
+
+    if (cited.length === 0) {
+        return response;
+    }
+    return `${text.trim()}\n\n📚 Source: ${cited.map(id => `#${id} ${titles.get(id)}`).join(', ')}`;
+}
+
+module.exports = {
+    MAX_ENTRY_CHARS,
+    chunkText,
+    addEntry,
+    removeEntry,
+    getEntry,
+    listEntries,
+    search,
+    addCitations
+};
@@ -0,0 +1,21 @@
+/**
+ * Language detection accuracy check
+ * Runs the detector over corpus.json and exits with an error when accuracy
+ * drops below MIN_ACCURACY. Run it after changing the detector or samples:
+ *
+ *   node lib/language/evaluate.js
+ */
+const { evaluate } = require('./index');
+
+const MIN_ACCURACY = 0.95;
+
+const result = evaluate();
+
+for (const error of result.errors) {
+    console.log(`✗ ${error.expected} detected as ${error.detected} (${error.confidence}): ${error.text}`);
+}
+console.log(`Accuracy: ${result.correct}/${result.total} (${(result.accuracy * 100).toFixed(1)}%), minimum ${MIN_ACCURACY * 100}%`);
+
+if (result.accuracy < MIN_ACCURACY) {
+    process.exitCode = 1;
+}
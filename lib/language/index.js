@@ -0,0 +1,233 @@
+/**
+ * Offline language detection
+ * Works in two steps:
+ * 1. The Unicode script of the letters. Many scripts are only used by one
+ *    language we support (Thai, Hangul, Gujarati, ...), which settles it.
+ * 2. For scripts shared by several languages (Latin, Cyrillic, Arabic,
+ *    Devanagari), a naive Bayes classifier over the character trigrams of
+ *    each word, trained on the texts in ./samples.js.
+ *
+ * Serbian written in Latin letters is reported as Croatian; the two can't be
+ * told apart from spelling.
+ */
+const samples = require('./samples');
+
+// Scripts in the order they are checked; `language` means only one language uses it
+const SCRIPTS = [
+    { name: 'Latin', pattern: /\p{Script=Latin}/u },
+    { name: 'Cyrillic', pattern: /\p{Script=Cyrillic}/u },
+    { name: 'Arabic', pattern: /\p{Script=Arabic}/u },
+    { name: 'Devanagari', pattern: /\p{Script=Devanagari}/u },
+    { name: 'Han', pattern: /\p{Script=Han}/u, language: 'zh' },
+    { name: 'Kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, language: 'ja' },
+    { name: 'Hangul', pattern: /\p{Script=Hangul}/u, language: 'ko' },
+    { name: 'Thai', pattern: /\p{Script=Thai}/u, language: 'th' },
+    { name: 'Hebrew', pattern: /\p{Script=Hebrew}/u, language: 'he' },
+    { name: 'Bengali', pattern: /\p{Script=Bengali}/u, language: 'bn' },
+    { name: 'Gurmukhi', pattern: /\p{Script=Gurmukhi}/u, language: 'pa' },
+    { name: 'Gujarati', pattern: /\p{Script=Gujarati}/u, language: 'gu' },
+    { name: 'Tamil', pattern: /\p{Script=Tamil}/u, language: 'ta' },
+    { name: 'Telugu', pattern: /\p{Script=Telugu}/u, language: 'te' },
+    { name: 'Malayalam', pattern: /\p{Script=Malayalam}/u, language: 'ml' }
+];
+
+// Languages told apart by trigrams, by script
+const SHARED_SCRIPTS = {
+    Latin: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'fi', 'pl', 'cs', 'sk', 'hr', 'sl',
+        'hu', 'ro', 'tr', 'vi', 'id', 'ms', 'fil', 'sw', 'yo', 'ig', 'ha'],
+    Cyrillic: ['ru', 'uk', 'bg', 'sr'],
+    Arabic: ['ar', 'ur'],
+    Devanagari: ['hi', 'mr']
+};
+
+// Only the start of long texts is looked at
+const MAX_CHARS = 1000;
+
+// Texts with fewer letters than this are not detected
+const MIN_LETTERS = 2;
+
+// Smoothing for trigrams a language never had in its sample
+const ALPHA = 0.3;
+
+// Log-likelihoods are divided by this before turning them into confidences;
+// trigrams of one text aren't independent, so raw naive Bayes is overconfident
+const TEMPERATURE = 3;
+
+// Trigram profiles by script, built on first use
+let profiles = null;
+
+/**
+ * Split a text into lowercase words of letters (and combining marks)
+ */
+function getWords(text) {
+    return text.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+}
+
+/**
+ * Get the trigrams of the words of a text, each word padded with spaces
+ *
+ * @param {string} text - Text
+ * @returns {Array<string>} Trigrams, with repeats
+ */
+function getTrigrams(text) {
+    const trigrams = [];
+    for (const word of getWords(text)) {
+        const chars = Array.from(` ${word} `);
+        for (let i = 0; i + 3 <= chars.length; i++) {
+            trigrams.push(chars.slice(i, i + 3).join(''));
+        }
+    }
+    return trigrams;
+}
+
+/**
+ * Build the trigram profile of every language in SHARED_SCRIPTS
+ */
+function buildProfiles() {
+    const built = {};
+    for (const [script, languages] of Object.entries(SHARED_SCRIPTS)) {
+        const vocabulary = new Set();
+        const languageProfiles = {};
+        for (const language of languages) {
+            const counts = new Map();
+            const trigrams = getTrigrams(samples[language]);
+            for (const trigram of trigrams) {
+                counts.set(trigram, (counts.get(trigram) || 0) + 1);
+                vocabulary.add(trigram);
+            }
+            languageProfiles[language] = { counts, total: trigrams.length };
+        }
+        built[script] = { languages: languageProfiles, vocabularySize: vocabulary.size };
+    }
+    return built;
+}
+
+/**
+ * Count the letters of a text by script
+ *
+ * @returns {Object} { counts: Map(script name -> letters), letters }
+ */
+function countScripts(text) {
+    const counts = new Map();
+    let letters = 0;
+    for (const char of text) {
+        if (!/\p{L}/u.test(char)) continue;
+        letters++;
+        const script = SCRIPTS.find(entry => entry.pattern.test(char));
+        if (script) {
+            counts.set(script.name, (counts.get(script.name) || 0) + 1);
+        }
+    }
+    return { counts, letters };
+}
+
+/**
+ * Score the languages of a shared script by trigrams
+ *
+ * @returns {Array<Object>} [{ language, confidence }], best first
+ */
+function classify(script, text) {
+    if (!profiles) {
+        profiles = buildProfiles();
+    }
+    const { languages, vocabularySize } = profiles[script];
+    const trigrams = getTrigrams(text);
+
+    const scores = Object.entries(languages).map(([language, { counts, total }]) => {
+        const denominator = Math.log(total + ALPHA * vocabularySize);
+        let score = 0;
+        for (const trigram of trigrams) {
+            score += Math.log((counts.get(trigram) || 0) + ALPHA) - denominator;
+        }
+        return { language, score: score / TEMPERATURE };
+    });
+
+    // Softmax, shifted by the best score to stay in range
+    const best = Math.max(...scores.map(entry => entry.score));
+    const weights = scores.map(entry => Math.exp(entry.score - best));
+    const sum = weights.reduce((a, b) => a + b, 0);
+
+    return scores
+        .map((entry, index) => ({ language: entry.language, confidence: weights[index] / sum }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Detect the language of a text
+ *
+ * @param {string} text - Text to analyze
+ * @param {Object} options - Options
+ * @param {number} options.limit - Most candidates to return (default 3)
+ * @returns {Object} { language, confidence, script, candidates: [{ language, confidence }] };
+ *   language is null and confidence 0 when the text has too few letters
+ */
+function detect(text, { limit = 3 } = {}) {
+    const sample = String(text || '').slice(0, MAX_CHARS);
+    const { counts, letters } = countScripts(sample);
+    const none = { language: null, confidence: 0, script: null, candidates: [] };
+    if (letters < MIN_LETTERS || counts.size === 0) {
+        return none;
+    }
+
+    // Japanese mixes Han with kana, so any real amount of kana makes it Japanese
+    const kana = counts.get('Kana') || 0;
+    if (kana > 0 && kana + (counts.get('Han') || 0) >= letters / 2) {
+        counts.set('Kana', kana + (counts.get('Han') || 0));
+        counts.delete('Han');
+    }
+
+    const [script, scriptLetters] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const share = scriptLetters / letters;
+
+    let candidates;
+    if (SHARED_SCRIPTS[script]) {
+        // Only classify the letters of that script, e.g. not the English words in a Russian message
+        const scriptText = getWords(sample)
+            .filter(word => SCRIPTS.find(entry => entry.name === script).pattern.test(word))
+            .join(' ');
+        candidates = classify(script, scriptText)
+            .map(entry => ({ language: entry.language, confidence: entry.confidence * share }));
+    } else {
+        candidates = [{ language: SCRIPTS.find(entry => entry.name === script).language, confidence: share }];
+    }
+
+    const top = candidates.slice(0, limit).map(entry => ({
+        language: entry.language,
+        confidence: Math.round(entry.confidence * 1000) / 1000
+    }));
+    return { language: top[0].language, confidence: top[0].confidence, script, candidates: top };
+}
+
+/**
+ * Measure detection accuracy on a labelled corpus
+ *
+ * @param {Object} corpus - Language code -> example texts (default ./corpus.json)
+ * @returns {Object} { total, correct, accuracy, byLanguage: code -> { total, correct }, errors: [{ expected, detected, confidence, text }] }
+ */
+function evaluate(corpus = require('./corpus.json')) {
+    const result = { total: 0, correct: 0, accuracy: 0, byLanguage: {}, errors: [] };
+
+    for (const [expected, texts] of Object.entries(corpus)) {
+        const stats = { total: 0, correct: 0 };
+        for (const text of texts) {
+            const { language, confidence } = detect(text);
+            stats.total++;
+            if (language === expected) {
+                stats.correct++;
+            } else {
+                result.errors.push({ expected, detected: language, confidence, text });
+            }
+        }
+        result.byLanguage[expected] = stats;
+        result.total += stats.total;
+        result.correct += stats.correct;
+    }
+
+    result.accuracy = result.total > 0 ? result.correct / result.total : 0;
+    return result;
+}
+
+module.exports = {
+    detect,
+    evaluate
+};
@@ -0,0 +1,51 @@
+/**
+ * Training text for the language detector
+ * Every language has the same everyday text (plans, thanks, news, small talk),
+ * so the trigram profiles differ by language rather than by topic. Only
+ * languages that share a script with another language need a text; the rest
+ * are recognized by their script alone (see ./index.js).
+ */
+module.exports = {
+    // Latin script
+    en: "Hello, how are you doing today? I think we should meet at the station tomorrow morning because the weather will be better. Can you send me the address of the new restaurant? My brother told me that the food there is really good and not too expensive. We have been waiting for this for a long time, and everyone in the group wants to come. Please let me know what time works for you, and don't forget to bring the tickets. The government announced new rules for schools this week, which means that children will have more time for sports and music. Thank you very much for your help, I really appreciate it. What are you going to do this weekend? I would like to watch a movie with my friends. It is already late, I am going to sleep now. Everything will be fine, don't worry. Where is she? They said that it was the best day of their lives, and we were happy for them.",
+    es: "Hola, ¿cómo estás hoy? Creo que deberíamos vernos mañana por la mañana en la estación porque el tiempo va a estar mejor. ¿Me puedes mandar la dirección del nuevo restaurante? Mi hermano me dijo que la comida allí es muy buena y no demasiado cara. Llevamos mucho tiempo esperando esto y todos en el grupo quieren venir. Por favor, avísame qué hora te viene bien y no te olvides de traer las entradas. El gobierno anunció esta semana nuevas normas para las escuelas, lo que significa que los niños tendrán más tiempo para el deporte y la música. Muchas gracias por tu ayuda, de verdad lo aprecio. ¿Qué vas a hacer este fin de semana? Me gustaría ver una película con mis amigos. Ya es tarde, me voy a dormir. Todo va a salir bien, no te preocupes. ¿Dónde está ella? Dijeron que fue el mejor día de su vida y nosotros estábamos contentos por ellos.",
+    fr: "Bonjour, comment ça va aujourd'hui ? Je pense qu'on devrait se retrouver demain matin à la gare parce qu'il fera plus beau. Tu peux m'envoyer l'adresse du nouveau restaurant ? Mon frère m'a dit que la cuisine y est vraiment bonne et pas trop chère. Nous attendons cela depuis longtemps, et tout le monde dans le groupe veut venir. S'il te plaît, dis-moi quelle heure te convient, et n'oublie pas d'apporter les billets. Le gouvernement a annoncé cette semaine de nouvelles règles pour les écoles, ce qui veut dire que les enfants auront plus de temps pour le sport et la musique. Merci beaucoup pour ton aide, je l'apprécie vraiment. Qu'est-ce que tu vas faire ce week-end ? J'aimerais voir un film avec mes amis. Il est déjà tard, je vais me coucher. Tout ira bien, ne t'inquiète pas. Où est-elle ? Ils ont dit que c'était le plus beau jour de leur vie, et nous étions heureux pour eux.",
+    de: "Hallo, wie geht es dir heute? Ich denke, wir sollten uns morgen früh am Bahnhof treffen, weil das Wetter dann besser wird. Kannst du mir die Adresse des neuen Restaurants schicken? Mein Bruder hat mir gesagt, dass das Essen dort wirklich gut und nicht zu teuer ist. Wir warten schon lange darauf, und alle in der Gruppe wollen kommen. Bitte sag mir, welche Uhrzeit dir passt, und vergiss nicht, die Karten mitzubringen. Die Regierung hat diese Woche neue Regeln für die Schulen angekündigt, das heißt, die Kinder werden mehr Zeit für Sport und Musik haben. Vielen Dank für deine Hilfe, ich weiß das wirklich zu schätzen. Was machst du am Wochenende? Ich würde gern mit meinen Freunden einen Film sehen. Es ist schon spät, ich gehe jetzt schlafen. Alles wird gut, mach dir keine Sorgen. Wo ist sie? Sie sagten, es sei der schönste Tag ihres Lebens gewesen, und wir haben uns für sie gefreut.",
+    it: "Ciao, come stai oggi? Penso che dovremmo vederci domani mattina alla stazione perché il tempo sarà migliore. Mi puoi mandare l'indirizzo del nuovo ristorante? Mio fratello mi ha detto che il cibo lì è davvero buono e non troppo caro. Lo aspettiamo da molto tempo e tutti nel gruppo vogliono venire. Per favore, fammi sapere che ora ti va bene e non dimenticare di portare i biglietti. Il governo ha annunciato questa settimana nuove regole per le scuole, il che significa che i bambini avranno più tempo per lo sport e la musica. Grazie mille per il tuo aiuto, lo apprezzo davvero. Cosa fai questo fine settimana? Vorrei vedere un film con i miei amici. È già tardi, vado a dormire. Andrà tutto bene, non preoccuparti. Dov'è lei? Hanno detto che è stato il giorno più bello della loro vita, e noi eravamo felici per loro.",
+    pt: "Olá, tudo bem com você hoje? Acho que devíamos nos encontrar amanhã de manhã na estação, porque o tempo vai estar melhor. Você pode me mandar o endereço do novo restaurante? Meu irmão me disse que a comida lá é muito boa e não é muito cara. Estamos esperando por isso há muito tempo, e todo mundo no grupo quer vir. Por favor, me avise que horário é bom para você e não se esqueça de trazer os ingressos. O governo anunciou novas regras para as escolas esta semana, o que significa que as crianças vão ter mais tempo para esporte e música. Muito obrigado pela sua ajuda, eu realmente agradeço. O que você vai fazer neste fim de semana? Eu gostaria de ver um filme com os meus amigos. Já está tarde, vou dormir. Vai dar tudo certo, não se preocupe. Onde ela está? Eles disseram que foi o melhor dia das suas vidas, e nós ficamos felizes por eles. Não sei se ela já chegou, mas a reunião começa às duas horas.",
+    nl: "Hallo, hoe gaat het vandaag met je? Ik denk dat we elkaar morgenochtend op het station moeten zien, want dan is het weer beter. Kun je me het adres van het nieuwe restaurant sturen? Mijn broer zei dat het eten daar echt goed is en niet te duur. We wachten hier al heel lang op en iedereen in de groep wil komen. Laat me alsjeblieft weten hoe laat het jou uitkomt, en vergeet de kaartjes niet mee te nemen. De regering heeft deze week nieuwe regels voor de scholen aangekondigd, wat betekent dat de kinderen meer tijd krijgen voor sport en muziek. Heel erg bedankt voor je hulp, ik waardeer het echt. Wat ga je dit weekend doen? Ik zou graag met mijn vrienden een film kijken. Het is al laat, ik ga nu slapen. Alles komt goed, maak je geen zorgen. Waar is zij? Ze zeiden dat het de mooiste dag van hun leven was, en wij waren blij voor hen.",
+    sv: "Hej, hur mår du idag? Jag tycker att vi borde ses på stationen i morgon bitti, eftersom vädret blir bättre då. Kan du skicka adressen till den nya restaurangen? Min bror sa att maten där är riktigt god och inte för dyr. Vi har väntat på det här länge, och alla i gruppen vill komma. Säg till vilken tid som passar dig, och glöm inte att ta med biljetterna. Regeringen meddelade nya regler för skolorna den här veckan, vilket betyder att barnen får mer tid för idrott och musik. Tack så mycket för din hjälp, jag uppskattar det verkligen. Vad ska du göra i helgen? Jag skulle vilja se en film med mina vänner. Det är redan sent, jag går och lägger mig nu. Allt kommer att ordna sig, oroa dig inte. Var är hon? De sa att det var den bästa dagen i deras liv, och vi var glada för deras skull.",
+    da: "Hej, hvordan har du det i dag? Jeg synes, vi skulle mødes på stationen i morgen tidlig, fordi vejret bliver bedre. Kan du sende mig adressen på den nye restaurant? Min bror sagde, at maden der er rigtig god og ikke for dyr. Vi har ventet på det her længe, og alle i gruppen vil gerne komme. Sig endelig til, hvilket tidspunkt der passer dig, og glem ikke at tage billetterne med. Regeringen offentliggjorde nye regler for skolerne i denne uge, hvilket betyder, at børnene får mere tid til sport og musik. Mange tak for din hjælp, det sætter jeg virkelig pris på. Hvad skal du lave i weekenden? Jeg vil gerne se en film med mine venner. Det er allerede sent, jeg går i seng nu. Det skal nok gå, du skal ikke bekymre dig. Hvor er hun? De sagde, at det var den bedste dag i deres liv, og vi var glade på deres vegne. Hvad synes du om det? Jeg er på vej nu, jeg skriver senere. Har du fået noget at spise? Jeg mødte en gammel ven på kontoret i dag, og han spurgte efter dig. I morgen er der møde klokken ni, så kom ikke for sent. Jeg ved ikke, hvorfor hun blev sur, jeg lavede jo bare sjov. Det var sjovt at se jer igen, vi ses snart. Hvad laver du nu? Jeg har lige købt kaffe, vil du have noget?",
+    no: "Hei, hvordan har du det i dag? Jeg synes vi burde møtes på stasjonen i morgen tidlig, fordi været blir bedre da. Kan du sende meg adressen til den nye restauranten? Broren min sa at maten der er veldig god og ikke for dyr. Vi har ventet på dette lenge, og alle i gruppa vil komme. Si ifra hvilket tidspunkt som passer for deg, og ikke glem å ta med billettene. Regjeringen kunngjorde nye regler for skolene denne uka, noe som betyr at barna får mer tid til idrett og musikk. Tusen takk for hjelpen, jeg setter virkelig pris på det. Hva skal du gjøre i helgen? Jeg vil gjerne se en film med vennene mine. Det er allerede sent, jeg legger meg nå. Det ordner seg, ikke vær bekymret. Hvor er hun? De sa at det var den beste dagen i livet deres, og vi var glade på deres vegne. Hva synes du om det? Jeg er på vei nå, jeg skriver senere. Har du fått noe å spise? Jeg møtte en gammel venn på kontoret i dag, og han spurte etter deg. I morgen er det møte klokka ni, så ikke kom for sent. Jeg vet ikke hvorfor hun ble sur, jeg bare tullet. Det var morsomt å se dere igjen, vi ses snart. Hva gjør du nå? Jeg har nettopp kjøpt kaffe, vil du ha noe?",
+    fi: "Hei, mitä sinulle kuuluu tänään? Minusta meidän pitäisi tavata huomenna aamulla asemalla, koska sää on silloin parempi. Voitko lähettää minulle uuden ravintolan osoitteen? Veljeni sanoi, että ruoka siellä on todella hyvää eikä liian kallista. Olemme odottaneet tätä pitkään, ja kaikki ryhmässä haluavat tulla. Kerro minulle, mikä aika sopii sinulle, äläkä unohda ottaa lippuja mukaan. Hallitus ilmoitti tällä viikolla uusista säännöistä kouluille, mikä tarkoittaa, että lapsilla on enemmän aikaa urheiluun ja musiikkiin. Kiitos paljon avustasi, arvostan sitä todella. Mitä teet tänä viikonloppuna? Haluaisin katsoa elokuvan ystävieni kanssa. On jo myöhä, menen nyt nukkumaan. Kaikki järjestyy, älä huolehdi. Missä hän on? He sanoivat, että se oli heidän elämänsä paras päivä, ja me olimme iloisia heidän puolestaan.",
+    pl: "Cześć, jak się dzisiaj masz? Myślę, że powinniśmy spotkać się jutro rano na dworcu, bo pogoda będzie lepsza. Możesz mi wysłać adres nowej restauracji? Mój brat powiedział mi, że jedzenie jest tam naprawdę dobre i niezbyt drogie. Czekamy na to od dawna i wszyscy w grupie chcą przyjść. Daj mi znać, która godzina ci pasuje, i nie zapomnij zabrać biletów. Rząd ogłosił w tym tygodniu nowe zasady dla szkół, co oznacza, że dzieci będą miały więcej czasu na sport i muzykę. Bardzo dziękuję za pomoc, naprawdę to doceniam. Co robisz w ten weekend? Chciałbym obejrzeć film z przyjaciółmi. Jest już późno, idę spać. Wszystko będzie dobrze, nie martw się. Gdzie ona jest? Powiedzieli, że to był najpiękniejszy dzień w ich życiu, a my cieszyliśmy się razem z nimi.",
+    cs: "Ahoj, jak se dnes máš? Myslím, že bychom se měli sejít zítra ráno na nádraží, protože bude lepší počasí. Můžeš mi poslat adresu té nové restaurace? Můj bratr říkal, že jídlo je tam opravdu dobré a není moc drahé. Čekáme na to už dlouho a všichni ve skupině chtějí přijít. Dej mi prosím vědět, kdy se ti to hodí, a nezapomeň vzít lístky. Vláda tento týden oznámila nová pravidla pro školy, což znamená, že děti budou mít víc času na sport a hudbu. Moc děkuji za tvou pomoc, opravdu si toho vážím. Co děláš o víkendu? Rád bych se podíval na film s přáteli. Už je pozdě, jdu spát. Všechno bude v pořádku, neboj se. Kde je? Říkali, že to byl nejkrásnější den jejich života, a my jsme měli radost s nimi. Přijdu hned, jak to půjde. Jsem na cestě, ozvu se později. Už jsi jedl? Dneska jsem v kanceláři potkal starého kamaráda a ptal se na tebe. Zítra je porada v devět, tak nechoď pozdě. Nevím, proč se zlobila, jen jsem si dělal legraci. Bylo hezké vás zase vidět, brzy se uvidíme. Co teď děláš? Právě jsem si koupil kávu, chceš taky?",
+    sk: "Ahoj, ako sa dnes máš? Myslím, že by sme sa mali stretnúť zajtra ráno na stanici, pretože bude lepšie počasie. Môžeš mi poslať adresu tej novej reštaurácie? Môj brat hovoril, že jedlo je tam naozaj dobré a nie je veľmi drahé. Čakáme na to už dlho a všetci v skupine chcú prísť. Daj mi, prosím, vedieť, kedy sa ti to hodí, a nezabudni zobrať lístky. Vláda tento týždeň oznámila nové pravidlá pre školy, čo znamená, že deti budú mať viac času na šport a hudbu. Veľmi pekne ďakujem za tvoju pomoc, naozaj si to vážim. Čo robíš cez víkend? Rád by som si pozrel film s priateľmi. Už je neskoro, idem spať. Všetko bude v poriadku, neboj sa. Kde je? Hovorili, že to bol najkrajší deň ich života, a my sme sa z toho tešili s nimi. Prídem hneď, ako to pôjde. Som na ceste, ozvem sa neskôr. Už si jedol? Dnes som v kancelárii stretol starého kamaráta a pýtal sa na teba. Zajtra je porada o deviatej, tak nechoď neskoro. Neviem, prečo sa hnevala, len som si robil žarty. Bolo pekné vás znova vidieť, čoskoro sa uvidíme. Čo teraz robíš? Práve som si kúpil kávu, chceš tiež?",
+    hr: "Bok, kako si danas? Mislim da bismo se trebali naći sutra ujutro na kolodvoru jer će vrijeme biti bolje. Možeš li mi poslati adresu novog restorana? Moj brat mi je rekao da je hrana tamo stvarno dobra i nije preskupa. Dugo to čekamo i svi u grupi žele doći. Molim te, javi mi koje vrijeme ti odgovara i nemoj zaboraviti ponijeti karte. Vlada je ovaj tjedan objavila nova pravila za škole, što znači da će djeca imati više vremena za sport i glazbu. Puno ti hvala na pomoći, stvarno to cijenim. Što radiš ovaj vikend? Htio bih pogledati film s prijateljima. Već je kasno, idem spavati. Sve će biti u redu, ne brini. Gdje je ona? Rekli su da je to bio najljepši dan u njihovom životu, a mi smo bili sretni zbog njih. Doći ću čim budem mogao. Na putu sam, javit ću se kasnije. Jesi li već jeo? Danas sam u uredu sreo starog prijatelja i pitao je za tebe. Sutra je sastanak u devet, nemoj kasniti. Ne znam zašto se ljutila, samo sam se šalio. Bilo je lijepo opet vas vidjeti, vidimo se uskoro. Što sada radiš? Upravo sam kupio kavu, hoćeš li i ti?",
+    sl: "Živjo, kako si danes? Mislim, da bi se morala dobiti jutri zjutraj na postaji, ker bo vreme boljše. Mi lahko pošlješ naslov nove restavracije? Moj brat mi je rekel, da je hrana tam res dobra in ne predraga. Na to čakamo že dolgo in vsi v skupini želijo priti. Prosim, sporoči mi, kateri čas ti ustreza, in ne pozabi vzeti vstopnic. Vlada je ta teden objavila nova pravila za šole, kar pomeni, da bodo otroci imeli več časa za šport in glasbo. Najlepša hvala za tvojo pomoč, res jo cenim. Kaj boš počel ta vikend? Rad bi si ogledal film s prijatelji. Že je pozno, grem spat. Vse bo v redu, ne skrbi. Kje je ona? Rekli so, da je bil to najlepši dan v njihovem življenju, in bili smo veseli zanje. Pridem, takoj ko bom lahko. Na poti sem, oglasil se bom kasneje. Si že jedel? Danes sem v pisarni srečal starega prijatelja in vprašal je po tebi. Jutri je sestanek ob devetih, ne zamudi. Ne vem, zakaj je bila jezna, samo šalil sem se. Lepo vas je bilo spet videti, se vidimo kmalu. Kaj zdaj počneš? Pravkar sem kupil kavo, jo želiš tudi ti?",
+    hu: "Szia, hogy vagy ma? Szerintem holnap reggel találkozzunk az állomáson, mert akkor jobb lesz az idő. El tudod küldeni az új étterem címét? A bátyám azt mondta, hogy ott nagyon jó az étel, és nem túl drága. Már régóta várunk erre, és a csoportban mindenki jönni akar. Kérlek, szólj, melyik időpont jó neked, és ne felejtsd el hozni a jegyeket. A kormány ezen a héten új szabályokat jelentett be az iskolák számára, ami azt jelenti, hogy a gyerekeknek több idejük lesz sportra és zenére. Nagyon köszönöm a segítségedet, igazán értékelem. Mit csinálsz a hétvégén? Szeretnék megnézni egy filmet a barátaimmal. Már késő van, megyek aludni. Minden rendben lesz, ne aggódj. Hol van ő? Azt mondták, hogy ez volt életük legszebb napja, és mi örültünk nekik.",
+    ro: "Salut, ce mai faci azi? Cred că ar trebui să ne întâlnim mâine dimineață la gară, pentru că vremea va fi mai bună. Îmi poți trimite adresa noului restaurant? Fratele meu mi-a spus că mâncarea de acolo este foarte bună și nu prea scumpă. Așteptăm asta de mult timp și toată lumea din grup vrea să vină. Te rog să-mi spui ce oră îți convine și nu uita să aduci biletele. Guvernul a anunțat săptămâna aceasta reguli noi pentru școli, ceea ce înseamnă că copiii vor avea mai mult timp pentru sport și muzică. Îți mulțumesc foarte mult pentru ajutor, chiar apreciez. Ce faci în weekendul acesta? Aș vrea să văd un film cu prietenii mei. E deja târziu, mă duc să dorm. Totul va fi bine, nu te îngrijora. Unde este ea? Au spus că a fost cea mai frumoasă zi din viața lor, iar noi ne-am bucurat pentru ei.",
+    tr: "Merhaba, bugün nasılsın? Bence yarın sabah istasyonda buluşmalıyız çünkü hava daha güzel olacak. Bana yeni restoranın adresini gönderebilir misin? Kardeşim oradaki yemeklerin gerçekten iyi olduğunu ve çok pahalı olmadığını söyledi. Bunu uzun zamandır bekliyoruz ve gruptaki herkes gelmek istiyor. Lütfen sana hangi saatin uygun olduğunu söyle ve biletleri getirmeyi unutma. Hükümet bu hafta okullar için yeni kurallar açıkladı, bu da çocukların spor ve müzik için daha fazla zamanı olacağı anlamına geliyor. Yardımın için çok teşekkür ederim, gerçekten minnettarım. Bu hafta sonu ne yapacaksın? Arkadaşlarımla bir film izlemek istiyorum. Artık geç oldu, uyumaya gidiyorum. Her şey yoluna girecek, merak etme. O nerede? Hayatlarının en güzel günü olduğunu söylediler, biz de onlar için çok sevindik.",
+    vi: "Xin chào, hôm nay bạn thế nào? Tôi nghĩ chúng ta nên gặp nhau ở nhà ga vào sáng mai vì thời tiết sẽ tốt hơn. Bạn có thể gửi cho tôi địa chỉ của nhà hàng mới không? Anh trai tôi nói rằng đồ ăn ở đó rất ngon và không quá đắt. Chúng tôi đã chờ đợi điều này từ lâu và mọi người trong nhóm đều muốn đến. Hãy cho tôi biết giờ nào phù hợp với bạn và đừng quên mang vé theo. Chính phủ đã công bố các quy định mới cho trường học trong tuần này, nghĩa là trẻ em sẽ có nhiều thời gian hơn cho thể thao và âm nhạc. Cảm ơn bạn rất nhiều vì đã giúp đỡ, tôi thật sự rất cảm kích. Cuối tuần này bạn sẽ làm gì? Tôi muốn xem phim với bạn bè. Đã muộn rồi, tôi đi ngủ đây. Mọi chuyện sẽ ổn thôi, đừng lo. Cô ấy ở đâu? Họ nói rằng đó là ngày đẹp nhất trong đời họ, và chúng tôi rất vui cho họ.",
+    id: "Halo, apa kabar hari ini? Saya pikir kita sebaiknya bertemu di stasiun besok pagi karena cuacanya akan lebih baik. Bisakah kamu mengirimkan alamat restoran yang baru itu? Kakak saya bilang makanan di sana enak sekali dan tidak terlalu mahal. Kami sudah lama menunggu ini dan semua orang di grup ingin datang. Tolong kabari saya jam berapa yang cocok untukmu, dan jangan lupa membawa tiketnya. Pemerintah mengumumkan aturan baru untuk sekolah minggu ini, yang berarti anak-anak akan punya lebih banyak waktu untuk olahraga dan musik. Terima kasih banyak atas bantuanmu, saya sangat menghargainya. Kamu mau ngapain akhir pekan ini? Saya ingin menonton film bersama teman-teman. Sudah malam, saya mau tidur sekarang. Semuanya akan baik-baik saja, jangan khawatir. Dia di mana? Mereka bilang itu hari terindah dalam hidup mereka, dan kami ikut senang. Nggak apa-apa, aku bisa sendiri kok. Aku lagi di jalan, nanti aku kabari lagi ya. Kamu sudah makan belum? Tadi aku ketemu teman lama di kantor, dia tanya kabar kamu. Besok ada rapat jam sembilan, jangan sampai telat. Aku nggak tahu kenapa dia marah, padahal aku cuma bercanda. Makasih ya, kamu baik banget. Gimana kabar keluargamu? Aku mau beli kopi dulu, kamu mau titip apa?",
+    ms: "Hai, apa khabar hari ini? Saya rasa kita patut berjumpa di stesen esok pagi kerana cuaca akan lebih baik. Boleh awak hantar alamat restoran baharu itu kepada saya? Abang saya kata makanan di sana memang sedap dan tidak terlalu mahal. Kami sudah lama menunggu perkara ini dan semua orang dalam kumpulan mahu datang. Tolong beritahu saya pukul berapa yang sesuai untuk awak, dan jangan lupa bawa tiket. Kerajaan mengumumkan peraturan baharu untuk sekolah minggu ini, yang bermaksud kanak-kanak akan mempunyai lebih banyak masa untuk sukan dan muzik. Terima kasih banyak atas bantuan awak, saya sangat menghargainya. Apa yang awak nak buat hujung minggu ini? Saya mahu menonton wayang bersama kawan-kawan. Sudah lewat malam, saya nak tidur sekarang. Semuanya akan okey, jangan risau. Dia di mana? Mereka kata itulah hari paling indah dalam hidup mereka, dan kami gembira untuk mereka. Tak apa, saya boleh buat sendiri. Saya dalam perjalanan, nanti saya beritahu lagi. Awak sudah makan ke belum? Tadi saya terserempak dengan kawan lama di pejabat, dia tanya khabar awak. Esok ada mesyuarat pukul sembilan, jangan lambat. Saya tak tahu kenapa dia marah, padahal saya cuma bergurau. Terima kasih, awak memang baik. Macam mana keadaan keluarga awak? Saya nak beli kopi dulu, awak nak kirim apa-apa tak? Kerana itu saya tidak boleh datang.",
+    fil: "Kumusta, ano ang balita sa iyo ngayon? Sa tingin ko dapat tayong magkita sa istasyon bukas ng umaga dahil mas maganda ang panahon. Puwede mo bang ipadala sa akin ang address ng bagong restawran? Sabi ng kuya ko, masarap talaga ang pagkain doon at hindi masyadong mahal. Matagal na naming hinihintay ito at gusto ng lahat sa grupo na pumunta. Pakisabi mo sa akin kung anong oras ang puwede sa iyo, at huwag mong kalimutang dalhin ang mga tiket. Inanunsyo ng gobyerno ang mga bagong patakaran para sa mga paaralan ngayong linggo, kaya mas maraming oras ang mga bata para sa isports at musika. Maraming salamat sa tulong mo, talagang pinapahalagahan ko ito. Ano ang gagawin mo ngayong katapusan ng linggo? Gusto kong manood ng pelikula kasama ang mga kaibigan ko. Gabi na, matutulog na ako. Magiging maayos ang lahat, huwag kang mag-alala. Nasaan siya? Sinabi nila na iyon ang pinakamagandang araw ng buhay nila, at masaya kami para sa kanila.",
+    sw: "Habari, hujambo leo? Nadhani tunapaswa kukutana kituoni kesho asubuhi kwa sababu hali ya hewa itakuwa nzuri zaidi. Unaweza kunitumia anwani ya mgahawa mpya? Kaka yangu aliniambia kwamba chakula huko ni kizuri sana na si ghali sana. Tumekuwa tukisubiri jambo hili kwa muda mrefu, na kila mtu katika kikundi anataka kuja. Tafadhali niambie saa ipi inakufaa, na usisahau kuleta tiketi. Serikali ilitangaza sheria mpya kwa shule wiki hii, ambayo inamaanisha kwamba watoto watakuwa na muda zaidi wa michezo na muziki. Asante sana kwa msaada wako, ninashukuru kweli. Utafanya nini mwishoni mwa wiki hii? Ningependa kutazama filamu na marafiki zangu. Tayari ni usiku, ninaenda kulala sasa. Kila kitu kitakuwa sawa, usijali. Yuko wapi? Walisema kwamba ilikuwa siku bora zaidi ya maisha yao, na tulifurahi kwa ajili yao.",
+    yo: "Ẹ n lẹ, báwo ni o ṣe wà lónìí? Mo rò pé ó yẹ kí a pàdé ní ibùdókọ̀ ní òwúrọ̀ ọ̀la nítorí pé ojú ọjọ́ yóò dára jù. Ṣé o lè fi àdírẹ́sì ilé oúnjẹ tuntun náà ránṣẹ́ sí mi? Ẹ̀gbọ́n mi sọ fún mi pé oúnjẹ ibẹ̀ dára gan-an, kò sì wọn jù. A ti ń dúró de èyí fún ìgbà pípẹ́, gbogbo ènìyàn nínú ẹgbẹ́ sì fẹ́ wá. Jọ̀wọ́ sọ fún mi ìgbà tí ó bá ọ mu, má sì gbàgbé láti mú àwọn tíkẹ́ẹ̀tì wá. Ìjọba kéde òfin tuntun fún àwọn ilé ìwé ní ọ̀sẹ̀ yìí, èyí tó túmọ̀ sí pé àwọn ọmọdé yóò ní àkókò púpọ̀ sí i fún eré ìdárayá àti orin. O ṣeun púpọ̀ fún ìrànlọ́wọ́ rẹ, mo mọrírì rẹ̀ gan-an. Kí ni o máa ṣe ní òpin ọ̀sẹ̀ yìí? Mo fẹ́ wo fíìmù pẹ̀lú àwọn ọ̀rẹ́ mi. Alẹ́ ti lẹ́, mo ń lọ sùn báyìí. Gbogbo nǹkan yóò dára, má ṣe ṣàníyàn. Níbo ni ó wà? Wọ́n sọ pé ọjọ́ náà ni ọjọ́ tó dára jù lọ ní ayé wọn, inú wa sì dùn fún wọn.",
+    ig: "Ndewo, kedu ka ị mere taa? Echere m na anyị kwesịrị ịhụ onwe anyị n'ọdụ ụgbọ okporo ígwè echi n'ụtụtụ n'ihi na ihu igwe ga-aka mma. Ị nwere ike iziterem adreesị ụlọ nri ọhụrụ ahụ? Nwanne m nwoke gwara m na nri ebe ahụ dị ezigbo mma, ọ naghịkwa ọnụ ahịa dị oke elu. Anyị echerela nke a ogologo oge, onye ọ bụla nọ n'otu ahụ chọkwara ịbịa. Biko gwa m oge dabara gị, echefukwala iweta tiketi ndị ahụ. Gọọmentị kwupụtara iwu ọhụrụ maka ụlọ akwụkwọ n'izu a, nke pụtara na ụmụaka ga-enwe oge karịa maka egwuregwu na egwu. Daalụ nke ukwuu maka enyemaka gị, ekele m gị n'ezie. Gịnị ka ị ga-eme na njedebe izu a? Achọrọ m ikiri ihe nkiri na ndị enyi m. Abalị eruola, ana m aga ihi ụra ugbu a. Ihe niile ga-adị mma, echegbula onwe gị. Ebee ka ọ nọ? Ha kwuru na ọ bụ ụbọchị kachasị mma na ndụ ha, obi dịkwa anyị ụtọ maka ha.",
+    ha: "Sannu, yaya kake yau? Ina ganin ya kamata mu hadu a tashar jirgi gobe da safe saboda yanayi zai fi kyau. Za ka iya aiko mini da adireshin sabon gidan abincin? Yayana ya gaya mini cewa abincin can yana da dadi sosai kuma ba shi da tsada sosai. Mun dade muna jiran wannan, kuma kowa a cikin kungiyar yana son zuwa. Don Allah ka sanar da ni lokacin da ya dace da kai, kuma kada ka manta ka kawo tikitin. Gwamnati ta sanar da sababbin dokoki ga makarantu a wannan makon, wanda ke nufin yara za su sami karin lokaci don wasanni da kiɗa. Na gode sosai da taimakonka, ina matukar godiya. Me za ka yi a karshen wannan mako? Ina so in kalli fim tare da abokaina. Dare ya yi, zan je in kwanta yanzu. Komai zai yi daidai, kada ka damu. Ina take? Sun ce wannan ita ce rana mafi kyau a rayuwarsu, kuma mun yi farin ciki da su. Ƙasa ɗaya ce, ba ƙaramin aiki ba ne.",
+
+    // Cyrillic script
+    ru: "Привет, как у тебя дела сегодня? Я думаю, нам стоит встретиться завтра утром на вокзале, потому что погода будет лучше. Можешь прислать мне адрес нового ресторана? Мой брат сказал, что еда там очень вкусная и не слишком дорогая. Мы давно этого ждём, и все в группе хотят прийти. Пожалуйста, напиши, какое время тебе удобно, и не забудь взять билеты. Правительство на этой неделе объявило новые правила для школ, а это значит, что у детей будет больше времени на спорт и музыку. Большое спасибо за помощь, я правда это ценю. Что ты будешь делать на выходных? Я хотел бы посмотреть фильм с друзьями. Уже поздно, я иду спать. Всё будет хорошо, не волнуйся. Где она? Они сказали, что это был лучший день в их жизни, и мы были за них рады.",
+    uk: "Привіт, як у тебе справи сьогодні? Я думаю, нам варто зустрітися завтра вранці на вокзалі, бо погода буде кращою. Можеш надіслати мені адресу нового ресторану? Мій брат сказав, що їжа там дуже смачна і не надто дорога. Ми давно на це чекаємо, і всі в групі хочуть прийти. Будь ласка, напиши, який час тобі зручний, і не забудь взяти квитки. Уряд цього тижня оголосив нові правила для шкіл, а це означає, що діти матимуть більше часу на спорт і музику. Щиро дякую за допомогу, я справді це ціную. Що ти робитимеш у вихідні? Я хотів би подивитися фільм із друзями. Вже пізно, я йду спати. Усе буде добре, не хвилюйся. Де вона? Вони сказали, що це був найкращий день у їхньому житті, і ми раділи за них.",
+    bg: "Здравей, как си днес? Мисля, че трябва да се срещнем утре сутринта на гарата, защото времето ще бъде по-хубаво. Можеш ли да ми изпратиш адреса на новия ресторант? Брат ми каза, че храната там е много вкусна и не е прекалено скъпа. Отдавна чакаме това и всички в групата искат да дойдат. Моля те, кажи ми кой час ти е удобен, и не забравяй да вземеш билетите. Правителството обяви тази седмица нови правила за училищата, което означава, че децата ще имат повече време за спорт и музика. Много ти благодаря за помощта, наистина я оценявам. Какво ще правиш през уикенда? Бих искал да гледам филм с приятелите си. Вече е късно, отивам да спя. Всичко ще бъде наред, не се притеснявай. Къде е тя? Казаха, че това е бил най-хубавият ден в живота им, и ние се радвахме за тях.",
+    sr: "Здраво, како си данас? Мислим да би требало да се нађемо сутра ујутру на станици, јер ће време бити лепше. Можеш ли да ми пошаљеш адресу новог ресторана? Мој брат ми је рекао да је храна тамо стварно добра и није прескупа. Дуго то чекамо и сви у групи желе да дођу. Молим те, јави ми које време ти одговара и немој да заборавиш да понесеш карте. Влада је ове недеље објавила нова правила за школе, што значи да ће деца имати више времена за спорт и музику. Много ти хвала на помоћи, заиста то ценим. Шта радиш овог викенда? Желео бих да гледам филм са пријатељима. Већ је касно, идем да спавам. Све ће бити у реду, не брини. Где је она? Рекли су да је то био најлепши дан у њиховом животу, а ми смо били срећни због њих.",
+
+    // Arabic script
+    ar: "مرحبا، كيف حالك اليوم؟ أعتقد أنه يجب أن نلتقي في المحطة صباح الغد لأن الطقس سيكون أفضل. هل يمكنك أن ترسل لي عنوان المطعم الجديد؟ أخبرني أخي أن الطعام هناك لذيذ جدا وليس غاليا كثيرا. ننتظر هذا منذ وقت طويل، والجميع في المجموعة يريدون الحضور. من فضلك أخبرني أي وقت يناسبك، ولا تنس أن تحضر التذاكر. أعلنت الحكومة هذا الأسبوع قواعد جديدة للمدارس، مما يعني أن الأطفال سيكون لديهم وقت أكثر للرياضة والموسيقى. شكرا جزيلا على مساعدتك، أنا أقدر ذلك حقا. ماذا ستفعل في عطلة نهاية الأسبوع؟ أود أن أشاهد فيلما مع أصدقائي. لقد تأخر الوقت، سأذهب إلى النوم الآن. كل شيء سيكون على ما يرام، لا تقلق. أين هي؟ قالوا إنه كان أجمل يوم في حياتهم، وكنا سعداء من أجلهم.",
+    ur: "ہیلو، آج آپ کیسے ہیں؟ میرا خیال ہے کہ ہمیں کل صبح اسٹیشن پر ملنا چاہیے کیونکہ موسم بہتر ہوگا۔ کیا آپ مجھے نئے ریسٹورنٹ کا پتہ بھیج سکتے ہیں؟ میرے بھائی نے مجھے بتایا کہ وہاں کا کھانا بہت اچھا ہے اور زیادہ مہنگا نہیں ہے۔ ہم کافی عرصے سے اس کا انتظار کر رہے ہیں اور گروپ میں سب لوگ آنا چاہتے ہیں۔ براہ کرم مجھے بتائیں کہ آپ کے لیے کون سا وقت ٹھیک ہے، اور ٹکٹ لانا نہ بھولیں۔ حکومت نے اس ہفتے اسکولوں کے لیے نئے قوانین کا اعلان کیا، جس کا مطلب ہے کہ بچوں کے پاس کھیل اور موسیقی کے لیے زیادہ وقت ہوگا۔ آپ کی مدد کا بہت شکریہ، میں واقعی اس کی قدر کرتا ہوں۔ آپ اس ہفتے کے آخر میں کیا کریں گے؟ میں اپنے دوستوں کے ساتھ فلم دیکھنا چاہتا ہوں۔ کافی دیر ہو گئی ہے، میں اب سونے جا رہا ہوں۔ سب ٹھیک ہو جائے گا، فکر نہ کریں۔ وہ کہاں ہے؟",
+
+    // Devanagari script
+    hi: "नमस्ते, आज आप कैसे हैं? मुझे लगता है कि हमें कल सुबह स्टेशन पर मिलना चाहिए क्योंकि मौसम बेहतर होगा। क्या आप मुझे नए रेस्टोरेंट का पता भेज सकते हैं? मेरे भाई ने मुझे बताया कि वहाँ का खाना बहुत अच्छा है और ज़्यादा महँगा नहीं है। हम काफ़ी समय से इसका इंतज़ार कर रहे हैं और ग्रुप में सब लोग आना चाहते हैं। कृपया मुझे बताइए कि आपके लिए कौन सा समय ठीक है, और टिकट लाना मत भूलिए। सरकार ने इस हफ़्ते स्कूलों के लिए नए नियमों की घोषणा की, जिसका मतलब है कि बच्चों के पास खेल और संगीत के लिए ज़्यादा समय होगा। आपकी मदद के लिए बहुत धन्यवाद, मैं सच में इसकी क़द्र करता हूँ। आप इस सप्ताहांत क्या करेंगे? मैं अपने दोस्तों के साथ फ़िल्म देखना चाहता हूँ। काफ़ी देर हो गई है, मैं अब सोने जा रहा हूँ। सब ठीक हो जाएगा, चिंता मत कीजिए। वह कहाँ है?",
+    mr: "नमस्कार, आज तुम्ही कसे आहात? मला वाटते की आपण उद्या सकाळी स्टेशनवर भेटायला हवे कारण हवामान चांगले असेल. तुम्ही मला नवीन रेस्टॉरंटचा पत्ता पाठवू शकता का? माझ्या भावाने मला सांगितले की तिथले जेवण खूप चांगले आहे आणि फार महाग नाही. आम्ही खूप दिवसांपासून याची वाट पाहत आहोत आणि गटातील सगळ्यांना यायचे आहे. कृपया तुम्हाला कोणती वेळ सोयीची आहे ते मला सांगा, आणि तिकिटे आणायला विसरू नका. सरकारने या आठवड्यात शाळांसाठी नवीन नियम जाहीर केले, याचा अर्थ मुलांना खेळ आणि संगीतासाठी जास्त वेळ मिळेल. तुमच्या मदतीबद्दल खूप धन्यवाद, मला त्याची खरोखर कदर आहे. तुम्ही या आठवड्याच्या शेवटी काय करणार आहात? मला माझ्या मित्रांसोबत चित्रपट पाहायचा आहे. खूप उशीर झाला आहे, मी आता झोपायला जातो. सगळे काही ठीक होईल, काळजी करू नका. ती कुठे आहे?"
+};
@@ -0,0 +1,426 @@
+/**
+ * Message archive
+ * Groups can opt in to keeping a searchable copy of their messages: the text,
+ * sender, time, the ID of the message it replied to and a description of any
+ * media (the media itself is not stored). Each message is one entry, keyed by
+ * chat, day and message ID, so archiving a message writes only that message
+ * and expired days are found from the keys alone.
+ */
+const storage = require('./storage');
+const config = require('../config');
+
+// Storage collections: archive settings per chat, messages keyed "<chat JID>|<YYYY-MM-DD>|<message ID>"
+const SETTINGS_COLLECTION = 'archiveSettings';
+const ARCHIVE_COLLECTION = 'messageArchive';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TEXT_CHARS = 4000;
+
+// How often expired days are removed
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Message types stored as media, with the name shown in search results
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+let pruneTimer = null;
+
+/**
+ * Get the archive settings of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Object} { enabled, retentionDays, enabledBy, enabledAt }
+ */
+function getSettings(chatId) {
+    return {
+        enabled: false,
+        retentionDays: config.archive.defaultRetentionDays,
+        enabledBy: null,
+        enabledAt: null,
+        ...(storage.get(SETTINGS_COLLECTION, chatId) || {})
+    };
+}
+
+/**
+ * Check whether a chat's messages are archived
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {boolean} Whether archiving is on
+ */
+function isEnabled(chatId) {
+    return getSettings(chatId).enabled;
+}
+
+/**
+ * Start archiving a chat's messages
+ *
+ * @param {string} chatId - Chat JID
+ * @param {number} retentionDays - Days messages are kept (default from config)
+ * @param {string} enabledBy - JID of the user turning it on
+ * @returns {Object} Result with success and message
+ */
+function enable(chatId, retentionDays, enabledBy) {
+    const days = retentionDays === undefined || retentionDays === null
+        ? getSettings(chatId).retentionDays
+        : Math.floor(Number(retentionDays));
+
+    if (!days || days < 1 || days > config.archive.maxRetentionDays) {
+        return { success: false, message: `Keep messages for 1 to ${config.archive.maxRetentionDays} days.` };
+    }
+
+    storage.set(SETTINGS_COLLECTION, chatId, {
+        enabled: true,
+        retentionDays: days,
+        enabledBy,
+        enabledAt: Date.now()
+    });
+    prune();
+
+    return { success: true, message: `Message archive is on. Messages are kept for ${days} day${days === 1 ? '' : 's'}.` };
+}
+
+/**
+ * Stop archiving a chat's messages (archived messages stay until they expire or are purged)
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Object} Result with success and message
+ */
+function disable(chatId) {
+    const settings = getSettings(chatId);
+    if (!settings.enabled) {
+        return { success: false, message: 'The message archive is already off.' };
+    }
+
+    storage.set(SETTINGS_COLLECTION, chatId, { ...settings, enabled: false });
+    return { success: true, message: 'Message archive is off. Archived messages are kept until they expire or are purged.' };
+}
+
+/**
+ * Get the day bucket of a timestamp
+ */
+function toDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Split a message key into chat, day and message ID
+ */
+function parseKey(key) {
+    const [chatId, day, id] = key.split('|');
+    return { chatId, day, id };
+}
+
+/**
+ * Get the archived messages of a chat, grouped by day
+ *
+ * @returns {Array<Object>} { day, messages: [{ key, ...record }] }, oldest first
+ */
+function getBuckets(chatId) {
+    const buckets = new Map();
+    for (const [key, record] of Object.entries(storage.getAll(ARCHIVE_COLLECTION))) {
+        const { chatId: keyChatId, day } = parseKey(key);
+        if (keyChatId !== chatId) continue;
+
+        if (!buckets.has(day)) {
+            buckets.set(day, { day, messages: [] });
+        }
+        buckets.get(day).messages.push({ key, ...record });
+    }
+
+    return [...buckets.values()]
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(bucket => ({ ...bucket, messages: bucket.messages.sort((a, b) => a.timestamp - b.timestamp) }));
+}
+
+/**
+ * Describe the media of a message, if it has any
+ *
+ * @param {Object} content - Message content (message.message)
+ * @returns {Object|null} { type, mimetype, fileName, size, seconds }
+ */
+function getMedia(content) {
+    const source = content.documentWithCaptionMessage?.message || content;
+
+    for (const [field, type] of Object.entries(MEDIA_TYPES)) {
+        const media = source[field];
+        if (!media) continue;
+
+        return {
+            type: type === 'audio' && media.ptt ? 'voice note' : type,
+            mimetype: media.mimetype || null,
+            fileName: media.fileName || null,
+            size: media.fileLength ? Number(media.fileLength) : null,
+            seconds: media.seconds ? Number(media.seconds) : null
+        };
+    }
+    return null;
+}
+
+/**
+ * Turn a WhatsApp message into an archive record
+ *
+ * @param {Object} message - Message from messages.upsert
+ * @returns {Object|null} Record, or null for messages without text or media (reactions, protocol messages)
+ */
+function toRecord(message) {
+    const content = message.message;
+    if (!content) return null;
+
+    const captioned = content.documentWithCaptionMessage?.message?.documentMessage;
+    const text = content.conversation ||
+        content.extendedTextMessage?.text ||
+        content.imageMessage?.caption ||
+        content.videoMessage?.caption ||
+        content.documentMessage?.caption ||
+        captioned?.caption || '';
+    const media = getMedia(content);
+    if (!text.trim() && !media) return null;
+
+    const contextInfo = Object.values(content).find(part => part && part.contextInfo)?.contextInfo ||
+        captioned?.contextInfo;
+
+    return {
+        id: message.key.id,
+        sender: message.key.participant || message.key.remoteJid,
+        text: text.slice(0, MAX_TEXT_CHARS),
+        timestamp: message.messageTimestamp ? Number(message.messageTimestamp) * 1000 : Date.now(),
+        quotedId: contextInfo?.stanzaId || null,
+        media
+    };
+}
+
+/**
+ * Archive a message if its chat has the archive turned on
+ *
+ * @param {Object} message - Message from messages.upsert
+ * @returns {boolean} Whether the message was archived
+ */
+function recordMessage(message) {
+    const chatId = message.key.remoteJid;
+    if (!isEnabled(chatId)) return false;
+
+    const record = toRecord(message);
+    if (!record) return false;
+
+    const key = `${chatId}|${toDay(record.timestamp)}|${record.id}`;
+    if (storage.get(ARCHIVE_COLLECTION, key)) return false;
+
+    storage.set(ARCHIVE_COLLECTION, key, record);
+    return true;
+}
+
+/**
+ * Parse a date filter (YYYY-MM-DD)
+ *
+ * @returns {number|null} Timestamp of the start of that day (UTC), or null if invalid
+ */
+function parseDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+    const timestamp = Date.parse(`${value}T00:00:00Z`);
+    return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Parse a search query
+ *
+ * Words and "quoted phrases" must all appear in the message. from:@user,
+ * before:YYYY-MM-DD and after:YYYY-MM-DD narrow the results down.
+ *
+ * @param {string} query - Search text
+ * @param {Array<string>} mentions - JIDs mentioned in the command (for from:@user)
+ * @returns {Object} { success, terms, from, before, after } or { success: false, message }
+ */
+function parseQuery(query, mentions = []) {
+    const filters = { terms: [], from: null, before: null, after: null };
+    const tokens = String(query || '').match(/"[^"]*"|\S+/g) || [];
+
+    for (const token of tokens) {
+        const filter = /^(from|before|after):(.*)$/i.exec(token);
+        if (!filter) {
+            const term = token.replace(/^"|"$/g, '').trim().toLowerCase();
+            if (term) filters.terms.push(term);
+            continue;
+        }
+
+        const name = filter[1].toLowerCase();
+        const value = filter[2];
+        if (name === 'from') {
+            // A mention shows up as "@<number>" in the text; the mentioned JID covers display names
+            filters.from = value.replace(/\D/g, '') || (mentions[0] ? mentions[0].split('@')[0] : null);
+            if (!filters.from) {
+                return { success: false, message: 'Use from:@user to search one person\'s messages.' };
+            }
+        } else {
+            const timestamp = parseDate(value);
+            if (timestamp === null) {
+                return { success: false, message: `Dates must look like ${toDay(Date.now())} (${name}:YYYY-MM-DD).` };
+            }
+            filters[name] = timestamp;
+        }
+    }
+
+    if (filters.terms.length === 0 && !filters.from) {
+        return { success: false, message: 'Give some words to search for, or from:@user.' };
+    }
+    return { success: true, ...filters };
+}
+
+/**
+ * Check whether a record matches the parsed query
+ */
+function matches(record, filters) {
+    if (filters.from && record.sender.split('@')[0].split(':')[0] !== filters.from) return false;
+    if (filters.before !== null && record.timestamp >= filters.before) return false;
+    if (filters.after !== null && record.timestamp < filters.after + DAY_MS) return false;
+
+    const haystack = [record.text, record.media?.fileName].filter(Boolean).join(' ').toLowerCase();
+    return filters.terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Search the archives of one or more chats
+ *
+ * @param {Array<string>} chatIds - Chats to search
+ * @param {Object} filters - Parsed query (see parseQuery)
+ * @param {number} limit - Maximum number of results
+ * @returns {Object} { total, results: [{ chatId, ...record }] }, newest first
+ */
+function search(chatIds, filters, limit = 5) {
+    const results = [];
+
+    for (const chatId of chatIds) {
+        for (const bucket of getBuckets(chatId)) {
+            // Skip whole days outside the date filters
+            if (filters.before !== null && bucket.day >= toDay(filters.before)) continue;
+            if (filters.after !== null && bucket.day <= toDay(filters.after)) continue;
+
+            bucket.messages
+                .filter(record => matches(record, filters))
+                .forEach(({ key, ...record }) => results.push({ chatId, ...record }));
+        }
+    }
+
+    results.sort((a, b) => b.timestamp - a.timestamp);
+    return { total: results.length, results: results.slice(0, limit) };
+}
+
+/**
+ * Get the archived messages of a chat since a time
+ *
+ * @param {string} chatId - Chat JID
+ * @param {number} since - Timestamp; earlier messages are left out
+ * @returns {Array<Object>} Records, oldest first
+ */
+function getMessages(chatId, since = 0) {
+    const sinceDay = toDay(since);
+    return getBuckets(chatId)
+        .filter(bucket => bucket.day >= sinceDay)
+        .flatMap(bucket => bucket.messages)
+        .filter(record => record.timestamp >= since)
+        .map(({ key, ...record }) => record);
+}
+
+/**
+ * List the chats that have archived messages
+ *
+ * @returns {Array<string>} Chat JIDs
+ */
+function listArchivedChats() {
+    const chats = new Set(Object.keys(storage.getAll(ARCHIVE_COLLECTION)).map(key => parseKey(key).chatId));
+    return [...chats];
+}
+
+/**
+ * Count the archived messages of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Object} { messages, days, oldest } (oldest is a timestamp or null)
+ */
+function getStats(chatId) {
+    const buckets = getBuckets(chatId);
+    const messages = buckets.reduce((total, bucket) => total + bucket.messages.length, 0);
+    const oldest = buckets.length > 0 ? Math.min(...buckets[0].messages.map(record => record.timestamp)) : null;
+    return { messages, days: buckets.length, oldest };
+}
+
+/**
+ * Delete archived messages of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @param {Object} options - What to delete (everything if empty)
+ * @param {number} options.before - Only messages before this timestamp
+ * @param {string} options.sender - Only messages from this number
+ * @returns {number} Number of messages deleted
+ */
+function purge(chatId, { before = null, sender = null } = {}) {
+    let removed = 0;
+
+    for (const bucket of getBuckets(chatId)) {
+        for (const record of bucket.messages) {
+            if (before !== null && record.timestamp >= before) continue;
+            if (sender && record.sender.split('@')[0].split(':')[0] !== sender) continue;
+
+            storage.remove(ARCHIVE_COLLECTION, record.key);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Remove the days that are older than their chat's retention period
+ *
+ * @returns {number} Number of days removed
+ */
+function prune() {
+    const cutoffs = new Map();
+    const removedDays = new Set();
+
+    for (const key of Object.keys(storage.getAll(ARCHIVE_COLLECTION))) {
+        const { chatId, day } = parseKey(key);
+
+        if (!cutoffs.has(chatId)) {
+            cutoffs.set(chatId, toDay(Date.now() - getSettings(chatId).retentionDays * DAY_MS));
+        }
+        if (day < cutoffs.get(chatId)) {
+            storage.remove(ARCHIVE_COLLECTION, key);
+            removedDays.add(`${chatId}|${day}`);
+        }
+    }
+
+    return removedDays.size;
+}
+
+/**
+ * Remove expired days now and every hour from now on
+ */
+function startPruning() {
+    if (pruneTimer) return;
+
+    prune();
+    pruneTimer = setInterval(prune, PRUNE_INTERVAL);
+}
+
+module.exports = {
+    getSettings,
+    isEnabled,
+    enable,
+    disable,
+    recordMessage,
+    parseDate,
+    parseQuery,
+    search,
+    getMessages,
+    listArchivedChats,
+    getStats,
+    purge,
+    prune,
+    startPruning
+};
@@ -3,13 +3,11 @@
  * Manages user message counts and generates leaderboards
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const database = require('./database');
+const storage = require('./storage');
 
-// Constants
-const DATA_DIR = path.join(__dirname, '../data');
-const STATS_FILE = path.join(DATA_DIR, 'message_stats.json');
+// Storage collection holding the 'users' and 'groups' stats
+const STATS_COLLECTION = 'message_stats';
 
 // In-memory stats cache
 let messageStats = {
@@ -22,23 +20,13 @@ let messageStats = {
  */
 async function init() {
     try {
-        // Ensure data directory exists
-        try {
-            await fs.mkdir(DATA_DIR, { recursive: true });
-        } catch (err) {
-            // Directory may already exist
-        }
-        
         // Load existing stats
-        try {
-            const data = await fs.readFile(STATS_FILE, 'utf8');
-            messageStats = JSON.parse(data);
-            console.log('Message statistics loaded successfully');
-        } catch (err) {
-            // If file doesn't exist, we'll start with empty stats
-            console.log('Starting with fresh message statistics');
-            await saveStats();
-        }
+        const stored = storage.getAll(STATS_COLLECTION);
+        messageStats = {
+            users: stored.users || {},
+            groups: stored.groups || {}
+        };
+        console.log('Message statistics loaded successfully');
         
         // Cleanup old entries daily at midnight
         setInterval(cleanupOldStats, 24 * 60 * 60 * 1000);
@@ -48,11 +36,12 @@ async function init() {
 }
 
 /**
- * Save message statistics to disk
+ * Save message statistics to storage
  */
 async function saveStats() {
     try {
-        await fs.writeFile(STATS_FILE, JSON.stringify(messageStats, null, 2), 'utf8');
+        storage.set(STATS_COLLECTION, 'users', messageStats.users);
+        storage.set(STATS_COLLECTION, 'groups', messageStats.groups);
     } catch (err) {
         console.error('Error saving message statistics:', err);
     }
@@ -3,15 +3,16 @@
  * Manages a gamified points system for user engagement
  */
 
-const fs = require('fs');
-const path = require('path');
 const config = require('../config');
+const storage = require('./storage');
 
-// Data storage
+// Storage collections (userId -> value)
+const POINTS_COLLECTION = 'userPoints';
+const POINTS_USAGE_COLLECTION = 'pointsUsage';
+
+// Data storage (live views of the storage collections)
 let userPoints = {};
 let pointsUsageTracking = {};
-const POINTS_FILE = path.join(config.databaseDir, 'userPoints.json');
-const POINTS_USAGE_FILE = path.join(config.databaseDir, 'pointsUsage.json');
 
 // Points system settings
 const pointsSettings = config.animeGames.points;
@@ -20,41 +21,13 @@ const pointsSettings = config.animeGames.points;
  * Initialize the points system
  */
 function initialize() {
-    // Create data directory if it doesn't exist
-    if (!fs.existsSync(config.databaseDir)) {
-        fs.mkdirSync(config.databaseDir, { recursive: true });
-    }
-
-    // Load existing user points data if available
+    // Load existing user points data
     try {
-        if (fs.existsSync(POINTS_FILE)) {
-            const data = fs.readFileSync(POINTS_FILE, 'utf8');
-            userPoints = JSON.parse(data);
-            console.log('Points system: Loaded user points data');
-        } else {
-            console.log('Points system: No existing points data found, starting fresh');
-            savePointsData();
-        }
+        userPoints = storage.getAll(POINTS_COLLECTION);
+        pointsUsageTracking = storage.getAll(POINTS_USAGE_COLLECTION);
+        console.log(`Points system: Loaded points data for ${Object.keys(userPoints).length} users`);
     } catch (error) {
         console.error('Points system: Error loading points data', error);
-        userPoints = {};
-        savePointsData();
-    }
-
-    // Load points usage tracking data
-    try {
-        if (fs.existsSync(POINTS_USAGE_FILE)) {
-            const data = fs.readFileSync(POINTS_USAGE_FILE, 'utf8');
-            pointsUsageTracking = JSON.parse(data);
-            console.log('Points system: Loaded points usage tracking data');
-        } else {
-            console.log('Points system: No existing points usage data found, starting fresh');
-            savePointsUsageData();
-        }
-    } catch (error) {
-        console.error('Points system: Error loading points usage data', error);
-        pointsUsageTracking = {};
-        savePointsUsageData();
     }
 
     // Set up daily reset for usage tracking
@@ -78,27 +51,29 @@ function scheduleUsageReset() {
  * Reset daily usage tracking for all users
  */
 function resetDailyUsage() {
-    pointsUsageTracking = {};
-    savePointsUsageData();
+    storage.replaceAll(POINTS_USAGE_COLLECTION, {});
+    pointsUsageTracking = storage.getAll(POINTS_USAGE_COLLECTION);
 }
 
 /**
- * Save points data to file
+ * Save a user's points
+ * @param {string} userId Normalized user ID
  */
-function savePointsData() {
+function saveUserPoints(userId) {
     try {
-        fs.writeFileSync(POINTS_FILE, JSON.stringify(userPoints, null, 2));
+        storage.set(POINTS_COLLECTION, userId, userPoints[userId]);
     } catch (error) {
         console.error('Points system: Error saving points data', error);
     }
 }
 
 /**
- * Save points usage tracking data to file
+ * Save a user's points usage tracking
+ * @param {string} userId Normalized user ID
  */
-function savePointsUsageData() {
+function saveUserUsage(userId) {
     try {
-        fs.writeFileSync(POINTS_USAGE_FILE, JSON.stringify(pointsUsageTracking, null, 2));
+        storage.set(POINTS_USAGE_COLLECTION, userId, pointsUsageTracking[userId]);
     } catch (error) {
         console.error('Points system: Error saving points usage data', error);
     }
@@ -194,8 +169,8 @@ function addPoints(userId, points, source = 'generic') {
     pointsUsageTracking[userId].sources[source] += pointsToAdd;
     
     // Save data
-    savePointsData();
-    savePointsUsageData();
+    saveUserPoints(userId);
+    saveUserUsage(userId);
     
     return {
         success: true,
@@ -235,7 +210,7 @@ function deductPoints(userId, points, reason = 'purchase') {
     userPoints[userId] -= points;
     
     // Save data
-    savePointsData();
+    saveUserPoints(userId);
     
     return {
         success: true,
@@ -0,0 +1,609 @@
+/**
+ * Polls for WhatsApp bot
+ * Polls are stored so they survive restarts. A poll is either answered with
+ * .vote or, when created as a native WhatsApp poll, through WhatsApp's own poll
+ * UI (Baileys decrypts the votes and reports them as message updates).
+ *
+ * Modes:
+ * - single: one option per voter
+ * - multi: any number of options per voter
+ * - ranked: voters order the options, the winner is found by instant runoff
+ */
+const crypto = require('crypto');
+const schedule = require('node-schedule');
+const storage = require('./storage');
+const database = require('./database');
+const scheduledMessages = require('./scheduledMessages');
+const prefixes = require('./prefixes');
+
+// Storage collection of polls by ID
+const POLLS_COLLECTION = 'polls';
+
+const MAX_OPTIONS = 10;
+const POLL_MODES = ['single', 'multi', 'ranked'];
+
+// Deadline jobs by poll ID
+const deadlineJobs = new Map();
+
+// Socket of the current connection (replaced on reconnect)
+let currentSock = null;
+
+/**
+ * Generate an ASCII progress bar
+ */
+function generateProgressBar(percentage, length = 20) {
+    const filledLength = Math.round(length * (percentage / 100));
+    const emptyLength = length - filledLength;
+
+    const filled = '█'.repeat(filledLength);
+    const empty = '░'.repeat(emptyLength);
+
+    return `${filled}${empty} ${percentage}%`;
+}
+
+/**
+ * Make a Baileys message JSON-safe (binary fields become base64)
+ */
+function encodeMessage(value) {
+    if (value instanceof Uint8Array) {
+        return { $base64: Buffer.from(value).toString('base64') };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeMessage);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeMessage(item)]));
+    }
+    return value;
+}
+
+function decodeMessage(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeMessage);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.$base64 === 'string') {
+            return Buffer.from(value.$base64, 'base64');
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeMessage(item)]));
+    }
+    return value;
+}
+
+function savePoll(poll) {
+    storage.set(POLLS_COLLECTION, poll.id, poll);
+}
+
+function getVoterName(jid) {
+    return database.getContactName(jid) || jid.split('@')[0];
+}
+
+/**
+ * Find an open or closed poll of a chat by ID prefix
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} idPrefix - Poll ID or its beginning
+ * @returns {Object} { poll } or { error }
+ */
+function findPoll(chatId, idPrefix) {
+    const matches = Object.values(storage.getAll(POLLS_COLLECTION))
+        .filter(poll => poll.chatId === chatId && poll.id.startsWith(String(idPrefix).toLowerCase()));
+
+    if (matches.length === 0) {
+        return { error: 'Poll not found. It may have expired.' };
+    }
+    if (matches.length > 1) {
+        return { error: 'Multiple matching polls found. Please use a more specific ID.' };
+    }
+    return { poll: matches[0] };
+}
+
+/**
+ * List the open polls of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Array<Object>} Polls, newest first
+ */
+function listOpenPolls(chatId) {
+    return Object.values(storage.getAll(POLLS_COLLECTION))
+        .filter(poll => poll.chatId === chatId && !poll.closedAt)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Count the votes of a single or multi choice poll
+ *
+ * @returns {Object} { counts, voters, totalVotes, totalVoters }
+ */
+function countVotes(poll) {
+    const counts = poll.options.map(() => 0);
+    const voters = poll.options.map(() => []);
+    let totalVotes = 0;
+
+    for (const [voter, choices] of Object.entries(poll.votes)) {
+        for (const index of choices) {
+            counts[index]++;
+            voters[index].push(voter);
+            totalVotes++;
+        }
+    }
+
+    return { counts, voters, totalVotes, totalVoters: Object.keys(poll.votes).length };
+}
+
+/**
+ * Find the winner of a ranked poll by instant runoff
+ *
+ * Each round counts every ballot for its highest ranked remaining option.
+ * An option with more than half of the counted ballots wins; otherwise the
+ * options with the fewest votes are eliminated.
+ *
+ * @returns {Object} { rounds: [{ counts, eliminated }], winners }
+ */
+function runInstantRunoff(poll) {
+    const ballots = Object.values(poll.votes);
+    const remaining = new Set(poll.options.map((_, index) => index));
+    const rounds = [];
+
+    while (remaining.size > 0) {
+        const counts = {};
+        remaining.forEach(index => { counts[index] = 0; });
+
+        let counted = 0;
+        for (const ballot of ballots) {
+            const choice = ballot.find(index => remaining.has(index));
+            if (choice !== undefined) {
+                counts[choice]++;
+                counted++;
+            }
+        }
+
+        const round = { counts, eliminated: [] };
+        rounds.push(round);
+
+        if (counted === 0) {
+            return { rounds, winners: [] };
+        }
+
+        const values = Object.values(counts);
+        const max = Math.max(...values);
+        if (max * 2 > counted) {
+            return { rounds, winners: [Number(Object.keys(counts).find(index => counts[index] === max))] };
+        }
+
+        const min = Math.min(...values);
+        const losers = [...remaining].filter(index => counts[index] === min);
+        if (losers.length === remaining.size) {
+            return { rounds, winners: losers };
+        }
+
+        losers.forEach(index => remaining.delete(index));
+        round.eliminated = losers;
+    }
+
+    return { rounds, winners: [] };
+}
+
+/**
+ * Format the results of a poll
+ *
+ * @param {Object} poll - Poll
+ * @param {boolean} final - Whether these are the final results
+ * @returns {string} Results text
+ */
+function formatResults(poll, final = false) {
+    let results = final
+        ? `📊 *FINAL POLL RESULTS: ${poll.question}*\n\n`
+        : `📊 *Poll Results: ${poll.question}*\n\n`;
+
+    if (poll.mode === 'ranked') {
+        const { rounds, winners } = runInstantRunoff(poll);
+        const ballots = Object.keys(poll.votes).length;
+
+        results += `*First choices:*\n`;
+        poll.options.forEach((opt, idx) => {
+            const count = rounds[0] ? rounds[0].counts[idx] : 0;
+            const percentage = ballots > 0 ? Math.round((count / ballots) * 100) : 0;
+            results += `${idx + 1}. ${opt}: ${count} (${percentage}%)\n`;
+        });
+
+        if (rounds.length > 1) {
+            results += `\n*Runoff:*\n`;
+            rounds.forEach((round, index) => {
+                if (round.eliminated.length > 0) {
+                    results += `Round ${index + 1}: eliminated ${round.eliminated.map(idx => `"${poll.options[idx]}"`).join(', ')}\n`;
+                }
+            });
+        }
+
+        results += `\nBallots: ${ballots}`;
+        if (!poll.anonymous && ballots > 0) {
+            results += ` (${Object.keys(poll.votes).map(getVoterName).join(', ')})`;
+        }
+
+        if (winners.length === 1) {
+            results += `\n\n🏆 ${final ? 'Winner' : 'Leading'}: "${poll.options[winners[0]]}"`;
+        } else if (winners.length > 1) {
+            results += `\n\n🏆 Tie between: ${winners.map(idx => `"${poll.options[idx]}"`).join(', ')}`;
+        } else if (final) {
+            results += '\n\nNo votes were cast in this poll.';
+        }
+        return results;
+    }
+
+    const { counts, voters, totalVotes, totalVoters } = countVotes(poll);
+    const maxVotes = Math.max(...counts);
+    // Multi choice percentages are relative to the number of voters
+    const base = poll.mode === 'multi' ? totalVoters : totalVotes;
+
+    poll.options.forEach((opt, idx) => {
+        const percentage = base > 0 ? Math.round((counts[idx] / base) * 100) : 0;
+        const isWinner = final && maxVotes > 0 && counts[idx] === maxVotes ? '🏆 ' : '';
+
+        results += `${isWinner}${idx + 1}. ${opt}: ${counts[idx]} votes (${percentage}%)\n`;
+        results += `${generateProgressBar(percentage)}\n`;
+        if (!poll.anonymous && voters[idx].length > 0) {
+            results += `   👤 ${voters[idx].map(getVoterName).join(', ')}\n`;
+        }
+    });
+
+    results += `\nTotal votes: ${totalVotes}`;
+    if (poll.mode === 'multi') {
+        results += ` from ${totalVoters} voters`;
+    }
+
+    if (final) {
+        const winners = poll.options.filter((_, idx) => maxVotes > 0 && counts[idx] === maxVotes);
+        if (winners.length === 1) {
+            results += `\n\n🏆 Winner: "${winners[0]}" with ${maxVotes} votes`;
+        } else if (winners.length > 1) {
+            results += `\n\n🏆 Tie between: ${winners.map(o => `"${o}"`).join(', ')} with ${maxVotes} votes each`;
+        } else {
+            results += '\n\nNo votes were cast in this poll.';
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Export the tally of a poll as CSV
+ *
+ * Single and multi choice polls list the votes per option (plus voters in
+ * named polls); ranked polls list every ballot.
+ *
+ * @param {Object} poll - Poll
+ * @returns {string} CSV text
+ */
+function exportCsv(poll) {
+    const escape = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const rows = [];
+
+    if (poll.mode === 'ranked') {
+        rows.push(['ballot', ...poll.options.map((_, idx) => `rank ${idx + 1}`)]);
+        Object.entries(poll.votes).forEach(([voter, ballot], index) => {
+            rows.push([
+                poll.anonymous ? index + 1 : getVoterName(voter),
+                ...poll.options.map((_, rank) => ballot[rank] !== undefined ? poll.options[ballot[rank]] : '')
+            ]);
+        });
+    } else {
+        const { counts, voters } = countVotes(poll);
+        rows.push(poll.anonymous ? ['option', 'votes'] : ['option', 'votes', 'voters']);
+        poll.options.forEach((opt, idx) => {
+            const row = [opt, counts[idx]];
+            if (!poll.anonymous) {
+                row.push(voters[idx].map(getVoterName).join('; '));
+            }
+            rows.push(row);
+        });
+    }
+
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Start the deadline job of a poll
+ */
+function armDeadline(poll) {
+    if (deadlineJobs.has(poll.id)) {
+        deadlineJobs.get(poll.id).cancel();
+    }
+    deadlineJobs.set(poll.id, schedule.scheduleJob(new Date(poll.deadline), () => closeOnDeadline(poll.id)));
+}
+
+async function closeOnDeadline(id) {
+    deadlineJobs.delete(id);
+
+    const poll = storage.get(POLLS_COLLECTION, id);
+    if (!poll || poll.closedAt) return;
+
+    poll.closedAt = Date.now();
+    poll.closedBy = 'deadline';
+    savePoll(poll);
+
+    if (currentSock) {
+        try {
+            await currentSock.sendMessage(poll.chatId, {
+                text: `⏰ Poll ${poll.id} has closed.\n\n${formatResults(poll, true)}`
+            });
+        } catch (error) {
+            console.error(`Failed to post results of poll ${id}:`, error);
+        }
+    }
+}
+
+/**
+ * Create a poll
+ *
+ * @param {Object} sock - WhatsApp socket (used to send native polls)
+ * @param {Object} options - Poll options
+ * @param {string} options.chatId - Chat JID
+ * @param {string} options.creator - JID of the creator
+ * @param {string} options.question - Question
+ * @param {Array<string>} options.options - Answer options
+ * @param {string} options.mode - 'single', 'multi' or 'ranked'
+ * @param {boolean} options.anonymous - Hide who voted for what
+ * @param {boolean} options.native - Send a WhatsApp poll message
+ * @param {string} options.deadline - When the poll closes (+1h30m, HH:MM or YYYY-MM-DD HH:MM)
+ * @returns {Promise<Object>} Result with success, message and poll
+ */
+async function createPoll(sock, { chatId, creator, question, options, mode = 'single', anonymous = true, native = false, deadline = null }) {
+    const uniqueOptions = [...new Set(options.map(opt => opt.trim()).filter(Boolean))];
+
+    if (!question) {
+        return { success: false, message: 'Please provide a question.' };
+    }
+    if (uniqueOptions.length < 2) {
+        return { success: false, message: 'Please provide at least 2 different options.' };
+    }
+    if (uniqueOptions.length > MAX_OPTIONS) {
+        return { success: false, message: `Maximum ${MAX_OPTIONS} poll options allowed.` };
+    }
+    if (!POLL_MODES.includes(mode)) {
+        return { success: false, message: `Unknown poll mode "${mode}".` };
+    }
+    if (native && mode === 'ranked') {
+        return { success: false, message: "WhatsApp polls can't be ranked. Create ranked polls without --native." };
+    }
+
+    let deadlineTime = null;
+    if (deadline) {
+        const parsed = scheduledMessages.parseSchedule(deadline.split(/\s+/), scheduledMessages.getTimezone(chatId));
+        if (parsed.error || parsed.cron || parsed.text) {
+            return { success: false, message: 'Invalid deadline. Use +1h30m, HH:MM or YYYY-MM-DD HH:MM.' };
+        }
+        if (parsed.runAt <= Date.now()) {
+            return { success: false, message: 'The deadline must be in the future.' };
+        }
+        deadlineTime = parsed.runAt;
+    }
+
+    const poll = {
+        id: crypto.randomBytes(3).toString('hex'),
+        chatId,
+        creator,
+        question,
+        options: uniqueOptions,
+        mode,
+        anonymous,
+        votes: {},         // Voter JID -> option indexes (in ranked order for ranked polls)
+        native: null,      // { key, message } of the WhatsApp poll message
+        deadline: deadlineTime,
+        createdAt: Date.now(),
+        closedAt: null,
+        closedBy: null
+    };
+
+    if (native) {
+        const sent = await sock.sendMessage(chatId, {
+            poll: {
+                name: question,
+                values: uniqueOptions,
+                selectableCount: mode === 'multi' ? 0 : 1
+            }
+        });
+        poll.native = { key: sent.key, message: encodeMessage(sent.message) };
+    }
+
+    savePoll(poll);
+    if (poll.deadline) {
+        armDeadline(poll);
+    }
+
+    const deadlineText = poll.deadline
+        ? `\n⏰ Closes ${scheduledMessages.formatTime(poll.deadline, chatId)}`
+        : '';
+    const modeText = `${mode === 'single' ? 'Single choice' : mode === 'multi' ? 'Multiple choice' : 'Ranked choice'}, ${anonymous ? 'anonymous' : 'named'}`;
+
+    if (native) {
+        return {
+            success: true,
+            poll,
+            message: `📊 Poll ${poll.id} created (${modeText}). Vote in the poll above.${deadlineText}`
+        };
+    }
+
+    let pollMessage = `📊 *POLL: ${question}*\n_${modeText}_\n\n`;
+    uniqueOptions.forEach((opt, idx) => {
+        pollMessage += `${idx + 1}. ${opt}\n`;
+    });
+
+    const prefix = prefixes.getDisplayPrefix(chatId);
+    const howTo = {
+        single: `${prefix}vote ${poll.id} [number]`,
+        multi: `${prefix}vote ${poll.id} [number] [number] ...`,
+        ranked: `${prefix}vote ${poll.id} [1st choice] [2nd choice] ...`
+    };
+    pollMessage += `\nTo vote, reply with ${howTo[mode]}${deadlineText}`;
+
+    return { success: true, message: pollMessage, poll };
+}
+
+/**
+ * Register a vote given with .vote
+ *
+ * A new vote replaces the voter's previous one.
+ *
+ * @param {Object} options - Vote options
+ * @param {string} options.chatId - Chat JID
+ * @param {string} options.voter - Voter JID
+ * @param {string} options.id - Poll ID or its beginning
+ * @param {Array<string>} options.choices - Option numbers (1-based)
+ * @returns {Object} Result with success, message and results
+ */
+function vote({ chatId, voter, id, choices }) {
+    const { poll, error } = findPoll(chatId, id);
+    if (error) {
+        return { success: false, message: error };
+    }
+    if (poll.closedAt) {
+        return { success: false, message: 'This poll is closed.' };
+    }
+
+    const indexes = choices.map(choice => parseInt(choice) - 1);
+    if (indexes.length === 0 || indexes.some(idx => isNaN(idx) || idx < 0 || idx >= poll.options.length)) {
+        return { success: false, message: `Please choose a valid option number between 1 and ${poll.options.length}.` };
+    }
+    if (new Set(indexes).size !== indexes.length) {
+        return { success: false, message: 'Each option can only be chosen once.' };
+    }
+    if (poll.mode === 'single' && indexes.length > 1) {
+        return { success: false, message: 'This poll allows only one option.' };
+    }
+
+    poll.votes[voter] = indexes;
+    savePoll(poll);
+
+    const chosen = indexes.map(idx => `"${poll.options[idx]}"`).join(poll.mode === 'ranked' ? ' > ' : ', ');
+    return {
+        success: true,
+        message: `Vote registered for ${chosen}.`,
+        results: formatResults(poll)
+    };
+}
+
+/**
+ * Record votes from a native WhatsApp poll
+ *
+ * Called with the decrypted poll updates Baileys emits in messages.update.
+ * Each update holds the voter's complete current selection as option hashes.
+ *
+ * @param {Object} key - Key of the poll creation message
+ * @param {Array<Object>} pollUpdates - Decrypted poll updates
+ * @returns {boolean} Whether the key belonged to a stored poll
+ */
+function recordNativeVotes(key, pollUpdates) {
+    const poll = Object.values(storage.getAll(POLLS_COLLECTION))
+        .find(item => item.native && item.native.key.id === key.id);
+    if (!poll || poll.closedAt) {
+        return Boolean(poll);
+    }
+
+    const hashes = poll.options.map(opt => crypto.createHash('sha256').update(Buffer.from(opt)).digest('hex'));
+
+    for (const update of pollUpdates) {
+        const voterKey = update.pollUpdateMessageKey || {};
+        const voter = voterKey.participant || voterKey.remoteJid;
+        if (!voter) continue;
+
+        const selected = (update.vote?.selectedOptions || [])
+            .map(hash => hashes.indexOf(Buffer.from(hash).toString('hex')))
+            .filter(idx => idx >= 0);
+
+        if (selected.length > 0) {
+            poll.votes[voter] = selected;
+        } else {
+            delete poll.votes[voter];
+        }
+    }
+
+    savePoll(poll);
+    return true;
+}
+
+/**
+ * Get a stored native poll message (for Baileys' getMessage)
+ *
+ * Baileys needs the original poll message to decrypt votes.
+ *
+ * @param {Object} key - Message key
+ * @returns {Object|undefined} Message content
+ */
+function getPollMessage(key) {
+    const poll = Object.values(storage.getAll(POLLS_COLLECTION))
+        .find(item => item.native && item.native.key.id === key.id);
+    return poll ? decodeMessage(poll.native.message) : undefined;
+}
+
+/**
+ * Close a poll
+ *
+ * @param {Object} options - Close options
+ * @param {string} options.chatId - Chat JID
+ * @param {string} options.id - Poll ID or its beginning
+ * @param {string} options.by - JID of the user closing it
+ * @param {boolean} options.force - Allow closing polls of other users
+ * @returns {Object} Result with success and message (final results)
+ */
+function closePoll({ chatId, id, by, force = false }) {
+    const { poll, error } = findPoll(chatId, id);
+    if (error) {
+        return { success: false, message: error };
+    }
+    if (poll.closedAt) {
+        return { success: false, message: 'This poll is already closed.' };
+    }
+    if (!force && poll.creator !== by) {
+        return { success: false, message: 'Only the creator of the poll or a moderator can end it.' };
+    }
+
+    if (deadlineJobs.has(poll.id)) {
+        deadlineJobs.get(poll.id).cancel();
+        deadlineJobs.delete(poll.id);
+    }
+
+    poll.closedAt = Date.now();
+    poll.closedBy = by;
+    savePoll(poll);
+
+    return { success: true, message: formatResults(poll, true) };
+}
+
+/**
+ * Start posting results of polls whose deadline passes
+ *
+ * Called on every connection; deadlines are only armed the first time.
+ * Polls that expired while offline are closed right away.
+ *
+ * @param {Object} sock - WhatsApp socket
+ */
+function start(sock) {
+    const firstStart = currentSock === null;
+    currentSock = sock;
+    if (!firstStart) return;
+
+    for (const poll of Object.values(storage.getAll(POLLS_COLLECTION))) {
+        if (poll.closedAt || !poll.deadline) continue;
+
+        if (poll.deadline > Date.now()) {
+            armDeadline(poll);
+        } else {
+            closeOnDeadline(poll.id);
+        }
+    }
+}
+
+module.exports = {
+    POLL_MODES,
+    start,
+    createPoll,
+    vote,
+    findPoll,
+    listOpenPolls,
+    formatResults,
+    exportCsv,
+    closePoll,
+    recordNativeVotes,
+    getPollMessage
+};
@@ -0,0 +1,223 @@
+/**
+ * Command prefix settings for WhatsApp bot
+ * Each chat can use its own prefixes; chats without settings use the defaults from config.
+ */
+const database = require('./database');
+const config = require('../config');
+
+// Limits for per-chat prefixes
+const MAX_PREFIXES = 5;
+const MAX_PREFIX_LENGTH = 3;
+
+/**
+ * Get stored prefix settings of a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @returns {Object} Prefix settings ({ prefixes, mention })
+ */
+function getSettings(chatId) {
+    const allSettings = database.getData('chatPrefixes') || {};
+    const settings = allSettings[chatId] || {};
+
+    return {
+        prefixes: settings.prefixes && settings.prefixes.length > 0
+            ? settings.prefixes
+            : config.commandPrefixes.default,
+        mention: typeof settings.mention === 'boolean'
+            ? settings.mention
+            : config.commandPrefixes.mention
+    };
+}
+
+/**
+ * Update stored prefix settings of a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @param {Object} changes - Settings to change ({ prefixes, mention })
+ * @returns {Object} Updated settings
+ */
+function updateSettings(chatId, changes) {
+    const allSettings = database.getData('chatPrefixes') || {};
+    allSettings[chatId] = { ...allSettings[chatId], ...changes };
+    database.saveData('chatPrefixes', allSettings);
+
+    return getSettings(chatId);
+}
+
+/**
+ * Get the command prefixes of a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @returns {Array<string>} Prefixes
+ */
+function getPrefixes(chatId) {
+    return getSettings(chatId).prefixes;
+}
+
+/**
+ * Get the prefix shown in help texts for a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @returns {string} Prefix
+ */
+function getDisplayPrefix(chatId) {
+    return getPrefixes(chatId)[0];
+}
+
+/**
+ * Replace the command prefixes of a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @param {Array<string>} prefixes - New prefixes
+ * @returns {Object} Result with success and message
+ */
+function setPrefixes(chatId, prefixes) {
+    const unique = [...new Set(prefixes.map(prefix => prefix.trim()).filter(Boolean))];
+
+    if (unique.length === 0) {
+        return { success: false, message: 'Please provide at least one prefix.' };
+    }
+
+    if (unique.length > MAX_PREFIXES) {
+        return { success: false, message: `A chat can have at most ${MAX_PREFIXES} prefixes.` };
+    }
+
+    const invalid = unique.find(prefix => prefix.length > MAX_PREFIX_LENGTH || /\s/.test(prefix));
+    if (invalid) {
+        return {
+            success: false,
+            message: `Invalid prefix "${invalid}". Prefixes can be up to ${MAX_PREFIX_LENGTH} characters without spaces.`
+        };
+    }
+
+    updateSettings(chatId, { prefixes: unique });
+    return { success: true, message: `Command prefixes set to: ${unique.join(' ')}` };
+}
+
+/**
+ * Add a command prefix to a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @param {string} prefix - Prefix to add
+ * @returns {Object} Result with success and message
+ */
+function addPrefix(chatId, prefix) {
+    const prefixes = getPrefixes(chatId);
+
+    if (prefixes.includes(prefix)) {
+        return { success: false, message: `"${prefix}" is already a prefix in this chat.` };
+    }
+
+    return setPrefixes(chatId, [...prefixes, prefix]);
+}
+
+/**
+ * Remove a command prefix from a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @param {string} prefix - Prefix to remove
+ * @returns {Object} Result with success and message
+ */
+function removePrefix(chatId, prefix) {
+    const prefixes = getPrefixes(chatId);
+
+    if (!prefixes.includes(prefix)) {
+        return { success: false, message: `"${prefix}" is not a prefix in this chat.` };
+    }
+
+    if (prefixes.length === 1) {
+        return { success: false, message: 'A chat needs at least one prefix. Use reset to restore the default.' };
+    }
+
+    return setPrefixes(chatId, prefixes.filter(existing => existing !== prefix));
+}
+
+/**
+ * Enable or disable mentioning the bot as a command prefix
+ *
+ * @param {string} chatId - Group or chat JID
+ * @param {boolean} enabled - Whether "@bot command" is accepted
+ * @returns {Object} Result with success and message
+ */
+function setMentionPrefix(chatId, enabled) {
+    updateSettings(chatId, { mention: enabled });
+    return {
+        success: true,
+        message: enabled
+            ? 'Mentioning the bot now works as a command prefix.'
+            : 'Mentioning the bot no longer works as a command prefix.'
+    };
+}
+
+/**
+ * Restore the default prefix settings of a chat
+ *
+ * @param {string} chatId - Group or chat JID
+ * @returns {Object} Result with success and message
+ */
+function resetPrefixes(chatId) {
+    const allSettings = database.getData('chatPrefixes') || {};
+    delete allSettings[chatId];
+    database.saveData('chatPrefixes', allSettings);
+
+    return {
+        success: true,
+        message: `Command prefixes reset to: ${config.commandPrefixes.default.join(' ')}`
+    };
+}
+
+/**
+ * Split a message into prefix and command text
+ *
+ * @param {string} text - Message text
+ * @param {Object} options - Parse options
+ * @param {string} options.chatId - Group or chat JID
+ * @param {string} options.botNumber - Bot's phone number (for mention prefixes)
+ * @param {Array<string>} options.mentionedJids - JIDs mentioned in the message
+ * @returns {Object|null} { prefix, body, viaMention } or null if the text is not a command
+ */
+function parseCommand(text, options = {}) {
+    if (!text) return null;
+
+    const trimmed = text.trim();
+    const settings = getSettings(options.chatId);
+
+    // Longest prefixes first so "!!" wins over "!"
+    const prefixes = [...settings.prefixes].sort((a, b) => b.length - a.length);
+    for (const prefix of prefixes) {
+        if (trimmed.startsWith(prefix)) {
+            const body = trimmed.slice(prefix.length);
+            if (body && !/^\s/.test(body)) {
+                return { prefix, body, viaMention: false };
+            }
+        }
+    }
+
+    // "@<bot number> command" when the bot is actually mentioned
+    if (settings.mention && options.botNumber) {
+        const mentionText = `@${options.botNumber}`;
+        const botMentioned = (options.mentionedJids || [])
+            .some(jid => jid.split('@')[0].split(':')[0] === options.botNumber);
+
+        if (botMentioned && trimmed.startsWith(mentionText)) {
+            const body = trimmed.slice(mentionText.length).trim();
+            if (body) {
+                return { prefix: `${mentionText} `, body, viaMention: true };
+            }
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    getPrefixes,
+    getDisplayPrefix,
+    setPrefixes,
+    addPrefix,
+    removePrefix,
+    setMentionPrefix,
+    resetPrefixes,
+    parseCommand,
+    getSettings
+};
@@ -0,0 +1,322 @@
+/**
+ * Recurrence rules for WhatsApp bot
+ * Parses schedules like "daily 09:00", "every 2nd monday 18:00" or cron
+ * expressions and calculates their next run in a given timezone.
+ *
+ * Every rule is stored as a 5-field cron expression (minute hour day month weekday).
+ * The weekday field also accepts "1#2" (2nd Monday of the month) and "5L"
+ * (last Friday of the month).
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ORDINALS = { '1st': 1, first: 1, '2nd': 2, second: 2, '3rd': 3, third: 3, '4th': 4, fourth: 4, '5th': 5, fifth: 5, last: 'L' };
+
+// Field ranges of a cron expression
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { name: 'weekday', min: 0, max: 7, names: DAY_NAMES.map(day => day.slice(0, 3)) }
+];
+
+// How far ahead to look for the next run (covers Feb 29 rules)
+const MAX_SEARCH_DAYS = 8 * 366;
+
+/**
+ * Check whether a timezone name is valid
+ *
+ * @param {string} timeZone - IANA timezone, e.g. 'Europe/Berlin'
+ * @returns {boolean} Whether the timezone is known
+ */
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the wall-clock time of a timestamp in a timezone
+ *
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute }
+ */
+function getZonedTime(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(new Date(timestamp));
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return {
+        year: value('year'),
+        month: value('month'),
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute')
+    };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a timestamp
+ *
+ * @returns {number} Milliseconds since epoch
+ */
+function zonedTimeToTimestamp(year, month, day, hour, minute, timeZone) {
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = timestamp => {
+        const zoned = getZonedTime(timestamp, timeZone);
+        return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute) -
+            Math.floor(timestamp / 60000) * 60000;
+    };
+
+    // Second pass corrects guesses that land on the other side of a DST change
+    let timestamp = wallTime - offsetAt(wallTime);
+    const offset = offsetAt(timestamp);
+    if (wallTime - offset !== timestamp) {
+        timestamp = wallTime - offset;
+    }
+    return timestamp;
+}
+
+/**
+ * Parse one field of a cron expression
+ *
+ * @returns {Object} { values: Set, any: boolean, nth: Array, last: Array }
+ */
+function parseCronField(text, field) {
+    const result = { values: new Set(), any: text === '*', nth: [], last: [] };
+    const toNumber = token => {
+        const index = field.names ? field.names.indexOf(token.slice(0, 3).toLowerCase()) : -1;
+        const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(token);
+        if (!Number.isInteger(number) || number < field.min || number > field.max) {
+            throw new Error(`Invalid ${field.name} "${token}"`);
+        }
+        return number;
+    };
+
+    for (const part of text.split(',')) {
+        const special = field.name === 'weekday' && part.match(/^(\w+)(?:#([1-5])|(L))$/i);
+        if (special) {
+            const weekday = toNumber(special[1]) % 7;
+            if (special[2]) {
+                result.nth.push({ weekday, n: Number(special[2]) });
+            } else {
+                result.last.push(weekday);
+            }
+            continue;
+        }
+
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const bounds = range.split('-');
+            start = toNumber(bounds[0]);
+            end = bounds.length > 1 ? toNumber(bounds[1]) : (stepText === undefined ? start : field.max);
+        }
+        if (end < start) {
+            throw new Error(`Invalid range "${range}" in ${field.name}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            result.values.add(field.name === 'weekday' && value === 7 ? 0 : value);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parse a 5-field cron expression
+ *
+ * @param {string} expression - e.g. '0 9 * * 1-5'
+ * @returns {Object} Parsed fields
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('A cron expression needs 5 fields: minute hour day month weekday');
+    }
+
+    const [minute, hour, day, month, weekday] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+    return { minute, hour, day, month, weekday };
+}
+
+/**
+ * Check whether a date matches the day fields of a cron expression
+ *
+ * Like cron, a restricted day and weekday match if either one matches.
+ */
+function matchesDay(cron, year, month, day) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    const dayMatches = cron.day.values.has(day);
+    const weekdayMatches = cron.weekday.values.has(weekday) ||
+        cron.weekday.nth.some(rule => rule.weekday === weekday && Math.ceil(day / 7) === rule.n) ||
+        cron.weekday.last.some(rule => rule === weekday && day + 7 > daysInMonth);
+
+    if (cron.day.any && cron.weekday.any) return true;
+    if (cron.day.any) return weekdayMatches;
+    if (cron.weekday.any) return dayMatches;
+    return dayMatches || weekdayMatches;
+}
+
+/**
+ * Calculate the next run of a cron expression
+ *
+ * @param {string} expression - Cron expression
+ * @param {string} timeZone - IANA timezone the expression is read in
+ * @param {number} after - Timestamp the run must come after (default now)
+ * @returns {Date|null} Next run or null if there is none
+ */
+function getNextRun(expression, timeZone, after = Date.now()) {
+    const cron = parseCron(expression);
+    const start = getZonedTime(after, timeZone);
+    const hours = [...cron.hour.values].sort((a, b) => a - b);
+    const minutes = [...cron.minute.values].sort((a, b) => a - b);
+
+    for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+
+        if (!cron.month.values.has(month) || !matchesDay(cron, year, month, day)) {
+            continue;
+        }
+
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const timestamp = zonedTimeToTimestamp(year, month, day, hour, minute, timeZone);
+                if (timestamp > after) {
+                    return new Date(timestamp);
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse a "HH:MM" time
+ *
+ * @returns {Object|null} { hour, minute }
+ */
+function parseClock(text) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(text || '');
+    return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+/**
+ * Look up a weekday name ('mon', 'Monday', ...)
+ *
+ * @returns {number} Weekday (0 = Sunday) or -1
+ */
+function parseWeekday(text) {
+    const name = (text || '').toLowerCase();
+    return name.length >= 3 ? DAY_NAMES.findIndex(day => day.startsWith(name)) : -1;
+}
+
+/**
+ * Parse a recurrence from the start of a list of words
+ *
+ * Supported forms:
+ * - daily 09:00 / every day 09:00
+ * - weekdays 09:00 / weekends 10:00
+ * - every monday 09:00 / every mon,thu 09:00
+ * - every 2nd monday 09:00 / every last friday 17:00
+ * - cron 0 9 * * 1-5
+ *
+ * @param {Array<string>} words - Words of the schedule text
+ * @returns {Object|null} { cron, description, length } or { error }; null if not a recurrence
+ */
+function parseRecurrence(words) {
+    const first = (words[0] || '').toLowerCase();
+
+    if (first === 'cron') {
+        const expression = words.slice(1, 6).join(' ');
+        try {
+            parseCron(expression);
+        } catch (error) {
+            return { error: error.message };
+        }
+        return { cron: expression, description: `cron ${expression}`, length: 6 };
+    }
+
+    let length;
+    let days;
+    let label;
+
+    if (first === 'daily' || (first === 'every' && (words[1] || '').toLowerCase() === 'day')) {
+        length = first === 'daily' ? 1 : 2;
+        days = { day: '*', weekday: '*' };
+        label = 'daily';
+    } else if (first === 'weekdays' || first === 'weekends') {
+        length = 1;
+        days = { day: '*', weekday: first === 'weekdays' ? '1-5' : '0,6' };
+        label = `on ${first}`;
+    } else if (first === 'every') {
+        const ordinal = ORDINALS[(words[1] || '').toLowerCase()];
+        if (ordinal) {
+            const weekday = parseWeekday(words[2]);
+            if (weekday < 0) {
+                return { error: `Unknown weekday "${words[2] || ''}"` };
+            }
+            length = 3;
+            days = { day: '*', weekday: ordinal === 'L' ? `${weekday}L` : `${weekday}#${ordinal}` };
+            label = `every ${words[1].toLowerCase()} ${DAY_NAMES[weekday]} of the month`;
+        } else {
+            const weekdays = (words[1] || '').split(',').map(parseWeekday);
+            if (weekdays.length === 0 || weekdays.some(weekday => weekday < 0)) {
+                return { error: `Unknown weekday "${words[1] || ''}"` };
+            }
+            length = 2;
+            days = { day: '*', weekday: weekdays.join(',') };
+            label = `every ${weekdays.map(weekday => DAY_NAMES[weekday]).join(', ')}`;
+        }
+    } else {
+        return null;
+    }
+
+    const clock = parseClock(words[length]);
+    if (!clock) {
+        return { error: 'Add a time after the recurrence, e.g. "daily 09:00"' };
+    }
+
+    const time = `${String(clock.hour).padStart(2, '0')}:${String(clock.minute).padStart(2, '0')}`;
+    return {
+        cron: `${clock.minute} ${clock.hour} ${days.day} * ${days.weekday}`,
+        description: `${label} at ${time}`,
+        length: length + 1
+    };
+}
+
+module.exports = {
+    isValidTimezone,
+    getZonedTime,
+    zonedTimeToTimestamp,
+    parseCron,
+    getNextRun,
+    parseClock,
+    parseWeekday,
+    parseRecurrence
+};
@@ -0,0 +1,308 @@
+/**
+ * Role management for WhatsApp bot
+ * Users get named roles either globally or for a single group. Every grant and
+ * revocation is written to an audit trail.
+ *
+ * Resolution order: bot owners from config, then a grant for the group,
+ * then a global grant, then bot admins from config, then 'user'.
+ */
+const database = require('./database');
+const storage = require('./storage');
+const config = require('../config');
+
+// Roles from least to most privileged
+const ROLES = ['blocked', 'user', 'trusted', 'group-moderator', 'bot-admin', 'owner'];
+
+// Short names accepted by .role
+const ROLE_ALIASES = {
+    admin: 'bot-admin',
+    moderator: 'group-moderator',
+    mod: 'group-moderator',
+    block: 'blocked'
+};
+
+// Storage: grants are keyed "<scope>|<number>", the scope is 'global' or a chat JID
+const GRANTS_COLLECTION = 'roles';
+const AUDIT_DOCUMENT = 'roleAudit';
+const MAX_AUDIT_ENTRIES = 1000;
+
+let allowedUsersImported = false;
+
+/**
+ * Compare two roles
+ *
+ * @param {string} role - Role to check
+ * @param {string} minimum - Minimum role
+ * @returns {boolean} Whether role is at least minimum
+ */
+function isAtLeast(role, minimum) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * Resolve a role name typed by a user
+ *
+ * @param {string} name - Role name or alias
+ * @returns {string|null} Role name or null if unknown
+ */
+function resolveRoleName(name) {
+    if (!name) return null;
+
+    const key = name.toLowerCase();
+    const role = ROLE_ALIASES[key] || key;
+    return ROLES.includes(role) ? role : null;
+}
+
+/**
+ * Turn the old allowedUsers setting into global 'trusted' grants (runs once)
+ */
+function importAllowedUsers() {
+    if (allowedUsersImported) return;
+    allowedUsersImported = true;
+
+    const settings = database.getBotSettings();
+    const allowedUsers = settings.allowedUsers || [];
+    if (allowedUsers.length === 0) return;
+
+    for (const number of allowedUsers) {
+        const normalizedNumber = database.normalizeNumber(number);
+        if (!isConfigOwner(normalizedNumber) && !storage.get(GRANTS_COLLECTION, `global|${normalizedNumber}`)) {
+            storage.set(GRANTS_COLLECTION, `global|${normalizedNumber}`, {
+                role: 'trusted',
+                grantedBy: 'allowedUsers',
+                grantedAt: Date.now()
+            });
+        }
+    }
+
+    database.updateBotSettings({ allowedUsers: [] });
+    console.log(`Roles: Imported ${allowedUsers.length} allowed users as trusted`);
+}
+
+function isConfigOwner(normalizedNumber) {
+    return config.botOwners.some(owner => database.normalizeNumber(owner) === normalizedNumber);
+}
+
+function isConfigAdmin(normalizedNumber) {
+    return config.botAdmins.some(admin => database.normalizeNumber(admin) === normalizedNumber);
+}
+
+/**
+ * Get the stored grant of a user
+ *
+ * @param {string} number - User JID or number
+ * @param {string} scope - 'global' or chat JID
+ * @returns {Object|null} Grant ({ role, grantedBy, grantedAt })
+ */
+function getGrant(number, scope = 'global') {
+    importAllowedUsers();
+    return storage.get(GRANTS_COLLECTION, `${scope}|${database.normalizeNumber(number)}`) || null;
+}
+
+/**
+ * Get the effective role of a user
+ *
+ * A global block applies everywhere. Otherwise the highest of the group
+ * grant, the global grant and the configured admin role wins, so a group
+ * grant can raise a user in that group but never lower a bot admin.
+ *
+ * @param {string} number - User JID or number
+ * @param {string} chatId - Chat JID (group grants only apply in that group)
+ * @returns {string} Role name
+ */
+function getRole(number, chatId = null) {
+    const normalizedNumber = database.normalizeNumber(number);
+
+    if (isConfigOwner(normalizedNumber)) return 'owner';
+
+    const globalGrant = getGrant(normalizedNumber, 'global');
+    if (globalGrant && globalGrant.role === 'blocked') return 'blocked';
+
+    const groupGrant = chatId && chatId.endsWith('@g.us') ? getGrant(normalizedNumber, chatId) : null;
+    const candidates = [
+        groupGrant && groupGrant.role,
+        globalGrant && globalGrant.role,
+        isConfigAdmin(normalizedNumber) && 'bot-admin'
+    ].filter(Boolean);
+
+    if (candidates.length === 0) return 'user';
+    return candidates.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+}
+
+/**
+ * Check whether a user has at least a role
+ *
+ * @param {string} number - User JID or number
+ * @param {string} minimum - Minimum role
+ * @param {string} chatId - Chat JID
+ * @returns {boolean} Whether the user has the role
+ */
+function hasRole(number, minimum, chatId = null) {
+    return isAtLeast(getRole(number, chatId), minimum);
+}
+
+/**
+ * Check whether an actor may change the role of a target in a scope
+ *
+ * The actor must outrank both the target's current role and the new role.
+ * Global grants need a bot admin; group moderators only manage their group.
+ *
+ * @returns {string|null} Reason why not, or null if allowed
+ */
+function checkPermission(actor, target, newRole, scope) {
+    const actorNumber = database.normalizeNumber(actor);
+    const targetNumber = database.normalizeNumber(target);
+    const actorRole = getRole(actorNumber, scope === 'global' ? null : scope);
+    const targetRole = getRole(targetNumber, scope === 'global' ? null : scope);
+
+    if (actorNumber === targetNumber) {
+        return "You can't change your own role.";
+    }
+    if (scope === 'global' && !isAtLeast(actorRole, 'bot-admin')) {
+        return 'Only bot admins can change global roles.';
+    }
+    if (!isAtLeast(actorRole, 'group-moderator')) {
+        return 'Only group moderators can change roles.';
+    }
+    if (ROLES.indexOf(actorRole) <= ROLES.indexOf(targetRole)) {
+        return `You can't change the role of a ${targetRole}.`;
+    }
+    if (newRole && ROLES.indexOf(actorRole) <= ROLES.indexOf(newRole)) {
+        return `You can't grant the ${newRole} role.`;
+    }
+    return null;
+}
+
+/**
+ * Append an entry to the audit trail
+ */
+function addAuditEntry(entry) {
+    const auditLog = storage.getDocument(AUDIT_DOCUMENT) || [];
+    auditLog.push({ timestamp: Date.now(), ...entry });
+    storage.setDocument(AUDIT_DOCUMENT, auditLog.slice(-MAX_AUDIT_ENTRIES));
+}
+
+/**
+ * Grant a role to a user
+ *
+ * @param {string} target - User JID or number
+ * @param {string} roleName - Role name or alias
+ * @param {Object} options - Grant options
+ * @param {string} options.scope - 'global' or chat JID
+ * @param {string} options.by - JID or number of the user granting the role
+ * @returns {Object} Result with success and message
+ */
+function grantRole(target, roleName, { scope = 'global', by }) {
+    const role = resolveRoleName(roleName);
+    if (!role) {
+        return { success: false, message: `Unknown role "${roleName}". Roles: ${ROLES.filter(name => name !== 'owner').join(', ')}` };
+    }
+    if (role === 'owner') {
+        return { success: false, message: 'Owners are set in the bot config.' };
+    }
+
+    const denied = checkPermission(by, target, role, scope);
+    if (denied) {
+        return { success: false, message: denied };
+    }
+
+    const targetNumber = database.normalizeNumber(target);
+    const previous = getGrant(targetNumber, scope);
+
+    storage.set(GRANTS_COLLECTION, `${scope}|${targetNumber}`, {
+        role,
+        grantedBy: database.normalizeNumber(by),
+        grantedAt: Date.now()
+    });
+    addAuditEntry({
+        action: 'grant',
+        scope,
+        target: targetNumber,
+        role,
+        previousRole: previous ? previous.role : null,
+        by: database.normalizeNumber(by)
+    });
+
+    const where = scope === 'global' ? 'globally' : 'in this group';
+    return { success: true, message: `${targetNumber} is now ${role} ${where}.` };
+}
+
+/**
+ * Remove a user's role grant
+ *
+ * @param {string} target - User JID or number
+ * @param {Object} options - Revoke options
+ * @param {string} options.scope - 'global' or chat JID
+ * @param {string} options.by - JID or number of the user revoking the role
+ * @returns {Object} Result with success and message
+ */
+function revokeRole(target, { scope = 'global', by }) {
+    const targetNumber = database.normalizeNumber(target);
+    const previous = getGrant(targetNumber, scope);
+    const where = scope === 'global' ? 'globally' : 'in this group';
+
+    if (!previous) {
+        return { success: false, message: `${targetNumber} has no role ${where}.` };
+    }
+
+    const denied = checkPermission(by, target, null, scope);
+    if (denied) {
+        return { success: false, message: denied };
+    }
+
+    storage.remove(GRANTS_COLLECTION, `${scope}|${targetNumber}`);
+    addAuditEntry({
+        action: 'revoke',
+        scope,
+        target: targetNumber,
+        role: null,
+        previousRole: previous.role,
+        by: database.normalizeNumber(by)
+    });
+
+    return { success: true, message: `Removed the ${previous.role} role of ${targetNumber} ${where}.` };
+}
+
+/**
+ * List the role grants of a scope
+ *
+ * @param {string} scope - 'global' or chat JID
+ * @returns {Array<Object>} Grants ({ number, role, grantedBy, grantedAt })
+ */
+function listGrants(scope = 'global') {
+    importAllowedUsers();
+
+    return Object.entries(storage.getAll(GRANTS_COLLECTION))
+        .filter(([key]) => key.startsWith(`${scope}|`))
+        .map(([key, grant]) => ({ number: key.slice(scope.length + 1), ...grant }))
+        .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role));
+}
+
+/**
+ * Get recent audit trail entries
+ *
+ * @param {Object} options - Filter options
+ * @param {string} options.scope - Only entries of this scope
+ * @param {number} options.limit - Maximum number of entries
+ * @returns {Array<Object>} Entries, newest first
+ */
+function getAuditLog({ scope = null, limit = 10 } = {}) {
+    const auditLog = storage.getDocument(AUDIT_DOCUMENT) || [];
+
+    return auditLog
+        .filter(entry => !scope || entry.scope === scope)
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = {
+    ROLES,
+    isAtLeast,
+    resolveRoleName,
+    getRole,
+    hasRole,
+    grantRole,
+    revokeRole,
+    listGrants,
+    getAuditLog
+};
@@ -0,0 +1,464 @@
+/**
+ * Scheduled messages for WhatsApp bot
+ * Messages are stored (with optional media) and re-armed when the bot starts,
+ * so they survive restarts. Recurring messages use the rules from lib/recurrence
+ * and are read in the chat's timezone.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const schedule = require('node-schedule');
+const storage = require('./storage');
+const recurrence = require('./recurrence');
+const config = require('../config');
+
+// Storage collections
+const MESSAGES_COLLECTION = 'scheduledMessages';
+const TIMEZONES_COLLECTION = 'chatTimezones';
+
+// Where media attachments of scheduled messages are kept
+const MEDIA_DIR = path.join(config.databaseDir, 'scheduled-media');
+
+// One-time messages missed while offline are still sent if they are at most this late
+const MISSED_GRACE_PERIOD = 6 * 60 * 60 * 1000;
+
+// Running jobs by message ID
+const jobs = new Map();
+
+// Socket of the current connection (replaced on reconnect)
+let currentSock = null;
+let started = false;
+let connected = false;
+
+// IDs of messages that came due while disconnected, sent on reconnect
+const waitingForConnection = new Set();
+
+/**
+ * Get the timezone of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {string} IANA timezone
+ */
+function getTimezone(chatId) {
+    return storage.get(TIMEZONES_COLLECTION, chatId) || config.defaultTimezone;
+}
+
+/**
+ * Set the timezone of a chat
+ *
+ * Recurring messages of the chat are re-armed for the new timezone.
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} timeZone - IANA timezone, e.g. 'Asia/Kolkata'
+ * @returns {Object} Result with success and message
+ */
+function setTimezone(chatId, timeZone) {
+    if (!recurrence.isValidTimezone(timeZone)) {
+        return { success: false, message: `Unknown timezone "${timeZone}". Use a name like Europe/London or Asia/Kolkata.` };
+    }
+
+    const name = timeZone.trim();
+    storage.set(TIMEZONES_COLLECTION, chatId, name);
+
+    for (const entry of Object.values(storage.getAll(MESSAGES_COLLECTION))) {
+        if (entry.chatId === chatId && entry.cron) {
+            armNextRun(entry, name);
+        }
+    }
+
+    // Required here: groupDigest itself requires this module
+    require('./groupDigest').rescheduleDigest(chatId);
+
+    return { success: true, message: `Timezone set to ${name}.` };
+}
+
+/**
+ * Format a timestamp in a chat's timezone
+ *
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} chatId - Chat JID
+ * @returns {string} Date and time
+ */
+function formatTime(timestamp, chatId) {
+    return new Date(timestamp).toLocaleString('en-GB', {
+        timeZone: getTimezone(chatId),
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Parse when a message should be sent
+ *
+ * Accepts +1h30m, "YYYY-MM-DD HH:MM", "HH:MM" (next occurrence) or a recurrence
+ * such as "daily 09:00" (see lib/recurrence). The words after the schedule are
+ * the message.
+ *
+ * @param {Array<string>} words - Schedule text split into words
+ * @param {string} timeZone - Timezone for absolute times
+ * @returns {Object} { runAt, cron, description, text } or { error }
+ */
+function parseSchedule(words, timeZone) {
+    const first = words[0] || '';
+
+    // Relative time (e.g. +2h30m)
+    if (first.startsWith('+')) {
+        const matches = /^\+(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/.exec(first);
+        const [days, hours, minutes] = (matches || []).slice(1).map(value => parseInt(value || 0));
+        if (!matches || (days === 0 && hours === 0 && minutes === 0)) {
+            return { error: 'Invalid time format. Use +1h30m format for relative time.' };
+        }
+        return {
+            runAt: Date.now() + (((days * 24 + hours) * 60 + minutes) * 60 * 1000),
+            text: words.slice(1).join(' ')
+        };
+    }
+
+    const rule = recurrence.parseRecurrence(words);
+    if (rule) {
+        if (rule.error) return rule;
+        return {
+            cron: rule.cron,
+            description: rule.description,
+            text: words.slice(rule.length).join(' ')
+        };
+    }
+
+    // Absolute date with optional time, or just a time
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(first);
+    const clock = recurrence.parseClock(dateMatch ? words[1] : first);
+
+    if (dateMatch) {
+        const [year, month, day] = dateMatch.slice(1).map(Number);
+        const time = clock || { hour: 9, minute: 0 };
+        return {
+            runAt: recurrence.zonedTimeToTimestamp(year, month, day, time.hour, time.minute, timeZone),
+            text: words.slice(clock ? 2 : 1).join(' ')
+        };
+    }
+
+    if (clock) {
+        return {
+            runAt: recurrence.getNextRun(`${clock.minute} ${clock.hour} * * *`, timeZone).getTime(),
+            text: words.slice(1).join(' ')
+        };
+    }
+
+    return { error: 'Invalid time. Use +1h30m, YYYY-MM-DD HH:MM, HH:MM or a recurrence like "daily 09:00".' };
+}
+
+/**
+ * Store a media attachment for a scheduled message
+ *
+ * @param {string} id - Scheduled message ID
+ * @param {Object} media - { type, buffer, mimetype, fileName }
+ * @returns {Object} Stored media info (without the buffer)
+ */
+function saveMedia(id, media) {
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    const file = path.join(MEDIA_DIR, `${id}.bin`);
+    fs.writeFileSync(file, media.buffer);
+
+    return {
+        type: media.type,
+        file,
+        mimetype: media.mimetype || null,
+        fileName: media.fileName || null
+    };
+}
+
+function deleteMedia(entry) {
+    if (entry.media && fs.existsSync(entry.media.file)) {
+        fs.unlinkSync(entry.media.file);
+    }
+}
+
+/**
+ * Build the message content of a scheduled message
+ */
+function buildContent(entry) {
+    if (!entry.media) {
+        return { text: entry.text };
+    }
+
+    const content = {
+        [entry.media.type]: fs.readFileSync(entry.media.file),
+        mimetype: entry.media.mimetype || undefined
+    };
+    if (entry.media.type === 'document') {
+        content.fileName = entry.media.fileName || 'file';
+    }
+    if (entry.text && entry.media.type !== 'audio' && entry.media.type !== 'sticker') {
+        content.caption = entry.text;
+    }
+    return content;
+}
+
+/**
+ * Send a scheduled message and arm its next run
+ */
+async function run(id) {
+    jobs.delete(id);
+
+    const entry = storage.get(MESSAGES_COLLECTION, id);
+    if (!entry) return;
+
+    if (!connected) {
+        console.log(`Scheduled message ${id} waiting: not connected`);
+        waitingForConnection.add(id);
+        return;
+    }
+
+    try {
+        await currentSock.sendMessage(entry.chatId, buildContent(entry));
+        console.log(`Scheduled message sent: ${id}`);
+    } catch (error) {
+        console.error(`Failed to send scheduled message ${id}:`, error);
+    }
+
+    entry.lastRun = Date.now();
+    entry.runCount = (entry.runCount || 0) + 1;
+
+    if (entry.cron) {
+        armNextRun(entry);
+    } else {
+        removeEntry(entry);
+    }
+}
+
+/**
+ * Stop and delete a scheduled message
+ */
+function removeEntry(entry) {
+    if (jobs.has(entry.id)) {
+        jobs.get(entry.id).cancel();
+        jobs.delete(entry.id);
+    }
+    waitingForConnection.delete(entry.id);
+    deleteMedia(entry);
+    storage.remove(MESSAGES_COLLECTION, entry.id);
+}
+
+/**
+ * Start (or restart) the job of a scheduled message
+ */
+function arm(entry) {
+    if (jobs.has(entry.id)) {
+        jobs.get(entry.id).cancel();
+        jobs.delete(entry.id);
+    }
+
+    // node-schedule returns null for a time that has already passed
+    const job = schedule.scheduleJob(new Date(entry.nextRun), () => run(entry.id));
+    if (job) {
+        jobs.set(entry.id, job);
+    } else {
+        run(entry.id);
+    }
+}
+
+/**
+ * Move a recurring message to its next run, or delete it if its schedule never runs again
+ */
+function armNextRun(entry, timeZone = getTimezone(entry.chatId)) {
+    const nextRun = recurrence.getNextRun(entry.cron, timeZone);
+    if (!nextRun) {
+        console.log(`Scheduled message ${entry.id} removed: its schedule never runs again`);
+        removeEntry(entry);
+        return;
+    }
+
+    entry.nextRun = nextRun.getTime();
+    storage.set(MESSAGES_COLLECTION, entry.id, entry);
+    arm(entry);
+}
+
+/**
+ * Skip a run that was missed for too long: recurring messages move to their
+ * next run, one-time messages expire
+ */
+function skipMissed(entry) {
+    if (entry.cron) {
+        armNextRun(entry);
+    } else {
+        console.log(`Scheduled message ${entry.id} expired while offline`);
+        removeEntry(entry);
+    }
+}
+
+/**
+ * Start sending scheduled messages
+ *
+ * Called on every connection; the jobs are only armed the first time and
+ * use the latest socket afterwards. Messages that came due while the
+ * connection was down are sent now, unless they are too late.
+ *
+ * @param {Object} sock - WhatsApp socket
+ */
+function start(sock) {
+    currentSock = sock;
+    connected = true;
+
+    const now = Date.now();
+
+    if (!started) {
+        started = true;
+        let missed = 0;
+
+        for (const entry of Object.values(storage.getAll(MESSAGES_COLLECTION))) {
+            if (entry.nextRun > now) {
+                arm(entry);
+            } else if (entry.cron) {
+                // Recurring messages skip runs missed while offline
+                skipMissed(entry);
+            } else if (now - entry.nextRun <= MISSED_GRACE_PERIOD) {
+                missed++;
+                run(entry.id);
+            } else {
+                skipMissed(entry);
+            }
+        }
+
+        console.log(`Scheduled messages: Armed ${jobs.size} message(s)${missed ? `, sending ${missed} missed` : ''}`);
+    }
+
+    for (const id of [...waitingForConnection]) {
+        waitingForConnection.delete(id);
+        const entry = storage.get(MESSAGES_COLLECTION, id);
+        if (!entry) continue;
+
+        if (now - entry.nextRun <= MISSED_GRACE_PERIOD) {
+            run(id);
+        } else {
+            skipMissed(entry);
+        }
+    }
+}
+
+/**
+ * Hold scheduled messages until the next connection (call when the connection closes)
+ */
+function stop() {
+    connected = false;
+}
+
+/**
+ * Schedule a message
+ *
+ * @param {Object} options - Message options
+ * @param {string} options.chatId - Chat to send to
+ * @param {string} options.sender - JID of the user scheduling it
+ * @param {Array<string>} options.words - Schedule followed by the message text
+ * @param {Object} options.media - Optional attachment ({ type, buffer, mimetype, fileName })
+ * @returns {Object} Result with success, message and the stored entry
+ */
+function scheduleMessage({ chatId, sender, words, media = null }) {
+    const timeZone = getTimezone(chatId);
+    const parsed = parseSchedule(words, timeZone);
+    if (parsed.error) {
+        return { success: false, message: parsed.error };
+    }
+
+    if (!parsed.text && !media) {
+        return { success: false, message: 'Please add the message to send (or reply to media).' };
+    }
+
+    const next = parsed.cron ? recurrence.getNextRun(parsed.cron, timeZone) : new Date(parsed.runAt);
+    if (!next) {
+        return { success: false, message: 'This schedule never runs.' };
+    }
+
+    const nextRun = next.getTime();
+    if (!nextRun || nextRun <= Date.now()) {
+        return { success: false, message: 'Scheduled time must be in the future.' };
+    }
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const entry = {
+        id,
+        chatId,
+        sender,
+        text: parsed.text,
+        media: media ? saveMedia(id, media) : null,
+        cron: parsed.cron || null,
+        description: parsed.description || null,
+        nextRun,
+        createdAt: Date.now(),
+        lastRun: null,
+        runCount: 0
+    };
+
+    storage.set(MESSAGES_COLLECTION, id, entry);
+    arm(entry);
+
+    return {
+        success: true,
+        message: entry.cron
+            ? `Recurring message scheduled ${entry.description} (${timeZone}). Next: ${formatTime(nextRun, chatId)}. ID: ${id}`
+            : `Message scheduled for ${formatTime(nextRun, chatId)} (${timeZone}). ID: ${id}`,
+        entry
+    };
+}
+
+/**
+ * Cancel a scheduled message by its ID or the beginning of it
+ *
+ * A shortened ID must match exactly one message of the chat.
+ *
+ * @param {Object} options - Cancel options
+ * @param {string} options.chatId - Chat JID
+ * @param {string} options.sender - JID of the user cancelling
+ * @param {string} options.id - Full ID or its beginning
+ * @param {boolean} options.force - Also cancel messages of other users
+ * @returns {Object} Result with success and message
+ */
+function cancelMessage({ chatId, sender, id, force = false }) {
+    const wanted = id.toLowerCase();
+    const messages = listMessages(chatId);
+    const exact = messages.find(entry => entry.id === wanted);
+    const matches = exact ? [exact] : messages.filter(entry => entry.id.startsWith(wanted));
+
+    if (matches.length === 0) {
+        return { success: false, message: 'No matching scheduled message found.' };
+    }
+    if (matches.length > 1) {
+        return {
+            success: false,
+            message: `"${id}" matches ${matches.length} scheduled messages (${matches.map(entry => entry.id).join(', ')}). Use the full ID.`
+        };
+    }
+
+    const [entry] = matches;
+    if (!force && entry.sender !== sender) {
+        return { success: false, message: "You don't have permission to cancel this message." };
+    }
+
+    removeEntry(entry);
+
+    return { success: true, message: `Cancelled scheduled message ${entry.id}.` };
+}
+
+/**
+ * List the scheduled messages of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} sender - Only messages of this user (optional)
+ * @returns {Array<Object>} Entries sorted by next run
+ */
+function listMessages(chatId, sender = null) {
+    return Object.values(storage.getAll(MESSAGES_COLLECTION))
+        .filter(entry => entry.chatId === chatId && (!sender || entry.sender === sender))
+        .sort((a, b) => a.nextRun - b.nextRun);
+}
+
+module.exports = {
+    start,
+    stop,
+    getTimezone,
+    setTimezone,
+    formatTime,
+    parseSchedule,
+    scheduleMessage,
+    cancelMessage,
+    listMessages
+};
@@ -0,0 +1,128 @@
+/**
+ * Sent message registry
+ * Remembers the IDs of the messages the bot sends in each chat, so a reply
+ * can be recognized as a reply to the bot by the ID it quotes
+ * (contextInfo.stanzaId). IDs expire after config.messageHandling.sentMessageTtlHours;
+ * a chat stays in the registry once the bot has sent to it.
+ */
+const storage = require('./storage');
+const config = require('../config');
+
+// Storage collection of sent messages (chat JID -> { message ID -> sent at })
+const SENT_COLLECTION = 'sentMessages';
+
+// Oldest IDs are dropped beyond this many per chat
+const MAX_PER_CHAT = 500;
+
+// How often expired IDs are removed
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+let pruneTimer = null;
+
+function getTtl() {
+    return config.messageHandling.sentMessageTtlHours * 60 * 60 * 1000;
+}
+
+/**
+ * Record a message sent by the bot
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} messageId - Message ID (key.id)
+ */
+function record(chatId, messageId) {
+    if (!chatId || !messageId) return;
+
+    const sent = { ...(storage.get(SENT_COLLECTION, chatId) || {}), [messageId]: Date.now() };
+
+    const ids = Object.keys(sent);
+    if (ids.length > MAX_PER_CHAT) {
+        ids.sort((a, b) => sent[a] - sent[b])
+            .slice(0, ids.length - MAX_PER_CHAT)
+            .forEach(id => delete sent[id]);
+    }
+
+    storage.set(SENT_COLLECTION, chatId, sent);
+}
+
+/**
+ * Check whether a message was sent by the bot
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} messageId - Message ID, e.g. the stanzaId of a reply
+ * @returns {boolean} Whether the bot sent it (and it hasn't expired)
+ */
+function isSentByBot(chatId, messageId) {
+    if (!messageId) return false;
+
+    const sent = storage.get(SENT_COLLECTION, chatId);
+    const sentAt = sent && sent[messageId];
+    return Boolean(sentAt) && Date.now() - sentAt < getTtl();
+}
+
+/**
+ * Check whether the registry has recorded messages in a chat
+ *
+ * Replies in chats it hasn't may quote messages sent before IDs were recorded.
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {boolean} Whether the bot's messages in the chat are recorded
+ */
+function isTracked(chatId) {
+    return Boolean(storage.get(SENT_COLLECTION, chatId));
+}
+
+/**
+ * Remove expired IDs from every chat
+ *
+ * @returns {number} Number of IDs removed
+ */
+function prune() {
+    const cutoff = Date.now() - getTtl();
+    let removed = 0;
+
+    for (const [chatId, sent] of Object.entries(storage.getAll(SENT_COLLECTION))) {
+        const kept = Object.fromEntries(Object.entries(sent).filter(([, sentAt]) => sentAt >= cutoff));
+        const dropped = Object.keys(sent).length - Object.keys(kept).length;
+        if (dropped === 0) continue;
+
+        removed += dropped;
+        storage.set(SENT_COLLECTION, chatId, kept);
+    }
+
+    return removed;
+}
+
+/**
+ * Wrap sock.sendMessage so every message the bot sends is recorded
+ *
+ * Call once per socket, before anything sends messages.
+ *
+ * @param {Object} sock - WhatsApp socket
+ * @returns {Object} The same socket
+ */
+function track(sock) {
+    const sendMessage = sock.sendMessage.bind(sock);
+
+    sock.sendMessage = async (jid, content, options) => {
+        const sent = await sendMessage(jid, content, options);
+        if (sent && sent.key) {
+            record(sent.key.remoteJid || jid, sent.key.id);
+        }
+        return sent;
+    };
+
+    if (!pruneTimer) {
+        prune();
+        pruneTimer = setInterval(prune, PRUNE_INTERVAL);
+    }
+
+    return sock;
+}
+
+module.exports = {
+    track,
+    record,
+    isSentByBot,
+    isTracked,
+    prune
+};
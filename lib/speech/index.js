@@ -0,0 +1,62 @@
+/**
+ * Speech-to-text module
+ * Turns voice notes into text with the backend set in config.speech.backend.
+ * A backend is an object with a name and transcribe(buffer, mimetype).
+ *
+ * Backends:
+ * - whispercpp: a local whisper.cpp binary (needs ffmpeg)
+ */
+const config = require('../../config');
+const { createWhisperCppAdapter } = require('./whisperCppAdapter');
+
+const backendFactories = {
+    whispercpp: () => createWhisperCppAdapter({
+        binary: config.speech.whisperCpp.binary,
+        model: config.speech.whisperCpp.model,
+        language: config.speech.whisperCpp.language,
+        threads: config.speech.whisperCpp.threads,
+        ffmpeg: config.speech.ffmpeg,
+        timeoutMs: config.speech.timeoutMs
+    })
+};
+
+// Created backends by name
+const backends = new Map();
+
+/**
+ * Get the configured speech-to-text backend, creating it on first use
+ *
+ * @returns {Object} Speech backend
+ * @throws {Error} If the backend is unknown
+ */
+function getBackend() {
+    const name = config.speech.backend;
+    if (!backends.has(name)) {
+        const factory = backendFactories[name];
+        if (!factory) {
+            throw new Error(`Unknown speech backend "${name}" (use ${Object.keys(backendFactories).join(', ')})`);
+        }
+        backends.set(name, factory());
+    }
+    return backends.get(name);
+}
+
+/**
+ * Transcribe audio
+ *
+ * @param {Buffer} buffer - Audio data (any format ffmpeg reads, e.g. WhatsApp's ogg/opus)
+ * @param {string} mimetype - Audio MIME type
+ * @returns {Promise<string>} The transcript, empty if nothing was said
+ */
+async function transcribe(buffer, mimetype) {
+    const backend = getBackend();
+    const startedAt = Date.now();
+    const text = await backend.transcribe(buffer, mimetype);
+    console.log(`Transcribed ${buffer.length} bytes with ${backend.name} in ${Date.now() - startedAt}ms`);
+    return text;
+}
+
+module.exports = {
+    getBackend,
+    transcribe
+};
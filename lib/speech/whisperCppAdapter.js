@@ -0,0 +1,70 @@
+/**
+ * whisper.cpp speech-to-text adapter
+ * Converts the audio to 16 kHz mono WAV with ffmpeg (whisper.cpp only reads
+ * WAV) and runs the local whisper-cli binary on it.
+ */
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Run a program and resolve with its standard output
+ */
+function run(file, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `${path.basename(file)} failed: ${(stderr || error.message).toString().trim().slice(-500)}`;
+                reject(error);
+                return;
+            }
+            resolve(stdout.toString());
+        });
+    });
+}
+
+/**
+ * Create a whisper.cpp adapter
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.binary - Path of the whisper-cli binary
+ * @param {string} options.model - Path of the ggml model file
+ * @param {string} options.language - Spoken language code, or 'auto'
+ * @param {number} options.threads - CPU threads for whisper.cpp
+ * @param {string} options.ffmpeg - Path of the ffmpeg binary
+ * @param {number} options.timeoutMs - Time limit for each program
+ * @returns {Object} Speech backend
+ */
+function createWhisperCppAdapter({ binary, model, language, threads, ffmpeg, timeoutMs }) {
+    return {
+        name: 'whispercpp',
+
+        async transcribe(buffer) {
+            const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-'));
+            const inputFile = path.join(workDir, 'input');
+            const wavFile = path.join(workDir, 'input.wav');
+
+            try {
+                await fs.writeFile(inputFile, buffer);
+                await run(ffmpeg, ['-y', '-i', inputFile, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavFile], timeoutMs);
+
+                const output = await run(binary, [
+                    '-m', model,
+                    '-f', wavFile,
+                    '-l', language,
+                    '-t', String(threads),
+                    '-nt', // no timestamps
+                    '-np'  // print the transcript only
+                ], timeoutMs);
+
+                // Silence comes back as a [BLANK_AUDIO] marker
+                return output.replace(/\[BLANK_AUDIO\]/g, '').replace(/\s+/g, ' ').trim();
+            } finally {
+                await fs.rm(workDir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+module.exports = { createWhisperCppAdapter };
@@ -95,5 +95,6 @@ async function downloadMediaMessage(message, type, options, helpers) {
 }
 
 module.exports = {
-    createStickerFromMedia
+    createStickerFromMedia,
+    downloadMediaMessage
 };
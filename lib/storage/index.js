@@ -0,0 +1,181 @@
+/**
+ * Storage module for WhatsApp bot
+ * Picks the configured storage adapter and exposes a small collection API:
+ * collections are objects of key -> value, documents are single values.
+ *
+ * Drivers:
+ * - json: one file per collection in the data directory (default)
+ * - sqlite: one row per entry in a SQLite database
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { createJsonAdapter } = require('./jsonAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+
+let adapter = null;
+
+/**
+ * Get the active storage adapter, creating it on first use
+ *
+ * @returns {Object} Storage adapter
+ */
+function getAdapter() {
+    if (!adapter) {
+        const driver = config.storage.driver;
+
+        if (driver === 'sqlite') {
+            fs.mkdirSync(path.dirname(config.storage.sqliteFile), { recursive: true });
+            adapter = createSqliteAdapter({ file: config.storage.sqliteFile });
+            migrateJsonFiles(adapter);
+        } else if (driver === 'json') {
+            adapter = createJsonAdapter({ dir: config.databaseDir });
+        } else {
+            throw new Error(`Unknown storage driver "${driver}" (use "json" or "sqlite")`);
+        }
+
+        console.log(`Storage: Using ${adapter.name} driver`);
+    }
+    return adapter;
+}
+
+/**
+ * Import the data/*.json files into a fresh SQLite database (runs once)
+ *
+ * Plain objects become collections, anything else (e.g. arrays) a document.
+ * The JSON files are left in place as a backup.
+ *
+ * @param {Object} target - SQLite adapter
+ * @returns {Array<string>} Names of the imported files
+ */
+function migrateJsonFiles(target) {
+    if (target.getMeta('jsonMigratedAt')) {
+        return [];
+    }
+
+    const imported = [];
+    const files = fs.existsSync(config.databaseDir)
+        ? fs.readdirSync(config.databaseDir).filter(file => file.endsWith('.json'))
+        : [];
+
+    target.transaction(() => {
+        for (const file of files) {
+            const name = path.basename(file, '.json');
+            let value;
+            try {
+                value = JSON.parse(fs.readFileSync(path.join(config.databaseDir, file), 'utf8'));
+            } catch (error) {
+                console.error(`Storage: Skipping ${file} during migration`, error);
+                continue;
+            }
+
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                target.replaceAll(name, value);
+            } else {
+                target.setDocument(name, value);
+            }
+            imported.push(file);
+        }
+
+        target.setMeta('jsonMigratedAt', Date.now());
+    });
+
+    if (imported.length > 0) {
+        console.log(`Storage: Imported ${imported.length} JSON files into SQLite (${imported.join(', ')})`);
+    }
+    return imported;
+}
+
+/**
+ * Get all entries of a collection
+ *
+ * The returned object is the live cache; use set() to persist changes.
+ *
+ * @param {string} collection - Collection name
+ * @returns {Object} Entries by key
+ */
+function getAll(collection) {
+    return getAdapter().getAll(collection);
+}
+
+/**
+ * Get one entry of a collection
+ *
+ * @param {string} collection - Collection name
+ * @param {string} key - Entry key
+ * @returns {*} Stored value or undefined
+ */
+function get(collection, key) {
+    return getAdapter().get(collection, key);
+}
+
+/**
+ * Store one entry of a collection
+ *
+ * @param {string} collection - Collection name
+ * @param {string} key - Entry key
+ * @param {*} value - JSON-serializable value
+ */
+function set(collection, key, value) {
+    getAdapter().set(collection, key, value);
+}
+
+/**
+ * Remove one entry of a collection
+ *
+ * @param {string} collection - Collection name
+ * @param {string} key - Entry key
+ */
+function remove(collection, key) {
+    getAdapter().remove(collection, key);
+}
+
+/**
+ * Replace all entries of a collection
+ *
+ * @param {string} collection - Collection name
+ * @param {Object} values - Entries by key
+ */
+function replaceAll(collection, values) {
+    getAdapter().replaceAll(collection, values);
+}
+
+/**
+ * Get a document (a single stored value such as an array)
+ *
+ * @param {string} name - Document name
+ * @returns {*} Stored value or undefined
+ */
+function getDocument(name) {
+    return getAdapter().getDocument(name);
+}
+
+/**
+ * Store a document
+ *
+ * @param {string} name - Document name
+ * @param {*} value - JSON-serializable value
+ */
+function setDocument(name, value) {
+    getAdapter().setDocument(name, value);
+}
+
+/**
+ * Write all pending changes (call before shutting down)
+ */
+async function flush() {
+    if (adapter) {
+        await adapter.flush();
+    }
+}
+
+module.exports = {
+    getAll,
+    get,
+    set,
+    remove,
+    replaceAll,
+    getDocument,
+    setDocument,
+    flush
+};
@@ -0,0 +1,130 @@
+/**
+ * JSON file storage adapter
+ * Keeps each collection in memory and writes it to <dir>/<collection>.json.
+ * Writes are debounced and atomic (written to a temp file, then renamed).
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Delay before pending changes are written to disk
+const WRITE_DELAY = 1000;
+
+/**
+ * Create a JSON storage adapter
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.dir - Directory holding the JSON files
+ * @returns {Object} Storage adapter
+ */
+function createJsonAdapter({ dir }) {
+    const collections = new Map();   // name -> in-memory value
+    const timers = new Map();        // name -> pending write timer
+    const writing = new Map();       // name -> promise of the running write
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    function filePath(name) {
+        return path.join(dir, `${name}.json`);
+    }
+
+    // Load a collection on first use (one synchronous read per collection)
+    function load(name) {
+        if (!collections.has(name)) {
+            let value;
+            try {
+                value = JSON.parse(fs.readFileSync(filePath(name), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Storage: Could not read ${name}.json, starting empty`, error);
+                }
+                value = undefined;
+            }
+            collections.set(name, value);
+        }
+        return collections.get(name);
+    }
+
+    async function write(name) {
+        timers.delete(name);
+
+        // Serialize writes of the same file
+        const previous = writing.get(name) || Promise.resolve();
+        const current = previous.then(async () => {
+            const target = filePath(name);
+            const temp = `${target}.${process.pid}.tmp`;
+            try {
+                await fs.promises.writeFile(temp, JSON.stringify(collections.get(name), null, 2));
+                await fs.promises.rename(temp, target);
+            } catch (error) {
+                console.error(`Storage: Error writing ${name}.json`, error);
+            }
+        });
+
+        writing.set(name, current);
+        await current;
+        if (writing.get(name) === current) {
+            writing.delete(name);
+        }
+    }
+
+    function scheduleWrite(name) {
+        if (!timers.has(name)) {
+            timers.set(name, setTimeout(() => write(name), WRITE_DELAY));
+        }
+    }
+
+    function entries(name) {
+        const value = load(name);
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return value;
+        }
+        collections.set(name, {});
+        return collections.get(name);
+    }
+
+    return {
+        name: 'json',
+
+        getAll(name) {
+            return entries(name);
+        },
+
+        get(name, key) {
+            return entries(name)[key];
+        },
+
+        set(name, key, value) {
+            entries(name)[key] = value;
+            scheduleWrite(name);
+        },
+
+        remove(name, key) {
+            delete entries(name)[key];
+            scheduleWrite(name);
+        },
+
+        replaceAll(name, values) {
+            collections.set(name, { ...values });
+            scheduleWrite(name);
+        },
+
+        getDocument(name) {
+            return load(name);
+        },
+
+        setDocument(name, value) {
+            collections.set(name, value);
+            scheduleWrite(name);
+        },
+
+        async flush() {
+            const pending = [...timers.keys()];
+            pending.forEach(name => clearTimeout(timers.get(name)));
+            await Promise.all([...pending.map(write), ...writing.values()]);
+        }
+    };
+}
+
+module.exports = {
+    createJsonAdapter
+};
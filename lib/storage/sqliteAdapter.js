@@ -0,0 +1,141 @@
+/**
+ * SQLite storage adapter
+ * Stores every collection entry as its own row, so a change only rewrites
+ * that entry instead of a whole file. Requires the optional better-sqlite3 package.
+ */
+
+/**
+ * Create a SQLite storage adapter
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.file - Path of the SQLite database file
+ * @returns {Object} Storage adapter
+ */
+function createSqliteAdapter({ file }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The SQLite storage driver needs the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS entries (
+            collection TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (collection, key)
+        );
+        CREATE TABLE IF NOT EXISTS documents (
+            name TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+    `);
+
+    const statements = {
+        selectAll: db.prepare('SELECT key, value FROM entries WHERE collection = ?'),
+        upsert: db.prepare(`
+            INSERT INTO entries (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `),
+        delete: db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+        clear: db.prepare('DELETE FROM entries WHERE collection = ?'),
+        selectDocument: db.prepare('SELECT value FROM documents WHERE name = ?'),
+        upsertDocument: db.prepare(`
+            INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `),
+        selectMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        upsertMeta: db.prepare(`
+            INSERT INTO meta (key, value) VALUES (?, ?)
+            ON CONFLICT (key) DO UPDATE SET value = excluded.value
+        `)
+    };
+
+    // Collections are read once and then served from memory
+    const cache = new Map();
+
+    function entries(name) {
+        if (!cache.has(name)) {
+            const values = {};
+            for (const row of statements.selectAll.all(name)) {
+                values[row.key] = JSON.parse(row.value);
+            }
+            cache.set(name, values);
+        }
+        return cache.get(name);
+    }
+
+    const replaceEntries = db.transaction((name, values) => {
+        statements.clear.run(name);
+        const now = Date.now();
+        for (const [key, value] of Object.entries(values)) {
+            statements.upsert.run(name, key, JSON.stringify(value), now);
+        }
+    });
+
+    return {
+        name: 'sqlite',
+
+        getAll(name) {
+            return entries(name);
+        },
+
+        get(name, key) {
+            return entries(name)[key];
+        },
+
+        set(name, key, value) {
+            entries(name)[key] = value;
+            statements.upsert.run(name, key, JSON.stringify(value), Date.now());
+        },
+
+        remove(name, key) {
+            delete entries(name)[key];
+            statements.delete.run(name, key);
+        },
+
+        replaceAll(name, values) {
+            cache.set(name, { ...values });
+            replaceEntries(name, values);
+        },
+
+        getDocument(name) {
+            const row = statements.selectDocument.get(name);
+            return row ? JSON.parse(row.value) : undefined;
+        },
+
+        setDocument(name, value) {
+            statements.upsertDocument.run(name, JSON.stringify(value), Date.now());
+        },
+
+        getMeta(key) {
+            const row = statements.selectMeta.get(key);
+            return row ? row.value : null;
+        },
+
+        setMeta(key, value) {
+            statements.upsertMeta.run(key, String(value));
+        },
+
+        transaction(fn) {
+            return db.transaction(fn)();
+        },
+
+        async flush() {
+            // Every write is already committed
+        }
+    };
+}
+
+module.exports = {
+    createSqliteAdapter
+};
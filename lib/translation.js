@@ -1,12 +1,31 @@
 /**
  * Enhanced translation module for WhatsApp bot
+ * Translates with the AI, detecting the source language offline. Translations
+ * of short texts are cached, each chat can pin how terms are translated with
+ * a glossary, and every user has their own translation history.
  */
-const natural = require('natural');
+const crypto = require('crypto');
 const ai = require('./ai');
-const database = require('./database');
+const storage = require('./storage');
+const languageDetector = require('./language');
 
-// Create a language detection tokenizer
-const { PorterStemmer } = natural;
+// Storage collections
+const CACHE_COLLECTION = 'translationCache';         // key hash -> { translation, sourceLanguage, targetLanguage, createdAt }
+const GLOSSARY_COLLECTION = 'translationGlossaries'; // chat JID -> [{ term, translation, language, addedBy, addedAt }]
+const HISTORY_COLLECTION = 'translationHistory';     // user number -> entries, oldest first
+
+// Only texts up to this length are cached, for at most CACHE_MAX_AGE
+const CACHE_MAX_TEXT = 500;
+const CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 2000;
+const CACHE_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+const MAX_GLOSSARY_TERMS = 100;
+const MAX_HISTORY = 50;
+const MAX_HISTORY_TEXT = 500;
+
+// When the cache was last pruned
+let lastCachePrune = 0;
 
 // Language name mapping (ISO code to full name)
 const languageMap = {
@@ -58,81 +77,48 @@ const languageMap = {
     'fil': 'Filipino'
 };
 
+// Detections less confident than this are treated as unknown
+const MIN_CONFIDENCE = 0.3;
+
 /**
  * Detect the most likely language of a text
  * 
  * @param {string} text - Text to analyze
- * @returns {string|null} - Detected language name or null if detection fails
+ * @returns {string|null} - Detected language code or null if detection fails
  */
 function detectLanguage(text) {
-    try {
-        // This is a simple implementation. For production, a more sophisticated
-        // language detection library would be better.
-        // For now, this uses basic patterns that work for demonstration
-        
-        // Set of common words by language
-        const langPatterns = {
-            'en': ['the', 'is', 'and', 'in', 'to', 'have', 'it', 'for', 'that', 'you'],
-            'es': ['el', 'la', 'los', 'las', 'es', 'en', 'y', 'que', 'de', 'por', 'con'],
-            'fr': ['le', 'la', 'les', 'est', 'et', 'en', 'que', 'un', 'dans', 'pour'],
-            'de': ['der', 'die', 'das', 'ist', 'und', 'in', 'zu', 'den', 'mit', 'für'],
-            'pt': ['o', 'a', 'os', 'as', 'é', 'em', 'que', 'um', 'para', 'com', 'se'],
-            'it': ['il', 'la', 'i', 'le', 'è', 'e', 'che', 'di', 'in', 'per', 'con'],
-            'hi': ['है', 'की', 'में', 'का', 'और', 'को', 'से', 'के', 'एक', 'पर', 'यह'],
-            'zh': ['的', '是', '了', '在', '和', '有', '我', '这', '个', '你', '们'],
-            'ja': ['は', 'の', 'に', 'を', 'た', 'が', 'で', 'て', 'と', 'も', 'です'],
-            'ko': ['은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과']
-        };
-        
-        // Tokenize and normalize text
-        const lowerText = text.toLowerCase();
-        const words = lowerText.match(/\b\w+\b/g) || [];
-        
-        // Count word frequency by language
-        const scores = {};
-        
-        for (const [lang, patterns] of Object.entries(langPatterns)) {
-            scores[lang] = 0;
-            for (const word of words) {
-                if (patterns.includes(word)) {
-                    scores[lang]++;
-                }
-            }
-            
-            // Weight by total patterns
-            scores[lang] = scores[lang] / patterns.length;
-        }
-        
-        // Find language with highest score
-        let bestLang = null;
-        let bestScore = 0;
-        
-        for (const [lang, score] of Object.entries(scores)) {
-            if (score > bestScore) {
-                bestScore = score;
-                bestLang = lang;
-            }
-        }
-        
-        // If score is too low, we're not confident
-        if (bestScore < 0.05) {
-            // Try to detect specific character sets
-            if (/[\u0600-\u06FF]/.test(text)) return 'ar'; // Arabic
-            if (/[\u0900-\u097F]/.test(text)) return 'hi'; // Hindi
-            if (/[\u0400-\u04FF]/.test(text)) return 'ru'; // Cyrillic (Russian)
-            if (/[\u0E00-\u0E7F]/.test(text)) return 'th'; // Thai
-            if (/[\u3040-\u309F]|[\u30A0-\u30FF]/.test(text)) return 'ja'; // Japanese
-            if (/[\u1100-\u11FF]|[\uAC00-\uD7AF]/.test(text)) return 'ko'; // Korean
-            if (/[\u4E00-\u9FFF]/.test(text)) return 'zh'; // Chinese
-            
-            return null; // Could not detect confidently
-        }
-        
-        return bestLang;
-    } catch (error) {
-        console.error('Error detecting language:', error);
-        return null;
+    const { language, confidence } = languageDetector.detect(text);
+    return confidence >= MIN_CONFIDENCE ? language : null;
+}
+
+/**
+ * Get the likely languages of a text with confidence scores
+ * 
+ * @param {string} text - Text to analyze
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Array<Object>} - [{ code, name, confidence }], most likely first
+ */
+function detectLanguageScores(text, limit = 3) {
+    return languageDetector.detect(text, { limit }).candidates.map(({ language, confidence }) => ({
+        code: language,
+        name: languageMap[language],
+        confidence
+    }));
+}
+
+/**
+ * Get the code of a language from its code or name
+ * 
+ * @param {string} language - Language code or name (e.g. "es" or "Spanish")
+ * @returns {string|null} - Language code or null if the language is unknown
+ */
+function getLanguageCode(language) {
+    const clean = String(language || '').toLowerCase().trim();
+    if (languageMap[clean]) {
+        return clean;
     }
+    const match = Object.entries(languageMap).find(([, name]) => name.toLowerCase() === clean);
+    return match ? match[0] : null;
 }
 
 /**
@@ -140,9 +126,14 @@ function detectLanguage(text) {
  * 
  * @param {string} text - Text to translate
  * @param {string} targetLang - Target language code or name
+ * @param {Object} options - Options
+ * @param {string} options.sourceLanguage - Source language code, if already known (skips detection)
+ * @param {string} options.userId - User the translation is for (AI quota and history)
+ * @param {string} options.chatId - Chat the translation is for (AI quota and glossary)
+ * @param {string} options.priority - AI queue priority ('high', 'normal' or 'low')
  * @returns {Promise<Object>} - Translation result
  */
-async function translateText(text, targetLang) {
+async function translateText(text, targetLang, { sourceLanguage = null, userId, chatId, priority } = {}) {
     try {
         if (!text || text.trim() === '') {
             return {
@@ -151,60 +142,71 @@ async function translateText(text, targetLang) {
             };
         }
         
-        // Clean up target language
-        let cleanTargetLang = targetLang.toLowerCase().trim();
-        
-        // Normalize language name if it's a code
-        let displayLanguage = targetLang;
-        if (languageMap[cleanTargetLang]) {
-            displayLanguage = languageMap[cleanTargetLang];
-        } else {
-            // Try to find by name
-            for (const [code, name] of Object.entries(languageMap)) {
-                if (name.toLowerCase() === cleanTargetLang) {
-                    cleanTargetLang = code;
-                    displayLanguage = name;
-                    break;
-                }
-            }
-        }
+        // Normalize the target language (unknown names are passed to the AI as they are)
+        const cleanTargetLang = getLanguageCode(targetLang) || targetLang.toLowerCase().trim();
+        const displayLanguage = languageMap[cleanTargetLang] || targetLang;
         
         // Detect source language
-        const detectedLangCode = detectLanguage(text);
+        const detectedLangCode = sourceLanguage || detectLanguage(text);
         let detectedLang = 'unknown';
         
         if (detectedLangCode && languageMap[detectedLangCode]) {
             detectedLang = languageMap[detectedLangCode];
         }
         
-        // Use Gemini AI for translation
-        const translatePrompt = `Translate the following text from ${detectedLang} to ${displayLanguage}. 
+        const glossary = getGlossaryTerms(chatId, text, cleanTargetLang);
+        const cacheKey = getCacheKey(text, cleanTargetLang, glossary);
+        const cached = cacheKey ? storage.get(CACHE_COLLECTION, cacheKey) : null;
+        
+        let translation;
+        if (cached && Date.now() - cached.createdAt < CACHE_MAX_AGE) {
+            translation = cached.translation;
+        } else {
+            // Use the AI translate providers
+            const glossaryLines = glossary.map(entry => entry.translation
+                ? `- "${entry.term}" → "${entry.translation}"`
+                : `- "${entry.term}" → keep unchanged`);
+            const translatePrompt = `Translate the following text from ${detectedLang} to ${displayLanguage}. 
 Only return the translated text without any explanations, notes, or original text.
-
+${glossaryLines.length > 0 ? `Always translate these terms as given:\n${glossaryLines.join('\n')}\n` : ''}
 Text to translate:
 ${text}`;
-        
-        try {
-            const translation = await ai.getResponse(translatePrompt);
             
-            // Track this translation in history
-            saveTranslationHistory(text, translation, detectedLangCode, cleanTargetLang);
+            try {
+                translation = await ai.generateText(translatePrompt, { feature: 'translate', userId, chatId, priority });
+            } catch (error) {
+                console.error('Error getting AI translation:', error);
+                return { 
+                    success: false, 
+                    message: error.code === 'AI_QUOTA' ? error.message : "Failed to translate text. Please try again later." 
+                };
+            }
             
-            return { 
-                success: true, 
-                message: `*Translated from ${detectedLang} to ${displayLanguage}:*\n\n${translation}`,
-                detectedLanguage: detectedLang,
-                targetLanguage: displayLanguage,
+            if (cacheKey) {
+                saveToCache(cacheKey, { translation, sourceLanguage: detectedLangCode, targetLanguage: cleanTargetLang });
+            }
+        }
+        
+        // Track this translation in the user's history
+        if (userId) {
+            saveTranslationHistory(userId, {
+                chatId,
                 originalText: text,
-                translatedText: translation
-            };
-        } catch (error) {
-            console.error('Error getting AI translation:', error);
-            return { 
-                success: false, 
-                message: "Failed to translate text. Please try again later." 
-            };
+                translatedText: translation,
+                sourceLanguage: detectedLangCode,
+                targetLanguage: cleanTargetLang
+            });
         }
+        
+        return { 
+            success: true, 
+            message: `*Translated from ${detectedLang} to ${displayLanguage}:*\n\n${translation}`,
+            detectedLanguage: detectedLang,
+            targetLanguage: displayLanguage,
+            originalText: text,
+            translatedText: translation,
+            cached: Boolean(cached)
+        };
     } catch (error) {
         console.error('Error translating text:', error);
         return { 
@@ -215,53 +217,187 @@ ${text}`;
 }
 
 /**
- * Save translation to history
+ * Get the cache key of a translation, or null if the text is too long to cache
  * 
- * @param {string} originalText - Original text
- * @param {string} translatedText - Translated text
- * @param {string} sourceLanguage - Source language code
- * @param {string} targetLanguage - Target language code
+ * Texts are compared ignoring case and spacing. The glossary terms that
+ * apply are part of the key, so changing the glossary doesn't return stale
+ * translations.
  */
-function saveTranslationHistory(originalText, translatedText, sourceLanguage, targetLanguage) {
+function getCacheKey(text, targetLanguage, glossary) {
+    const normalized = text.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+    if (normalized.length > CACHE_MAX_TEXT) {
+        return null;
+    }
+    const terms = glossary.map(entry => `${entry.term}=${entry.translation || ''}`).join('|');
+    return crypto.createHash('sha1').update(`${targetLanguage}\n${terms}\n${normalized}`).digest('hex');
+}
+
+/**
+ * Cache a translation, dropping expired and the oldest entries now and then
+ */
+function saveToCache(key, entry) {
+    storage.set(CACHE_COLLECTION, key, { ...entry, createdAt: Date.now() });
+    
+    if (Date.now() - lastCachePrune < CACHE_PRUNE_INTERVAL) return;
+    lastCachePrune = Date.now();
+    
+    const entries = Object.entries(storage.getAll(CACHE_COLLECTION))
+        .sort((a, b) => b[1].createdAt - a[1].createdAt);
+    entries
+        .filter(([, cached], index) => index >= CACHE_MAX_ENTRIES || Date.now() - cached.createdAt >= CACHE_MAX_AGE)
+        .forEach(([cacheKey]) => storage.remove(CACHE_COLLECTION, cacheKey));
+}
+
+/**
+ * Get the glossary of a chat
+ * 
+ * @param {string} chatId - Chat JID
+ * @returns {Array<Object>} - [{ term, translation, language, addedBy, addedAt }]; a null
+ *   translation keeps the term unchanged, a null language applies to every language
+ */
+function getGlossary(chatId) {
+    return (chatId && storage.get(GLOSSARY_COLLECTION, chatId)) || [];
+}
+
+/**
+ * Get the glossary terms of a chat that appear in a text
+ */
+function getGlossaryTerms(chatId, text, targetLanguage) {
+    const lowerText = text.toLowerCase();
+    return getGlossary(chatId).filter(entry =>
+        (!entry.language || entry.language === targetLanguage) &&
+        lowerText.includes(entry.term.toLowerCase()));
+}
+
+/**
+ * Add a term to a chat's glossary, or change how it is translated
+ * 
+ * @param {string} chatId - Chat JID
+ * @param {Object} entry - Glossary entry
+ * @param {string} entry.term - Term as written in messages
+ * @param {string} entry.translation - How to translate it (null to keep it unchanged)
+ * @param {string} entry.language - Language code or name it applies to (null for all)
+ * @param {string} entry.addedBy - JID of who added it
+ * @returns {Object} - Result with success and message
+ */
+function addGlossaryTerm(chatId, { term, translation = null, language = null, addedBy = null }) {
+    const cleanTerm = String(term || '').trim();
+    if (!cleanTerm) {
+        return { success: false, message: "Say which term to add." };
+    }
+    
+    const code = language ? getLanguageCode(language) : null;
+    if (language && !code) {
+        return { success: false, message: `Unknown language "${language}".` };
+    }
+    
+    const isSame = (entry) => entry.term.toLowerCase() === cleanTerm.toLowerCase() && entry.language === code;
+    const glossary = getGlossary(chatId).filter(entry => !isSame(entry));
+    if (glossary.length >= MAX_GLOSSARY_TERMS) {
+        return { success: false, message: `The glossary is full (${MAX_GLOSSARY_TERMS} terms). Remove some first.` };
+    }
+    
+    glossary.push({ term: cleanTerm, translation: translation ? translation.trim() : null, language: code, addedBy, addedAt: Date.now() });
+    storage.set(GLOSSARY_COLLECTION, chatId, glossary);
+    
+    const how = translation ? `translated as "${translation.trim()}"` : 'kept unchanged';
+    const where = code ? ` in ${languageMap[code]}` : '';
+    return { success: true, message: `"${cleanTerm}" will be ${how}${where}.` };
+}
+
+/**
+ * Remove a term from a chat's glossary (in every language)
+ * 
+ * @param {string} chatId - Chat JID
+ * @param {string} term - Term
+ * @returns {Object} - Result with success and message
+ */
+function removeGlossaryTerm(chatId, term) {
+    const glossary = getGlossary(chatId);
+    const kept = glossary.filter(entry => entry.term.toLowerCase() !== String(term || '').trim().toLowerCase());
+    if (kept.length === glossary.length) {
+        return { success: false, message: `"${term}" is not in the glossary.` };
+    }
+    
+    if (kept.length > 0) {
+        storage.set(GLOSSARY_COLLECTION, chatId, kept);
+    } else {
+        storage.remove(GLOSSARY_COLLECTION, chatId);
+    }
+    return { success: true, message: `Removed "${term}" from the glossary.` };
+}
+
+/**
+ * Get the storage key of a user's history
+ */
+function getHistoryKey(userId) {
+    return userId.split('@')[0].split(':')[0];
+}
+
+/**
+ * Save a translation to a user's history
+ * 
+ * @param {string} userId - JID of the user who asked for it
+ * @param {Object} entry - { chatId, originalText, translatedText, sourceLanguage, targetLanguage }
+ */
+function saveTranslationHistory(userId, entry) {
     try {
-        // Get existing translation history
-        let translationHistory = database.getData('translationHistory') || [];
+        const key = getHistoryKey(userId);
+        const history = storage.get(HISTORY_COLLECTION, key) || [];
         
-        // Add new translation
-        translationHistory.push({
-            timestamp: Date.now(),
-            originalText, 
-            translatedText,
-            sourceLanguage,
-            targetLanguage
+        history.push({
+            ...entry,
+            originalText: entry.originalText.slice(0, MAX_HISTORY_TEXT),
+            translatedText: entry.translatedText.slice(0, MAX_HISTORY_TEXT),
+            timestamp: Date.now()
         });
         
-        // Limit history size to 100 entries
-        if (translationHistory.length > 100) {
-            translationHistory = translationHistory.slice(-100);
-        }
-        
-        // Save back to database
-        database.saveData('translationHistory', translationHistory);
+        storage.set(HISTORY_COLLECTION, key, history.slice(-MAX_HISTORY));
     } catch (error) {
         console.error('Error saving translation history:', error);
     }
 }
 
 /**
- * Get translation history
+ * Get a user's translation history
  * 
+ * @param {string} userId - User JID
  * @param {number} limit - Maximum number of history entries to return
- * @returns {Array} - Translation history
+ * @returns {Array} - Translation history, newest first
  */
-function getTranslationHistory(limit = 10) {
-    try {
-        const translationHistory = database.getData('translationHistory') || [];
-        return translationHistory.slice(-limit);
-    } catch (error) {
-        console.error('Error getting translation history:', error);
-        return [];
+function getTranslationHistory(userId, limit = 10) {
+    return (storage.get(HISTORY_COLLECTION, getHistoryKey(userId)) || []).slice(-limit).reverse();
+}
+
+/**
+ * Delete one entry or all of a user's translation history
+ * 
+ * @param {string} userId - User JID
+ * @param {number|null} number - Entry number as listed by getTranslationHistory (1 = newest), or null for all
+ * @returns {Object} - Result with success and message
+ */
+function deleteTranslationHistory(userId, number = null) {
+    const key = getHistoryKey(userId);
+    const history = storage.get(HISTORY_COLLECTION, key) || [];
+    if (history.length === 0) {
+        return { success: false, message: "Your translation history is empty." };
+    }
+    
+    if (number === null) {
+        storage.remove(HISTORY_COLLECTION, key);
+        return { success: true, message: `Deleted your translation history (${history.length} translation${history.length === 1 ? '' : 's'}).` };
+    }
+    
+    if (!Number.isInteger(number) || number < 1 || number > history.length) {
+        return { success: false, message: `Pick a number from 1 to ${history.length}.` };
+    }
+    history.splice(history.length - number, 1);
+    if (history.length > 0) {
+        storage.set(HISTORY_COLLECTION, key, history);
+    } else {
+        storage.remove(HISTORY_COLLECTION, key);
     }
+    return { success: true, message: `Deleted translation ${number} from your history.` };
 }
 
 /**
@@ -276,6 +412,12 @@ function getSupportedLanguages() {
 module.exports = {
     translateText,
     detectLanguage,
+    detectLanguageScores,
+    getLanguageCode,
+    getGlossary,
+    addGlossaryTerm,
+    removeGlossaryTerm,
     getTranslationHistory,
+    deleteTranslationHistory,
     getSupportedLanguages
 };
\ No newline at end of file
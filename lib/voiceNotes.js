@@ -0,0 +1,123 @@
+/**
+ * Voice notes
+ * Transcribes voice notes and keeps each chat's voice settings:
+ * - autoTranscribe: post a transcript of every voice note
+ * - voiceChat: let the AI answer voice notes sent to the bot
+ * Both are off by default, since they need a speech-to-text setup; chats
+ * opt in with .voice.
+ */
+const storage = require('./storage');
+const stickerMaker = require('./stickerMaker');
+const speech = require('./speech');
+const config = require('../config');
+
+// Storage collection of chat settings (chat JID -> { autoTranscribe, voiceChat })
+const SETTINGS_COLLECTION = 'voiceSettings';
+
+/**
+ * Get the voice settings of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {Object} { autoTranscribe, voiceChat }
+ */
+function getSettings(chatId) {
+    return {
+        autoTranscribe: false,
+        voiceChat: false,
+        ...(storage.get(SETTINGS_COLLECTION, chatId) || {})
+    };
+}
+
+/**
+ * Change one voice setting of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @param {string} setting - 'autoTranscribe' or 'voiceChat'
+ * @param {boolean} enabled - New value
+ * @returns {Object} Result with success and message
+ */
+function setSetting(chatId, setting, enabled) {
+    const settings = { ...getSettings(chatId), [setting]: enabled };
+    storage.set(SETTINGS_COLLECTION, chatId, settings);
+
+    const messages = {
+        autoTranscribe: enabled
+            ? 'Voice notes in this chat will be transcribed automatically.'
+            : 'Automatic transcription is off.',
+        voiceChat: enabled
+            ? 'Voice chat is on. Send me a voice note and I\'ll answer it.'
+            : 'Voice chat is off. I\'ll ignore voice notes unless asked to transcribe them.'
+    };
+    return { success: true, message: messages[setting] };
+}
+
+/**
+ * Describe the voice settings of a chat
+ *
+ * @param {string} chatId - Chat JID
+ * @returns {string} Status text
+ */
+function describeSettings(chatId) {
+    const settings = getSettings(chatId);
+    return `🎙️ *Voice Settings*\n\n` +
+        `Auto-transcribe: ${settings.autoTranscribe ? 'on' : 'off'}\n` +
+        `Voice chat with AI: ${settings.voiceChat ? 'on' : 'off'}`;
+}
+
+/**
+ * Find the audio of a message or of the message it replies to
+ *
+ * @param {Object} message - Baileys message
+ * @returns {Object|null} Message content holding an audioMessage, or null
+ */
+function findAudio(message) {
+    const content = message.message || {};
+    if (content.audioMessage) {
+        return content;
+    }
+    const quoted = content.extendedTextMessage?.contextInfo?.quotedMessage;
+    return quoted && quoted.audioMessage ? quoted : null;
+}
+
+/**
+ * Transcribe the voice note of a message or of the message it replies to
+ *
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} message - Baileys message
+ * @returns {Promise<Object|null>} { text }, { error } if it can't be transcribed, or null without audio
+ */
+async function transcribeMessage(sock, message) {
+    const source = findAudio(message);
+    if (!source) {
+        return null;
+    }
+
+    const maxSeconds = config.speech.maxDurationSeconds;
+    if (Number(source.audioMessage.seconds) > maxSeconds) {
+        return { error: `That voice note is too long to transcribe (max ${Math.round(maxSeconds / 60)} minutes).` };
+    }
+
+    const data = await stickerMaker.downloadMediaMessage(
+        { message: source },
+        'buffer',
+        {},
+        {
+            logger: sock.logger,
+            reuploadRequest: sock.updateMediaMessage
+        }
+    );
+
+    const text = await speech.transcribe(data, source.audioMessage.mimetype || 'audio/ogg; codecs=opus');
+    if (!text) {
+        return { error: 'I couldn\'t make out any words in that voice note.' };
+    }
+    return { text };
+}
+
+module.exports = {
+    getSettings,
+    setSetting,
+    describeSettings,
+    findAudio,
+    transcribeMessage
+};
@@ -0,0 +1,230 @@
+/**
+ * WhatsApp formatting for AI replies
+ * Models answer in Markdown, which WhatsApp shows literally. This converts it
+ * to WhatsApp syntax (*bold*, _italic_, ~strike~, ``` monospace ```, bullet
+ * points), splits long replies into numbered parts at paragraph boundaries
+ * and can send long code blocks as file attachments.
+ */
+const config = require('../config');
+
+// Placeholders for text that must not be touched while converting
+const PLACEHOLDER = (index) => `\u0000${index}\u0000`;
+const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+// Marks bold text while italics are converted (both use * in Markdown)
+const BOLD_MARK = '\u0001';
+
+// File extensions for code attachments
+const CODE_EXTENSIONS = {
+    javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts', python: 'py', py: 'py',
+    java: 'java', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', cs: 'cs', go: 'go',
+    rust: 'rs', rs: 'rs', ruby: 'rb', php: 'php', bash: 'sh', sh: 'sh', shell: 'sh',
+    json: 'json', html: 'html', css: 'css', sql: 'sql', yaml: 'yml', yml: 'yml',
+    kotlin: 'kt', swift: 'swift', markdown: 'md', md: 'md'
+};
+
+/**
+ * Render a Markdown table as an aligned monospace block
+ */
+function renderTable(lines) {
+    const rows = lines
+        .filter(line => !/^\s*\|?\s*:?-{2,}/.test(line))
+        .map(line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+
+    const widths = [];
+    rows.forEach(row => row.forEach((cell, index) => {
+        widths[index] = Math.max(widths[index] || 0, cell.length);
+    }));
+
+    const text = rows.map(row => row.map((cell, index) => cell.padEnd(widths[index])).join(' | ').trimEnd()).join('\n');
+    return '```\n' + text + '\n```';
+}
+
+/**
+ * Convert Markdown to WhatsApp formatting
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} Text using WhatsApp formatting
+ */
+function toWhatsApp(text) {
+    if (!text) return text;
+
+    const protectedParts = [];
+    const protect = (part) => {
+        protectedParts.push(part);
+        return PLACEHOLDER(protectedParts.length - 1);
+    };
+
+    // Code blocks keep their content; the language tag isn't shown by WhatsApp
+    let result = text.replace(/\r\n/g, '\n').replace(/```[^\n`]*\n([\s\S]*?)```/g, (match, code) => protect('```\n' + code.replace(/\n$/, '') + '\n```'));
+
+    // Tables become aligned monospace blocks
+    result = result.replace(/(^\|.*\|[ \t]*\n?)+/gm, (table) => {
+        const lines = table.trim().split('\n');
+        return lines.length > 1 ? protect(renderTable(lines)) + '\n' : table;
+    });
+
+    // Inline code is supported as is
+    result = result.replace(/`[^`\n]+`/g, match => protect(match));
+
+    result = result
+        .split('\n')
+        .map(line => {
+            const heading = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                return `${BOLD_MARK}${heading[1].replace(/\*\*|__/g, '')}${BOLD_MARK}`;
+            }
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                return '──────────';
+            }
+            const bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+            if (bullet) {
+                return bullet[1].length >= 2 ? `   ◦ ${bullet[2]}` : `• ${bullet[2]}`;
+            }
+            return line;
+        })
+        .join('\n');
+
+    result = result
+        // Links: WhatsApp shows plain URLs as links
+        .replace(/!?\[([^\]]+)\]\((\S+?)\)/g, (match, label, url) => label === url ? url : `${label} (${url})`)
+        // Bold italic, before the single markers so they nest as *_text_*
+        .replace(/\*\*\*(?=\S)([\s\S]+?)\*\*\*/g, `${BOLD_MARK}_$1_${BOLD_MARK}`)
+        .replace(/___(?=\S)([\s\S]+?)___/g, `${BOLD_MARK}_$1_${BOLD_MARK}`)
+        // Bold
+        .replace(/\*\*(?=\S)([\s\S]+?)\*\*/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+        .replace(/__(?=\S)([\s\S]+?)__/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+        // Italic
+        .replace(/(^|[^*\w])\*(?=\S)([^*\n]+?)\*(?!\w)/g, '$1_$2_')
+        // Strikethrough
+        .replace(/~~(?=\S)([\s\S]+?)~~/g, '~$1~')
+        .replace(new RegExp(BOLD_MARK, 'g'), '*');
+
+    return result
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(PLACEHOLDER_PATTERN, (match, index) => protectedParts[Number(index)])
+        .trim();
+}
+
+/**
+ * Take long code blocks out of a reply so they can be sent as files
+ *
+ * @param {string} text - Markdown text (the code block language picks the file extension)
+ * @param {number} minLines - Blocks with at least this many lines are taken out
+ * @returns {Object} { text, files: [{ fileName, content }] }
+ */
+function extractCodeFiles(text, minLines) {
+    const files = [];
+
+    const remaining = text.replace(/```([^\n`]*)\n([\s\S]*?)```/g, (match, language, code) => {
+        if (code.split('\n').length < minLines) {
+            return match;
+        }
+        const extension = CODE_EXTENSIONS[language.trim().toLowerCase()] || 'txt';
+        const fileName = `snippet-${files.length + 1}.${extension}`;
+        files.push({ fileName, content: code });
+        return `📎 _${fileName}_`;
+    });
+
+    return { text: remaining, files };
+}
+
+/**
+ * Split a piece of text at the best boundary before maxLength
+ */
+function splitOnce(text, maxLength) {
+    const window = text.slice(0, maxLength);
+    const boundaries = [/\n\n(?![\s\S]*\n\n)/, /\n(?![\s\S]*\n)/, /[.!?]\s(?![\s\S]*[.!?]\s)/, /\s(?![\s\S]*\s)/];
+
+    for (const boundary of boundaries) {
+        const match = boundary.exec(window);
+        // Parts shorter than a third of the limit would split the text into too many pieces
+        if (match && match.index > maxLength / 3) {
+            const end = match.index + match[0].length;
+            return [text.slice(0, end), text.slice(end)];
+        }
+    }
+    return [window, text.slice(maxLength)];
+}
+
+/**
+ * Split a long reply into numbered parts
+ *
+ * Parts end at paragraph breaks where possible, then at line breaks,
+ * sentences or words. A code block cut in two is closed and reopened.
+ *
+ * @param {string} text - Reply text
+ * @param {number} maxLength - Maximum characters per part
+ * @returns {Array<string>} Parts (a single part is not numbered)
+ */
+function splitMessage(text, maxLength = config.ai.formatting.maxMessageLength) {
+    // Leave room for the "(1/3)" label and reopened code fences
+    const limit = maxLength - 20;
+    const parts = [];
+    let rest = text.trim();
+
+    while (rest.length > limit) {
+        let [part, remaining] = splitOnce(rest, limit);
+
+        const openFences = (part.match(/```/g) || []).length;
+        if (openFences % 2 === 1) {
+            part = `${part.trimEnd()}\n\`\`\``;
+            remaining = `\`\`\`\n${remaining}`;
+        }
+
+        parts.push(part.trim());
+        rest = remaining.trim();
+    }
+    if (rest) {
+        parts.push(rest);
+    }
+
+    if (parts.length <= 1) {
+        return parts;
+    }
+    return parts.map((part, index) => `(${index + 1}/${parts.length}) ${part}`);
+}
+
+/**
+ * Format and send an AI reply, in parts if it is long
+ *
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} chatId - Chat JID
+ * @param {string} text - Reply in Markdown
+ * @param {Object} options - { quoted } message the first part replies to
+ * @returns {Promise<string>} The text as sent (without attachments)
+ */
+async function sendFormatted(sock, chatId, text, { quoted } = {}) {
+    const settings = config.ai.formatting;
+    let files = [];
+
+    if (settings.codeAsDocument) {
+        ({ text, files } = extractCodeFiles(text, settings.codeDocumentMinLines));
+    }
+    const formatted = toWhatsApp(text);
+
+    const parts = splitMessage(formatted, settings.maxMessageLength);
+    for (let index = 0; index < parts.length; index++) {
+        await sock.sendMessage(chatId, {
+            text: parts[index],
+            ...(index === 0 && quoted ? { quoted } : {})
+        });
+    }
+
+    for (const file of files) {
+        await sock.sendMessage(chatId, {
+            document: Buffer.from(file.content),
+            mimetype: 'text/plain',
+            fileName: file.fileName
+        });
+    }
+
+    return formatted;
+}
+
+module.exports = {
+    toWhatsApp,
+    extractCodeFiles,
+    splitMessage,
+    sendFormatted
+};